@@ -2,10 +2,12 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract MetaNodeToken is ERC20{
-    constructor() ERC20("MetaNodeToken", "MetaNode"){
+// 支持 EIP-2612 permit，可以用签名代替 approve 交易
+contract MetaNodeToken is ERC20, ERC20Permit {
+    constructor() ERC20("MetaNodeToken", "MetaNode") ERC20Permit("MetaNodeToken") {
         // 初始供应量可以在这里定义，或者留空以便之后通过 mint 函数铸造
          _mint(msg.sender, 10000000*1_000_000_000_000_000_000);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * ERC-2771 转发合约：验证用户的 EIP-712 签名后，把调用连同用户地址转发给 MetaNodeStake，
+ * 中继者支付 gas。需要在 MetaNodeStake 上通过 setTrustedForwarder 设置为可信转发合约
+ */
+contract MetaNodeForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("MetaNodeForwarder") {}
+}
@@ -0,0 +1,74 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// 质押合约在收据转账时结算双方奖励的回调
+interface IMetaNodeReceiptHook {
+    function onReceiptTransfer(
+        uint256 _pid,
+        address _from,
+        address _to,
+        uint256 _amount
+    ) external;
+}
+
+/**
+ * 质押收据：每个资金池一个，余额等于用户在池中的质押量（stAmount）。
+ *   质押时由 MetaNodeStake 铸造，解质押时销毁（setBalance 与质押量对齐）。转账会回调 MetaNodeStake，
+ * 先结算双方的奖励再把质押量转给接收方，所以仓位可以转到新钱包或在其他合约中使用。
+ * 锁仓中的部分不能转出
+ */
+contract MetaNodeReceipt is ERC20 {
+    address public immutable stake; // MetaNodeStake 代理地址
+    uint256 public immutable poolId; // 对应的资金池
+    uint8 private immutable _decimals; // 与质押代币相同
+
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        uint8 _tokenDecimals,
+        address _stake,
+        uint256 _poolId
+    ) ERC20(_name, _symbol) {
+        _decimals = _tokenDecimals;
+        stake = _stake;
+        poolId = _poolId;
+    }
+
+    modifier onlyStake() {
+        require(msg.sender == stake, "caller is not the stake contract");
+        _;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    /**
+     * @notice Whether this is the receipt of `_pid` in `_stake`, checked by the stake contract when binding it
+     */
+    function isReceiptOf(address _stake, uint256 _pid) external view returns (bool) {
+        return _stake == stake && _pid == poolId;
+    }
+
+    /**
+     * @notice Mint or burn so that `_user` holds `_balance`, the user's stake in the pool
+     */
+    function setBalance(address _user, uint256 _balance) external onlyStake {
+        uint256 current = balanceOf(_user);
+        if (_balance > current) {
+            _mint(_user, _balance - current);
+        } else if (_balance < current) {
+            _burn(_user, current - _balance);
+        }
+    }
+
+    // 铸造和销毁由质押合约自己记账，只有用户之间的转账需要回调
+    function _update(address _from, address _to, uint256 _value) internal override {
+        super._update(_from, _to, _value);
+        if (_from != address(0) && _to != address(0)) {
+            IMetaNodeReceiptHook(stake).onReceiptTransfer(poolId, _from, _to, _value);
+        }
+    }
+}
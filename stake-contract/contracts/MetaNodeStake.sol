@@ -3,206 +3,84 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/utils/Address.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
 
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/MulticallUpgradeable.sol";
+
+import "./MetaNodeReceipt.sol";
+import "./MetaNodeStakeBase.sol";
+import "./MetaNodeStakeAdmin.sol";
+
+// WETH9 接口：ETH 池用它把 WETH 换回原生 ETH，包装时直接向 WETH 转 ETH
+interface IWETH {
+    function withdraw(uint256 _amount) external;
+}
 
 /**
  * 升级版的质押挖矿合约：
  *   一个支持多币种质押的挖矿合约，用户质押代币获得MetaNode奖励。支持ETH和ERC20代币质押，
  * 具有权重分配、锁定期、管理员控制等功能
+ *
+ *   支持两种计时方式，部署时选择：按区块高度（initialize）或按时间戳（initializeTimeBased）。
+ * 时间戳模式下 startBlock / endBlock / lastRewardBlock / unlockBlocks 存的是时间戳，
+ * MetaNodePerBlock 是每秒奖励，unstakeLockedBlocks 是锁定秒数
+ *
+ *   奖励排放可以由多个阶段组成（emissionPhases），每个阶段从指定区块开始按自己的速率发放，
+ * 也可以每隔固定区块数减半。第一个阶段开始之前按 MetaNodePerBlock 发放
+ *
+ *   质押时可以选择锁仓档位（lockTiers），锁仓期内不能解质押，锁仓部分按档位倍数计算有效质押量（boosted），
+ * 奖励按有效质押量分配。锁仓到期后倍数在用户下次操作或任何人调用 releaseLock 时失效
+ *
+ *   支持 multicall，可以在一笔交易中组合质押、解质押和领取等操作（不能携带 ETH）
+ *
+ *   支持 ERC-2771 元交易：通过管理员设置的可信转发合约（trustedForwarder）调用时，
+ * 以转发合约附加在 calldata 末尾的地址作为调用者，中继者可以替用户提交领取、解质押等操作
+ *
+ *   资金池可以设置质押收据（MetaNodeReceipt），质押时铸造、解质押时销毁，
+ * 收据转账时通过 onReceiptTransfer 结算双方奖励并转移质押量
+ *
+ *   ETH 池可以用 WETH 质押（depositWETH）和提现（withdrawAsWETH），合约内部按原生 ETH 记账，
+ * WETH 地址由管理员设置
+ *
+ *   状态变量、事件和共用逻辑定义在 MetaNodeStakeBase 中，管理函数由管理模块 MetaNodeStakeAdmin 实现，
+ * 本合约通过 DELEGATECALL 转发，以控制合约大小
  */
 contract MetaNodeStake is
     Initializable, // 可初始化
     UUPSUpgradeable, // UUPS升级模式
-    PausableUpgradeable, // 可暂停
-    AccessControlUpgradeable // 权限控制
+    MetaNodeStakeBase, // 存储布局、权限、暂停和计时
+    MulticallUpgradeable, // 批量调用
+    IMetaNodeReceiptHook // 收据转账回调
 {
     using SafeERC20 for IERC20;
     using Address for address;
     using Math for uint256;
 
-    // ************************************** INVARIANT **************************************
-
-    bytes32 public constant ADMIN_ROLE = keccak256("admin_role"); // 管理员角色
-    bytes32 public constant UPGRADE_ROLE = keccak256("upgrade_role"); // 升级角色
-
-    uint256 public constant ETH_PID = 0; // ETH资金池ID固定为0
-
-    // ************************************** DATA STRUCTURE **************************************
-    /*
-    Basically, any point in time, the amount of MetaNodes entitled to a user but is pending to be distributed is:
-
-    pending MetaNode = (user.stAmount * pool.accMetaNodePerST) - user.finishedMetaNode
-
-    Whenever a user deposits or withdraws staking tokens to a pool. Here's what happens:
-    1. The pool's `accMetaNodePerST` (and `lastRewardBlock`) gets updated.
-    2. User receives the pending MetaNode sent to his/her address.
-    3. User's `stAmount` gets updated.
-    4. User's `finishedMetaNode` gets updated.
-    */
-    // 资金池结构
-    struct Pool {
-        // Address of staking token
-        // 质押代币的地址
-        address stTokenAddress;
-        // Weight of pool
-        // 不同资金池所占的权重，用于分配奖励
-        uint256 poolWeight;
-        // Last block number that MetaNodes distribution occurs for pool
-        // 上次分配奖励的区块
-        uint256 lastRewardBlock;
-        // Accumulated MetaNodes per staking token of pool
-        // 质押 1个ETH经过1个区块高度，能拿到 n 个MetaNode，即累计每质押代币可获得的MetaNode（精度1e18）
-        uint256 accMetaNodePerST;
-        // Staking token amount
-        // 质押的代币数量，池中总质押量
-        uint256 stTokenAmount;
-        // Min staking amount
-        // 最小质押数量
-        uint256 minDepositAmount;
-        // Withdraw locked blocks
-        // Unstake locked blocks 解质押锁定的区块高度
-        uint256 unstakeLockedBlocks;
-    }
-
-    //  解质押请求结构
-    struct UnstakeRequest {
-        // Request withdraw amount
-        uint256 amount; // 用户取消质押的代币数量，要取出多少个 token
-        // The blocks when the request withdraw amount can be released
-        uint256 unlockBlocks; // 解质押的区块高度
-    }
-
-    struct User {
-        // 记录用户相对每个资金池 的质押记录
-        // Staking token amount that user provided
-        // 用户在当前资金池，质押的代币数量
-        uint256 stAmount;
-        // Finished distributed MetaNodes to user 最终 MetaNode 得到的数量
-        // 用户在当前资金池，已经领取的 MetaNode 数量
-        uint256 finishedMetaNode;
-        // Pending to claim MetaNodes 当前可取数量
-        // 用户在当前资金池，当前可领取的 MetaNode 数量
-        uint256 pendingMetaNode;
-        // Withdraw request list
-        // 用户在当前资金池，取消质押的记录。解质押请求列表
-        UnstakeRequest[] requests;
-    }
-
-    // ************************************** STATE VARIABLES 状态变量**************************************
-    // First block that MetaNodeStake will start from
-    uint256 public startBlock; // 质押开始区块高度
-    // First block that MetaNodeStake will end from
-    uint256 public endBlock; // 质押结束区块高度
-    // MetaNode token reward per block
-    uint256 public MetaNodePerBlock; // 每个区块高度，MetaNode 的奖励数量
-
-    // Pause the withdraw function
-    bool public withdrawPaused; // 是否暂停提现
-    // Pause the claim function
-    bool public claimPaused; // 是否暂停领取
-
-    // MetaNode token
-    IERC20 public MetaNode; // MetaNode 代币地址
-
-    // Total pool weight / Sum of all pool weights
-    uint256 public totalPoolWeight; // 所有资金池的权重总和
-    Pool[] public pool; // 资金池列表
-
-    // pool id => user address => user info
-    mapping(uint256 => mapping(address => User)) public user; // 资金池 id => 用户地址 => 用户信息
-
-    // ************************************** EVENT **************************************
-    // 各种操作的事件，用于链上日志记录
-    event SetMetaNode(IERC20 indexed MetaNode);
-
-    event PauseWithdraw();
-
-    event UnpauseWithdraw();
-
-    event PauseClaim();
-
-    event UnpauseClaim();
-
-    event SetStartBlock(uint256 indexed startBlock);
-
-    event SetEndBlock(uint256 indexed endBlock);
-
-    event SetMetaNodePerBlock(uint256 indexed MetaNodePerBlock);
-
-    event AddPool(
-        address indexed stTokenAddress,
-        uint256 indexed poolWeight,
-        uint256 indexed lastRewardBlock,
-        uint256 minDepositAmount,
-        uint256 unstakeLockedBlocks
-    );
-
-    event UpdatePoolInfo(
-        uint256 indexed poolId,
-        uint256 indexed minDepositAmount,
-        uint256 indexed unstakeLockedBlocks
-    );
-
-    event SetPoolWeight(
-        uint256 indexed poolId,
-        uint256 indexed poolWeight,
-        uint256 totalPoolWeight
-    );
-
-    event UpdatePool(
-        uint256 indexed poolId,
-        uint256 indexed lastRewardBlock,
-        uint256 totalMetaNode
-    );
-
-    event Deposit(address indexed user, uint256 indexed poolId, uint256 amount);
-
-    event RequestUnstake(
-        address indexed user,
-        uint256 indexed poolId,
-        uint256 amount
-    );
-
-    event Withdraw(
-        address indexed user,
-        uint256 indexed poolId,
-        uint256 amount,
-        uint256 indexed blockNumber
-    );
-
-    event Claim(
-        address indexed user,
-        uint256 indexed poolId,
-        uint256 MetaNodeReward
-    );
-
-    // ************************************** MODIFIER 修饰器 **************************************
-    // 检查池ID是否有效
-    modifier checkPid(uint256 _pid) {
-        require(_pid < pool.length, "invalid pid");
-        _;
-    }
+    /**
+     * 管理模块地址，由实现合约在构造时部署，写在实现合约的字节码中，不占用代理的存储。
+     * 模块和实现合约从同一份 MetaNodeStakeBase 编译，存储布局一定一致；每次升级的新实现都会部署自己的模块，
+     * 所以不会出现旧模块在新布局上执行的情况，回滚到旧实现时也回到旧实现的模块
+     * @custom:oz-upgrades-unsafe-allow state-variable-immutable
+     */
+    address public immutable adminModule;
 
-    // 检查领取是否未暂停
-    modifier whenNotClaimPaused() {
-        require(!claimPaused, "claim is paused");
-        _;
-    }
-    // 检查提现是否未暂停
-    modifier whenNotWithdrawPaused() {
-        require(!withdrawPaused, "withdraw is paused");
-        _;
+    /**
+     * 构造函数只部署管理模块并锁定实现合约自身的初始化，代理的状态仍然只由 initialize 设置。
+     * 锁定后实现合约上没有任何角色，直接调用实现合约的管理函数会在模块的权限检查中失败
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor() {
+        adminModule = address(new MetaNodeStakeAdmin());
+        _disableInitializers();
     }
 
     /**
      * @notice Set MetaNode token address. Set basic info when deploying.
-     * @notice 初始化合约
+     * @notice 初始化合约，按区块高度计时
      * @param _MetaNode MetaNode代币地址
      * @param _startBlock 开始区块
      * @param _endBlock 结束区块
@@ -214,6 +92,33 @@ contract MetaNodeStake is
         uint256 _endBlock,
         uint256 _MetaNodePerBlock
     ) public initializer {
+        __MetaNodeStake_init(_MetaNode, _startBlock, _endBlock, _MetaNodePerBlock);
+    }
+
+    /**
+     * @notice Initialize with a timestamp based schedule, for chains with variable block times or L2s.
+     * @notice 初始化合约，按时间戳计时，锁定期也以秒为单位
+     * @param _MetaNode MetaNode代币地址
+     * @param _startTime 开始时间戳
+     * @param _endTime 结束时间戳
+     * @param _MetaNodePerSecond 每秒奖励数量
+     */
+    function initializeTimeBased(
+        IERC20 _MetaNode,
+        uint256 _startTime,
+        uint256 _endTime,
+        uint256 _MetaNodePerSecond
+    ) public initializer {
+        timeBased = true;
+        __MetaNodeStake_init(_MetaNode, _startTime, _endTime, _MetaNodePerSecond);
+    }
+
+    function __MetaNodeStake_init(
+        IERC20 _MetaNode,
+        uint256 _startBlock,
+        uint256 _endBlock,
+        uint256 _MetaNodePerBlock
+    ) internal onlyInitializing {
         require(
             _startBlock <= _endBlock && _MetaNodePerBlock > 0,
             "invalid parameters"
@@ -222,6 +127,7 @@ contract MetaNodeStake is
         // 初始化基础合约
         __AccessControl_init();
         __UUPSUpgradeable_init();
+        __Pausable_init();
 
         // 设置权限
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
@@ -242,195 +148,121 @@ contract MetaNodeStake is
     ) internal override onlyRole(UPGRADE_ROLE) {}
 
     // ************************************** ADMIN FUNCTION **************************************
+    // 管理函数实现在 MetaNodeStakeAdmin 中，这里只声明接口，调用原样委托给管理模块执行，
+    // 权限检查、参数校验和事件都在模块中。setMetaNode 在初始化时也会用到，定义在 MetaNodeStakeBase 中
 
-    /**
-     * @notice 设置MetaNode代币地址。Set MetaNode token address. Can only be called by admin
+    /** 设置可信的元交易转发合约，见 MetaNodeStakeAdmin.setTrustedForwarder
      */
-    function setMetaNode(IERC20 _MetaNode) public onlyRole(ADMIN_ROLE) {
-        MetaNode = _MetaNode;
-
-        emit SetMetaNode(MetaNode);
+    function setTrustedForwarder(address /* _forwarder */) external {
+        _delegateToAdmin();
     }
 
-    /**
-     * @notice Pause withdraw. Can only be called by admin. 暂停提现功能
+    /** 设置资金池的质押收据，见 MetaNodeStakeAdmin.setReceiptToken
      */
-    function pauseWithdraw() public onlyRole(ADMIN_ROLE) {
-        require(!withdrawPaused, "withdraw has been already paused");
-
-        withdrawPaused = true;
-
-        emit PauseWithdraw();
+    function setReceiptToken(uint256 /* _pid */, address /* _token */) external {
+        _delegateToAdmin();
     }
 
-    /**
-     * @notice Unpause withdraw. Can only be called by admin. 恢复提现功能
+    /** 设置 WETH 地址，见 MetaNodeStakeAdmin.setWETH
      */
-    function unpauseWithdraw() public onlyRole(ADMIN_ROLE) {
-        require(withdrawPaused, "withdraw has been already unpaused");
-
-        withdrawPaused = false;
-
-        emit UnpauseWithdraw();
+    function setWETH(address /* weth_ */) external {
+        _delegateToAdmin();
     }
 
-    /**
-     * @notice Pause claim. Can only be called by admin. 暂停领取功能
+    /** 暂停提现功能，见 MetaNodeStakeAdmin.pauseWithdraw
      */
-    function pauseClaim() public onlyRole(ADMIN_ROLE) {
-        require(!claimPaused, "claim has been already paused");
-
-        claimPaused = true;
-
-        emit PauseClaim();
+    function pauseWithdraw() external {
+        _delegateToAdmin();
     }
 
-    /**
-     * @notice Unpause claim. Can only be called by admin. 恢复领取功能
+    /** 恢复提现功能，见 MetaNodeStakeAdmin.unpauseWithdraw
      */
-    function unpauseClaim() public onlyRole(ADMIN_ROLE) {
-        require(claimPaused, "claim has been already unpaused");
-
-        claimPaused = false;
-
-        emit UnpauseClaim();
+    function unpauseWithdraw() external {
+        _delegateToAdmin();
     }
 
-    /**
-     * @notice Update staking start block. Can only be called by admin. 设置开始区块
+    /** 暂停领取功能，见 MetaNodeStakeAdmin.pauseClaim
      */
-    function setStartBlock(uint256 _startBlock) public onlyRole(ADMIN_ROLE) {
-        require(
-            _startBlock <= endBlock,
-            "start block must be smaller than end block"
-        );
-
-        startBlock = _startBlock;
-
-        emit SetStartBlock(_startBlock);
+    function pauseClaim() external {
+        _delegateToAdmin();
     }
 
-    /**
-     * @notice Update staking end block. Can only be called by admin. 设置 结束区块
+    /** 恢复领取功能，见 MetaNodeStakeAdmin.unpauseClaim
      */
-    function setEndBlock(uint256 _endBlock) public onlyRole(ADMIN_ROLE) {
-        require(
-            startBlock <= _endBlock,
-            "start block must be smaller than end block"
-        );
-
-        endBlock = _endBlock;
+    function unpauseClaim() external {
+        _delegateToAdmin();
+    }
 
-        emit SetEndBlock(_endBlock);
+    /** 全局暂停，见 MetaNodeStakeAdmin.pause
+     */
+    function pause() external {
+        _delegateToAdmin();
     }
 
-    /**
-     * @notice Update the MetaNode reward amount per block. Can only be called by admin. 设置每区块奖励数量
+    /** 解除全局暂停，见 MetaNodeStakeAdmin.unpause
      */
-    function setMetaNodePerBlock(
-        uint256 _MetaNodePerBlock
-    ) public onlyRole(ADMIN_ROLE) {
-        require(_MetaNodePerBlock > 0, "invalid parameter");
+    function unpause() external {
+        _delegateToAdmin();
+    }
 
-        MetaNodePerBlock = _MetaNodePerBlock;
+    /** 设置开始区块，见 MetaNodeStakeAdmin.setStartBlock
+     */
+    function setStartBlock(uint256 /* _startBlock */) external {
+        _delegateToAdmin();
+    }
 
-        emit SetMetaNodePerBlock(_MetaNodePerBlock);
+    /** 设置 结束区块，见 MetaNodeStakeAdmin.setEndBlock
+     */
+    function setEndBlock(uint256 /* _endBlock */) external {
+        _delegateToAdmin();
     }
 
-    /**
-     * @notice Add a new staking to pool. Can only be called by admin  添加新的质押池
-     * DO NOT add the same staking token more than once. MetaNode rewards will be messed up if you do
-     */
-    function addPool(
-        address _stTokenAddress,
-        uint256 _poolWeight,
-        uint256 _minDepositAmount,
-        uint256 _unstakeLockedBlocks,
-        bool _withUpdate
-    ) public onlyRole(ADMIN_ROLE) {
-        // Default the first pool to be ETH pool, so the first pool must be added with stTokenAddress = address(0x0)
-        // 第一个池必须是ETH池（地址为0）
-        if (pool.length > 0) {
-            require(
-                _stTokenAddress != address(0x0),
-                "invalid staking token address"
-            );
-        } else {
-            require(
-                _stTokenAddress == address(0x0),
-                "invalid staking token address"
-            );
-        }
-        // allow the min deposit amount equal to 0
-        //require(_minDepositAmount > 0, "invalid min deposit amount");
-        require(_unstakeLockedBlocks > 0, "invalid withdraw locked blocks");
-        require(block.number < endBlock, "Already ended");
-
-        // 如果需要，更新所有池的奖励
-        if (_withUpdate) {
-            massUpdatePools();
-        }
+    /** 设置每区块奖励数量，见 MetaNodeStakeAdmin.setMetaNodePerBlock
+     */
+    function setMetaNodePerBlock(uint256 /* _MetaNodePerBlock */) external {
+        _delegateToAdmin();
+    }
 
-        // 设置上次奖励区块
-        uint256 lastRewardBlock = block.number > startBlock
-            ? block.number
-            : startBlock;
-        totalPoolWeight = totalPoolWeight + _poolWeight;
-
-        // 创建新池
-        pool.push(
-            Pool({
-                stTokenAddress: _stTokenAddress,
-                poolWeight: _poolWeight,
-                lastRewardBlock: lastRewardBlock,
-                accMetaNodePerST: 0,
-                stTokenAmount: 0,
-                minDepositAmount: _minDepositAmount,
-                unstakeLockedBlocks: _unstakeLockedBlocks
-            })
-        );
+    /** 追加排放阶段，见 MetaNodeStakeAdmin.addEmissionPhase
+     */
+    function addEmissionPhase(uint256 /* _startBlock */, uint256 /* _MetaNodePerBlock */, uint256 /* _halvingInterval */) external {
+        _delegateToAdmin();
+    }
 
-        emit AddPool(
-            _stTokenAddress,
-            _poolWeight,
-            lastRewardBlock,
-            _minDepositAmount,
-            _unstakeLockedBlocks
-        );
+    /** 删除最后一个尚未开始的排放阶段，见 MetaNodeStakeAdmin.removeEmissionPhase
+     */
+    function removeEmissionPhase() external {
+        _delegateToAdmin();
     }
 
-    /**  更新池信息
-     * @notice Update the given pool's info (minDepositAmount and unstakeLockedBlocks). Can only be called by admin.
+    /** 添加锁仓档位，见 MetaNodeStakeAdmin.addLockTier
      */
-    function updatePool(
-        uint256 _pid,
-        uint256 _minDepositAmount,
-        uint256 _unstakeLockedBlocks
-    ) public onlyRole(ADMIN_ROLE) checkPid(_pid) {
-        pool[_pid].minDepositAmount = _minDepositAmount;
-        pool[_pid].unstakeLockedBlocks = _unstakeLockedBlocks;
+    function addLockTier(uint256 /* _duration */, uint256 /* _multiplier */) external {
+        _delegateToAdmin();
+    }
 
-        emit UpdatePoolInfo(_pid, _minDepositAmount, _unstakeLockedBlocks);
+    /** 修改锁仓档位，见 MetaNodeStakeAdmin.setLockTier
+     */
+    function setLockTier(uint256 /* _tierId */, uint256 /* _duration */, uint256 /* _multiplier */) external {
+        _delegateToAdmin();
     }
 
-    /** 设置池权重
-     * @notice Update the given pool's weight. Can only be called by admin.
+    /** 添加新的质押池，见 MetaNodeStakeAdmin.addPool
      */
-    function setPoolWeight(
-        uint256 _pid,
-        uint256 _poolWeight,
-        bool _withUpdate
-    ) public onlyRole(ADMIN_ROLE) checkPid(_pid) {
-        require(_poolWeight > 0, "invalid pool weight");
+    function addPool(address /* _stTokenAddress */, uint256 /* _poolWeight */, uint256 /* _minDepositAmount */, uint256 /* _unstakeLockedBlocks */, bool /* _withUpdate */) external {
+        _delegateToAdmin();
+    }
 
-        if (_withUpdate) {
-            massUpdatePools();
-        }
-        // 更新总权重
-        totalPoolWeight = totalPoolWeight - pool[_pid].poolWeight + _poolWeight;
-        pool[_pid].poolWeight = _poolWeight;
+    /** 更新池信息，见 MetaNodeStakeAdmin.updatePool
+     */
+    function updatePool(uint256 /* _pid */, uint256 /* _minDepositAmount */, uint256 /* _unstakeLockedBlocks */) external {
+        _delegateToAdmin();
+    }
 
-        emit SetPoolWeight(_pid, _poolWeight, totalPoolWeight);
+    /** 设置池权重，见 MetaNodeStakeAdmin.setPoolWeight
+     */
+    function setPoolWeight(uint256 /* _pid */, uint256 /* _poolWeight */, bool /* _withUpdate */) external {
+        _delegateToAdmin();
     }
 
     // ************************************** QUERY FUNCTION **************************************
@@ -442,33 +274,51 @@ contract MetaNodeStake is
         return pool.length;
     }
 
-    /** 计算区块区间的奖励倍数
-     * @notice Return reward multiplier over given _from to _to block. [_from, _to)
-     *
-     * @param _from    From block number (included)
-     * @param _to      To block number (exluded)
-     * getMultiplier(pool_.lastRewardBlock, block.number).tryMul(pool_.poolWeight);
-     */
-    function getMultiplier(
-        uint256 _from,
-        uint256 _to
-    ) public view returns (uint256 multiplier) {
-        require(_from <= _to, "invalid block");
-        // 如果结束时间在开始时间之前，返回0
-        if (_to <= startBlock || _from >= endBlock) {
+    /** 获取锁仓档位数量
+     * @notice Get the number of lock tiers
+     */
+    function lockTierLength() external view returns (uint256) {
+        return lockTiers.length;
+    }
+
+    /** 用户的有效质押量
+     * @notice Staked amount of the user counted for rewards, including the boost of the lock
+     */
+    function boostedBalance(
+        uint256 _pid,
+        address _user
+    ) public view returns (uint256) {
+        return user[_pid][_user].stAmount + userLock[_pid][_user].boost;
+    }
+
+    /** 获取排放阶段数量
+     * @notice Get the number of emission phases
+     */
+    function emissionPhaseLength() external view returns (uint256) {
+        return emissionPhases.length;
+    }
+
+    /** 指定区块的每区块奖励
+     * @notice Return the MetaNode reward emitted at `_blockNumber` (timestamp in timestamp mode),
+     * 0 outside [startBlock, endBlock)
+     */
+    function rewardPerBlockAt(
+        uint256 _blockNumber
+    ) public view returns (uint256) {
+        if (_blockNumber < startBlock || _blockNumber >= endBlock) {
             return 0;
         }
-        if (_from < startBlock) {
-            _from = startBlock;
-        }
-        if (_to > endBlock) {
-            _to = endBlock;
+        for (uint256 i = emissionPhases.length; i > 0; i--) {
+            EmissionPhase storage phase = emissionPhases[i - 1];
+            if (phase.startBlock <= _blockNumber) {
+                if (phase.halvingInterval == 0) {
+                    return phase.MetaNodePerBlock;
+                }
+                uint256 halvings = (_blockNumber - phase.startBlock) / phase.halvingInterval;
+                return halvings < 256 ? phase.MetaNodePerBlock >> halvings : 0;
+            }
         }
-        require(_from <= _to, "end block must be greater than start block");
-        bool success;
-        // 计算奖励倍数 = (结束区块 - 开始区块) * 每区块奖励
-        (success, multiplier) = (_to - _from).tryMul(MetaNodePerBlock);
-        require(success, "multiplier overflow");
+        return MetaNodePerBlock;
     }
 
     /**
@@ -478,42 +328,24 @@ contract MetaNodeStake is
         uint256 _pid,
         address _user
     ) external view checkPid(_pid) returns (uint256) {
-        return pendingMetaNodeByBlockNumber(_pid, _user, block.number);
+        return pendingMetaNodeByBlockNumber(_pid, _user, clock());
     }
 
     /**
-     * @notice Get pending MetaNode amount of user by block number in pool 按区块号获取用户待领取的MetaNode数量
+     * @notice Get pending MetaNode amount of user by block number (timestamp in timestamp mode) in pool 按区块号获取用户待领取的MetaNode数量
      */
     function pendingMetaNodeByBlockNumber(
         uint256 _pid,
         address _user,
         uint256 _blockNumber
     ) public view checkPid(_pid) returns (uint256) {
-        Pool storage pool_ = pool[_pid];
         User storage user_ = user[_pid][_user];
-        uint256 accMetaNodePerST = pool_.accMetaNodePerST;
-        uint256 stSupply = pool_.stTokenAmount;
-
-        // 如果当前区块大于上次奖励区块且有质押量，计算新增奖励
-        if (_blockNumber > pool_.lastRewardBlock && stSupply != 0) {
-            uint256 multiplier = getMultiplier(
-                pool_.lastRewardBlock,
-                _blockNumber
-            );
-
-            // 计算该池应得的奖励 = 总奖励 * 池权重 / 总权重
-            uint256 MetaNodeForPool = (multiplier * pool_.poolWeight) /
-                totalPoolWeight;
-            // 更新每质押代币累计奖励
-            accMetaNodePerST =
-                accMetaNodePerST +
-                (MetaNodeForPool * (1 ether)) /
-                stSupply;
-        }
+        // 计算到指定区块为止的每质押代币累计奖励
+        (, uint256 accMetaNodePerST) = _poolReward(_pid, _blockNumber);
         // 计算待领取奖励公式：
         // (用户质押量 * 每质押代币累计奖励) / 1e18 - 已领取奖励 + 待处理奖励
         return
-            (user_.stAmount * accMetaNodePerST) /
+            (boostedBalance(_pid, _user) * accMetaNodePerST) /
             (1 ether) -
             user_.finishedMetaNode +
             user_.pendingMetaNode;
@@ -543,9 +375,9 @@ contract MetaNodeStake is
     {
         User storage user_ = user[_pid][_user];
         // 遍历解质押请求
-        for (uint256 i = 0; i < user_.requests.length; i++) {
+        for (uint256 i = requestHead[_pid][_user]; i < user_.requests.length; i++) {
             // 统计已解锁可提现金额
-            if (user_.requests[i].unlockBlocks <= block.number) {
+            if (user_.requests[i].unlockBlocks <= clock()) {
                 pendingWithdrawAmount =
                     pendingWithdrawAmount +
                     user_.requests[i].amount;
@@ -555,78 +387,62 @@ contract MetaNodeStake is
         }
     }
 
-    // ************************************** PUBLIC FUNCTION 公共函数**************************************
-
-    /**
-     * @notice Update reward variables of the given pool to be up-to-date. 更新指定池的奖励变量到最新状态
+    /** 获取用户在所有资金池中的仓位
+     * @notice Get the user's position in every pool, indexed by pool id
      */
-    function updatePool(uint256 _pid) public checkPid(_pid) {
-        Pool storage pool_ = pool[_pid];
-        // 如果当前区块不大于上次奖励区块，不需要更新
-        if (block.number <= pool_.lastRewardBlock) {
-            return;
-        }
-        // 计算该池应得的奖励
-        (bool success1, uint256 totalMetaNode) = getMultiplier(
-            pool_.lastRewardBlock,
-            block.number
-        ).tryMul(pool_.poolWeight);
-        require(success1, "overflow");
-
-        (success1, totalMetaNode) = totalMetaNode.tryDiv(totalPoolWeight);
-        require(success1, "overflow");
-
-        uint256 stSupply = pool_.stTokenAmount;
-        if (stSupply > 0) {
-            // 计算每质押代币新增奖励
-            (bool success2, uint256 totalMetaNode_) = totalMetaNode.tryMul(
-                1 ether
-            );
-            require(success2, "overflow");
-
-            (success2, totalMetaNode_) = totalMetaNode_.tryDiv(stSupply);
-            require(success2, "overflow");
-
-            // 更新累计奖励
-            (bool success3, uint256 accMetaNodePerST) = pool_
-                .accMetaNodePerST
-                .tryAdd(totalMetaNode_);
-            require(success3, "overflow");
-            pool_.accMetaNodePerST = accMetaNodePerST;
+    function getUserPositions(
+        address _user
+    ) external view returns (UserPosition[] memory positions) {
+        positions = new UserPosition[](pool.length);
+        for (uint256 pid = 0; pid < pool.length; pid++) {
+            UserPosition memory position_ = positions[pid];
+            position_.stAmount = user[pid][_user].stAmount;
+            position_.pendingMetaNode = pendingMetaNodeByBlockNumber(pid, _user, clock());
+            (position_.requestAmount, position_.pendingWithdrawAmount) = withdrawAmount(pid, _user);
         }
-        // 更新最后奖励区块
-        pool_.lastRewardBlock = block.number;
-
-        emit UpdatePool(_pid, pool_.lastRewardBlock, totalMetaNode);
     }
 
-    /** 更新所有池的奖励变量
-     * @notice Update reward variables for all pools. Be careful of gas spending!
+    /** 获取用户的解质押请求数组
+     * @notice Raw unstake requests of the user, including withdrawn and cancelled ones (amount 0)
+     * before and after `requestHead`. `MetaNodeStakeLens.unstakeRequests` filters the pending ones.
      */
-    function massUpdatePools() public {
-        uint256 length = pool.length;
-        for (uint256 pid = 0; pid < length; pid++) {
-            updatePool(pid);
-        }
+    function userRequests(
+        uint256 _pid,
+        address _user
+    ) external view returns (UnstakeRequest[] memory) {
+        return user[_pid][_user].requests;
     }
 
+    // ************************************** PUBLIC FUNCTION 公共函数**************************************
+
     /** 质押ETH（只支持池0）存入 ETH进行质押，获取MetaNode奖励
      * @notice Deposit staking ETH for MetaNode rewards
      */
     function depositETH() public payable whenNotPaused {
-        Pool storage pool_ = pool[ETH_PID];
-        require(
-            pool_.stTokenAddress == address(0x0),
-            "invalid staking token address"
-        );
+        _depositETH(msg.value, NO_LOCK);
+    }
 
-        uint256 _amount = msg.value;
-        require(
-            _amount >= pool_.minDepositAmount,
-            "deposit amount is too small"
-        );
+    /** 质押ETH并锁仓
+     * @notice Deposit staking ETH and lock it with the given tier for boosted rewards.
+     * The deposit is merged into the existing lock of the user, see `_lock`.
+     *
+     * @param _tierId    Id of the lock tier
+     */
+    function depositETHLocked(uint256 _tierId) public payable whenNotPaused {
+        _depositETH(msg.value, _tierId);
+    }
 
-        _deposit(ETH_PID, _amount);
+    /** 用 WETH 质押到 ETH 池
+     * @notice Deposit WETH into the ETH pool. The WETH is unwrapped, so the stake is the same as `depositETH`
+     * and can be withdrawn as ETH or WETH. Before depositing, user needs approve this contract to spend the WETH.
+     *
+     * @param _amount    Amount of WETH to be deposited
+     */
+    function depositWETH(uint256 _amount) public whenNotPaused {
+        address weth_ = _weth();
+        IERC20(weth_).safeTransferFrom(_msgSender(), address(this), _amount);
+        IWETH(weth_).withdraw(_amount);
+        _depositETH(_amount, NO_LOCK);
     }
 
     /** 质押ERC20代币
@@ -640,26 +456,81 @@ contract MetaNodeStake is
         uint256 _pid,
         uint256 _amount
     ) public whenNotPaused checkPid(_pid) {
-        require(_pid != 0, "deposit not support ETH staking");
-        Pool storage pool_ = pool[_pid];
+        _depositToken(_pid, _amount, NO_LOCK);
+    }
+
+    /** 使用 permit 授权并质押ERC20代币，不需要单独的 approve 交易
+     * @notice Deposit staking token approved by an EIP-2612 permit signature
+     *
+     * @param _pid        Id of the pool to be deposited to
+     * @param _amount     Amount of staking tokens to be deposited, also the permit value
+     * @param _deadline   Permit deadline
+     */
+    function depositWithPermit(
+        uint256 _pid,
+        uint256 _amount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) public whenNotPaused checkPid(_pid) {
+        _checkTokenPool(_pid);
+        // permit 可能被别人抢先提交，这时额度已经生效，忽略失败继续质押，额度不足时 transferFrom 会失败
+        try
+            IERC20Permit(pool[_pid].stTokenAddress).permit(
+                _msgSender(),
+                address(this),
+                _amount,
+                _deadline,
+                _v,
+                _r,
+                _s
+            )
+        {} catch {}
+        _depositToken(_pid, _amount, NO_LOCK);
+    }
+
+    /** 质押ERC20代币并锁仓
+     * @notice Deposit staking token and lock it with the given tier for boosted rewards.
+     * The deposit is merged into the existing lock of the user, see `_lock`.
+     *
+     * @param _pid       Id of the pool to be deposited to
+     * @param _amount    Amount of staking tokens to be deposited
+     * @param _tierId    Id of the lock tier
+     */
+    function depositLocked(
+        uint256 _pid,
+        uint256 _amount,
+        uint256 _tierId
+    ) public whenNotPaused checkPid(_pid) {
+        _depositToken(_pid, _amount, _tierId);
+    }
+
+    /** 释放到期的锁仓
+     * @notice Release the expired lock of `_user`, so its boost stops earning rewards. Anyone can call it.
+     *
+     * @param _pid       Id of the pool
+     * @param _user      Owner of the lock
+     */
+    function releaseLock(
+        uint256 _pid,
+        address _user
+    ) public whenNotPaused checkPid(_pid) {
+        UserLock storage lock_ = userLock[_pid][_user];
         require(
-            _amount > pool_.minDepositAmount,
-            "deposit amount is too small"
+            lock_.amount > 0 && lock_.unlockBlock <= clock(),
+            "lock not expired"
         );
-        // 转移代币到合约
-        if (_amount > 0) {
-            IERC20(pool_.stTokenAddress).safeTransferFrom(
-                msg.sender,
-                address(this),
-                _amount
-            );
-        }
+        updatePool(_pid);
 
-        _deposit(_pid, _amount);
+        // 先按带倍数的有效质押量结算奖励
+        _accruePending(_pid, _user);
+        _releaseExpiredLock(_pid, _user);
+        _syncFinished(_pid, _user);
     }
 
     /** 请求解质押
-     * @notice Unstake staking tokens
+     * @notice Unstake staking tokens. The locked amount can not be unstaked before its lock expires
      *
      * @param _pid       Id of the pool to be withdrawn from
      * @param _amount    amount of staking tokens to be withdrawn
@@ -668,32 +539,34 @@ contract MetaNodeStake is
         uint256 _pid,
         uint256 _amount
     ) public whenNotPaused checkPid(_pid) whenNotWithdrawPaused {
+        address sender_ = _msgSender();
         Pool storage pool_ = pool[_pid];
-        User storage user_ = user[_pid][msg.sender];
+        User storage user_ = user[_pid][sender_];
 
         require(user_.stAmount >= _amount, "Not enough staking token balance");
 
         // 更新奖励
         updatePool(_pid);
 
-        // 计算待领取奖励
-        uint256 pendingMetaNode_ = (user_.stAmount * pool_.accMetaNodePerST) /
-            (1 ether) -
-            user_.finishedMetaNode;
+        // 计算待领取奖励，保存到待领取
+        _accruePending(_pid, sender_);
 
-        // 保存到待领取
-        if (pendingMetaNode_ > 0) {
-            user_.pendingMetaNode = user_.pendingMetaNode + pendingMetaNode_;
-        }
+        // 锁仓部分到期前不能解质押
+        _releaseExpiredLock(_pid, sender_);
+        require(
+            user_.stAmount - userLock[_pid][sender_].amount >= _amount,
+            "stake is locked"
+        );
 
         if (_amount > 0) {
             // 减少用户质押量
             user_.stAmount = user_.stAmount - _amount;
+            _syncReceipt(_pid, sender_);
             // 创建解质押请求（锁定状态）
             user_.requests.push(
                 UnstakeRequest({
                     amount: _amount,
-                    unlockBlocks: block.number + pool_.unstakeLockedBlocks
+                    unlockBlocks: clock() + pool_.unstakeLockedBlocks
                 })
             );
         }
@@ -701,11 +574,48 @@ contract MetaNodeStake is
         // 更新池总质押量
         pool_.stTokenAmount = pool_.stTokenAmount - _amount;
         // 更新用户已领取奖励
-        user_.finishedMetaNode =
-            (user_.stAmount * pool_.accMetaNodePerST) /
-            (1 ether);
+        _syncFinished(_pid, sender_);
+
+        emit RequestUnstake(sender_, _pid, _amount);
+    }
+
+    /** 取消解质押请求并重新质押
+     * @notice Cancel a pending unstake request and stake its amount again.
+     * Rewards accrued so far are settled first, the restaked amount earns rewards from now on.
+     *
+     * @param _pid         Id of the pool
+     * @param _requestId   Id of the request, as returned by `MetaNodeStakeLens.unstakeRequests`
+     */
+    function cancelUnstake(
+        uint256 _pid,
+        uint256 _requestId
+    ) public whenNotPaused checkPid(_pid) {
+        address sender_ = _msgSender();
+        Pool storage pool_ = pool[_pid];
+        User storage user_ = user[_pid][sender_];
+
+        require(
+            _requestId >= requestHead[_pid][sender_] &&
+                _requestId < user_.requests.length &&
+                user_.requests[_requestId].amount > 0,
+            "invalid unstake request"
+        );
+
+        updatePool(_pid);
+
+        // 先结算当前质押量的奖励
+        _accruePending(_pid, sender_);
+
+        // 金额清零即视为取消，withdraw 时会被跳过
+        uint256 amount_ = user_.requests[_requestId].amount;
+        delete user_.requests[_requestId];
+
+        user_.stAmount = user_.stAmount + amount_;
+        _syncReceipt(_pid, sender_);
+        pool_.stTokenAmount = pool_.stTokenAmount + amount_;
+        _syncFinished(_pid, sender_);
 
-        emit RequestUnstake(msg.sender, _pid, _amount);
+        emit CancelUnstake(sender_, _pid, _requestId, amount_);
     }
 
     /**
@@ -713,156 +623,556 @@ contract MetaNodeStake is
      *
      * @param _pid       Id of the pool to be withdrawn from
      */
-    function withdraw(
-        uint256 _pid
+    function withdraw(uint256 _pid) public {
+        withdrawRequests(_pid, type(uint256).max);
+    }
+
+    /**
+     * @notice Withdraw at most `_maxRequests` unlocked unstake requests, to bound the gas of a single call
+     * 最多提现 _maxRequests 笔已解锁的请求，避免请求过多时超出 gas 限制
+     *
+     * @param _pid           Id of the pool to be withdrawn from
+     * @param _maxRequests   Max number of requests to be withdrawn
+     */
+    function withdrawRequests(
+        uint256 _pid,
+        uint256 _maxRequests
     ) public whenNotPaused checkPid(_pid) whenNotWithdrawPaused {
-        Pool storage pool_ = pool[_pid];
-        User storage user_ = user[_pid][msg.sender];
+        _transferStToken(pool[_pid], _msgSender(), _withdrawRequests(_pid, _maxRequests));
+    }
 
-        uint256 pendingWithdraw_;
-        uint256 popNum_;
+    /** 以 WETH 形式提现 ETH 池已解锁的代币
+     * @notice Withdraw at most `_maxRequests` unlocked unstake requests of the ETH pool as WETH
+     *
+     * @param _maxRequests   Max number of requests to be withdrawn
+     */
+    function withdrawAsWETH(
+        uint256 _maxRequests
+    ) public whenNotPaused whenNotWithdrawPaused {
+        address weth_ = _weth();
+        uint256 amount_ = _withdrawRequests(ETH_PID, _maxRequests);
+        // WETH9 收到 ETH 时自动包装（receive 调用 deposit）
+        _safeETHTransfer(weth_, amount_);
+        IERC20(weth_).safeTransfer(_msgSender(), amount_);
+    }
 
-        // 遍历解质押请求，找出已解锁的
-        for (uint256 i = 0; i < user_.requests.length; i++) {
-            if (user_.requests[i].unlockBlocks > block.number) {
-                break;
-            }
-            pendingWithdraw_ = pendingWithdraw_ + user_.requests[i].amount;
-            popNum_++;
-        }
+    /** 接收 WETH 解包出来的 ETH，其他地址直接转入的 ETH 会被拒绝
+     */
+    receive() external payable {
+        require(msg.sender == weth, "only WETH");
+    }
 
-        // 移除已处理的请求（通过数组前移）
-        for (uint256 i = 0; i < user_.requests.length - popNum_; i++) {
-            user_.requests[i] = user_.requests[i + popNum_];
-        }
-        // 弹出已处理的元素
-        for (uint256 i = 0; i < popNum_; i++) {
-            user_.requests.pop();
-        }
-        // 转移代币给用户
-        if (pendingWithdraw_ > 0) {
-            if (pool_.stTokenAddress == address(0x0)) {
-                _safeETHTransfer(msg.sender, pendingWithdraw_);
-            } else {
-                IERC20(pool_.stTokenAddress).safeTransfer(
-                    msg.sender,
-                    pendingWithdraw_
-                );
+    /**
+     * @notice Claim MetaNode tokens reward 领取奖励
+     * Rewards go to the sender's `rewardRecipient` of the pool when set
+     *
+     * @param _pid       Id of the pool to be claimed from
+     */
+    function claim(uint256 _pid) public {
+        claimFor(_pid, _msgSender());
+    }
+
+    /** 领取到指定地址
+     * @notice Claim the sender's MetaNode rewards in `_pid` to `_recipient`, ignoring `rewardRecipient`
+     */
+    function claimTo(
+        uint256 _pid,
+        address _recipient
+    ) public whenNotPaused checkPid(_pid) whenNotClaimPaused {
+        require(_recipient != address(0), "invalid recipient");
+        _claim(_pid, _msgSender(), _recipient);
+    }
+
+    /** 代替用户领取
+     * @notice Claim `_user`'s MetaNode rewards in `_pid`, the caller must be `_user` or an approved
+     * claim operator. Rewards go to the user's `rewardRecipient` (the user when not set), never to the operator.
+     */
+    function claimFor(
+        uint256 _pid,
+        address _user
+    ) public whenNotPaused checkPid(_pid) whenNotClaimPaused {
+        address sender_ = _msgSender();
+        require(
+            _user == sender_ || claimOperator[_user][sender_],
+            "not claim operator"
+        );
+        _claim(_pid, _user, _recipientOf(_pid, _user));
+    }
+
+    /**
+     * @notice Claim MetaNode rewards from every pool the sender has a position in 领取所有资金池的奖励
+     * Emits one `Claim` per pool, IOUs are paid together with the first claimed pool.
+     */
+    function claimAll() public whenNotPaused whenNotClaimPaused {
+        address sender_ = _msgSender();
+        for (uint256 pid = 0; pid < pool.length; pid++) {
+            User storage user_ = user[pid][sender_];
+            // 没有质押、也没有待领取奖励和欠款的池直接跳过，避免无谓的 updatePool
+            if (
+                user_.stAmount > 0 ||
+                user_.pendingMetaNode > 0 ||
+                unpaidMetaNode[sender_] > 0
+            ) {
+                _claim(pid, sender_, _recipientOf(pid, sender_));
             }
         }
+    }
+
+    /** 设置奖励接收地址
+     * @notice Pay the sender's rewards in `_pid` to `_recipient` on `claim`, `claimFor` and `claimAll`,
+     * address(0) pays the sender again. IOUs stay owed to the sender.
+     */
+    function setRewardRecipient(
+        uint256 _pid,
+        address _recipient
+    ) public checkPid(_pid) {
+        address sender_ = _msgSender();
+        rewardRecipient[_pid][sender_] = _recipient;
+
+        emit SetRewardRecipient(sender_, _pid, _recipient);
+    }
 
-        emit Withdraw(msg.sender, _pid, pendingWithdraw_, block.number);
+    /** 授权领取操作员
+     * @notice Allow or forbid `_operator` to claim the sender's rewards with `claimFor`
+     */
+    function setClaimOperator(address _operator, bool _approved) public {
+        address sender_ = _msgSender();
+        claimOperator[sender_][_operator] = _approved;
+
+        emit SetClaimOperator(sender_, _operator, _approved);
+    }
+
+    /** 复投
+     * @notice Claim the sender's MetaNode rewards from `_pid` and stake them into the MetaNode pool
+     * (`compoundPid`) in the same transaction. The compounded stake follows the MetaNode pool's
+     * unstake lock like any other deposit.
+     *
+     * @param _pid       Id of the pool to be claimed from
+     * @return amount    Amount of MetaNode staked
+     */
+    function compound(uint256 _pid) public returns (uint256 amount) {
+        return compoundFor(_pid, _msgSender());
     }
 
     /**
-     * @notice Claim MetaNode tokens reward 领取奖励
+     * @notice Compound the rewards of `_user`, who must have opted in with `setAutoCompound`.
+     * Lets a keeper compound for opted-in users, the rewards always stay with `_user`.
      *
      * @param _pid       Id of the pool to be claimed from
+     * @param _user      Owner of the rewards
+     * @return amount    Amount of MetaNode staked
      */
-    function claim(
-        uint256 _pid
-    ) public whenNotPaused checkPid(_pid) whenNotClaimPaused {
-        Pool storage pool_ = pool[_pid];
-        User storage user_ = user[_pid][msg.sender];
+    function compoundFor(
+        uint256 _pid,
+        address _user
+    )
+        public
+        whenNotPaused
+        checkPid(_pid)
+        whenNotClaimPaused
+        returns (uint256 amount)
+    {
+        require(
+            _user == _msgSender() || autoCompound[_user],
+            "auto compound not enabled"
+        );
+        uint256 toPid_ = compoundPid;
+        require(
+            toPid_ != 0 && pool[toPid_].stTokenAddress == address(MetaNode),
+            "no MetaNode pool"
+        );
 
-        updatePool(_pid);
-        // 计算总待领取奖励 = 当前计算奖励 + 之前保存的待领取
-        uint256 pendingMetaNode_ = (user_.stAmount * pool_.accMetaNodePerST) /
-            (1 ether) -
-            user_.finishedMetaNode +
-            user_.pendingMetaNode;
+        // 奖励不转出合约，直接记为 MetaNode 池的本金；余额不足的部分照常记为欠款
+        amount = _reserveMetaNode(_user, _settleRewards(_pid, _user));
+        if (amount > 0) {
+            _deposit(toPid_, amount, NO_LOCK, _user);
+        }
 
-        if (pendingMetaNode_ > 0) {
-            user_.pendingMetaNode = 0; // 清空待领取
-            _safeMetaNodeTransfer(msg.sender, pendingMetaNode_); // 转移奖励
+        emit Compound(_user, _pid, amount);
+    }
+
+    /** 自动复投开关
+     * @notice Allow or forbid anyone to call `compoundFor` for the sender
+     */
+    function setAutoCompound(bool _enabled) public {
+        address sender_ = _msgSender();
+        autoCompound[sender_] = _enabled;
+
+        emit SetAutoCompound(sender_, _enabled);
+    }
+
+    /** 质押收据转账回调
+     * @notice Called by the receipt token of `_pid` on a transfer: settle the rewards of both sides
+     * and move `_amount` of stake from `_from` to `_to`. The locked amount of `_from` can not be moved.
+     */
+    function onReceiptTransfer(
+        uint256 _pid,
+        address _from,
+        address _to,
+        uint256 _amount
+    ) external whenNotPaused {
+        require(msg.sender == receiptToken[_pid], "caller is not the receipt token");
+        if (_from == _to) {
+            return;
         }
-        // 更新已领取奖励
-        user_.finishedMetaNode =
-            (user_.stAmount * pool_.accMetaNodePerST) /
-            (1 ether);
+        updatePool(_pid);
 
-        emit Claim(msg.sender, _pid, pendingMetaNode_);
+        // 双方按转账前的有效质押量结算奖励，到期的锁仓先释放
+        _accruePending(_pid, _from);
+        _accruePending(_pid, _to);
+        _releaseExpiredLock(_pid, _from);
+        _releaseExpiredLock(_pid, _to);
+        User storage from_ = user[_pid][_from];
+        require(
+            from_.stAmount - userLock[_pid][_from].amount >= _amount,
+            "stake is locked"
+        );
+        from_.stAmount = from_.stAmount - _amount;
+        user[_pid][_to].stAmount = user[_pid][_to].stAmount + _amount;
+        _syncFinished(_pid, _from);
+        _syncFinished(_pid, _to);
+
+        emit TransferStake(_from, _to, _pid, _amount);
+    }
+
+    /**
+     * @notice Withdraw all staked and unstaking tokens without caring about rewards. EMERGENCY ONLY.
+     * 紧急提现：取回全部本金（包括解质押中的请求），放弃所有未领取的奖励。
+     * 不检查任何暂停状态，也不调用 updatePool，奖励或领取逻辑出问题时依然可用。
+     * 锁仓未到期时，只有在全局暂停后才能紧急提现
+     *
+     * @param _pid       Id of the pool to be withdrawn from
+     */
+    function emergencyWithdraw(uint256 _pid) public checkPid(_pid) {
+        address sender_ = _msgSender();
+        Pool storage pool_ = pool[_pid];
+        User storage user_ = user[_pid][sender_];
+
+        UserLock storage lock_ = userLock[_pid][sender_];
+        require(lock_.unlockBlock <= clock() || paused(), "stake is locked");
+
+        uint256 stAmount_ = user_.stAmount;
+        // 放弃的奖励不再计入负债，欠款（IOU）不受影响
+        (, uint256 forfeited_) = ((boostedBalance(_pid, sender_) * pool_.accMetaNodePerST) /
+            (1 ether) +
+            user_.pendingMetaNode).trySub(user_.finishedMetaNode);
+        // 解质押中的代币已经从池总质押量中扣除，这里只需要累加，已提现和已取消的请求金额为0
+        uint256 amount_ = stAmount_;
+        for (uint256 i = requestHead[_pid][sender_]; i < user_.requests.length; i++) {
+            amount_ = amount_ + user_.requests[i].amount;
+        }
+        require(amount_ > 0, "nothing to withdraw");
+
+        // 先清空用户状态再转账
+        (, accruedMetaNode) = accruedMetaNode.trySub(forfeited_);
+        pool_.stTokenAmount = pool_.stTokenAmount - stAmount_;
+        poolBoost[_pid] = poolBoost[_pid] - lock_.boost;
+        delete userLock[_pid][sender_];
+        user_.stAmount = 0;
+        _syncReceipt(_pid, sender_);
+        user_.finishedMetaNode = 0;
+        user_.pendingMetaNode = 0;
+        // 移动队列头跳过所有请求，与 withdraw 一致，不删除请求数组
+        requestHead[_pid][sender_] = user_.requests.length;
+
+        _transferStToken(pool_, sender_, amount_);
+
+        emit EmergencyWithdraw(sender_, _pid, amount_);
     }
 
     // ************************************** INTERNAL FUNCTION  内部函数**************************************
 
+    /** 质押ETH的内部实现，ETH 已经在合约中
+     */
+    function _depositETH(uint256 _amount, uint256 _tierId) internal {
+        // addPool 保证池0一定是ETH池
+        require(
+            _amount >= pool[ETH_PID].minDepositAmount,
+            "deposit amount is too small"
+        );
+
+        _deposit(ETH_PID, _amount, _tierId, _msgSender());
+    }
+
+    /** 质押ERC20代币的内部实现
+     */
+    function _depositToken(
+        uint256 _pid,
+        uint256 _amount,
+        uint256 _tierId
+    ) internal {
+        _checkTokenPool(_pid);
+        Pool storage pool_ = pool[_pid];
+        require(
+            _amount > pool_.minDepositAmount,
+            "deposit amount is too small"
+        );
+        // 转移代币到合约
+        if (_amount > 0) {
+            IERC20(pool_.stTokenAddress).safeTransferFrom(
+                _msgSender(),
+                address(this),
+                _amount
+            );
+        }
+
+        _deposit(_pid, _amount, _tierId, _msgSender());
+    }
+
     /** 内部质押函数
      * @notice Deposit staking token for MetaNode rewards
      *
      * @param _pid       Id of the pool to be deposited to
      * @param _amount    Amount of staking tokens to be deposited
+     * @param _tierId    Id of the lock tier, NO_LOCK to deposit without locking
+     * @param _user      Owner of the stake, the tokens must already be in the contract
      */
-    function _deposit(uint256 _pid, uint256 _amount) internal {
+    function _deposit(
+        uint256 _pid,
+        uint256 _amount,
+        uint256 _tierId,
+        address _user
+    ) internal {
         Pool storage pool_ = pool[_pid];
-        User storage user_ = user[_pid][msg.sender];
+        User storage user_ = user[_pid][_user];
 
         updatePool(_pid);
 
-        // 如果用户已有质押，计算待领取奖励
-        if (user_.stAmount > 0) {
-            // uint256 accST = user_.stAmount.mulDiv(pool_.accMetaNodePerST, 1 ether);
-            (bool success1, uint256 accST) = user_.stAmount.tryMul(
-                pool_.accMetaNodePerST
-            );
-            require(success1, "user stAmount mul accMetaNodePerST overflow");
-            (success1, accST) = accST.tryDiv(1 ether);
-            require(success1, "accST div 1 ether overflow");
-
-            (bool success2, uint256 pendingMetaNode_) = accST.trySub(
-                user_.finishedMetaNode
-            );
-            require(success2, "accST sub finishedMetaNode overflow");
-
-            if (pendingMetaNode_ > 0) {
-                (bool success3, uint256 _pendingMetaNode) = user_
-                    .pendingMetaNode
-                    .tryAdd(pendingMetaNode_);
-                require(success3, "user pendingMetaNode overflow");
-                user_.pendingMetaNode = _pendingMetaNode;
-            }
+        // 计算用户已有质押的待领取奖励
+        _accruePending(_pid, _user);
+        // 奖励结算后，到期的锁仓不再享有倍数
+        _releaseExpiredLock(_pid, _user);
+        // 增加用户和池的质押量
+        user_.stAmount = user_.stAmount + _amount;
+        pool_.stTokenAmount = pool_.stTokenAmount + _amount;
+        _syncReceipt(_pid, _user);
+        if (pool_.stTokenAddress == address(MetaNode)) {
+            stakedMetaNode = stakedMetaNode + _amount;
         }
-        // 增加用户质押量
-        if (_amount > 0) {
-            (bool success4, uint256 stAmount) = user_.stAmount.tryAdd(_amount);
-            require(success4, "user stAmount overflow");
-            user_.stAmount = stAmount;
+
+        if (_tierId != NO_LOCK) {
+            _lock(_pid, _amount, _tierId, _user);
         }
-        // 增加池总质押量
-        (bool success5, uint256 stTokenAmount) = pool_.stTokenAmount.tryAdd(
-            _amount
-        );
-        require(success5, "pool stTokenAmount overflow");
-        pool_.stTokenAmount = stTokenAmount;
 
         // 更新用户已领取奖励
-        // user_.finishedMetaNode = user_.stAmount.mulDiv(pool_.accMetaNodePerST, 1 ether);
-        (bool success6, uint256 finishedMetaNode) = user_.stAmount.tryMul(
-            pool_.accMetaNodePerST
+        _syncFinished(_pid, _user);
+
+        emit Deposit(_user, _pid, _amount);
+    }
+
+    /** 锁仓
+     * @notice Lock `_amount` of `_user`'s stake with the given tier.
+     * The amount is merged into the existing lock: the whole lock takes the tier's multiplier and
+     * unlocks at the later of its current unlock block and `clock() + duration`.
+     * The tier can not have a lower multiplier than the existing lock.
+     */
+    function _lock(
+        uint256 _pid,
+        uint256 _amount,
+        uint256 _tierId,
+        address _user
+    ) internal {
+        require(_tierId < lockTiers.length, "invalid lock tier");
+        LockTier storage tier_ = lockTiers[_tierId];
+        UserLock storage lock_ = userLock[_pid][_user];
+        require(
+            tier_.multiplier >= lock_.multiplier,
+            "lock tier lower than current lock"
         );
-        require(success6, "user stAmount mul accMetaNodePerST overflow");
 
-        (success6, finishedMetaNode) = finishedMetaNode.tryDiv(1 ether);
-        require(success6, "finishedMetaNode div 1 ether overflow");
+        uint256 unlockBlock_ = clock() + tier_.duration;
+        if (lock_.unlockBlock > unlockBlock_) {
+            unlockBlock_ = lock_.unlockBlock;
+        }
+
+        poolBoost[_pid] = poolBoost[_pid] - lock_.boost;
+        lock_.amount = lock_.amount + _amount;
+        lock_.multiplier = tier_.multiplier;
+        lock_.boost = (lock_.amount * (tier_.multiplier - BOOST_BASE)) / BOOST_BASE;
+        lock_.unlockBlock = unlockBlock_;
+        poolBoost[_pid] = poolBoost[_pid] + lock_.boost;
+
+        emit Lock(_user, _pid, _tierId, _amount, unlockBlock_);
+    }
+
+    /** 释放到期的锁仓，调用前必须先结算奖励
+     * @notice Remove the boost of an expired lock, the locked amount becomes a normal stake
+     */
+    function _releaseExpiredLock(uint256 _pid, address _user) internal {
+        UserLock storage lock_ = userLock[_pid][_user];
+        if (lock_.amount == 0 || lock_.unlockBlock > clock()) {
+            return;
+        }
+        poolBoost[_pid] = poolBoost[_pid] - lock_.boost;
+
+        emit ReleaseLock(_user, _pid, lock_.amount);
+        delete userLock[_pid][_user];
+    }
+
+    /** 提现已解锁请求的内部实现，清除请求并返回金额，由调用方转账
+     */
+    function _withdrawRequests(
+        uint256 _pid,
+        uint256 _maxRequests
+    ) internal returns (uint256 pendingWithdraw_) {
+        address sender_ = _msgSender();
+        User storage user_ = user[_pid][sender_];
+
+        uint256 head = requestHead[_pid][sender_];
+        uint256 end = head + Math.min(_maxRequests, user_.requests.length - head);
 
-        user_.finishedMetaNode = finishedMetaNode;
+        // 遍历解质押请求，找出已解锁的，已取消的请求金额为0直接跳过
+        for (; head < end; head++) {
+            if (user_.requests[head].unlockBlocks > clock()) {
+                break;
+            }
+            pendingWithdraw_ = pendingWithdraw_ + user_.requests[head].amount;
+            delete user_.requests[head];
+        }
+        // 移动头指针代替数组前移
+        requestHead[_pid][sender_] = head;
 
-        emit Deposit(msg.sender, _pid, _amount);
+        emit Withdraw(sender_, _pid, pendingWithdraw_, block.number);
     }
 
-    /** 安全转移MetaNode奖励
-     * @notice Safe MetaNode transfer function, just in case if rounding error causes pool to not have enough MetaNodes
+    /** 领取奖励的内部实现，奖励发给 `_to`，余额不足时欠款仍记在用户名下
+     */
+    function _claim(uint256 _pid, address _user, address _to) internal {
+        uint256 paid_ = _reserveMetaNode(_user, _settleRewards(_pid, _user));
+        if (paid_ > 0) {
+            MetaNode.transfer(_to, paid_);
+        }
+
+        emit Claim(_user, _pid, paid_);
+    }
+
+    /** 用户在资金池中的奖励接收地址
+     */
+    function _recipientOf(
+        uint256 _pid,
+        address _user
+    ) internal view returns (address recipient) {
+        recipient = rewardRecipient[_pid][_user];
+        if (recipient == address(0)) {
+            recipient = _user;
+        }
+    }
+
+    /** 结算奖励
+     * @notice Settle `_user`'s rewards in `_pid` for claiming: clear the pending rewards and IOUs,
+     * release an expired lock and reset `finishedMetaNode`.
      *
-     * @param _to        Address to get transferred MetaNodes
-     * @param _amount    Amount of MetaNode to be transferred
-     */
-    function _safeMetaNodeTransfer(address _to, uint256 _amount) internal {
-        uint256 MetaNodeBal = MetaNode.balanceOf(address(this));
-        // 如果合约余额不足，只转余额
-        if (_amount > MetaNodeBal) {
-            MetaNode.transfer(_to, MetaNodeBal);
-        } else {
-            MetaNode.transfer(_to, _amount);
+     * @return owed      Rewards and IOUs owed to `_user`
+     */
+    function _settleRewards(
+        uint256 _pid,
+        address _user
+    ) internal returns (uint256 owed) {
+        User storage user_ = user[_pid][_user];
+
+        updatePool(_pid);
+        // 总待领取奖励 = 当前计算奖励 + 之前保存的待领取 + 之前欠下的奖励
+        _accruePending(_pid, _user);
+        uint256 unpaid_ = unpaidMetaNode[_user];
+        owed = user_.pendingMetaNode + unpaid_;
+
+        user_.pendingMetaNode = 0; // 清空待领取
+        if (unpaid_ > 0) {
+            unpaidMetaNode[_user] = 0;
+            totalUnpaidMetaNode = totalUnpaidMetaNode - unpaid_;
         }
+        _releaseExpiredLock(_pid, _user);
+        // 更新已领取奖励
+        _syncFinished(_pid, _user);
+    }
+
+    /** 把用户自上次结算以来的奖励存入 pendingMetaNode，调用前必须先 updatePool
+     */
+    function _accruePending(uint256 _pid, address _user) internal {
+        User storage user_ = user[_pid][_user];
+        user_.pendingMetaNode =
+            user_.pendingMetaNode +
+            (boostedBalance(_pid, _user) * pool[_pid].accMetaNodePerST) /
+            (1 ether) -
+            user_.finishedMetaNode;
+    }
+
+    /** 按当前有效质押量更新已结算奖励，质押量或锁仓倍数变化之后调用
+     */
+    function _syncFinished(uint256 _pid, address _user) internal {
+        user[_pid][_user].finishedMetaNode =
+            (boostedBalance(_pid, _user) * pool[_pid].accMetaNodePerST) /
+            (1 ether);
+    }
+
+    /** 可用于发放奖励的 MetaNode 余额
+     * @notice MetaNode balance minus the principal of MetaNode pools
+     */
+    function _rewardBalance() internal view returns (uint256 balance) {
+        (, balance) = MetaNode.balanceOf(address(this)).trySub(stakedMetaNode);
+    }
+
+    /** 从奖励余额中支出MetaNode
+     * @notice Take up to `_amount` out of the reward balance for `_to` and record the rest as an IOU.
+     * The caller transfers or stakes the returned amount.
+     *
+     * @param _to        Address the MetaNodes are owed to
+     * @param _amount    Amount of MetaNode owed
+     * @return paid      Amount available to be paid now
+     */
+    function _reserveMetaNode(
+        address _to,
+        uint256 _amount
+    ) internal returns (uint256 paid) {
+        uint256 MetaNodeBal = _rewardBalance();
+        // 如果合约余额不足，只支付余额，差额记为欠款
+        paid = _amount > MetaNodeBal ? MetaNodeBal : _amount;
+        // 升级前产生的奖励没有计入 accruedMetaNode，这里不能下溢
+        (, accruedMetaNode) = accruedMetaNode.trySub(paid);
+
+        if (_amount > paid) {
+            uint256 unpaid_ = _amount - paid;
+            unpaidMetaNode[_to] = unpaidMetaNode[_to] + unpaid_;
+            totalUnpaidMetaNode = totalUnpaidMetaNode + unpaid_;
+            emit RecordUnpaid(_to, unpaid_, unpaidMetaNode[_to]);
+        }
+    }
+
+    /** 已设置的 WETH 地址
+     */
+    function _weth() internal view returns (address weth_) {
+        weth_ = weth;
+        require(weth_ != address(0), "WETH not set");
+    }
+
+    /** 按质押量铸造或销毁质押收据，stAmount 变化之后调用，资金池没有收据时什么也不做
+     */
+    function _syncReceipt(uint256 _pid, address _user) internal {
+        address token_ = receiptToken[_pid];
+        if (token_ != address(0)) {
+            MetaNodeReceipt(token_).setBalance(_user, user[_pid][_user].stAmount);
+        }
+    }
+
+    /** 从资金池转出质押代币（本金）
+     */
+    function _transferStToken(
+        Pool storage _pool,
+        address _to,
+        uint256 _amount
+    ) internal {
+        if (_amount == 0) {
+            return;
+        }
+        if (_pool.stTokenAddress == address(0x0)) {
+            _safeETHTransfer(_to, _amount);
+            return;
+        }
+        if (_pool.stTokenAddress == address(MetaNode)) {
+            // 升级前质押的 MetaNode 没有计入 stakedMetaNode，这里不能下溢
+            (, stakedMetaNode) = stakedMetaNode.trySub(_amount);
+        }
+        IERC20(_pool.stTokenAddress).safeTransfer(_to, _amount);
     }
 
     /** 安全转移ETH
@@ -872,16 +1182,40 @@ contract MetaNodeStake is
      * @param _amount    Amount of ETH to be transferred
      */
     function _safeETHTransfer(address _to, uint256 _amount) internal {
-        (bool success, bytes memory data) = address(_to).call{value: _amount}(
-            ""
-        );
-
+        (bool success, ) = _to.call{value: _amount}("");
         require(success, "ETH transfer call failed");
-        if (data.length > 0) {
-            require(
-                abi.decode(data, (bool)),
-                "ETH transfer operation did not succeed"
-            );
+    }
+
+    // MulticallUpgradeable 也继承了 Context，这里明确使用 MetaNodeStakeBase 中的 ERC-2771 实现
+    function _msgSender() internal view override(ContextUpgradeable, MetaNodeStakeBase) returns (address) {
+        return MetaNodeStakeBase._msgSender();
+    }
+
+    function _msgData() internal view override(ContextUpgradeable, MetaNodeStakeBase) returns (bytes calldata) {
+        return MetaNodeStakeBase._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(ContextUpgradeable, MetaNodeStakeBase) returns (uint256) {
+        return MetaNodeStakeBase._contextSuffixLength();
+    }
+
+    /**
+     * 把当前调用原样转发给管理模块，在本合约的存储上执行并返回结果。
+     * 完整转发 calldata，元交易附加在末尾的调用者地址也会一起传过去。
+     * 目标只能是构造时部署的 adminModule，调用方无法指定；模块不继承 UUPSUpgradeable，
+     * 没有 selfdestruct 和 delegatecall，也不写 ERC-1967 的实现地址槽，所以委托调用不能升级或销毁代理和实现合约
+     * @custom:oz-upgrades-unsafe-allow delegatecall
+     */
+    function _delegateToAdmin() private {
+        address module_ = adminModule;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let ok := delegatecall(gas(), module_, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if iszero(ok) {
+                revert(0, returndatasize())
+            }
+            return(0, returndatasize())
         }
     }
 }
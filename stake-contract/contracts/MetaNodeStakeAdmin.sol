@@ -0,0 +1,329 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MetaNodeStakeBase.sol";
+import "./MetaNodeReceipt.sol";
+
+/**
+ * MetaNodeStake 的管理模块：
+ *   资金池、奖励窗口和速率、排放阶段、锁仓档位、暂停开关等管理函数放在这个合约中，
+ * 避免质押合约超过 24KB 的大小上限。
+ *
+ *   模块由 MetaNodeStake 的实现合约在构造时部署，质押合约把这些函数的调用原样 DELEGATECALL 过来，
+ * 在代理合约的存储上执行，权限检查、元交易和事件与直接在质押合约中实现时相同。
+ * 直接调用模块只会读写模块自己的空存储，模块中没有任何角色，所有函数都会因为权限检查失败
+ */
+contract MetaNodeStakeAdmin is MetaNodeStakeBase {
+    /** 设置可信的元交易转发合约
+     * @notice Set the ERC-2771 trusted forwarder. Can only be called by admin.
+     * The forwarder can act as any user, so only set a forwarder that verifies the user's signature.
+     */
+    function setTrustedForwarder(
+        address _forwarder
+    ) public onlyRole(ADMIN_ROLE) {
+        trustedForwarder = _forwarder;
+
+        emit SetTrustedForwarder(_forwarder);
+    }
+
+    /** 设置资金池的质押收据
+     * @notice Set the receipt token of `_pid`. Can only be called by admin, once, while the pool is empty,
+     * so every staked amount has its receipt. The token must be a MetaNodeReceipt created for this pool.
+     */
+    function setReceiptToken(
+        uint256 _pid,
+        address _token
+    ) public onlyRole(ADMIN_ROLE) checkPid(_pid) {
+        require(
+            receiptToken[_pid] == address(0) && pool[_pid].stTokenAmount == 0,
+            "pool not empty"
+        );
+        require(
+            MetaNodeReceipt(_token).isReceiptOf(address(this), _pid),
+            "invalid receipt token"
+        );
+        receiptToken[_pid] = _token;
+
+        emit SetReceiptToken(_pid, _token);
+    }
+
+    /** 设置 WETH 地址
+     * @notice Set the WETH used by `depositWETH` and `withdrawAsWETH`. Can only be called by admin.
+     * address(0) disables both, the ETH pool keeps accepting native ETH.
+     */
+    function setWETH(address weth_) public onlyRole(ADMIN_ROLE) {
+        weth = weth_;
+
+        emit SetWETH(weth_);
+    }
+
+    /**
+     * @notice Pause withdraw. Can only be called by admin. 暂停提现功能
+     */
+    function pauseWithdraw() public onlyRole(ADMIN_ROLE) {
+        require(!withdrawPaused, "withdraw has been already paused");
+
+        withdrawPaused = true;
+
+        emit PauseWithdraw();
+    }
+
+    /**
+     * @notice Unpause withdraw. Can only be called by admin. 恢复提现功能
+     */
+    function unpauseWithdraw() public onlyRole(ADMIN_ROLE) {
+        require(withdrawPaused, "withdraw has been already unpaused");
+
+        withdrawPaused = false;
+
+        emit UnpauseWithdraw();
+    }
+
+    /**
+     * @notice Pause claim. Can only be called by admin. 暂停领取功能
+     */
+    function pauseClaim() public onlyRole(ADMIN_ROLE) {
+        require(!claimPaused, "claim has been already paused");
+
+        claimPaused = true;
+
+        emit PauseClaim();
+    }
+
+    /**
+     * @notice Unpause claim. Can only be called by admin. 恢复领取功能
+     */
+    function unpauseClaim() public onlyRole(ADMIN_ROLE) {
+        require(claimPaused, "claim has been already unpaused");
+
+        claimPaused = false;
+
+        emit UnpauseClaim();
+    }
+
+    /**
+     * @notice Pause deposit, unstake, withdraw and claim globally. Can only be called by admin. 全局暂停
+     */
+    function pause() public onlyRole(ADMIN_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Unpause the global pause. Can only be called by admin. 解除全局暂停
+     */
+    function unpause() public onlyRole(ADMIN_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @notice Update staking start block. Can only be called by admin. 设置开始区块
+     */
+    function setStartBlock(uint256 _startBlock) public onlyRole(ADMIN_ROLE) {
+        _checkWindow(_startBlock, endBlock);
+
+        startBlock = _startBlock;
+
+        emit SetStartBlock(_startBlock);
+    }
+
+    /**
+     * @notice Update staking end block. Can only be called by admin. 设置 结束区块
+     */
+    function setEndBlock(uint256 _endBlock) public onlyRole(ADMIN_ROLE) {
+        _checkWindow(startBlock, _endBlock);
+
+        endBlock = _endBlock;
+
+        emit SetEndBlock(_endBlock);
+    }
+
+    /**
+     * @notice Update the MetaNode reward amount per block. Can only be called by admin. 设置每区块奖励数量
+     * The new rate applies to every block each pool has not settled yet, call `massUpdatePools` first.
+     * Once emission phases exist it only affects blocks before the first phase, use `addEmissionPhase` instead.
+     */
+    function setMetaNodePerBlock(
+        uint256 _MetaNodePerBlock
+    ) public onlyRole(ADMIN_ROLE) {
+        require(_MetaNodePerBlock > 0, "invalid parameter");
+
+        MetaNodePerBlock = _MetaNodePerBlock;
+
+        emit SetMetaNodePerBlock(_MetaNodePerBlock);
+    }
+
+    /** 追加排放阶段
+     * @notice Append an emission phase starting at `_startBlock`. Can only be called by admin.
+     * The phase must not have started yet and must start after the last phase, so rewards that
+     * pools have accrued so far are not affected and no mass update is needed.
+     *
+     * @param _startBlock          First block (timestamp in timestamp mode) of the phase
+     * @param _MetaNodePerBlock    Reward per block at the start of the phase, 0 stops the emission
+     * @param _halvingInterval     Halve the reward every `_halvingInterval` blocks, 0 for a flat rate
+     */
+    function addEmissionPhase(
+        uint256 _startBlock,
+        uint256 _MetaNodePerBlock,
+        uint256 _halvingInterval
+    ) public onlyRole(ADMIN_ROLE) {
+        require(_startBlock >= clock(), "phase must not start in the past");
+        uint256 length = emissionPhases.length;
+        require(
+            length == 0 || _startBlock > emissionPhases[length - 1].startBlock,
+            "phase must start after the last phase"
+        );
+
+        emissionPhases.push(
+            EmissionPhase({
+                startBlock: _startBlock,
+                MetaNodePerBlock: _MetaNodePerBlock,
+                halvingInterval: _halvingInterval
+            })
+        );
+
+        emit AddEmissionPhase(length, _startBlock, _MetaNodePerBlock, _halvingInterval);
+    }
+
+    /** 删除最后一个尚未开始的排放阶段
+     * @notice Remove the last emission phase if it has not started yet. Can only be called by admin.
+     */
+    function removeEmissionPhase() public onlyRole(ADMIN_ROLE) {
+        uint256 length = emissionPhases.length;
+        require(length > 0, "no emission phase");
+        require(
+            emissionPhases[length - 1].startBlock >= clock(),
+            "phase already started"
+        );
+
+        emissionPhases.pop();
+
+        emit RemoveEmissionPhase(length - 1);
+    }
+
+    /** 添加锁仓档位
+     * @notice Add a lock tier users can choose when depositing. Can only be called by admin.
+     *
+     * @param _duration      Lock duration in blocks (seconds in timestamp mode)
+     * @param _multiplier    Reward multiplier of the locked amount, BOOST_BASE = 1x, at most MAX_BOOST
+     */
+    function addLockTier(
+        uint256 _duration,
+        uint256 _multiplier
+    ) public onlyRole(ADMIN_ROLE) {
+        lockTiers.push();
+        setLockTier(lockTiers.length - 1, _duration, _multiplier);
+    }
+
+    /** 修改锁仓档位
+     * @notice Update a lock tier. Existing locks keep their unlock block and multiplier. Can only be called by admin.
+     */
+    function setLockTier(
+        uint256 _tierId,
+        uint256 _duration,
+        uint256 _multiplier
+    ) public onlyRole(ADMIN_ROLE) {
+        require(_tierId < lockTiers.length, "invalid lock tier");
+        require(_duration > 0, "invalid lock duration");
+        require(
+            _multiplier >= BOOST_BASE && _multiplier <= MAX_BOOST,
+            "invalid lock multiplier"
+        );
+
+        lockTiers[_tierId] = LockTier({duration: _duration, multiplier: _multiplier});
+
+        emit SetLockTier(_tierId, _duration, _multiplier);
+    }
+
+    /**
+     * @notice Add a new staking to pool. Can only be called by admin  添加新的质押池
+     * DO NOT add the same staking token more than once. MetaNode rewards will be messed up if you do
+     */
+    function addPool(
+        address _stTokenAddress,
+        uint256 _poolWeight,
+        uint256 _minDepositAmount,
+        uint256 _unstakeLockedBlocks,
+        bool _withUpdate
+    ) public onlyRole(ADMIN_ROLE) {
+        // Default the first pool to be ETH pool, so the first pool must be added with stTokenAddress = address(0x0)
+        // 第一个池必须是ETH池（地址为0）
+        require(
+            (_stTokenAddress == address(0x0)) == (pool.length == 0),
+            "invalid staking token address"
+        );
+        // allow the min deposit amount equal to 0
+        //require(_minDepositAmount > 0, "invalid min deposit amount");
+        require(_unstakeLockedBlocks > 0, "invalid withdraw locked blocks");
+        require(clock() < endBlock, "Already ended");
+
+        // 如果需要，更新所有池的奖励
+        if (_withUpdate) {
+            massUpdatePools();
+        }
+
+        // 设置上次奖励区块
+        uint256 lastRewardBlock = clock() > startBlock
+            ? clock()
+            : startBlock;
+        totalPoolWeight = totalPoolWeight + _poolWeight;
+
+        // 创建新池
+        pool.push(
+            Pool({
+                stTokenAddress: _stTokenAddress,
+                poolWeight: _poolWeight,
+                lastRewardBlock: lastRewardBlock,
+                accMetaNodePerST: 0,
+                stTokenAmount: 0,
+                minDepositAmount: _minDepositAmount,
+                unstakeLockedBlocks: _unstakeLockedBlocks
+            })
+        );
+        // 第一个质押 MetaNode 的池作为复投目标
+        if (compoundPid == 0 && _stTokenAddress == address(MetaNode)) {
+            compoundPid = pool.length - 1;
+        }
+
+        emit AddPool(
+            _stTokenAddress,
+            _poolWeight,
+            lastRewardBlock,
+            _minDepositAmount,
+            _unstakeLockedBlocks
+        );
+    }
+
+    /**  更新池信息
+     * @notice Update the given pool's info (minDepositAmount and unstakeLockedBlocks). Can only be called by admin.
+     */
+    function updatePool(
+        uint256 _pid,
+        uint256 _minDepositAmount,
+        uint256 _unstakeLockedBlocks
+    ) public onlyRole(ADMIN_ROLE) checkPid(_pid) {
+        pool[_pid].minDepositAmount = _minDepositAmount;
+        pool[_pid].unstakeLockedBlocks = _unstakeLockedBlocks;
+
+        emit UpdatePoolInfo(_pid, _minDepositAmount, _unstakeLockedBlocks);
+    }
+
+    /** 设置池权重
+     * @notice Update the given pool's weight. Can only be called by admin.
+     */
+    function setPoolWeight(
+        uint256 _pid,
+        uint256 _poolWeight,
+        bool _withUpdate
+    ) public onlyRole(ADMIN_ROLE) checkPid(_pid) {
+        require(_poolWeight > 0, "invalid pool weight");
+
+        if (_withUpdate) {
+            massUpdatePools();
+        }
+        // 更新总权重
+        totalPoolWeight = totalPoolWeight - pool[_pid].poolWeight + _poolWeight;
+        pool[_pid].poolWeight = _poolWeight;
+
+        emit SetPoolWeight(_pid, _poolWeight, totalPoolWeight);
+    }
+}
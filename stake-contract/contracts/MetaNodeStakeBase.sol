@@ -0,0 +1,593 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/interfaces/IERC6372.sol";
+
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+
+/**
+ * MetaNodeStake 和它的管理模块 MetaNodeStakeAdmin 共用的部分：
+ *   常量、数据结构、状态变量和事件，以及两边都要用到的权限检查、计时、池奖励结算和 ERC-2771 调用者解析。
+ *
+ *   管理模块通过 DELEGATECALL 在质押合约的存储上执行，两边必须有相同的存储布局，
+ * 所以状态变量只定义在这里。变量顺序就是代理合约的存储布局，新变量只能追加在末尾
+ */
+abstract contract MetaNodeStakeBase is
+    PausableUpgradeable, // 可暂停
+    AccessControlUpgradeable, // 权限控制
+    IERC6372 // 计时方式
+{
+    using Math for uint256;
+
+    // ************************************** INVARIANT **************************************
+
+    bytes32 public constant ADMIN_ROLE = keccak256("admin_role"); // 管理员角色
+    bytes32 public constant UPGRADE_ROLE = keccak256("upgrade_role"); // 升级角色
+
+    uint256 public constant ETH_PID = 0; // ETH资金池ID固定为0
+
+    uint256 public constant BOOST_BASE = 10000; // 锁仓倍数精度，10000 表示 1 倍
+    uint256 public constant MAX_BOOST = 50000; // 锁仓倍数上限 5 倍
+    uint256 internal constant NO_LOCK = type(uint256).max; // 不锁仓
+
+    // ************************************** DATA STRUCTURE **************************************
+    /*
+    Basically, any point in time, the amount of MetaNodes entitled to a user but is pending to be distributed is:
+
+    pending MetaNode = (user.stAmount * pool.accMetaNodePerST) - user.finishedMetaNode
+
+    Whenever a user deposits or withdraws staking tokens to a pool. Here's what happens:
+    1. The pool's `accMetaNodePerST` (and `lastRewardBlock`) gets updated.
+    2. User receives the pending MetaNode sent to his/her address.
+    3. User's `stAmount` gets updated.
+    4. User's `finishedMetaNode` gets updated.
+    */
+    // 资金池结构
+    struct Pool {
+        // Address of staking token
+        // 质押代币的地址
+        address stTokenAddress;
+        // Weight of pool
+        // 不同资金池所占的权重，用于分配奖励
+        uint256 poolWeight;
+        // Last block number that MetaNodes distribution occurs for pool
+        // 上次分配奖励的区块
+        uint256 lastRewardBlock;
+        // Accumulated MetaNodes per staking token of pool
+        // 质押 1个ETH经过1个区块高度，能拿到 n 个MetaNode，即累计每质押代币可获得的MetaNode（精度1e18）
+        uint256 accMetaNodePerST;
+        // Staking token amount
+        // 质押的代币数量，池中总质押量
+        uint256 stTokenAmount;
+        // Min staking amount
+        // 最小质押数量
+        uint256 minDepositAmount;
+        // Withdraw locked blocks
+        // Unstake locked blocks 解质押锁定的区块高度
+        uint256 unstakeLockedBlocks;
+    }
+
+    //  解质押请求结构
+    struct UnstakeRequest {
+        // Request withdraw amount
+        uint256 amount; // 用户取消质押的代币数量，要取出多少个 token
+        // The blocks when the request withdraw amount can be released
+        uint256 unlockBlocks; // 解质押的区块高度
+    }
+
+    struct User {
+        // 记录用户相对每个资金池 的质押记录
+        // Staking token amount that user provided
+        // 用户在当前资金池，质押的代币数量
+        uint256 stAmount;
+        // Finished distributed MetaNodes to user 最终 MetaNode 得到的数量
+        // 用户在当前资金池，已经领取的 MetaNode 数量
+        uint256 finishedMetaNode;
+        // Pending to claim MetaNodes 当前可取数量
+        // 用户在当前资金池，当前可领取的 MetaNode 数量
+        uint256 pendingMetaNode;
+        // Withdraw request list
+        // 用户在当前资金池，取消质押的记录。解质押请求列表
+        UnstakeRequest[] requests;
+    }
+
+    // 奖励排放阶段，从 startBlock 开始生效，直到下一个阶段开始（最后一个阶段持续到 endBlock）
+    struct EmissionPhase {
+        // First block (timestamp in timestamp mode) of the phase
+        uint256 startBlock; // 阶段开始区块
+        // MetaNode reward per block at the start of the phase
+        uint256 MetaNodePerBlock; // 阶段开始时的每区块奖励
+        // Halve the reward every `halvingInterval` blocks since `startBlock`, 0 means a flat rate
+        uint256 halvingInterval; // 每隔多少个区块奖励减半，0 表示不减半
+    }
+
+    // 锁仓档位
+    struct LockTier {
+        // Lock duration in blocks (seconds in timestamp mode)
+        uint256 duration; // 锁仓区块数
+        // Reward multiplier of the locked amount, BOOST_BASE = 1x
+        uint256 multiplier; // 锁仓部分的奖励倍数
+    }
+
+    // 用户在一个资金池中的锁仓，再次锁仓会合并到同一个锁仓中
+    struct UserLock {
+        // Locked staking token amount
+        uint256 amount; // 锁仓数量，包含在 stAmount 中
+        // Multiplier of the lock
+        uint256 multiplier; // 锁仓倍数
+        // Extra stake counted for rewards: amount * (multiplier - BOOST_BASE) / BOOST_BASE
+        uint256 boost; // 额外的有效质押量
+        // The lock can be released from this block (timestamp in timestamp mode) on
+        uint256 unlockBlock; // 到期区块
+    }
+
+    // 用户在一个资金池中的仓位，getUserPositions 的返回值
+    struct UserPosition {
+        // Staking token amount, not including unstaking requests
+        uint256 stAmount; // 质押数量
+        // Pending MetaNode rewards as of the current block, not including IOUs
+        uint256 pendingMetaNode; // 待领取奖励
+        // Total amount of unstake requests not withdrawn yet
+        uint256 requestAmount; // 解质押中的总数量
+        // Part of requestAmount that is unlocked and can be withdrawn
+        uint256 pendingWithdrawAmount; // 已解锁可提现的数量
+    }
+
+    // ************************************** STATE VARIABLES 状态变量**************************************
+    // First block that MetaNodeStake will start from
+    uint256 public startBlock; // 质押开始区块高度
+    // First block that MetaNodeStake will end from
+    uint256 public endBlock; // 质押结束区块高度
+    // MetaNode token reward per block
+    uint256 public MetaNodePerBlock; // 每个区块高度，MetaNode 的奖励数量
+
+    // Pause the withdraw function
+    bool public withdrawPaused; // 是否暂停提现
+    // Pause the claim function
+    bool public claimPaused; // 是否暂停领取
+
+    // MetaNode token
+    IERC20 public MetaNode; // MetaNode 代币地址
+
+    // Total pool weight / Sum of all pool weights
+    uint256 public totalPoolWeight; // 所有资金池的权重总和
+    Pool[] public pool; // 资金池列表
+
+    // pool id => user address => user info
+    mapping(uint256 => mapping(address => User)) public user; // 资金池 id => 用户地址 => 用户信息
+
+    // pool id => user address => index of the first unstake request not withdrawn yet
+    // 资金池 id => 用户地址 => 第一个尚未提现的解质押请求下标，已提现的请求不再前移数组
+    mapping(uint256 => mapping(address => uint256)) public requestHead;
+
+    // MetaNode distributed to pools but not paid out yet, including IOUs
+    // 已经分配给资金池、但尚未支付给用户的 MetaNode 总量（包括欠款）
+    uint256 public accruedMetaNode;
+    // user address => MetaNode owed to the user because the contract balance ran short on claim
+    // 用户地址 => 领取时合约余额不足而欠用户的 MetaNode（IOU），下次领取时优先补发
+    mapping(address => uint256) public unpaidMetaNode;
+    // Sum of all IOUs 所有欠款之和
+    uint256 public totalUnpaidMetaNode;
+
+    // Whether the schedule counts in timestamps (seconds) instead of block numbers
+    // 是否按时间戳计时，只能在初始化时设置
+    bool public timeBased;
+
+    // Emission phases ordered by startBlock, MetaNodePerBlock applies before the first phase
+    // 按开始区块排序的排放阶段，只能追加未开始的阶段，不会影响已经产生的奖励
+    EmissionPhase[] public emissionPhases;
+
+    // Lock tiers users can choose from when depositing 可选的锁仓档位
+    LockTier[] public lockTiers;
+    // pool id => user address => lock 资金池 id => 用户地址 => 锁仓
+    mapping(uint256 => mapping(address => UserLock)) public userLock;
+    // pool id => sum of the boosts of all locks 资金池 id => 所有锁仓额外有效质押量之和
+    mapping(uint256 => uint256) public poolBoost;
+
+    // Id of the pool rewards are compounded into: the first pool staking MetaNode, 0 when there is none
+    // 复投目标池：第一个质押 MetaNode 的资金池，0 表示没有（0 号池总是 ETH 池）
+    uint256 public compoundPid;
+    // MetaNode staked in MetaNode pools (including unstaking requests), can not be paid out as rewards
+    // MetaNode 池中的本金（包括解质押中的请求），不能作为奖励发放
+    uint256 public stakedMetaNode;
+    // user address => whether anyone (a keeper) may compound the user's rewards 用户是否允许任何人为其复投
+    mapping(address => bool) public autoCompound;
+
+    // ERC-2771 trusted forwarder, address(0) disables meta transactions
+    // 可信的元交易转发合约，为 0 时不支持元交易
+    address public trustedForwarder;
+
+    // pool id => user address => address rewards are paid to, address(0) pays the user
+    // 资金池 id => 用户地址 => 奖励接收地址，为 0 时发给用户本人
+    mapping(uint256 => mapping(address => address)) public rewardRecipient;
+    // user address => operator => whether the operator may claim for the user 用户授权的领取操作员
+    mapping(address => mapping(address => bool)) public claimOperator;
+
+    // pool id => receipt token minted 1:1 for the stake, address(0) when the pool has no receipt
+    // 资金池 id => 质押收据代币
+    mapping(uint256 => address) public receiptToken;
+
+    // WETH used by depositWETH / withdrawAsWETH, address(0) disables them
+    // 用于 ETH 池 WETH 质押和提现的 WETH 合约
+    address public weth;
+
+    // ************************************** EVENT **************************************
+    // 各种操作的事件，用于链上日志记录
+    event SetMetaNode(IERC20 indexed MetaNode);
+
+    event SetTrustedForwarder(address indexed forwarder);
+
+    event PauseWithdraw();
+
+    event UnpauseWithdraw();
+
+    event PauseClaim();
+
+    event UnpauseClaim();
+
+    event SetStartBlock(uint256 indexed startBlock);
+
+    event SetEndBlock(uint256 indexed endBlock);
+
+    event SetMetaNodePerBlock(uint256 indexed MetaNodePerBlock);
+
+    event AddEmissionPhase(
+        uint256 indexed phaseId,
+        uint256 indexed startBlock,
+        uint256 MetaNodePerBlock,
+        uint256 halvingInterval
+    );
+
+    event RemoveEmissionPhase(uint256 indexed phaseId);
+
+    event SetLockTier(
+        uint256 indexed tierId,
+        uint256 duration,
+        uint256 multiplier
+    );
+
+    event AddPool(
+        address indexed stTokenAddress,
+        uint256 indexed poolWeight,
+        uint256 indexed lastRewardBlock,
+        uint256 minDepositAmount,
+        uint256 unstakeLockedBlocks
+    );
+
+    event UpdatePoolInfo(
+        uint256 indexed poolId,
+        uint256 indexed minDepositAmount,
+        uint256 indexed unstakeLockedBlocks
+    );
+
+    event SetPoolWeight(
+        uint256 indexed poolId,
+        uint256 indexed poolWeight,
+        uint256 totalPoolWeight
+    );
+
+    event UpdatePool(
+        uint256 indexed poolId,
+        uint256 indexed lastRewardBlock,
+        uint256 totalMetaNode
+    );
+
+    event Deposit(address indexed user, uint256 indexed poolId, uint256 amount);
+
+    event Lock(
+        address indexed user,
+        uint256 indexed poolId,
+        uint256 indexed tierId,
+        uint256 amount,
+        uint256 unlockBlock
+    );
+
+    event ReleaseLock(
+        address indexed user,
+        uint256 indexed poolId,
+        uint256 amount
+    );
+
+    event RequestUnstake(
+        address indexed user,
+        uint256 indexed poolId,
+        uint256 amount
+    );
+
+    event CancelUnstake(
+        address indexed user,
+        uint256 indexed poolId,
+        uint256 indexed requestId,
+        uint256 amount
+    );
+
+    event Withdraw(
+        address indexed user,
+        uint256 indexed poolId,
+        uint256 amount,
+        uint256 indexed blockNumber
+    );
+
+    event Claim(
+        address indexed user,
+        uint256 indexed poolId,
+        uint256 MetaNodeReward
+    );
+
+    event Compound(address indexed user, uint256 indexed poolId, uint256 amount);
+
+    event SetAutoCompound(address indexed user, bool enabled);
+
+    event SetRewardRecipient(address indexed user, uint256 indexed poolId, address indexed recipient);
+
+    event SetClaimOperator(address indexed user, address indexed operator, bool approved);
+
+    event SetReceiptToken(uint256 indexed poolId, address indexed token);
+
+    event SetWETH(address indexed weth);
+
+    event TransferStake(
+        address indexed from,
+        address indexed to,
+        uint256 indexed poolId,
+        uint256 amount
+    );
+
+    event RecordUnpaid(
+        address indexed user,
+        uint256 amount,
+        uint256 totalUnpaid
+    );
+
+    event EmergencyWithdraw(
+        address indexed user,
+        uint256 indexed poolId,
+        uint256 amount
+    );
+
+    // ************************************** MODIFIER 修饰器 **************************************
+    // 修饰器只调用内部函数，避免在每个使用它的函数中重复内联检查代码，控制合约大小
+    // 检查池ID是否有效
+    modifier checkPid(uint256 _pid) {
+        _checkPid(_pid);
+        _;
+    }
+
+    // 检查领取是否未暂停
+    modifier whenNotClaimPaused() {
+        _checkClaimNotPaused();
+        _;
+    }
+    // 检查提现是否未暂停
+    modifier whenNotWithdrawPaused() {
+        require(!withdrawPaused, "withdraw is paused");
+        _;
+    }
+
+    function _checkPid(uint256 _pid) internal view {
+        require(_pid < pool.length, "invalid pid");
+    }
+
+    function _checkClaimNotPaused() internal view {
+        require(!claimPaused, "claim is paused");
+    }
+
+    // 检查是否是ERC20资金池，池0是ETH池
+    function _checkTokenPool(uint256 _pid) internal pure {
+        require(_pid != 0, "deposit not support ETH staking");
+    }
+
+    // 检查奖励区间
+    function _checkWindow(uint256 _start, uint256 _end) internal pure {
+        require(_start <= _end, "start block must be smaller than end block");
+    }
+
+    // ************************************** ADMIN FUNCTION **************************************
+
+    /**
+     * @notice 设置MetaNode代币地址。Set MetaNode token address. Can only be called by admin
+     */
+    function setMetaNode(IERC20 _MetaNode) public onlyRole(ADMIN_ROLE) {
+        MetaNode = _MetaNode;
+
+        emit SetMetaNode(MetaNode);
+    }
+
+    // ************************************** QUERY FUNCTION **************************************
+
+    /**
+     * @notice Whether `_forwarder` is the trusted ERC-2771 forwarder 是否为可信的转发合约
+     */
+    function isTrustedForwarder(address _forwarder) public view returns (bool) {
+        return _forwarder != address(0) && _forwarder == trustedForwarder;
+    }
+
+    /** 当前计时：区块高度或时间戳
+     * @notice Current value of the schedule clock, block number or timestamp depending on the mode (ERC-6372)
+     */
+    function clock() public view returns (uint48) {
+        return SafeCast.toUint48(timeBased ? block.timestamp : block.number);
+    }
+
+    /**
+     * @notice Description of the clock (ERC-6372)
+     */
+    function CLOCK_MODE() public view returns (string memory) {
+        return timeBased ? "mode=timestamp" : "mode=blocknumber&from=default";
+    }
+
+    /** 资金池的有效质押总量
+     * @notice Total staked amount of the pool counted for rewards, including the boosts of all locks
+     */
+    function boostedSupply(uint256 _pid) public view returns (uint256) {
+        return pool[_pid].stTokenAmount + poolBoost[_pid];
+    }
+
+    /** 计算区块区间的奖励倍数
+     * @notice Return reward multiplier over given _from to _to block (or timestamp in timestamp mode). [_from, _to)
+     * Integrates the reward rate piecewise across emission phases and halvings.
+     *
+     * @param _from    From block number (included)
+     * @param _to      To block number (exluded)
+     * getMultiplier(pool_.lastRewardBlock, block.number).tryMul(pool_.poolWeight);
+     */
+    function getMultiplier(
+        uint256 _from,
+        uint256 _to
+    ) public view returns (uint256 multiplier) {
+        require(_from <= _to, "invalid block");
+        // 如果结束时间在开始时间之前，返回0
+        if (_to <= startBlock || _from >= endBlock) {
+            return 0;
+        }
+        if (_from < startBlock) {
+            _from = startBlock;
+        }
+        if (_to > endBlock) {
+            _to = endBlock;
+        }
+        // 从后往前累加与区间重叠的阶段，开始于 _from 之前的阶段处理完就结束
+        uint256 end = _to;
+        for (uint256 i = emissionPhases.length; i > 0 && end > _from; i--) {
+            EmissionPhase storage phase = emissionPhases[i - 1];
+            if (phase.startBlock >= end) {
+                continue;
+            }
+            uint256 start = phase.startBlock > _from ? phase.startBlock : _from;
+            multiplier = _addEmission(multiplier, _phaseEmission(phase, start, end));
+            end = start;
+        }
+        // 第一个阶段之前：奖励倍数 = (结束区块 - 开始区块) * 每区块奖励
+        if (end > _from) {
+            multiplier = _addEmission(
+                multiplier,
+                _mulEmission(end - _from, MetaNodePerBlock)
+            );
+        }
+    }
+
+    // 阶段内 [_from, _to) 的奖励，按减半周期分段计算，速率减到 0 后不再发放
+    function _phaseEmission(
+        EmissionPhase storage _phase,
+        uint256 _from,
+        uint256 _to
+    ) internal view returns (uint256 amount) {
+        uint256 rate = _phase.MetaNodePerBlock;
+        uint256 interval = _phase.halvingInterval;
+        if (interval == 0) {
+            return _mulEmission(_to - _from, rate);
+        }
+        uint256 halvings = (_from - _phase.startBlock) / interval;
+        while (_from < _to && halvings < 256 && (rate >> halvings) > 0) {
+            uint256 periodEnd = _phase.startBlock + (halvings + 1) * interval;
+            uint256 end = periodEnd < _to ? periodEnd : _to;
+            amount = _addEmission(
+                amount,
+                _mulEmission(end - _from, rate >> halvings)
+            );
+            _from = end;
+            halvings++;
+        }
+    }
+
+    function _mulEmission(
+        uint256 _blocks,
+        uint256 _rate
+    ) internal pure returns (uint256) {
+        (bool success, uint256 emission) = _blocks.tryMul(_rate);
+        require(success, "multiplier overflow");
+        return emission;
+    }
+
+    function _addEmission(
+        uint256 _a,
+        uint256 _b
+    ) internal pure returns (uint256) {
+        (bool success, uint256 sum) = _a.tryAdd(_b);
+        require(success, "multiplier overflow");
+        return sum;
+    }
+
+    /** 资金池从上次结算到 _to 的奖励
+     * @notice MetaNode emitted to `_pid` from its last reward block to `_to`, and the pool's
+     * accMetaNodePerST including that reward. The reward is only distributed when the pool has stake.
+     */
+    function _poolReward(
+        uint256 _pid,
+        uint256 _to
+    ) internal view returns (uint256 reward, uint256 accMetaNodePerST) {
+        Pool storage pool_ = pool[_pid];
+        accMetaNodePerST = pool_.accMetaNodePerST;
+        if (_to <= pool_.lastRewardBlock) {
+            return (0, accMetaNodePerST);
+        }
+        // 该池应得的奖励 = 总奖励 * 池权重 / 总权重
+        reward =
+            (getMultiplier(pool_.lastRewardBlock, _to) * pool_.poolWeight) /
+            totalPoolWeight;
+        uint256 stSupply = boostedSupply(_pid);
+        if (stSupply > 0) {
+            accMetaNodePerST = accMetaNodePerST + (reward * (1 ether)) / stSupply;
+        }
+    }
+
+    // ************************************** PUBLIC FUNCTION 公共函数**************************************
+
+    /**
+     * @notice Update reward variables of the given pool to be up-to-date. 更新指定池的奖励变量到最新状态
+     */
+    function updatePool(uint256 _pid) public checkPid(_pid) {
+        Pool storage pool_ = pool[_pid];
+        // 如果当前区块不大于上次奖励区块，不需要更新
+        if (clock() <= pool_.lastRewardBlock) {
+            return;
+        }
+        // 计算该池应得的奖励和新的每质押代币累计奖励
+        (uint256 totalMetaNode, uint256 accMetaNodePerST) = _poolReward(_pid, clock());
+        pool_.accMetaNodePerST = accMetaNodePerST;
+        // 只有池中有质押时奖励才真正分配出去
+        if (boostedSupply(_pid) > 0) {
+            accruedMetaNode = accruedMetaNode + totalMetaNode;
+        }
+        // 更新最后奖励区块
+        pool_.lastRewardBlock = clock();
+
+        emit UpdatePool(_pid, pool_.lastRewardBlock, totalMetaNode);
+    }
+
+    /** 更新所有池的奖励变量
+     * @notice Update reward variables for all pools. Be careful of gas spending!
+     */
+    function massUpdatePools() public {
+        uint256 length = pool.length;
+        for (uint256 pid = 0; pid < length; pid++) {
+            updatePool(pid);
+        }
+    }
+
+    // ************************************** INTERNAL FUNCTION  内部函数**************************************
+
+    /** ERC-2771：可信转发合约调用时，真正的调用者是 calldata 末尾的 20 字节
+     */
+    function _msgSender() internal view virtual override returns (address) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    function _msgData() internal view virtual override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
+    }
+
+    function _contextSuffixLength() internal view virtual override returns (uint256) {
+        return isTrustedForwarder(msg.sender) ? 20 : 0;
+    }
+}
@@ -0,0 +1,97 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+import "./MetaNodeStake.sol";
+
+/**
+ * MetaNodeStake 的只读聚合查询：
+ *   返回数组的查询放在这个合约中，避免质押合约超过 24KB 的大小上限。
+ * 只读取质押合约的公开接口，没有状态，质押合约升级后不需要重新部署
+ */
+contract MetaNodeStakeLens {
+    using Math for uint256;
+
+    MetaNodeStake public immutable stake; // 质押合约（代理地址）
+
+    constructor(MetaNodeStake _stake) {
+        stake = _stake;
+    }
+
+    /** 获取用户每一笔待提现的解质押请求
+     * @notice Get the user's pending unstake requests with their ids, amounts and unlock blocks.
+     * Withdrawn and cancelled requests are skipped. The id is what `MetaNodeStake.cancelUnstake` expects.
+     */
+    function unstakeRequests(
+        uint256 _pid,
+        address _user
+    )
+        external
+        view
+        returns (uint256[] memory ids, MetaNodeStake.UnstakeRequest[] memory requests)
+    {
+        require(_pid < stake.poolLength(), "invalid pid");
+        MetaNodeStake.UnstakeRequest[] memory requests_ = stake.userRequests(_pid, _user);
+        uint256 head = stake.requestHead(_pid, _user);
+
+        uint256 count;
+        for (uint256 i = head; i < requests_.length; i++) {
+            if (requests_[i].amount > 0) {
+                count++;
+            }
+        }
+
+        ids = new uint256[](count);
+        requests = new MetaNodeStake.UnstakeRequest[](count);
+        uint256 j;
+        for (uint256 i = head; i < requests_.length; i++) {
+            if (requests_[i].amount > 0) {
+                ids[j] = i;
+                requests[j] = requests_[i];
+                j++;
+            }
+        }
+    }
+
+    /** 奖励偿付能力
+     * @notice Compare the MetaNode balance with what the contract owes now and will owe until `endBlock`.
+     * `accrued` includes rewards not yet synced by `updatePool` and all IOUs.
+     * `future` assumes every block until `endBlock` is emitted, so it is an upper bound.
+     *
+     * @return balance     MetaNode balance of the contract available for rewards, excluding `stakedMetaNode`
+     * @return accrued     Rewards earned by users but not paid yet
+     * @return future      Rewards still to be emitted from now until `endBlock`
+     * @return shortfall   How much MetaNode is missing to cover `accrued + future`, 0 if fully funded
+     */
+    function rewardSolvency()
+        external
+        view
+        returns (
+            uint256 balance,
+            uint256 accrued,
+            uint256 future,
+            uint256 shortfall
+        )
+    {
+        (, balance) = stake.MetaNode().balanceOf(address(stake)).trySub(stake.stakedMetaNode());
+        accrued = stake.accruedMetaNode();
+        uint256 now_ = stake.clock();
+        // 加上各池自上次 updatePool 以来尚未结算的奖励，没有质押的池不分配奖励
+        uint256 length = stake.poolLength();
+        for (uint256 pid = 0; pid < length; pid++) {
+            (, uint256 poolWeight, uint256 lastRewardBlock, , uint256 stTokenAmount, , ) = stake.pool(pid);
+            if (stTokenAmount > 0 && now_ > lastRewardBlock) {
+                accrued =
+                    accrued +
+                    (stake.getMultiplier(lastRewardBlock, now_) * poolWeight) /
+                    stake.totalPoolWeight();
+            }
+        }
+        uint256 endBlock = stake.endBlock();
+        if (now_ < endBlock) {
+            future = stake.getMultiplier(now_, endBlock);
+        }
+        (, shortfall) = (accrued + future).trySub(balance);
+    }
+}
@@ -7,6 +7,16 @@ contract MetaNodeStakeV2 is MetaNodeStake {
     // 添加新功能
     uint256 public newVersionVariable;
 
+    /**
+     * @notice Initialize V2 state, called once through `upgradeToAndCall` when upgrading from V1.
+     * 升级时初始化 V2 新增的状态，只能执行一次
+     */
+    function initializeV2(
+        uint256 _newVersionVariable
+    ) external reinitializer(2) onlyRole(UPGRADE_ROLE) {
+        newVersionVariable = _newVersionVariable;
+    }
+
     function setNewVersionVariable(
         uint256 _value
     ) external onlyRole(ADMIN_ROLE) {
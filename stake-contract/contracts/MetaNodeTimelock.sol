@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * 治理用的 timelock：部署流水线可以把 MetaNodeStake 的 DEFAULT_ADMIN_ROLE / ADMIN_ROLE / UPGRADE_ROLE
+ * 交给它，之后修改排放、池权重、奖励代币和升级都要先 schedule，等待 minDelay 后才能 execute。
+ * proposers 一般是多签钱包，timelock 自己管理自己的角色（admin 为零地址）
+ */
+contract MetaNodeTimelock is TimelockController {
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors
+    ) TimelockController(minDelay, proposers, executors, address(0)) {}
+}
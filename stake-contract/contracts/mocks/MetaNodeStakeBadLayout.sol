@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+
+/**
+ * 仅用于测试：第一个存储槽从 MetaNodeStake 的 uint256 startBlock 变成了 bool withdrawPaused，
+ * 存储布局不兼容，升级校验必须拒绝它
+ */
+contract MetaNodeStakeBadLayout is UUPSUpgradeable, AccessControlUpgradeable {
+    bool public withdrawPaused;
+    uint256 public startBlock;
+    uint256 public endBlock;
+
+    function _authorizeUpgrade(address) internal override {}
+}
@@ -3,14 +3,22 @@ require("dotenv").config();
 require("@openzeppelin/hardhat-upgrades");
 // require("@nomicfoundation/hardhat-ethers");
 require("solidity-coverage");
+require("./tasks/stake");
+require("./tasks/deploy");
+require("./tasks/upgrade");
+require("./tasks/timelock");
+require("./tasks/simulate");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
     version: "0.8.22",
     settings: {
+      // 不开优化器时，基线 MetaNodeStake 已经是 24261 字节，加上暂停和紧急提现后是 25728 字节，
+      // 超过 24576 字节的合约大小上限，所以打开优化器并使用 solc 默认的 runs 200。
+      // 优化器只改变字节码，不改变存储布局，从 sepolia 上未优化编译的实现升级时存储校验不受影响
       optimizer: {
-        enabled: false,
+        enabled: true,
         runs: 200,
       },
     },
@@ -0,0 +1,148 @@
+const { JsonStore } = require("./store");
+const { createServer } = require("./server");
+
+// 需要索引的 MetaNodeStake 事件
+const TRACKED_EVENTS = [
+  "Deposit",
+  "RequestUnstake",
+  "CancelUnstake",
+  "Withdraw",
+  "Claim",
+  "Compound",
+  "EmergencyWithdraw",
+  "TransferStake",
+  "Lock",
+  "ReleaseLock",
+  "UpdatePool",
+  "SetPoolWeight",
+];
+
+// 默认只索引 12 个确认之后的区块，本地自动出块的节点可以设为 0
+const DEFAULT_CONFIRMATIONS = 12;
+
+/**
+ * MetaNodeStake 事件索引器：
+ *   从 startBlock 开始分批回填历史事件，之后按固定间隔追踪新区块
+ *   每批记录最后区块的哈希，哈希对不上说明发生了链重组，回滚到最近一个仍在链上的检查点重新索引
+ */
+class StakeIndexer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.contract    MetaNodeStake 合约实例（需要带 provider）
+   * @param {JsonStore} options.store                       事件存储
+   * @param {number} [options.startBlock]                   首次索引的起始区块
+   * @param {number} [options.batchSize]                    每次 getLogs 查询的区块数量
+   * @param {number} [options.confirmations]                只索引已有足够确认数的区块，默认 12
+   * @param {string[]} [options.events]                     需要索引的事件，默认 TRACKED_EVENTS
+   */
+  constructor({ contract, store, startBlock = 0, batchSize = 2000, confirmations = DEFAULT_CONFIRMATIONS, events = TRACKED_EVENTS }) {
+    this.contract = contract;
+    this.provider = contract.runner.provider || contract.runner;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.events = events;
+    this._timer = undefined;
+    this._syncing = undefined;
+  }
+
+  /**
+   * 回填 [上次索引区块 + 1, toBlock] 之间的事件
+   */
+  async backfill(toBlock) {
+    if (toBlock === undefined) {
+      toBlock = (await this.provider.getBlockNumber()) - this.confirmations;
+    }
+    await this._handleReorg();
+    let from =
+      this.store.lastBlock === undefined ? this.startBlock : this.store.lastBlock + 1;
+
+    while (from <= toBlock) {
+      const to = Math.min(from + this.batchSize - 1, toBlock);
+      const logs = await this.contract.queryFilter("*", from, to);
+      const events = await this._normalize(
+        logs.filter((log) => this.events.includes(log.eventName))
+      );
+      const block = await this.provider.getBlock(to);
+      this.store.append(events, to, block.hash);
+      from = to + 1;
+    }
+    return this.store.lastBlock;
+  }
+
+  /**
+   * 最后一个检查点的区块哈希变了时，从新到旧找到仍在链上的检查点，回滚到那里；
+   * 一个都找不到时从 startBlock 重新索引。没有检查点（旧格式的数据）时不做检查
+   */
+  async _handleReorg() {
+    const { checkpoints } = this.store;
+    if (checkpoints.length === 0) return;
+    for (let i = checkpoints.length - 1; i >= 0; i--) {
+      const block = await this.provider.getBlock(checkpoints[i].block);
+      if (block && block.hash === checkpoints[i].hash) {
+        if (i < checkpoints.length - 1) {
+          console.warn(`indexer: chain reorg detected, rolling back to block ${checkpoints[i].block}`);
+          this.store.rollback(checkpoints[i].block);
+        }
+        return;
+      }
+    }
+    console.warn("indexer: chain reorg detected beyond the saved checkpoints, reindexing from the start block");
+    this.store.rollback(undefined);
+  }
+
+  /**
+   * 同步到最新区块，同一时间只会有一个同步在执行
+   */
+  async poll() {
+    if (!this._syncing) {
+      this._syncing = this.backfill().finally(() => {
+        this._syncing = undefined;
+      });
+    }
+    return this._syncing;
+  }
+
+  /**
+   * 开始追踪新区块
+   */
+  start(interval = 4000) {
+    if (this._timer) return;
+    this._timer = setInterval(() => {
+      this.poll().catch((error) => console.error("indexer poll failed:", error));
+    }, interval);
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = undefined;
+  }
+
+  async _normalize(logs) {
+    const timestamps = new Map();
+    const events = [];
+    for (const log of logs) {
+      if (!timestamps.has(log.blockNumber)) {
+        const block = await this.provider.getBlock(log.blockNumber);
+        timestamps.set(log.blockNumber, block.timestamp);
+      }
+      const args = {};
+      log.fragment.inputs.forEach((input, i) => {
+        const value = log.args[i];
+        args[input.name] = typeof value === "bigint" ? value.toString() : value;
+      });
+      events.push({
+        event: log.eventName,
+        blockNumber: log.blockNumber,
+        timestamp: timestamps.get(log.blockNumber),
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        args,
+      });
+    }
+    return events;
+  }
+}
+
+module.exports = { StakeIndexer, JsonStore, createServer, TRACKED_EVENTS, DEFAULT_CONFIRMATIONS };
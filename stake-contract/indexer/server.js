@@ -0,0 +1,49 @@
+const http = require("http");
+
+/**
+ * 索引数据的 HTTP 查询接口：
+ *   GET /status                    已索引到的区块和事件数量
+ *   GET /history/:user?pid=<pid>   用户的操作记录，可按池过滤
+ *   GET /pools/:pid/history        池的全部事件
+ */
+function createServer(store) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const parts = url.pathname.split("/").filter(Boolean);
+
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Content-Type", "application/json");
+
+    if (req.method !== "GET") {
+      return send(res, 405, { error: "method not allowed" });
+    }
+    if (parts.length === 1 && parts[0] === "status") {
+      return send(res, 200, { lastBlock: store.lastBlock, events: store.events.length });
+    }
+    if (parts.length === 2 && parts[0] === "history") {
+      const pid = url.searchParams.get("pid");
+      if (pid !== null && !/^\d+$/.test(pid)) {
+        return send(res, 400, { error: "invalid pid" });
+      }
+      return send(
+        res,
+        200,
+        store.getUserHistory(parts[1], { poolId: pid === null ? undefined : pid })
+      );
+    }
+    if (parts.length === 3 && parts[0] === "pools" && parts[2] === "history") {
+      if (!/^\d+$/.test(parts[1])) {
+        return send(res, 400, { error: "invalid pid" });
+      }
+      return send(res, 200, store.getPoolHistory(parts[1]));
+    }
+    send(res, 404, { error: "not found" });
+  });
+}
+
+function send(res, status, body) {
+  res.statusCode = status;
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { createServer };
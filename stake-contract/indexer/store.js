@@ -0,0 +1,161 @@
+const fs = require("fs");
+const path = require("path");
+
+// 保留最近多少个检查点，链重组深度超过这个范围时从头重新索引
+const MAX_CHECKPOINTS = 128;
+
+/**
+ * 基于 JSON Lines 文件的事件存储
+ * 事件按 (blockNumber, logIndex) 的顺序逐行追加到 file，每批只写新增的事件；
+ * 已索引的最后区块和最近区块的哈希（检查点）保存在 <file>.cursor 中，用来发现链重组并回滚
+ */
+class JsonStore {
+  constructor(file) {
+    this.file = file;
+    this.lastBlock = undefined;
+    this.checkpoints = [];
+    this.events = [];
+    this._keys = new Set();
+  }
+
+  get cursorFile() {
+    return `${this.file}.cursor`;
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return this;
+    }
+    const content = fs.readFileSync(this.file, "utf8");
+    const legacy = parseLegacy(content);
+    if (legacy) {
+      // 旧版本把全部事件写在一个 JSON 对象里，转换成逐行格式，没有检查点
+      this.events = legacy.events || [];
+      this.lastBlock = legacy.lastBlock;
+      this._keys = new Set(this.events.map(eventKey));
+      this._rewrite();
+      return this;
+    }
+
+    const lines = content.split("\n").filter(Boolean);
+    for (const [i, line] of lines.entries()) {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        // 进程在追加时中断会留下半行，丢弃后由下一次同步重新获取
+        if (i === lines.length - 1) break;
+        throw error;
+      }
+      const key = eventKey(event);
+      if (this._keys.has(key)) continue;
+      this._keys.add(key);
+      this.events.push(event);
+    }
+    if (fs.existsSync(this.cursorFile)) {
+      const cursor = JSON.parse(fs.readFileSync(this.cursorFile, "utf8"));
+      this.lastBlock = cursor.lastBlock;
+      this.checkpoints = cursor.checkpoints || [];
+    }
+    // 事件已经追加但游标还没写入时，这些区块会被重新索引，这里先去掉，避免游标之后的事件被当作已确认
+    if (this.lastBlock === undefined ? this.events.length > 0 : this.events.some((e) => e.blockNumber > this.lastBlock)) {
+      this.rollback(this.lastBlock);
+    }
+    return this;
+  }
+
+  /**
+   * 追加一批事件，lastBlock 是这一批覆盖到的区块，hash 是它的区块哈希
+   */
+  append(events, lastBlock, hash) {
+    const added = [];
+    for (const event of events) {
+      const key = eventKey(event);
+      if (this._keys.has(key)) continue;
+      this._keys.add(key);
+      added.push(event);
+    }
+    this.events.push(...added);
+    this.lastBlock = lastBlock;
+    if (hash) {
+      this.checkpoints.push({ block: lastBlock, hash });
+      this.checkpoints = this.checkpoints.slice(-MAX_CHECKPOINTS);
+    }
+
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    if (added.length > 0) {
+      fs.appendFileSync(this.file, added.map((event) => `${JSON.stringify(event)}\n`).join(""));
+    }
+    this._saveCursor();
+  }
+
+  /**
+   * 链重组时丢弃 block 之后的事件和检查点，block 为 undefined 时清空全部数据
+   */
+  rollback(block) {
+    const keep = (blockNumber) => block !== undefined && blockNumber <= block;
+    this.events = this.events.filter((event) => keep(event.blockNumber));
+    this._keys = new Set(this.events.map(eventKey));
+    this.checkpoints = this.checkpoints.filter((checkpoint) => keep(checkpoint.block));
+    this.lastBlock = block;
+    if (this.file) {
+      this._rewrite();
+    }
+  }
+
+  /**
+   * 用户在所有池（或指定池）的操作记录，TransferStake 同时出现在转出方和转入方的记录中
+   */
+  getUserHistory(user, { poolId } = {}) {
+    const account = user.toLowerCase();
+    return this.events.filter(
+      (event) =>
+        [event.args.user, event.args.from, event.args.to].some(
+          (address) => address !== undefined && address.toLowerCase() === account
+        ) &&
+        (poolId === undefined || event.args.poolId === String(poolId))
+    );
+  }
+
+  /**
+   * 指定池的全部事件，包括 UpdatePool 和 SetPoolWeight
+   */
+  getPoolHistory(poolId) {
+    return this.events.filter((event) => event.args.poolId === String(poolId));
+  }
+
+  _saveCursor() {
+    writeAtomic(this.cursorFile, JSON.stringify({ lastBlock: this.lastBlock, checkpoints: this.checkpoints }));
+  }
+
+  // 只在转换旧格式和回滚时整体重写
+  _rewrite() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    writeAtomic(this.file, this.events.map((event) => `${JSON.stringify(event)}\n`).join(""));
+    this._saveCursor();
+  }
+}
+
+// 先写临时文件再重命名，避免进程中断时留下半个文件
+function writeAtomic(file, content) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, content);
+  fs.renameSync(tmp, file);
+}
+
+function parseLegacy(content) {
+  if (!content.startsWith("{\n")) return undefined;
+  try {
+    const data = JSON.parse(content);
+    return Array.isArray(data.events) ? data : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function eventKey(event) {
+  return `${event.transactionHash}:${event.logIndex}`;
+}
+
+module.exports = { JsonStore };
@@ -0,0 +1,112 @@
+/**
+ * 自动复投 keeper：
+ *   通过 SetAutoCompound 事件找出开启了自动复投的用户，
+ *   定期为他们调用 compoundFor，把各池的奖励质押到 MetaNode 池
+ */
+class CompoundKeeper {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.contract    MetaNodeStake 合约实例（需要带 signer，由它支付 gas）
+   * @param {number} [options.startBlock]                   首次扫描 SetAutoCompound 事件的起始区块
+   * @param {number} [options.batchSize]                    每次 getLogs 查询的区块数量
+   * @param {bigint} [options.minReward]                    待领取奖励达到这个数量才复投，避免 gas 比奖励还多
+   */
+  constructor({ contract, startBlock = 0, batchSize = 2000, minReward = 1n }) {
+    this.contract = contract;
+    this.provider = contract.runner.provider || contract.runner;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.minReward = minReward;
+    this.users = new Map(); // 用户地址 => 是否开启自动复投
+    this.lastBlock = undefined;
+    this._timer = undefined;
+    this._running = undefined;
+  }
+
+  /**
+   * 扫描 [上次扫描区块 + 1, toBlock] 之间的 SetAutoCompound 事件，返回当前开启自动复投的用户
+   */
+  async syncUsers(toBlock) {
+    if (toBlock === undefined) {
+      toBlock = await this.provider.getBlockNumber();
+    }
+    let from = this.lastBlock === undefined ? this.startBlock : this.lastBlock + 1;
+
+    while (from <= toBlock) {
+      const to = Math.min(from + this.batchSize - 1, toBlock);
+      const logs = await this.contract.queryFilter(
+        this.contract.filters.SetAutoCompound(),
+        from,
+        to
+      );
+      for (const log of logs) {
+        this.users.set(log.args.user, log.args.enabled);
+      }
+      this.lastBlock = to;
+      from = to + 1;
+    }
+    return [...this.users].filter(([, enabled]) => enabled).map(([user]) => user);
+  }
+
+  /**
+   * 为所有开启了自动复投的用户复投一轮，单个调用失败不影响其他用户
+   *
+   * @return 每一笔复投的 { user, pid, reward, hash }
+   */
+  async runOnce() {
+    const users = await this.syncUsers();
+    if (
+      (await this.contract.compoundPid()) === 0n ||
+      (await this.contract.paused()) ||
+      (await this.contract.claimPaused())
+    ) {
+      return [];
+    }
+
+    const poolLength = Number(await this.contract.poolLength());
+    const results = [];
+    for (const user of users) {
+      for (let pid = 0; pid < poolLength; pid++) {
+        const reward = await this.contract.pendingMetaNode(pid, user);
+        if (reward === 0n || reward < this.minReward) continue;
+        try {
+          const tx = await this.contract.compoundFor(pid, user);
+          await tx.wait();
+          results.push({ user, pid, reward, hash: tx.hash });
+        } catch (error) {
+          console.error(`compoundFor(${pid}, ${user}) failed:`, error.shortMessage || error.message);
+        }
+      }
+    }
+    return results;
+  }
+
+  /**
+   * 复投一轮，同一时间只会有一轮在执行
+   */
+  async poll() {
+    if (!this._running) {
+      this._running = this.runOnce().finally(() => {
+        this._running = undefined;
+      });
+    }
+    return this._running;
+  }
+
+  /**
+   * 开始定时复投
+   */
+  start(interval = 3600 * 1000) {
+    if (this._timer) return;
+    this._timer = setInterval(() => {
+      this.poll().catch((error) => console.error("keeper run failed:", error));
+    }, interval);
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = undefined;
+  }
+}
+
+module.exports = { CompoundKeeper };
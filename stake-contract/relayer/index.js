@@ -0,0 +1,75 @@
+// ERC2771Forwarder 的 ForwardRequest EIP-712 类型，签名时不包含 signature，使用 nonce 代替
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+async function forwarderDomain(forwarder) {
+  const [, name, version, chainId, verifyingContract] = await forwarder.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * 用户签名一个元交易请求，返回可以交给中继者的 ForwardRequestData
+ *
+ * @param {import("ethers").Contract} forwarder    MetaNodeForwarder 合约实例
+ * @param {import("ethers").Signer} signer         用户
+ * @param {object} call                            { to, data, value?, gas?, deadline }
+ */
+async function signForwardRequest(forwarder, signer, { to, data, value = 0n, gas = 1_000_000n, deadline }) {
+  const from = await signer.getAddress();
+  const message = {
+    from,
+    to,
+    value,
+    gas,
+    nonce: await forwarder.nonces(from),
+    deadline,
+    data,
+  };
+  const signature = await signer.signTypedData(
+    await forwarderDomain(forwarder),
+    FORWARD_REQUEST_TYPES,
+    message
+  );
+  return { from, to, value, gas, deadline, data, signature };
+}
+
+/**
+ * 简单的中继者：校验签名和目标合约后，用自己的账户提交元交易并支付 gas
+ */
+class Relayer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.forwarder    MetaNodeForwarder 合约实例（需要带中继者的 signer）
+   * @param {string[]} options.targets                       允许转发的目标合约地址，避免替任意合约付 gas
+   */
+  constructor({ forwarder, targets }) {
+    this.forwarder = forwarder;
+    this.targets = targets.map((target) => target.toLowerCase());
+  }
+
+  /**
+   * 提交一个已签名的请求，返回交易回执
+   */
+  async relay(request) {
+    if (!this.targets.includes(request.to.toLowerCase())) {
+      throw new Error(`target ${request.to} is not allowed`);
+    }
+    // verify 同时检查签名、nonce、期限和目标合约是否信任该转发合约
+    if (!(await this.forwarder.verify(request))) {
+      throw new Error("invalid forward request");
+    }
+    const tx = await this.forwarder.execute(request, { value: request.value });
+    return tx.wait();
+  }
+}
+
+module.exports = { FORWARD_REQUEST_TYPES, signForwardRequest, Relayer };
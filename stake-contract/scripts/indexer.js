@@ -0,0 +1,40 @@
+// 启动事件索引器：回填历史事件、追踪新区块，并提供 HTTP 查询接口
+// npx hardhat run scripts/indexer.js --network localhost
+// 合约地址和起始区块默认读取 deployments/<network>.json，可以用 STAKE_ADDRESS / INDEXER_START_BLOCK 覆盖
+const path = require("path");
+const hre = require("hardhat");
+const { StakeIndexer, JsonStore, createServer, DEFAULT_CONFIRMATIONS } = require("../indexer");
+const { resolveAddress, loadManifest } = require("../tasks/manifest");
+
+const { ethers, network } = hre;
+
+async function main() {
+  const stakeAddress = resolveAddress(hre, "MetaNodeStake", process.env.STAKE_ADDRESS);
+  const manifest = loadManifest(network.name);
+  const startBlock = Number(
+    process.env.INDEXER_START_BLOCK || (manifest && manifest.deployBlock) || 0
+  );
+  const confirmations = Number(process.env.INDEXER_CONFIRMATIONS ?? DEFAULT_CONFIRMATIONS);
+  const port = Number(process.env.INDEXER_PORT || 8787);
+  const file =
+    process.env.INDEXER_DB ||
+    path.join(__dirname, "..", "indexer-data", `${network.name}.jsonl`);
+
+  const stake = await ethers.getContractAt("MetaNodeStake", stakeAddress);
+  const store = new JsonStore(file).load();
+  const indexer = new StakeIndexer({ contract: stake, store, startBlock, confirmations });
+
+  console.log(`Backfilling ${stakeAddress} on ${network.name} from block ${store.lastBlock ?? startBlock}...`);
+  const lastBlock = await indexer.backfill();
+  console.log(`Indexed ${store.events.length} events up to block ${lastBlock}`);
+
+  indexer.start();
+  createServer(store).listen(port, () => {
+    console.log(`Indexer API listening on http://localhost:${port}`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+// 启动自动复投 keeper：定期为开启了自动复投（setAutoCompound）的用户调用 compoundFor
+// npx hardhat run scripts/keeper.js --network localhost
+// 合约地址和起始区块默认读取 deployments/<network>.json，可以用 STAKE_ADDRESS / KEEPER_START_BLOCK 覆盖
+const hre = require("hardhat");
+const { CompoundKeeper } = require("../keeper");
+const { resolveAddress, loadManifest } = require("../tasks/manifest");
+
+const { ethers, network } = hre;
+
+async function main() {
+  const stakeAddress = resolveAddress(hre, "MetaNodeStake", process.env.STAKE_ADDRESS);
+  const manifest = loadManifest(network.name);
+  const startBlock = Number(
+    process.env.KEEPER_START_BLOCK || (manifest && manifest.deployBlock) || 0
+  );
+  const minReward = ethers.parseEther(process.env.KEEPER_MIN_REWARD || "1");
+  const interval = Number(process.env.KEEPER_INTERVAL || 3600) * 1000;
+
+  const [signer] = await ethers.getSigners();
+  const stake = await ethers.getContractAt("MetaNodeStake", stakeAddress, signer);
+  const keeper = new CompoundKeeper({ contract: stake, startBlock, minReward });
+
+  const report = async () => {
+    const results = await keeper.poll();
+    for (const { user, pid, reward, hash } of results) {
+      console.log(`Compounded ${ethers.formatEther(reward)} MetaNode of ${user} from pool ${pid}, tx: ${hash}`);
+    }
+    console.log(`${new Date().toISOString()} ${results.length} compound(s), next run in ${interval / 1000}s`);
+  };
+
+  console.log(`Keeper ${signer.address} compounding on ${stakeAddress} (${network.name})`);
+  await report();
+  // KEEPER_ONCE=1 时只执行一轮，方便交给 cron 调度
+  if (process.env.KEEPER_ONCE) return;
+  setInterval(() => report().catch((error) => console.error("keeper run failed:", error)), interval);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
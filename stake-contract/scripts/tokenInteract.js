@@ -1,9 +1,10 @@
-const { ethers } = require('hardhat')
+const hre = require('hardhat')
+const { resolveAddress } = require('../tasks/manifest')
 
 async function main() {
-    const stakeContract = ethers.getContractAt('MetaNodeStake', '0x62b7C03E5A42fedE09D1b862Cb7936B26fDc5c1e')
+    const stakeContract = await hre.ethers.getContractAt('MetaNodeStake', resolveAddress(hre, 'MetaNodeStake', process.env.STAKE_ADDRESS))
     const data = await stakeContract.MetaNode()
     console.log(data);
 }
 
-main()
\ No newline at end of file
+main()
@@ -0,0 +1,930 @@
+const { formatUnits, parseUnits } = require("ethers");
+
+const ONE = 10n ** 18n;
+// 锁仓倍数的基数，与合约的 BOOST_BASE 一致
+const BOOST_BASE = 10000n;
+const MAX_BOOST = 50000n;
+
+/**
+ * 链下奖励模拟器：
+ *   用 bigint 按合约的取整顺序重新实现 getMultiplier、updatePool、质押、解质押、领取和复投的记账，
+ *   不需要部署合约就能回答「调整权重 / 速率之后各池、各用户能拿到多少奖励」。
+ *   所有操作都发生在当前的 clock 上（区块号，按时间戳计时的合约中是时间戳），用 at(block) 推进，
+ *   不会后退。假设合约的 MetaNode 余额足够，领取不会产生欠款
+ */
+class RewardSimulator {
+  /**
+   * @param {object} config
+   * @param {bigint} config.startBlock          奖励开始区块
+   * @param {bigint} config.endBlock            奖励结束区块
+   * @param {bigint} config.metaNodePerBlock    每区块奖励（wei）
+   * @param {object[]} [config.emissionPhases]  [{ startBlock, metaNodePerBlock, halvingInterval }]
+   * @param {object[]} [config.lockTiers]       [{ duration, multiplier }]
+   */
+  constructor({ startBlock, endBlock, metaNodePerBlock, emissionPhases = [], lockTiers = [] }) {
+    this.startBlock = BigInt(startBlock);
+    this.endBlock = BigInt(endBlock);
+    this.metaNodePerBlock = BigInt(metaNodePerBlock);
+    this.emissionPhases = emissionPhases.map((phase) => ({
+      startBlock: BigInt(phase.startBlock),
+      metaNodePerBlock: BigInt(phase.metaNodePerBlock),
+      halvingInterval: BigInt(phase.halvingInterval || 0),
+    }));
+    this.lockTiers = lockTiers.map((tier) => ({
+      duration: BigInt(tier.duration),
+      multiplier: BigInt(tier.multiplier),
+    }));
+    this.pools = [];
+    this.totalPoolWeight = 0n;
+    this.compoundPid = 0;
+    this.accruedMetaNode = 0n;
+    this.clock = 0n;
+    this._users = new Map(); // `${pid}:${user}` => 用户状态
+  }
+
+  /**
+   * 把 clock 推进到 block，之后的操作都发生在这个区块
+   */
+  at(block) {
+    block = BigInt(block);
+    if (block < this.clock) {
+      throw new Error(`block ${block} is before the current block ${this.clock}`);
+    }
+    this.clock = block;
+    return this;
+  }
+
+  // ************************************** 管理操作 **************************************
+
+  /**
+   * @param {object} options    { weight, unstakeLockedBlocks, withUpdate, metaNode }，metaNode 表示质押的是 MetaNode
+   * @return                    新池的 id
+   */
+  addPool({ weight, unstakeLockedBlocks = 0n, withUpdate = false, metaNode = false }) {
+    check(BigInt(unstakeLockedBlocks) > 0n, "invalid withdraw locked blocks");
+    check(this.clock < this.endBlock, "Already ended");
+    if (withUpdate) {
+      this.massUpdatePools();
+    }
+    this.totalPoolWeight += BigInt(weight);
+    this.pools.push({
+      poolWeight: BigInt(weight),
+      lastRewardBlock: this.clock > this.startBlock ? this.clock : this.startBlock,
+      accMetaNodePerST: 0n,
+      stTokenAmount: 0n,
+      boost: 0n,
+      unstakeLockedBlocks: BigInt(unstakeLockedBlocks),
+      // 已经分配给池中质押者的奖励
+      distributed: 0n,
+    });
+    const pid = this.pools.length - 1;
+    // 第一个质押 MetaNode 的池作为复投目标
+    if (this.compoundPid === 0 && metaNode) {
+      this.compoundPid = pid;
+    }
+    return pid;
+  }
+
+  setPoolWeight(pid, weight, withUpdate = false) {
+    const pool = this._pool(pid);
+    weight = BigInt(weight);
+    check(weight > 0n, "invalid pool weight");
+    if (withUpdate) {
+      this.massUpdatePools();
+    }
+    this.totalPoolWeight = this.totalPoolWeight - pool.poolWeight + weight;
+    pool.poolWeight = weight;
+  }
+
+  // 对应合约的 updatePool(pid, minDepositAmount, unstakeLockedBlocks)，最小质押量不影响奖励
+  updatePoolInfo(pid, unstakeLockedBlocks) {
+    this._pool(pid).unstakeLockedBlocks = BigInt(unstakeLockedBlocks);
+  }
+
+  // 和合约一样只修改速率，需要先 massUpdatePools，否则新速率会作用于各池尚未结算的区块
+  setMetaNodePerBlock(metaNodePerBlock) {
+    metaNodePerBlock = BigInt(metaNodePerBlock);
+    check(metaNodePerBlock > 0n, "invalid parameter");
+    this.metaNodePerBlock = metaNodePerBlock;
+  }
+
+  setStartBlock(startBlock) {
+    check(BigInt(startBlock) <= this.endBlock, "start block must be smaller than end block");
+    this.startBlock = BigInt(startBlock);
+  }
+
+  setEndBlock(endBlock) {
+    check(this.startBlock <= BigInt(endBlock), "start block must be smaller than end block");
+    this.endBlock = BigInt(endBlock);
+  }
+
+  addEmissionPhase(startBlock, metaNodePerBlock, halvingInterval = 0n) {
+    startBlock = BigInt(startBlock);
+    check(startBlock >= this.clock, "phase must not start in the past");
+    const last = this.emissionPhases[this.emissionPhases.length - 1];
+    check(!last || startBlock > last.startBlock, "phase must start after the last phase");
+    this.emissionPhases.push({
+      startBlock,
+      metaNodePerBlock: BigInt(metaNodePerBlock),
+      halvingInterval: BigInt(halvingInterval),
+    });
+  }
+
+  removeEmissionPhase() {
+    const last = this.emissionPhases[this.emissionPhases.length - 1];
+    check(last, "no emission phase");
+    check(last.startBlock >= this.clock, "phase already started");
+    this.emissionPhases.pop();
+  }
+
+  // tierId 等于档位数量时追加新档位，对应合约的 addLockTier
+  setLockTier(tierId, duration, multiplier) {
+    tierId = Number(tierId);
+    check(tierId <= this.lockTiers.length, "invalid lock tier");
+    check(BigInt(duration) > 0n, "invalid lock duration");
+    check(BigInt(multiplier) >= BOOST_BASE && BigInt(multiplier) <= MAX_BOOST, "invalid lock multiplier");
+    this.lockTiers[tierId] = { duration: BigInt(duration), multiplier: BigInt(multiplier) };
+  }
+
+  addLockTier(duration, multiplier) {
+    this.setLockTier(this.lockTiers.length, duration, multiplier);
+  }
+
+  // ************************************** 奖励计算 **************************************
+
+  /**
+   * [from, to) 区间的奖励倍数，跨排放阶段和减半周期分段累加
+   */
+  getMultiplier(from, to) {
+    from = BigInt(from);
+    to = BigInt(to);
+    check(from <= to, "invalid block");
+    if (to <= this.startBlock || from >= this.endBlock) {
+      return 0n;
+    }
+    if (from < this.startBlock) from = this.startBlock;
+    if (to > this.endBlock) to = this.endBlock;
+
+    let multiplier = 0n;
+    let end = to;
+    for (let i = this.emissionPhases.length; i > 0 && end > from; i--) {
+      const phase = this.emissionPhases[i - 1];
+      if (phase.startBlock >= end) continue;
+      const start = phase.startBlock > from ? phase.startBlock : from;
+      multiplier += phaseEmission(phase, start, end);
+      end = start;
+    }
+    if (end > from) {
+      multiplier += (end - from) * this.metaNodePerBlock;
+    }
+    return multiplier;
+  }
+
+  updatePool(pid) {
+    const pool = this._pool(pid);
+    if (this.clock <= pool.lastRewardBlock) {
+      return;
+    }
+    const { reward, accMetaNodePerST } = this._poolReward(pid, this.clock);
+    pool.accMetaNodePerST = accMetaNodePerST;
+    if (this.boostedSupply(pid) > 0n) {
+      this.accruedMetaNode += reward;
+      pool.distributed += reward;
+    }
+    pool.lastRewardBlock = this.clock;
+  }
+
+  massUpdatePools() {
+    this.pools.forEach((_, pid) => this.updatePool(pid));
+  }
+
+  boostedBalance(pid, user) {
+    const user_ = this._user(pid, user);
+    return user_.stAmount + (user_.lock ? user_.lock.boost : 0n);
+  }
+
+  boostedSupply(pid) {
+    const pool = this._pool(pid);
+    return pool.stTokenAmount + pool.boost;
+  }
+
+  /**
+   * 用户在 block（默认当前区块）时的待领取奖励，对应合约的 pendingMetaNodeByBlockNumber
+   */
+  pendingMetaNode(pid, user, block = this.clock) {
+    const user_ = this._user(pid, user);
+    const { accMetaNodePerST } = this._poolReward(pid, BigInt(block));
+    return (this.boostedBalance(pid, user) * accMetaNodePerST) / ONE - user_.finishedMetaNode + user_.pendingMetaNode;
+  }
+
+  /**
+   * 池子到 block 为止分配给质押者的奖励，包括尚未结算的部分
+   */
+  poolDistributed(pid, block = this.clock) {
+    const pool = this._pool(pid);
+    if (this.boostedSupply(pid) === 0n) {
+      return pool.distributed;
+    }
+    return pool.distributed + this._poolReward(pid, BigInt(block)).reward;
+  }
+
+  // ************************************** 用户操作 **************************************
+
+  /**
+   * @param {number|null} [tierId]    锁仓档位，不传表示不锁仓
+   */
+  deposit(pid, user, amount, tierId = null) {
+    const pool = this._pool(pid);
+    const user_ = this._user(pid, user);
+    amount = BigInt(amount);
+
+    if (tierId !== null && tierId !== undefined) {
+      const tier = this.lockTiers[Number(tierId)];
+      check(tier, "invalid lock tier");
+      check(tier.multiplier >= this._activeLock(pid, user).multiplier, "lock tier lower than current lock");
+    }
+
+    this.updatePool(pid);
+    this._accruePending(pid, user);
+    this._releaseExpiredLock(pid, user);
+    user_.stAmount += amount;
+    pool.stTokenAmount += amount;
+    if (tierId !== null && tierId !== undefined) {
+      this._lock(pid, user, amount, Number(tierId));
+    }
+    this._syncFinished(pid, user);
+  }
+
+  unstake(pid, user, amount) {
+    const pool = this._pool(pid);
+    const user_ = this._user(pid, user);
+    amount = BigInt(amount);
+    check(user_.stAmount >= amount, "Not enough staking token balance");
+    check(user_.stAmount - this._activeLock(pid, user).amount >= amount, "stake is locked");
+
+    this.updatePool(pid);
+    this._accruePending(pid, user);
+    this._releaseExpiredLock(pid, user);
+    if (amount > 0n) {
+      user_.stAmount -= amount;
+      user_.requests.push({ amount, unlockBlock: this.clock + pool.unstakeLockedBlocks });
+    }
+    pool.stTokenAmount -= amount;
+    this._syncFinished(pid, user);
+  }
+
+  /**
+   * @return    重新质押的数量
+   */
+  cancelUnstake(pid, user, requestId) {
+    const pool = this._pool(pid);
+    const user_ = this._user(pid, user);
+    requestId = Number(requestId);
+    const request = user_.requests[requestId];
+    check(
+      requestId >= user_.requestHead && request && request.amount > 0n,
+      "invalid unstake request"
+    );
+
+    this.updatePool(pid);
+    this._accruePending(pid, user);
+    const amount = request.amount;
+    request.amount = 0n;
+    user_.stAmount += amount;
+    pool.stTokenAmount += amount;
+    this._syncFinished(pid, user);
+    return amount;
+  }
+
+  /**
+   * 提现已解锁的请求，不影响奖励
+   * @return    提现的数量
+   */
+  withdraw(pid, user) {
+    const user_ = this._user(pid, user);
+    let amount = 0n;
+    while (user_.requestHead < user_.requests.length) {
+      const request = user_.requests[user_.requestHead];
+      if (request.unlockBlock > this.clock) break;
+      amount += request.amount;
+      request.amount = 0n;
+      user_.requestHead++;
+    }
+    return amount;
+  }
+
+  releaseLock(pid, user) {
+    const lock = this._user(pid, user).lock;
+    check(lock && lock.amount > 0n && lock.unlockBlock <= this.clock, "lock not expired");
+    this.updatePool(pid);
+    this._accruePending(pid, user);
+    this._releaseExpiredLock(pid, user);
+    this._syncFinished(pid, user);
+  }
+
+  /**
+   * @return    领取的奖励
+   */
+  claim(pid, user) {
+    const owed = this._settleRewards(pid, user);
+    this._user(pid, user).claimed += owed;
+    return owed;
+  }
+
+  /**
+   * 把 pid 池的奖励质押到复投目标池
+   * @return    复投的数量
+   */
+  compound(pid, user) {
+    check(this.compoundPid !== 0, "no MetaNode pool");
+    const owed = this._settleRewards(pid, user);
+    this._user(pid, user).compounded += owed;
+    if (owed > 0n) {
+      this.deposit(this.compoundPid, user, owed);
+    }
+    return owed;
+  }
+
+  /**
+   * 质押收据转账：双方先按旧的质押量结算奖励，再转移质押量
+   */
+  transferStake(pid, from, to, amount) {
+    amount = BigInt(amount);
+    if (from === to) return;
+    const from_ = this._user(pid, from);
+    check(from_.stAmount - this._activeLock(pid, from).amount >= amount, "stake is locked");
+
+    this.updatePool(pid);
+    this._accruePending(pid, from);
+    this._accruePending(pid, to);
+    this._releaseExpiredLock(pid, from);
+    this._releaseExpiredLock(pid, to);
+    from_.stAmount -= amount;
+    this._user(pid, to).stAmount += amount;
+    this._syncFinished(pid, from);
+    this._syncFinished(pid, to);
+  }
+
+  /**
+   * 紧急提现：取回全部本金，放弃未领取的奖励，不结算池子。
+   * 合约在全局暂停时允许提前取回锁仓，模拟器没有暂停状态，不检查锁仓
+   * @return    提现的数量
+   */
+  emergencyWithdraw(pid, user) {
+    const pool = this._pool(pid);
+    const user_ = this._user(pid, user);
+    const earned = (this.boostedBalance(pid, user) * pool.accMetaNodePerST) / ONE + user_.pendingMetaNode;
+    const forfeited = earned > user_.finishedMetaNode ? earned - user_.finishedMetaNode : 0n;
+    const amount = user_.requests
+      .slice(user_.requestHead)
+      .reduce((sum, request) => sum + request.amount, user_.stAmount);
+    check(amount > 0n, "nothing to withdraw");
+
+    this.accruedMetaNode = this.accruedMetaNode > forfeited ? this.accruedMetaNode - forfeited : 0n;
+    pool.stTokenAmount -= user_.stAmount;
+    pool.boost -= user_.lock ? user_.lock.boost : 0n;
+    Object.assign(user_, {
+      stAmount: 0n,
+      finishedMetaNode: 0n,
+      pendingMetaNode: 0n,
+      requestHead: user_.requests.length,
+      lock: undefined,
+    });
+    return amount;
+  }
+
+  // ************************************** 查询 **************************************
+
+  /**
+   * 用户在池中的状态
+   */
+  userInfo(pid, user) {
+    const user_ = this._user(pid, user);
+    return {
+      stAmount: user_.stAmount,
+      finishedMetaNode: user_.finishedMetaNode,
+      pendingMetaNode: user_.pendingMetaNode,
+      claimed: user_.claimed,
+      compounded: user_.compounded,
+      lock: user_.lock && { ...user_.lock },
+    };
+  }
+
+  /**
+   * 出现过的 [pid, user]，按首次出现的顺序
+   */
+  positions() {
+    return [...this._users.values()].map(({ pid, user }) => [pid, user]);
+  }
+
+  /**
+   * block 时各池和各用户的奖励，只读，不改变状态
+   */
+  snapshot(block = this.clock) {
+    block = BigInt(block);
+    return {
+      block,
+      pools: this.pools.map((pool, pid) => ({
+        pid,
+        poolWeight: pool.poolWeight,
+        stTokenAmount: pool.stTokenAmount,
+        distributed: this.poolDistributed(pid, block),
+      })),
+      users: this.positions().map(([pid, user]) => {
+        const user_ = this._user(pid, user);
+        const pending = this.pendingMetaNode(pid, user, block);
+        return {
+          pid,
+          user,
+          stAmount: user_.stAmount,
+          pending,
+          claimed: user_.claimed,
+          compounded: user_.compounded,
+          earned: pending + user_.claimed + user_.compounded,
+        };
+      }),
+    };
+  }
+
+  // ************************************** 内部实现 **************************************
+
+  _pool(pid) {
+    const pool = this.pools[Number(pid)];
+    check(pool, "invalid pid");
+    return pool;
+  }
+
+  _user(pid, user) {
+    this._pool(pid);
+    const key = `${Number(pid)}:${user}`;
+    if (!this._users.has(key)) {
+      this._users.set(key, {
+        pid: Number(pid),
+        user,
+        stAmount: 0n,
+        finishedMetaNode: 0n,
+        pendingMetaNode: 0n,
+        requests: [],
+        requestHead: 0,
+        lock: undefined,
+        claimed: 0n,
+        compounded: 0n,
+      });
+    }
+    return this._users.get(key);
+  }
+
+  _poolReward(pid, to) {
+    const pool = this._pool(pid);
+    let accMetaNodePerST = pool.accMetaNodePerST;
+    if (to <= pool.lastRewardBlock) {
+      return { reward: 0n, accMetaNodePerST };
+    }
+    const reward = (this.getMultiplier(pool.lastRewardBlock, to) * pool.poolWeight) / this.totalPoolWeight;
+    const supply = this.boostedSupply(pid);
+    if (supply > 0n) {
+      accMetaNodePerST += (reward * ONE) / supply;
+    }
+    return { reward, accMetaNodePerST };
+  }
+
+  _accruePending(pid, user) {
+    const user_ = this._user(pid, user);
+    user_.pendingMetaNode =
+      user_.pendingMetaNode +
+      (this.boostedBalance(pid, user) * this._pool(pid).accMetaNodePerST) / ONE -
+      user_.finishedMetaNode;
+  }
+
+  _syncFinished(pid, user) {
+    this._user(pid, user).finishedMetaNode =
+      (this.boostedBalance(pid, user) * this._pool(pid).accMetaNodePerST) / ONE;
+  }
+
+  _settleRewards(pid, user) {
+    const user_ = this._user(pid, user);
+    this.updatePool(pid);
+    this._accruePending(pid, user);
+    const owed = user_.pendingMetaNode;
+    user_.pendingMetaNode = 0n;
+    this._releaseExpiredLock(pid, user);
+    this._syncFinished(pid, user);
+    this.accruedMetaNode = this.accruedMetaNode > owed ? this.accruedMetaNode - owed : 0n;
+    return owed;
+  }
+
+  // 合约回退时状态不变，模拟器在修改状态之前检查：到期的锁仓会先被释放，不再限制
+  _activeLock(pid, user) {
+    const lock = this._user(pid, user).lock;
+    if (!lock || lock.unlockBlock <= this.clock) {
+      return { amount: 0n, multiplier: 0n };
+    }
+    return lock;
+  }
+
+  _lock(pid, user, amount, tierId) {
+    const tier = this.lockTiers[tierId];
+    const pool = this._pool(pid);
+    const user_ = this._user(pid, user);
+    const lock = user_.lock || { amount: 0n, multiplier: 0n, boost: 0n, unlockBlock: 0n };
+
+    let unlockBlock = this.clock + tier.duration;
+    if (lock.unlockBlock > unlockBlock) unlockBlock = lock.unlockBlock;
+    pool.boost -= lock.boost;
+    lock.amount += amount;
+    lock.multiplier = tier.multiplier;
+    lock.boost = (lock.amount * (tier.multiplier - BOOST_BASE)) / BOOST_BASE;
+    lock.unlockBlock = unlockBlock;
+    pool.boost += lock.boost;
+    user_.lock = lock;
+  }
+
+  _releaseExpiredLock(pid, user) {
+    const user_ = this._user(pid, user);
+    if (!user_.lock || user_.lock.amount === 0n || user_.lock.unlockBlock > this.clock) {
+      return;
+    }
+    this._pool(pid).boost -= user_.lock.boost;
+    user_.lock = undefined;
+  }
+}
+
+// 阶段内 [from, to) 的奖励，按减半周期分段，速率减到 0 后不再发放
+function phaseEmission(phase, from, to) {
+  const rate = phase.metaNodePerBlock;
+  const interval = phase.halvingInterval;
+  if (interval === 0n) {
+    return (to - from) * rate;
+  }
+  let amount = 0n;
+  let halvings = (from - phase.startBlock) / interval;
+  while (from < to && halvings < 256n && rate >> halvings > 0n) {
+    const periodEnd = phase.startBlock + (halvings + 1n) * interval;
+    const end = periodEnd < to ? periodEnd : to;
+    amount += (end - from) * (rate >> halvings);
+    from = end;
+    halvings++;
+  }
+  return amount;
+}
+
+// 对应合约的 require，错误信息保持一致
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+// ************************************** 场景和事件回放 **************************************
+
+// 影响奖励记账、回放时需要的 MetaNodeStake 事件
+const SIMULATED_EVENTS = [
+  "AddPool",
+  "SetPoolWeight",
+  "UpdatePoolInfo",
+  "UpdatePool",
+  "SetMetaNodePerBlock",
+  "SetStartBlock",
+  "SetEndBlock",
+  "AddEmissionPhase",
+  "RemoveEmissionPhase",
+  "SetLockTier",
+  "Lock",
+  "ReleaseLock",
+  "Deposit",
+  "RequestUnstake",
+  "CancelUnstake",
+  "Withdraw",
+  "Claim",
+  "Compound",
+  "TransferStake",
+  "EmergencyWithdraw",
+];
+
+/**
+ * 把合约事件（索引器的格式：{ event, blockNumber, transactionHash, logIndex, args }）转换成模拟器操作。
+ * 同一笔交易里的 Lock 合并到随后的 Deposit，复投产生的 Deposit 由 compound 操作代替
+ *
+ * @param {object[]} events
+ * @param {object} [options]    metaNode: MetaNode 代币地址，用于识别复投目标池；
+ *                              timestamp: 合约按时间戳计时，用事件的 timestamp 代替区块号
+ * @return                      [{ block, type, ... }]，数量都是 bigint（wei）
+ */
+function actionsFromEvents(events, { metaNode, timestamp = false } = {}) {
+  const sorted = [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  const actions = [];
+  for (let i = 0; i < sorted.length; ) {
+    let j = i;
+    while (j < sorted.length && sorted[j].transactionHash === sorted[i].transactionHash) j++;
+    actions.push(...txActions(sorted.slice(i, j), metaNode, timestamp));
+    i = j;
+  }
+  return actions;
+}
+
+function txActions(events, metaNode, timestamp) {
+  const actions = [];
+  const compounded = new Set(
+    events.filter((e) => e.event === "Compound").map((e) => e.args.user.toLowerCase())
+  );
+  let lockTier = null;
+  for (const { event, blockNumber, args, ...rest } of events) {
+    const block = BigInt(timestamp ? rest.timestamp : blockNumber);
+    const pid = args.poolId === undefined ? undefined : Number(args.poolId);
+    switch (event) {
+      case "AddPool":
+        actions.push({
+          block,
+          type: "addPool",
+          weight: BigInt(args.poolWeight),
+          unstakeLockedBlocks: BigInt(args.unstakeLockedBlocks),
+          metaNode: !!metaNode && args.stTokenAddress.toLowerCase() === metaNode.toLowerCase(),
+        });
+        break;
+      case "SetPoolWeight":
+        // 设置时顺带的 massUpdatePools 已经体现为前面的 UpdatePool 事件
+        actions.push({ block, type: "setPoolWeight", pid, weight: BigInt(args.poolWeight) });
+        break;
+      case "UpdatePoolInfo":
+        actions.push({ block, type: "updatePoolInfo", pid, unstakeLockedBlocks: BigInt(args.unstakeLockedBlocks) });
+        break;
+      case "UpdatePool":
+        actions.push({ block, type: "updatePool", pid });
+        break;
+      case "SetMetaNodePerBlock":
+        actions.push({ block, type: "setMetaNodePerBlock", amount: BigInt(args.MetaNodePerBlock) });
+        break;
+      case "SetStartBlock":
+        actions.push({ block, type: "setStartBlock", value: BigInt(args.startBlock) });
+        break;
+      case "SetEndBlock":
+        actions.push({ block, type: "setEndBlock", value: BigInt(args.endBlock) });
+        break;
+      case "AddEmissionPhase":
+        actions.push({
+          block,
+          type: "addEmissionPhase",
+          startBlock: BigInt(args.startBlock),
+          amount: BigInt(args.MetaNodePerBlock),
+          halvingInterval: BigInt(args.halvingInterval),
+        });
+        break;
+      case "RemoveEmissionPhase":
+        actions.push({ block, type: "removeEmissionPhase" });
+        break;
+      case "SetLockTier":
+        actions.push({
+          block,
+          type: "setLockTier",
+          tier: Number(args.tierId),
+          duration: BigInt(args.duration),
+          multiplier: BigInt(args.multiplier),
+        });
+        break;
+      case "Lock":
+        lockTier = Number(args.tierId);
+        break;
+      case "ReleaseLock":
+        // 质押、解质押和领取中释放的锁仓先单独释放，结果与合约一致
+        actions.push({ block, type: "releaseLock", pid, user: args.user });
+        break;
+      case "Deposit":
+        if (!compounded.has(args.user.toLowerCase())) {
+          actions.push({ block, type: "deposit", pid, user: args.user, amount: BigInt(args.amount), tier: lockTier });
+        }
+        lockTier = null;
+        break;
+      case "RequestUnstake":
+        actions.push({ block, type: "unstake", pid, user: args.user, amount: BigInt(args.amount) });
+        break;
+      case "CancelUnstake":
+        actions.push({ block, type: "cancelUnstake", pid, user: args.user, requestId: Number(args.requestId) });
+        break;
+      case "Withdraw":
+        actions.push({ block, type: "withdraw", pid, user: args.user });
+        break;
+      case "Claim":
+        actions.push({ block, type: "claim", pid, user: args.user });
+        break;
+      case "Compound":
+        actions.push({ block, type: "compound", pid, user: args.user });
+        break;
+      case "TransferStake":
+        actions.push({ block, type: "transferStake", pid, from: args.from, to: args.to, amount: BigInt(args.amount) });
+        break;
+      case "EmergencyWithdraw":
+        actions.push({ block, type: "emergencyWithdraw", pid, user: args.user });
+        break;
+      default:
+        // 其他事件不影响奖励
+        break;
+    }
+  }
+  return actions;
+}
+
+/**
+ * 在模拟器上执行一个操作（actionsFromEvents 或 parseScenario 的输出）
+ * @return    操作的返回值，比如领取的奖励
+ */
+function applyAction(simulator, action) {
+  simulator.at(action.block);
+  switch (action.type) {
+    case "addPool":
+      return simulator.addPool(action);
+    case "setPoolWeight":
+      return simulator.setPoolWeight(action.pid, action.weight, action.withUpdate);
+    case "updatePoolInfo":
+      return simulator.updatePoolInfo(action.pid, action.unstakeLockedBlocks);
+    case "updatePool":
+      return simulator.updatePool(action.pid);
+    case "massUpdatePools":
+      return simulator.massUpdatePools();
+    case "setMetaNodePerBlock":
+      return simulator.setMetaNodePerBlock(action.amount);
+    case "setStartBlock":
+      return simulator.setStartBlock(action.value);
+    case "setEndBlock":
+      return simulator.setEndBlock(action.value);
+    case "addEmissionPhase":
+      return simulator.addEmissionPhase(action.startBlock, action.amount, action.halvingInterval);
+    case "removeEmissionPhase":
+      return simulator.removeEmissionPhase();
+    case "setLockTier":
+      return simulator.setLockTier(action.tier, action.duration, action.multiplier);
+    case "deposit":
+      return simulator.deposit(action.pid, action.user, action.amount, action.tier);
+    case "unstake":
+      return simulator.unstake(action.pid, action.user, action.amount);
+    case "cancelUnstake":
+      return simulator.cancelUnstake(action.pid, action.user, action.requestId);
+    case "withdraw":
+      return simulator.withdraw(action.pid, action.user);
+    case "releaseLock":
+      return simulator.releaseLock(action.pid, action.user);
+    case "claim":
+      return simulator.claim(action.pid, action.user);
+    case "compound":
+      return simulator.compound(action.pid, action.user);
+    case "transferStake":
+      return simulator.transferStake(action.pid, action.from, action.to, action.amount);
+    case "emergencyWithdraw":
+      return simulator.emergencyWithdraw(action.pid, action.user);
+    default:
+      throw new Error(`unknown action ${action.type}`);
+  }
+}
+
+/**
+ * 解析 JSON 场景：奖励参数、初始资金池和锁仓档位的写法与 deploy-config 相同，数量按代币单位书写，
+ * 比如 "metaNodePerBlock": "1" 表示每区块 1 MetaNode；pools[i].token 为 "MetaNode" 的池是复投目标，
+ * pools[i].decimals 是质押代币的精度（默认 18）
+ *
+ * @param {object} scenario
+ * @param {object} [options]    decimals: 场景之前已有资金池的代币精度，回放链上历史时使用
+ * @return    { config, decimals, actions, report }，config 可以直接传给 RewardSimulator
+ */
+function parseScenario(scenario, { decimals: poolDecimals = [] } = {}) {
+  const startBlock = BigInt(scenario.startBlock || 0);
+  const config = {
+    startBlock,
+    endBlock:
+      scenario.endBlock !== undefined
+        ? BigInt(scenario.endBlock)
+        : startBlock + BigInt(scenario.durationBlocks || 0),
+    metaNodePerBlock: parseUnits(String(scenario.metaNodePerBlock || "0"), 18),
+    emissionPhases: (scenario.emissionPhases || []).map((phase) => ({
+      startBlock: BigInt(phase.startBlock),
+      metaNodePerBlock: parseUnits(String(phase.metaNodePerBlock), 18),
+      halvingInterval: BigInt(phase.halvingInterval || 0),
+    })),
+    lockTiers: (scenario.lockTiers || []).map((tier) => ({
+      duration: BigInt(tier.lockBlocks),
+      multiplier: BigInt(tier.multiplier),
+    })),
+  };
+
+  const decimals = [...poolDecimals];
+  const poolAction = (block, pool) => {
+    decimals.push(pool.decimals || 18);
+    return {
+      block,
+      type: "addPool",
+      weight: BigInt(pool.weight),
+      unstakeLockedBlocks: BigInt(pool.lockBlocks || 0),
+      withUpdate: !!pool.withUpdate,
+      metaNode: pool.token === "MetaNode",
+    };
+  };
+  const actions = (scenario.pools || []).map((pool) => poolAction(startBlock, pool));
+  for (const step of scenario.actions || []) {
+    const block = BigInt(step.block);
+    const amount = (value, pid) => parseUnits(String(value), pid === undefined ? 18 : decimals[pid] || 18);
+    if (step.type === "addPool") {
+      actions.push(poolAction(block, step));
+      continue;
+    }
+    const action = { ...step, block };
+    if (step.metaNodePerBlock !== undefined) {
+      // 速率和排放阶段以 MetaNode 为单位
+      action.amount = amount(step.metaNodePerBlock);
+    } else if (step.amount !== undefined) {
+      action.amount = amount(step.amount, step.pid);
+    }
+    // 与部署配置相同的字段名
+    if (step.lockBlocks !== undefined) {
+      action[step.type === "setLockTier" ? "duration" : "unstakeLockedBlocks"] = BigInt(step.lockBlocks);
+    }
+    for (const key of ["weight", "startBlock", "halvingInterval", "value", "multiplier"]) {
+      if (step[key] !== undefined) action[key] = BigInt(step[key]);
+    }
+    actions.push(action);
+  }
+  // 同一区块的操作保持书写顺序
+  actions.sort((a, b) => (a.block < b.block ? -1 : a.block > b.block ? 1 : 0));
+  return { config, decimals, actions, report: scenario.report || {} };
+}
+
+/**
+ * 按顺序执行操作，在每个报告区块记录快照
+ *
+ * @param {object} config          RewardSimulator 的参数
+ * @param {object[]} actions       区块号不能递减
+ * @param {bigint[]} reportBlocks  记录快照的区块
+ * @return                         { simulator, results, timeline }，results 是每个操作的返回值
+ */
+function simulate(config, actions, reportBlocks = []) {
+  const simulator = new RewardSimulator(config);
+  const blocks = [...reportBlocks].map(BigInt).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const timeline = [];
+  const results = [];
+  let next = 0;
+  for (const action of actions) {
+    while (next < blocks.length && blocks[next] < action.block) {
+      timeline.push(simulator.at(blocks[next++]).snapshot());
+    }
+    try {
+      results.push(applyAction(simulator, action));
+    } catch (error) {
+      error.message = `${action.type} at block ${action.block}: ${error.message}`;
+      throw error;
+    }
+  }
+  while (next < blocks.length) {
+    timeline.push(simulator.at(blocks[next++]).snapshot());
+  }
+  return { simulator, results, timeline };
+}
+
+/**
+ * 报告区块：report.blocks 直接指定，或者从 from 到 until 每隔 every 个区块一次，
+ * every 默认分成 10 段，until 默认是最后一个操作的区块
+ */
+function reportBlocks(report, actions, startBlock) {
+  if (report.blocks) {
+    return report.blocks.map(BigInt);
+  }
+  const from = BigInt(report.from ?? startBlock);
+  const last = actions.length ? actions[actions.length - 1].block : from;
+  const until = BigInt(report.until ?? last);
+  const every = BigInt(report.every || 0) || (until > from ? (until - from + 9n) / 10n : 1n);
+  const blocks = [];
+  for (let block = from; block < until; block += every) blocks.push(block);
+  blocks.push(until);
+  return blocks;
+}
+
+/**
+ * 把快照转换成方便阅读和输出 JSON 的格式，数量用代币单位的字符串表示
+ */
+function formatSnapshot(snapshot, decimals = []) {
+  return {
+    block: snapshot.block.toString(),
+    pools: snapshot.pools.map((pool) => ({
+      pid: pool.pid,
+      poolWeight: pool.poolWeight.toString(),
+      stTokenAmount: formatUnits(pool.stTokenAmount, decimals[pool.pid] || 18),
+      distributed: formatUnits(pool.distributed, 18),
+    })),
+    users: snapshot.users.map((row) => ({
+      pid: row.pid,
+      user: row.user,
+      stAmount: formatUnits(row.stAmount, decimals[row.pid] || 18),
+      pending: formatUnits(row.pending, 18),
+      claimed: formatUnits(row.claimed, 18),
+      compounded: formatUnits(row.compounded, 18),
+      earned: formatUnits(row.earned, 18),
+    })),
+  };
+}
+
+module.exports = {
+  SIMULATED_EVENTS,
+  RewardSimulator,
+  actionsFromEvents,
+  applyAction,
+  parseScenario,
+  simulate,
+  reportBlocks,
+  formatSnapshot,
+};
@@ -0,0 +1,376 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { loadManifest, saveManifest, manifestPath } = require("./manifest");
+const { tokenDecimals, readOptional } = require("./stake");
+
+// 每个网络一个部署配置：deploy-config/<network>.json，hardhat 内置网络沿用 localhost 的配置
+const CONFIG_DIR = path.join(__dirname, "..", "deploy-config");
+
+const ROLES = {
+  defaultAdmin: "DEFAULT_ADMIN_ROLE",
+  admin: "ADMIN_ROLE",
+  upgrader: "UPGRADE_ROLE",
+};
+
+function loadDeployConfig(network, file) {
+  const configFile =
+    file || path.join(CONFIG_DIR, `${network === "hardhat" ? "localhost" : network}.json`);
+  if (!fs.existsSync(configFile)) {
+    throw new Error(`deploy config not found: ${configFile}`);
+  }
+  return JSON.parse(fs.readFileSync(configFile, "utf8"));
+}
+
+/**
+ * 按配置部署或对齐 MetaNodeToken / MetaNodeStake，并写入 deployments/<network>.json
+ * 清单中已有且链上存在代码的合约直接复用，池、角色和奖励余额只补齐与配置不一致的部分，
+ * 所以重复执行不会发送多余的交易
+ *
+ * @param hre       Hardhat runtime environment
+ * @param config    Deploy config, see deploy-config/localhost.json
+ * @param options   `dir` overrides the deployments directory
+ * @return          The written manifest
+ */
+async function deployStake(hre, config, { dir } = {}) {
+  const { ethers, upgrades, network } = hre;
+  const [deployer] = await ethers.getSigners();
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+
+  // 链 id 不一致说明清单属于别的链（比如重启过的本地节点换了链），不能复用
+  const previous = loadManifest(network.name, dir);
+  const manifest =
+    previous && previous.chainId === chainId
+      ? { ...previous, contracts: { ...previous.contracts } }
+      : { network: network.name, chainId, contracts: {} };
+
+  let actions = 0;
+  const send = async (label, sendTx) => {
+    const tx = await sendTx();
+    console.log(`${label} tx: ${tx.hash}`);
+    await tx.wait();
+    actions++;
+  };
+  // 管理权限已经交给 timelock 时，部署账户不能直接修改，只提示需要通过 timelock 排队
+  let governed = false;
+  const sendAdmin = async (label, sendTx) => {
+    if (governed) {
+      console.log(`  ${label} skipped: roles are held by the timelock, queue it with stake:timelock-queue`);
+      return;
+    }
+    await send(label, sendTx);
+  };
+  const isDeployed = async (address) =>
+    Boolean(address) && (await ethers.provider.getCode(address)) !== "0x";
+
+  // timelock 的 proposer 可以排队任何变更（包括升级），必须显式配置（一般是多签），不能默认成部署账户
+  if (config.timelock) {
+    const { proposers } = config.timelock;
+    if (!Array.isArray(proposers) || proposers.length === 0) {
+      throw new Error("timelock.proposers is required: set the multisig that queues changes, the deployer is not used by default");
+    }
+    for (const proposer of proposers) {
+      if (!ethers.isAddress(proposer) || proposer === ethers.ZeroAddress) {
+        throw new Error(`timelock proposer ${proposer} is not a valid address`);
+      }
+    }
+  }
+
+  console.log(`Network: ${network.name} (${chainId}), deployer: ${deployer.address}`);
+
+  // 1. MetaNode 奖励代币：配置了地址就直接使用，否则复用或部署 MetaNodeToken
+  let tokenAddress = config.token;
+  if (tokenAddress) {
+    if (!(await isDeployed(tokenAddress))) {
+      throw new Error(`MetaNode token ${tokenAddress} has no code on ${network.name}`);
+    }
+  } else if (await isDeployed(manifest.contracts.MetaNodeToken)) {
+    tokenAddress = manifest.contracts.MetaNodeToken;
+    console.log(`MetaNodeToken: reuse ${tokenAddress}`);
+  } else {
+    const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken");
+    const token = await MetaNodeToken.deploy();
+    await token.waitForDeployment();
+    tokenAddress = await token.getAddress();
+    console.log(`MetaNodeToken: deployed to ${tokenAddress}`);
+    actions++;
+  }
+  manifest.contracts.MetaNodeToken = tokenAddress;
+
+  // 2. MetaNodeStake 代理合约，排放参数只在首次部署时使用
+  // clock 为 "timestamp" 时按时间戳计时，使用 startTime / endTime / durationSeconds / metaNodePerSecond
+  const timeBased = config.clock === "timestamp";
+  const perUnit = timeBased ? config.metaNodePerSecond : config.metaNodePerBlock;
+  let stake;
+  if (await isDeployed(manifest.contracts.MetaNodeStake)) {
+    stake = await ethers.getContractAt("MetaNodeStake", manifest.contracts.MetaNodeStake);
+    console.log(`MetaNodeStake: reuse ${manifest.contracts.MetaNodeStake}`);
+    if ((await stake.MetaNode()) !== tokenAddress) {
+      throw new Error(`MetaNodeStake ${manifest.contracts.MetaNodeStake} does not use MetaNode token ${tokenAddress}`);
+    }
+    // 基线实现没有 timeBased()，只支持按区块计时
+    if ((await readOptional(() => stake.timeBased(), false)) !== timeBased) {
+      throw new Error(`MetaNodeStake ${manifest.contracts.MetaNodeStake} uses a different clock, deploy a new proxy instead`);
+    }
+    if ((await stake.MetaNodePerBlock()) !== ethers.parseEther(perUnit)) {
+      console.log("  MetaNodePerBlock differs from the config, use `stake:set-reward` to change it");
+    }
+  } else {
+    const latest = await ethers.provider.getBlock("latest");
+    const startBlock = timeBased
+      ? config.startTime ?? latest.timestamp
+      : config.startBlock ?? latest.number;
+    const endBlock = timeBased
+      ? config.endTime ?? startBlock + config.durationSeconds
+      : config.endBlock ?? startBlock + config.durationBlocks;
+    const MetaNodeStake = await ethers.getContractFactory("MetaNodeStake");
+    stake = await upgrades.deployProxy(
+      MetaNodeStake,
+      [tokenAddress, startBlock, endBlock, ethers.parseEther(perUnit)],
+      { initializer: timeBased ? "initializeTimeBased" : "initialize", kind: "uups" }
+    );
+    await stake.waitForDeployment();
+    const receipt = await stake.deploymentTransaction().wait();
+    manifest.contracts.MetaNodeStake = await stake.getAddress();
+    // 事件索引器从部署区块开始回填
+    manifest.deployBlock = receipt.blockNumber;
+    console.log(
+      `MetaNodeStake: deployed to ${manifest.contracts.MetaNodeStake}, ${timeBased ? "timestamps" : "blocks"} ${startBlock} - ${endBlock}`
+    );
+    actions++;
+  }
+  manifest.contracts.MetaNodeStakeImplementation =
+    await upgrades.erc1967.getImplementationAddress(manifest.contracts.MetaNodeStake);
+  if (await isDeployed(manifest.contracts.MetaNodeTimelock)) {
+    const adminRole = await stake.ADMIN_ROLE();
+    governed =
+      !(await stake.hasRole(adminRole, deployer.address)) &&
+      (await stake.hasRole(adminRole, manifest.contracts.MetaNodeTimelock));
+  }
+
+  // 3. 资金池：按下标与配置对齐，第一个池必须是 ETH 池
+  const poolLength = Number(await stake.poolLength());
+  for (const [pid, poolConfig] of (config.pools || []).entries()) {
+    const stTokenAddress = poolConfig.token === "ETH" ? ethers.ZeroAddress : poolConfig.token;
+    const lock = timeBased ? poolConfig.lockSeconds : poolConfig.lockBlocks;
+    const minDeposit = ethers.parseUnits(
+      poolConfig.minDeposit || "0",
+      await tokenDecimals(hre, stTokenAddress)
+    );
+
+    if (pid >= poolLength) {
+      await sendAdmin(
+        `addPool(${pid})`,
+        () => stake.addPool(stTokenAddress, poolConfig.weight, minDeposit, lock, true)
+      );
+      continue;
+    }
+
+    const pool = await stake.pool(pid);
+    if (pool.stTokenAddress !== stTokenAddress) {
+      throw new Error(`pool ${pid} stakes ${pool.stTokenAddress}, config expects ${stTokenAddress}`);
+    }
+    if (pool.poolWeight !== BigInt(poolConfig.weight)) {
+      await sendAdmin(`setPoolWeight(${pid})`, () => stake.setPoolWeight(pid, poolConfig.weight, true));
+    }
+    if (
+      pool.minDepositAmount !== minDeposit ||
+      pool.unstakeLockedBlocks !== BigInt(lock)
+    ) {
+      await sendAdmin(
+        `updatePool(${pid})`,
+        () => stake.getFunction("updatePool(uint256,uint256,uint256)")(pid, minDeposit, lock)
+      );
+    }
+  }
+  if (poolLength > (config.pools || []).length) {
+    console.log(`  ${poolLength - config.pools.length} pool(s) on chain are not in the config, left untouched`);
+  }
+
+  // 可转让的质押收据："receipt": true 的池部署 MetaNodeReceipt 并绑定，只能在池子还没有质押时绑定一次
+  for (const [pid, poolConfig] of (config.pools || []).entries()) {
+    if (!poolConfig.receipt || pid >= Number(await stake.poolLength())) {
+      continue;
+    }
+    if ((await stake.receiptToken(pid)) !== ethers.ZeroAddress) {
+      continue;
+    }
+    const pool = await stake.pool(pid);
+    if (pool.stTokenAmount > 0n) {
+      console.log(`  pool ${pid} already has deposits, receipt token skipped`);
+      continue;
+    }
+    const symbol = pool.stTokenAddress === ethers.ZeroAddress
+      ? "ETH"
+      : await (await ethers.getContractAt("IERC20Metadata", pool.stTokenAddress)).symbol();
+    const MetaNodeReceipt = await ethers.getContractFactory("MetaNodeReceipt");
+    const receipt = await MetaNodeReceipt.deploy(
+      `stMetaNode-${symbol}`,
+      `stMetaNode-${symbol}`,
+      await tokenDecimals(hre, pool.stTokenAddress),
+      await stake.getAddress(),
+      pid
+    );
+    await receipt.waitForDeployment();
+    const receiptAddress = await receipt.getAddress();
+    console.log(`MetaNodeReceipt(${pid}): deployed to ${receiptAddress}`);
+    actions++;
+    await sendAdmin(`setReceiptToken(${pid})`, () => stake.setReceiptToken(pid, receiptAddress));
+  }
+
+  // 4. 锁仓档位：按下标与配置对齐，链上多出的档位保留；没有配置档位时不读取，基线实现没有锁仓档位
+  const lockTiers = config.lockTiers || [];
+  const tierLength = lockTiers.length > 0 ? Number(await stake.lockTierLength()) : 0;
+  for (const [tierId, tierConfig] of lockTiers.entries()) {
+    const duration = BigInt(timeBased ? tierConfig.lockSeconds : tierConfig.lockBlocks);
+    const multiplier = BigInt(tierConfig.multiplier);
+    if (tierId >= tierLength) {
+      await sendAdmin(`addLockTier(${tierId})`, () => stake.addLockTier(duration, multiplier));
+      continue;
+    }
+    const tier = await stake.lockTiers(tierId);
+    if (tier.duration !== duration || tier.multiplier !== multiplier) {
+      await sendAdmin(`setLockTier(${tierId})`, () => stake.setLockTier(tierId, duration, multiplier));
+    }
+  }
+
+  // 5. 角色：只授予缺少的角色，不会撤销已有角色
+  for (const [key, roleName] of Object.entries(ROLES)) {
+    const role = await stake[roleName]();
+    for (const account of (config.roles && config.roles[key]) || []) {
+      if (!(await stake.hasRole(role, account))) {
+        await sendAdmin(`grantRole(${roleName}, ${account})`, () => stake.grantRole(role, account));
+      }
+    }
+  }
+
+  // 6. ERC-2771 可信转发合约："deploy" 时复用或部署 MetaNodeForwarder，也可以直接写地址，不配置时保持不变
+  if (config.forwarder) {
+    let forwarderAddress = config.forwarder;
+    if (forwarderAddress !== "deploy") {
+      if (!(await isDeployed(forwarderAddress))) {
+        throw new Error(`forwarder ${forwarderAddress} has no code on ${network.name}`);
+      }
+    } else if (await isDeployed(manifest.contracts.MetaNodeForwarder)) {
+      forwarderAddress = manifest.contracts.MetaNodeForwarder;
+      console.log(`MetaNodeForwarder: reuse ${forwarderAddress}`);
+    } else {
+      const MetaNodeForwarder = await ethers.getContractFactory("MetaNodeForwarder");
+      const forwarder = await MetaNodeForwarder.deploy();
+      await forwarder.waitForDeployment();
+      forwarderAddress = await forwarder.getAddress();
+      manifest.contracts.MetaNodeForwarder = forwarderAddress;
+      console.log(`MetaNodeForwarder: deployed to ${forwarderAddress}`);
+      actions++;
+    }
+    if ((await stake.trustedForwarder()) !== forwarderAddress) {
+      await sendAdmin(`setTrustedForwarder(${forwarderAddress})`, () => stake.setTrustedForwarder(forwarderAddress));
+    }
+  }
+
+  // 7. ETH 池接受的 WETH："deploy" 时复用或部署 WETH9 mock（只用于本地链），也可以直接写地址，不配置时保持不变
+  if (config.weth) {
+    let wethAddress = config.weth;
+    if (wethAddress !== "deploy") {
+      if (!(await isDeployed(wethAddress))) {
+        throw new Error(`weth ${wethAddress} has no code on ${network.name}`);
+      }
+    } else if (await isDeployed(manifest.contracts.WETH9)) {
+      wethAddress = manifest.contracts.WETH9;
+      console.log(`WETH9: reuse ${wethAddress}`);
+    } else {
+      const WETH9 = await ethers.getContractFactory("WETH9");
+      const weth = await WETH9.deploy();
+      await weth.waitForDeployment();
+      wethAddress = await weth.getAddress();
+      manifest.contracts.WETH9 = wethAddress;
+      console.log(`WETH9: deployed to ${wethAddress}`);
+      actions++;
+    }
+    if ((await stake.weth()) !== wethAddress) {
+      await sendAdmin(`setWETH(${wethAddress})`, () => stake.setWETH(wethAddress));
+    }
+  }
+
+  // 8. timelock 治理：把三个角色交给 MetaNodeTimelock，部署账户随后放弃自己的角色，
+  // 之后池、档位、角色和转发合约的修改以及升级都要通过 timelock 排队，等待 minDelay（秒）后执行
+  if (config.timelock) {
+    const { minDelay, proposers, executors = proposers } = config.timelock;
+    if (await isDeployed(manifest.contracts.MetaNodeTimelock)) {
+      const timelock = await ethers.getContractAt("MetaNodeTimelock", manifest.contracts.MetaNodeTimelock);
+      console.log(`MetaNodeTimelock: reuse ${manifest.contracts.MetaNodeTimelock}`);
+      if ((await timelock.getMinDelay()) !== BigInt(minDelay)) {
+        console.log("  timelock minDelay differs from the config, queue updateDelay through the timelock to change it");
+      }
+    } else {
+      const MetaNodeTimelock = await ethers.getContractFactory("MetaNodeTimelock");
+      const timelock = await MetaNodeTimelock.deploy(minDelay, proposers, executors);
+      await timelock.waitForDeployment();
+      manifest.contracts.MetaNodeTimelock = await timelock.getAddress();
+      console.log(`MetaNodeTimelock: deployed to ${manifest.contracts.MetaNodeTimelock}, minDelay ${minDelay}s`);
+      actions++;
+    }
+    const timelockAddress = manifest.contracts.MetaNodeTimelock;
+    for (const roleName of Object.values(ROLES)) {
+      const role = await stake[roleName]();
+      if (!(await stake.hasRole(role, timelockAddress))) {
+        await sendAdmin(`grantRole(${roleName}, timelock)`, () => stake.grantRole(role, timelockAddress));
+      }
+    }
+    // DEFAULT_ADMIN_ROLE 最后放弃，在此之前出错还可以用它补救
+    for (const roleName of ["ADMIN_ROLE", "UPGRADE_ROLE", "DEFAULT_ADMIN_ROLE"]) {
+      const role = await stake[roleName]();
+      if (await stake.hasRole(role, deployer.address)) {
+        await send(`renounceRole(${roleName})`, () => stake.renounceRole(role, deployer.address));
+      }
+    }
+  }
+
+  // 9. 只读聚合查询合约 MetaNodeStakeLens，没有状态，指向别的质押合约时重新部署
+  const lensAddress = manifest.contracts.MetaNodeStakeLens;
+  const lensStake = (await isDeployed(lensAddress))
+    ? await (await ethers.getContractAt("MetaNodeStakeLens", lensAddress)).stake()
+    : undefined;
+  if (lensStake === manifest.contracts.MetaNodeStake) {
+    console.log(`MetaNodeStakeLens: reuse ${lensAddress}`);
+  } else {
+    const MetaNodeStakeLens = await ethers.getContractFactory("MetaNodeStakeLens");
+    const lens = await MetaNodeStakeLens.deploy(manifest.contracts.MetaNodeStake);
+    await lens.waitForDeployment();
+    manifest.contracts.MetaNodeStakeLens = await lens.getAddress();
+    console.log(`MetaNodeStakeLens: deployed to ${manifest.contracts.MetaNodeStakeLens}`);
+    actions++;
+  }
+
+  // 10. 奖励资金：补足到配置的余额，已经足够时不转账
+  const metaNode = await ethers.getContractAt("IERC20", tokenAddress);
+  const target = ethers.parseEther(config.fund || "0");
+  const balance = await metaNode.balanceOf(manifest.contracts.MetaNodeStake);
+  if (balance < target) {
+    const missing = target - balance;
+    if ((await metaNode.balanceOf(deployer.address)) < missing) {
+      console.log(`  deployer cannot fund ${ethers.formatEther(missing)} MetaNode, skipped`);
+    } else {
+      await send(
+        `fund ${ethers.formatEther(missing)} MetaNode`,
+        () => metaNode.transfer(manifest.contracts.MetaNodeStake, missing)
+      );
+    }
+  }
+
+  if (saveManifest(network.name, manifest, dir)) {
+    console.log(`Manifest written to ${manifestPath(network.name, dir)}`);
+  }
+  if (actions === 0) {
+    console.log("Nothing to do, deployment is up to date");
+  }
+  return manifest;
+}
+
+task("stake:deploy", "Deploy or reconcile MetaNodeToken / MetaNodeStake from deploy-config/<network>.json")
+  .addOptionalParam("deployConfig", "Deploy config file, defaults to deploy-config/<network>.json")
+  .setAction(async ({ deployConfig }, hre) => {
+    return deployStake(hre, loadDeployConfig(hre.network.name, deployConfig));
+  });
+
+module.exports = { CONFIG_DIR, loadDeployConfig, deployStake };
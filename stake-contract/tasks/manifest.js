@@ -0,0 +1,53 @@
+const fs = require("fs");
+const path = require("path");
+
+// 每个网络一个部署清单：deployments/<network>.json
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+function manifestPath(network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+function loadManifest(network, dir) {
+  const file = manifestPath(network, dir);
+  if (!fs.existsSync(file)) {
+    return undefined;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * 写入部署清单，内容没有变化时不改动文件
+ */
+function saveManifest(network, manifest, dir) {
+  const file = manifestPath(network, dir);
+  const content = JSON.stringify(manifest, null, 2) + "\n";
+  if (fs.existsSync(file) && fs.readFileSync(file, "utf8") === content) {
+    return false;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+  return true;
+}
+
+/**
+ * 解析合约地址：优先使用命令行传入的地址，否则读取当前网络的部署清单
+ */
+function resolveAddress(hre, name, override) {
+  if (override) {
+    if (!hre.ethers.isAddress(override)) {
+      throw new Error(`invalid ${name} address: ${override}`);
+    }
+    return override;
+  }
+  const manifest = loadManifest(hre.network.name);
+  const address = manifest && manifest.contracts && manifest.contracts[name];
+  if (!address) {
+    throw new Error(
+      `${name} address not found in ${manifestPath(hre.network.name)}, pass --address explicitly`
+    );
+  }
+  return address;
+}
+
+module.exports = { DEPLOYMENTS_DIR, manifestPath, loadManifest, saveManifest, resolveAddress };
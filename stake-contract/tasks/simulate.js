@@ -0,0 +1,122 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { resolveAddress, loadManifest } = require("./manifest");
+const { tokenDecimals } = require("./stake");
+const { StakeIndexer, JsonStore } = require("../indexer");
+const {
+  SIMULATED_EVENTS,
+  actionsFromEvents,
+  parseScenario,
+  simulate,
+  reportBlocks,
+  formatSnapshot,
+} = require("../simulator");
+
+/**
+ * 读取已部署合约的奖励参数和全部历史事件，转换成模拟器的配置和操作。
+ * 奖励参数按 fromBlock 时的状态读取（需要节点支持历史状态查询），之后的变化由事件回放
+ *
+ * @return    { config, decimals, actions, clock }
+ */
+async function loadChainHistory(hre, { address, fromBlock, toBlock } = {}) {
+  const { ethers, network } = hre;
+  const stake = await ethers.getContractAt(
+    "MetaNodeStake",
+    resolveAddress(hre, "MetaNodeStake", address)
+  );
+  if (fromBlock === undefined) {
+    const manifest = loadManifest(network.name);
+    fromBlock = (manifest && manifest.deployBlock) || 0;
+  }
+  if (toBlock === undefined) {
+    toBlock = await ethers.provider.getBlockNumber();
+  }
+
+  const store = new JsonStore();
+  const indexer = new StakeIndexer({ contract: stake, store, startBlock: fromBlock, events: SIMULATED_EVENTS });
+  await indexer.backfill(toBlock);
+
+  const at = { blockTag: fromBlock };
+  const config = {
+    startBlock: await stake.startBlock(at),
+    endBlock: await stake.endBlock(at),
+    metaNodePerBlock: await stake.MetaNodePerBlock(at),
+  };
+  const timestamp = await stake.timeBased();
+  const decimals = [];
+  const length = Number(await stake.poolLength({ blockTag: toBlock }));
+  for (let pid = 0; pid < length; pid++) {
+    const pool = await stake.pool(pid, { blockTag: toBlock });
+    decimals.push(await tokenDecimals(hre, pool.stTokenAddress));
+  }
+  const block = await ethers.provider.getBlock(toBlock);
+  return {
+    config,
+    decimals,
+    actions: actionsFromEvents(store.events, { metaNode: await stake.MetaNode(), timestamp }),
+    clock: BigInt(timestamp ? block.timestamp : block.number),
+  };
+}
+
+function printSnapshot(snapshot) {
+  console.log(`Block ${snapshot.block}:`);
+  for (const pool of snapshot.pools) {
+    console.log(
+      `  pool[${pool.pid}] weight: ${pool.poolWeight}, staked: ${pool.stTokenAmount}, distributed: ${pool.distributed}`
+    );
+  }
+  for (const row of snapshot.users) {
+    console.log(
+      `  pool[${row.pid}] ${row.user} staked: ${row.stAmount}, pending: ${row.pending}, ` +
+        `claimed: ${row.claimed}, compounded: ${row.compounded}, earned: ${row.earned}`
+    );
+  }
+}
+
+task("stake:simulate", "Simulate per-user rewards off-chain from a JSON scenario, optionally on top of the deployed contract's history")
+  .addOptionalParam("scenario", "JSON scenario file, see simulator/scenarios/example.json")
+  .addFlag("replay", "Replay the deployed MetaNodeStake's events first, scenario actions run on top of them")
+  .addOptionalParam("address", "MetaNodeStake proxy address used with --replay, defaults to deployments/<network>.json")
+  .addOptionalParam("fromBlock", "First block to replay, defaults to the deploy block in deployments/<network>.json", undefined, types.int)
+  .addOptionalParam("every", "Report every N blocks (seconds in timestamp mode)", undefined, types.int)
+  .addOptionalParam("until", "Last block (timestamp) to report", undefined, types.int)
+  .addFlag("json", "Print the timeline as JSON")
+  .setAction(async (args, hre) => {
+    if (!args.scenario && !args.replay) {
+      throw new Error("at least one of --scenario and --replay is required");
+    }
+    const scenario = args.scenario ? JSON.parse(fs.readFileSync(args.scenario, "utf8")) : {};
+    const report = { ...(scenario.report || {}) };
+    if (args.every !== undefined) report.every = args.every;
+    if (args.until !== undefined) report.until = args.until;
+
+    let config;
+    let decimals;
+    let actions;
+    if (args.replay) {
+      const history = await loadChainHistory(hre, { address: args.address, fromBlock: args.fromBlock });
+      // 场景中的奖励参数和初始资金池以链上为准，只追加操作
+      const parsed = parseScenario({ actions: scenario.actions }, { decimals: history.decimals });
+      config = history.config;
+      decimals = parsed.decimals;
+      // 同一区块内链上的操作在前；排序是稳定的
+      actions = [...history.actions, ...parsed.actions].sort((a, b) => (a.block < b.block ? -1 : a.block > b.block ? 1 : 0));
+      if (report.until === undefined && !report.blocks) {
+        const last = actions.length ? actions[actions.length - 1].block : 0n;
+        report.until = last > history.clock ? last : history.clock;
+      }
+    } else {
+      ({ config, decimals, actions } = parseScenario(scenario));
+    }
+
+    const { simulator, timeline } = simulate(config, actions, reportBlocks(report, actions, config.startBlock));
+    const formatted = timeline.map((snapshot) => formatSnapshot(snapshot, decimals));
+    if (args.json) {
+      console.log(JSON.stringify(formatted, null, 2));
+    } else {
+      formatted.forEach(printSnapshot);
+    }
+    return { simulator, timeline: formatted };
+  });
+
+module.exports = { loadChainHistory };
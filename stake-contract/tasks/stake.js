@@ -0,0 +1,505 @@
+const { task, types } = require("hardhat/config");
+const { resolveAddress } = require("./manifest");
+
+// ************************************** HELPERS **************************************
+
+async function getStake(hre, address) {
+  return hre.ethers.getContractAt(
+    "MetaNodeStake",
+    resolveAddress(hre, "MetaNodeStake", address)
+  );
+}
+
+// 返回数组的查询和偿付能力在只读的 MetaNodeStakeLens 中
+async function getLens(hre, address) {
+  return hre.ethers.getContractAt(
+    "MetaNodeStakeLens",
+    resolveAddress(hre, "MetaNodeStakeLens", address)
+  );
+}
+
+async function tokenDecimals(hre, tokenAddress) {
+  if (tokenAddress === hre.ethers.ZeroAddress) {
+    return 18;
+  }
+  const token = await hre.ethers.getContractAt("IERC20Metadata", tokenAddress);
+  return Number(await token.decimals());
+}
+
+/**
+ * 读取后来的版本才加入的只读函数。代理还指向旧实现（比如 sepolia 上的基线版本）时，
+ * 旧实现没有这个函数，调用会回退且不带返回数据，这时返回 fallback
+ */
+async function readOptional(read, fallback) {
+  try {
+    return await read();
+  } catch (error) {
+    // hardhat 网络抛出的错误没有 code，只带空的 data
+    if (error.data === "0x" || (error.code === "CALL_EXCEPTION" && error.data == null)) {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 读取合约的全局状态和所有池的状态，用于打印和前后对比
+ * 旧实现没有的字段（比如从基线版本升级前的 timeBased、锁仓档位和排放阶段）不出现在结果中
+ */
+async function snapshot(hre, stake) {
+  const metaNode = await hre.ethers.getContractAt("IERC20", await stake.MetaNode());
+  const optional = (read) => readOptional(read, undefined);
+  const state = {
+    timeBased: await optional(() => stake.timeBased()),
+    startBlock: await stake.startBlock(),
+    endBlock: await stake.endBlock(),
+    MetaNodePerBlock: await stake.MetaNodePerBlock(),
+    totalPoolWeight: await stake.totalPoolWeight(),
+    paused: await stake.paused(),
+    withdrawPaused: await stake.withdrawPaused(),
+    claimPaused: await stake.claimPaused(),
+    MetaNode: await metaNode.getAddress(),
+    MetaNodeBalance: await metaNode.balanceOf(await stake.getAddress()),
+    accruedMetaNode: await optional(() => stake.accruedMetaNode()),
+    totalUnpaidMetaNode: await optional(() => stake.totalUnpaidMetaNode()),
+    stakedMetaNode: await optional(() => stake.stakedMetaNode()),
+    compoundPid: await optional(() => stake.compoundPid()),
+    trustedForwarder: await optional(() => stake.trustedForwarder()),
+  };
+  const tiers = Number(await readOptional(() => stake.lockTierLength(), 0n));
+  for (let i = 0; i < tiers; i++) {
+    const tier = await stake.lockTiers(i);
+    state[`lockTier[${i}].duration`] = tier.duration;
+    state[`lockTier[${i}].multiplier`] = tier.multiplier;
+  }
+  const phases = Number(await readOptional(() => stake.emissionPhaseLength(), 0n));
+  for (let i = 0; i < phases; i++) {
+    const phase = await stake.emissionPhases(i);
+    for (const key of ["startBlock", "MetaNodePerBlock", "halvingInterval"]) {
+      state[`emissionPhase[${i}].${key}`] = phase[key];
+    }
+  }
+  const length = Number(await stake.poolLength());
+  for (let pid = 0; pid < length; pid++) {
+    const pool = await stake.pool(pid);
+    for (const key of [
+      "stTokenAddress",
+      "poolWeight",
+      "lastRewardBlock",
+      "accMetaNodePerST",
+      "stTokenAmount",
+      "minDepositAmount",
+      "unstakeLockedBlocks",
+    ]) {
+      state[`pool[${pid}].${key}`] = pool[key];
+    }
+    state[`pool[${pid}].boost`] = await optional(() => stake.poolBoost(pid));
+  }
+  for (const key of Object.keys(state)) {
+    if (state[key] === undefined) {
+      delete state[key];
+    } else {
+      state[key] = state[key].toString();
+    }
+  }
+  return state;
+}
+
+function printState(state) {
+  for (const [key, value] of Object.entries(state)) {
+    console.log(`  ${key}: ${value}`);
+  }
+}
+
+function printDiff(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  let changed = 0;
+  console.log("State diff:");
+  for (const key of keys) {
+    if (before[key] !== after[key]) {
+      console.log(`  ${key}: ${before[key] ?? "-"} -> ${after[key] ?? "-"}`);
+      changed++;
+    }
+  }
+  if (changed === 0) {
+    console.log("  (no change)");
+  }
+}
+
+function formatCall({ method, args }) {
+  return `${method.split("(")[0]}(${args.map(String).join(", ")})`;
+}
+
+/**
+ * 依次发送交易并打印前后状态差异
+ * dry-run 模式只用 staticCall 模拟，不发送交易。
+ * 标记为 dependent 的调用依赖前一笔交易的结果，dry-run 时无法单独模拟，只做本地校验
+ */
+async function execute(hre, stake, calls, dryRun) {
+  const [signer] = await hre.ethers.getSigners();
+  console.log(`Network: ${hre.network.name}, signer: ${signer.address}`);
+  console.log(`MetaNodeStake: ${await stake.getAddress()}`);
+
+  const before = await snapshot(hre, stake);
+
+  if (dryRun) {
+    for (const call of calls) {
+      if (call.dependent) {
+        console.log(`[dry-run] ${formatCall(call)} depends on the previous call, not simulated`);
+        continue;
+      }
+      const fn = call.contract.getFunction(call.method);
+      await fn.staticCall(...call.args);
+      const gas = await fn.estimateGas(...call.args);
+      console.log(`[dry-run] ${formatCall(call)} ok, estimated gas: ${gas}`);
+    }
+    console.log("Dry run, no transaction sent. Current state:");
+    printState(before);
+    return before;
+  }
+
+  for (const call of calls) {
+    const tx = await call.contract.getFunction(call.method)(...call.args);
+    console.log(`${formatCall(call)} tx: ${tx.hash}`);
+    await tx.wait();
+  }
+
+  const after = await snapshot(hre, stake);
+  printDiff(before, after);
+  return after;
+}
+
+// ************************************** TASKS **************************************
+
+task("stake:info", "Print MetaNodeStake global state, pools and optionally a user's positions")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addOptionalParam("user", "Print the positions of this user as well")
+  .setAction(async ({ address, user }, hre) => {
+    const stake = await getStake(hre, address);
+    const state = await snapshot(hre, stake);
+
+    console.log(`MetaNodeStake: ${await stake.getAddress()} (${hre.network.name})`);
+    console.log(`Current block: ${await hre.ethers.provider.getBlockNumber()}, clock: ${await stake.clock()} (${await stake.CLOCK_MODE()})`);
+    printState(state);
+
+    if (user) {
+      const positions = await stake.getUserPositions(user);
+      console.log(`Positions of ${user}:`);
+      for (const [pid, position] of positions.entries()) {
+        console.log(
+          `  pool[${pid}] staked: ${position.stAmount}, ` +
+            `pending MetaNode: ${position.pendingMetaNode}, ` +
+            `unstaking: ${position.requestAmount}, withdrawable: ${position.pendingWithdrawAmount}`
+        );
+      }
+    }
+    return state;
+  });
+
+task("stake:solvency", "Check that the MetaNode balance covers accrued and future rewards until endBlock")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addOptionalParam("lens", "MetaNodeStakeLens address, defaults to deployments/<network>.json")
+  .addFlag("failOnShortfall", "Exit with an error when the contract is underfunded, for cron jobs / CI")
+  .setAction(async ({ address, lens: lensAddress, failOnShortfall }, hre) => {
+    const { formatEther } = hre.ethers;
+    const stake = await getStake(hre, address);
+    const lens = await getLens(hre, lensAddress);
+    const [balance, accrued, future, shortfall] = await lens.rewardSolvency();
+    const unpaid = await stake.totalUnpaidMetaNode();
+    const endBlock = await stake.endBlock();
+    const now = await stake.clock();
+    const unit = (await stake.timeBased()) ? "seconds" : "blocks";
+
+    // 扣除已产生的负债后，余额还能支撑多少个区块（时间戳模式下为秒）的奖励
+    // 排放速率可能分阶段变化，用 getMultiplier 二分查找余额耗尽的位置
+    const available = balance > accrued ? balance - accrued : 0n;
+    let low = now;
+    let high = endBlock > now ? endBlock : now;
+    while (low < high) {
+      const mid = (low + high + 1n) / 2n;
+      if ((await stake.getMultiplier(now, mid)) <= available) {
+        low = mid;
+      } else {
+        high = mid - 1n;
+      }
+    }
+    const runwayBlocks = low - now;
+    const exhaustedAt = low;
+
+    console.log(`MetaNodeStake: ${await stake.getAddress()} (${hre.network.name}), clock ${now}`);
+    console.log(`  MetaNode balance:     ${formatEther(balance)}`);
+    console.log(`  Accrued liabilities:  ${formatEther(accrued)} (IOUs: ${formatEther(unpaid)})`);
+    console.log(`  Future emissions:     ${formatEther(future)} (until ${endBlock})`);
+    console.log(`  Shortfall:            ${formatEther(shortfall)}`);
+
+    const report = {
+      balance,
+      accrued,
+      unpaid,
+      future,
+      shortfall,
+      runwayBlocks,
+      underfunded: shortfall > 0n,
+    };
+    if (!report.underfunded) {
+      console.log("OK: rewards are fully funded until endBlock");
+      return report;
+    }
+
+    if (balance < accrued) {
+      console.log("CRITICAL: balance does not cover accrued rewards, claims are already short-paid");
+    } else {
+      console.log(`WARNING: funds run out around ${exhaustedAt}, ${endBlock - exhaustedAt} ${unit} before endBlock`);
+    }
+    console.log(`  Fund at least ${formatEther(shortfall)} MetaNode, e.g. npx hardhat stake:fund --amount ${formatEther(shortfall)} --network ${hre.network.name}`);
+    if (failOnShortfall) {
+      throw new Error(`MetaNode rewards are underfunded by ${formatEther(shortfall)}`);
+    }
+    return report;
+  });
+
+task("stake:add-pool", "Add a staking pool")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addParam("token", "Staking token address, the zero address for the ETH pool")
+  .addParam("weight", "Pool weight", undefined, types.int)
+  .addOptionalParam("minDeposit", "Min deposit amount in token units", "0")
+  .addParam("lockBlocks", "Unstake locked blocks, seconds in timestamp mode", undefined, types.int)
+  .addFlag("withUpdate", "Mass update all pools before adding")
+  .addFlag("dryRun", "Simulate with staticCall without sending transactions")
+  .setAction(async (args, hre) => {
+    const stake = await getStake(hre, args.address);
+    const minDeposit = hre.ethers.parseUnits(
+      args.minDeposit,
+      await tokenDecimals(hre, args.token)
+    );
+    return execute(
+      hre,
+      stake,
+      [
+        {
+          contract: stake,
+          method: "addPool",
+          args: [args.token, args.weight, minDeposit, args.lockBlocks, args.withUpdate],
+        },
+      ],
+      args.dryRun
+    );
+  });
+
+task("stake:set-lock-tier", "Add a lock tier, or update an existing one with --tier")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addOptionalParam("tier", "Id of the tier to update, adds a new tier when omitted", undefined, types.int)
+  .addParam("lockBlocks", "Lock duration in blocks, seconds in timestamp mode", undefined, types.int)
+  .addParam("multiplier", "Reward multiplier of the locked amount, 10000 = 1x", undefined, types.int)
+  .addFlag("dryRun", "Simulate with staticCall without sending transactions")
+  .setAction(async (args, hre) => {
+    const stake = await getStake(hre, args.address);
+    const call =
+      args.tier === undefined
+        ? { contract: stake, method: "addLockTier", args: [args.lockBlocks, args.multiplier] }
+        : { contract: stake, method: "setLockTier", args: [args.tier, args.lockBlocks, args.multiplier] };
+    return execute(hre, stake, [call], args.dryRun);
+  });
+
+task("stake:set-weight", "Set the weight of a pool")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addParam("pid", "Pool id", undefined, types.int)
+  .addParam("weight", "New pool weight", undefined, types.int)
+  .addFlag("withUpdate", "Mass update all pools before changing the weight")
+  .addFlag("dryRun", "Simulate with staticCall without sending transactions")
+  .setAction(async (args, hre) => {
+    const stake = await getStake(hre, args.address);
+    return execute(
+      hre,
+      stake,
+      [{ contract: stake, method: "setPoolWeight", args: [args.pid, args.weight, args.withUpdate] }],
+      args.dryRun
+    );
+  });
+
+task("stake:update-pool", "Update a pool's min deposit / lock blocks, or sync its rewards when neither is given")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addParam("pid", "Pool id", undefined, types.int)
+  .addOptionalParam("minDeposit", "New min deposit amount in token units")
+  .addOptionalParam("lockBlocks", "New unstake locked blocks, seconds in timestamp mode", undefined, types.int)
+  .addFlag("dryRun", "Simulate with staticCall without sending transactions")
+  .setAction(async (args, hre) => {
+    const stake = await getStake(hre, args.address);
+
+    // 只传 pid 时调用 updatePool(uint256) 结算奖励
+    if (args.minDeposit === undefined && args.lockBlocks === undefined) {
+      return execute(
+        hre,
+        stake,
+        [{ contract: stake, method: "updatePool(uint256)", args: [args.pid] }],
+        args.dryRun
+      );
+    }
+
+    const pool = await stake.pool(args.pid);
+    const minDeposit =
+      args.minDeposit === undefined
+        ? pool.minDepositAmount
+        : hre.ethers.parseUnits(args.minDeposit, await tokenDecimals(hre, pool.stTokenAddress));
+    const lockBlocks = args.lockBlocks === undefined ? pool.unstakeLockedBlocks : args.lockBlocks;
+    return execute(
+      hre,
+      stake,
+      [
+        {
+          contract: stake,
+          method: "updatePool(uint256,uint256,uint256)",
+          args: [args.pid, minDeposit, lockBlocks],
+        },
+      ],
+      args.dryRun
+    );
+  });
+
+task("stake:set-reward", "Set MetaNode reward per block, mass updating pools first so the change is not retroactive")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addParam("perBlock", "MetaNode reward per block (per second in timestamp mode) in token units")
+  .addFlag("skipUpdate", "Do not mass update pools before the change")
+  .addFlag("dryRun", "Simulate with staticCall without sending transactions")
+  .setAction(async (args, hre) => {
+    const stake = await getStake(hre, args.address);
+    const calls = [];
+    if (!args.skipUpdate) {
+      calls.push({ contract: stake, method: "massUpdatePools", args: [] });
+    }
+    calls.push({
+      contract: stake,
+      method: "setMetaNodePerBlock",
+      args: [hre.ethers.parseEther(args.perBlock)],
+    });
+    return execute(hre, stake, calls, args.dryRun);
+  });
+
+task("stake:add-phase", "Append an emission phase, optionally halving every N blocks; past rewards are not affected")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addParam("start", "First block (timestamp in timestamp mode) of the phase", undefined, types.int)
+  .addParam("perBlock", "MetaNode reward per block (per second in timestamp mode) in token units")
+  .addOptionalParam("halvingInterval", "Halve the reward every N blocks (seconds), 0 for a flat rate", 0, types.int)
+  .addFlag("dryRun", "Simulate with staticCall without sending transactions")
+  .setAction(async (args, hre) => {
+    const stake = await getStake(hre, args.address);
+    return execute(
+      hre,
+      stake,
+      [
+        {
+          contract: stake,
+          method: "addEmissionPhase",
+          args: [args.start, hre.ethers.parseEther(args.perBlock), args.halvingInterval],
+        },
+      ],
+      args.dryRun
+    );
+  });
+
+task("stake:remove-phase", "Remove the last emission phase if it has not started yet")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addFlag("dryRun", "Simulate with staticCall without sending transactions")
+  .setAction(async (args, hre) => {
+    const stake = await getStake(hre, args.address);
+    return execute(hre, stake, [{ contract: stake, method: "removeEmissionPhase", args: [] }], args.dryRun);
+  });
+
+task("stake:set-window", "Set the staking start and/or end block (timestamps in timestamp mode)")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addOptionalParam("start", "New start block or timestamp", undefined, types.int)
+  .addOptionalParam("end", "New end block or timestamp", undefined, types.int)
+  .addFlag("dryRun", "Simulate with staticCall without sending transactions")
+  .setAction(async (args, hre) => {
+    if (args.start === undefined && args.end === undefined) {
+      throw new Error("at least one of --start and --end is required");
+    }
+    const stake = await getStake(hre, args.address);
+    const start = args.start === undefined ? await stake.startBlock() : BigInt(args.start);
+    const end = args.end === undefined ? await stake.endBlock() : BigInt(args.end);
+    if (start > end) {
+      throw new Error("start block must be smaller than end block");
+    }
+
+    const setStart = { contract: stake, method: "setStartBlock", args: [start] };
+    const setEnd = { contract: stake, method: "setEndBlock", args: [end] };
+    let calls;
+    if (args.start === undefined) {
+      calls = [setEnd];
+    } else if (args.end === undefined) {
+      calls = [setStart];
+    } else if (start > (await stake.endBlock())) {
+      // 新的开始区块比当前结束区块还晚，需要先延后结束区块
+      calls = [setEnd, { ...setStart, dependent: true }];
+    } else {
+      calls = [setStart, { ...setEnd, dependent: true }];
+    }
+    return execute(hre, stake, calls, args.dryRun);
+  });
+
+for (const [name, target, pauseMethod, unpauseMethod] of [
+  ["stake:pause-withdraw", "unstake and withdraw", "pauseWithdraw", "unpauseWithdraw"],
+  ["stake:pause-claim", "claim", "pauseClaim", "unpauseClaim"],
+  ["stake:pause-all", "all user operations", "pause", "unpause"],
+]) {
+  task(name, `Pause ${target}, or resume with --unpause`)
+    .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+    .addFlag("unpause", "Resume instead of pausing")
+    .addFlag("dryRun", "Simulate with staticCall without sending transactions")
+    .setAction(async (args, hre) => {
+      const stake = await getStake(hre, args.address);
+      const method = args.unpause ? unpauseMethod : pauseMethod;
+      return execute(hre, stake, [{ contract: stake, method, args: [] }], args.dryRun);
+    });
+}
+
+task("stake:set-forwarder", "Set the ERC-2771 trusted forwarder, the zero address disables meta transactions")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addParam("forwarder", "Forwarder address")
+  .addFlag("dryRun", "Simulate with staticCall without sending transactions")
+  .setAction(async (args, hre) => {
+    const stake = await getStake(hre, args.address);
+    return execute(
+      hre,
+      stake,
+      [{ contract: stake, method: "setTrustedForwarder", args: [args.forwarder] }],
+      args.dryRun
+    );
+  });
+
+task("stake:set-weth", "Set the WETH accepted by the ETH pool through depositWETH / withdrawAsWETH")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addParam("weth", "WETH address")
+  .addFlag("dryRun", "Simulate with staticCall without sending transactions")
+  .setAction(async (args, hre) => {
+    const stake = await getStake(hre, args.address);
+    return execute(
+      hre,
+      stake,
+      [{ contract: stake, method: "setWETH", args: [args.weth] }],
+      args.dryRun
+    );
+  });
+
+task("stake:fund", "Transfer MetaNode reward tokens from the signer to the stake contract")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addParam("amount", "Amount of MetaNode in token units")
+  .addFlag("dryRun", "Simulate with staticCall without sending transactions")
+  .setAction(async (args, hre) => {
+    const stake = await getStake(hre, args.address);
+    const metaNode = await hre.ethers.getContractAt("IERC20", await stake.MetaNode());
+    return execute(
+      hre,
+      stake,
+      [
+        {
+          contract: metaNode,
+          method: "transfer",
+          args: [await stake.getAddress(), hre.ethers.parseEther(args.amount)],
+        },
+      ],
+      args.dryRun
+    );
+  });
+
+module.exports = { snapshot, execute, tokenDecimals, readOptional };
@@ -0,0 +1,215 @@
+const { task, types } = require("hardhat/config");
+const { loadManifest, resolveAddress } = require("./manifest");
+
+// TimelockController.OperationState
+const OPERATION_STATES = ["unset", "waiting", "ready", "done"];
+
+async function getTimelock(hre, address) {
+  return hre.ethers.getContractAt(
+    "MetaNodeTimelock",
+    resolveAddress(hre, "MetaNodeTimelock", address)
+  );
+}
+
+// 把调用数据解码成 setPoolWeight(0, 100, true) 的形式，不是 MetaNodeStake 的调用时原样返回
+function describeCall(iface, { target, value, data }) {
+  try {
+    const call = iface.parseTransaction({ data, value });
+    return `${call.name}(${call.args.map(String).join(", ")})`;
+  } catch {
+    return `${target}: ${data}`;
+  }
+}
+
+/**
+ * 通过 timelock 排队一次调用，minDelay 之后才能执行
+ * 同样的调用再次排队需要换一个 salt，否则 operation id 相同会被拒绝
+ *
+ * @param timelock  MetaNodeTimelock contract connected to a proposer
+ * @param params    `target`, `data`, `value`, `salt` (any string), `delay` (seconds, defaults to minDelay)
+ * @return          The operation id and the earliest execution timestamp
+ */
+async function queueOperation(hre, timelock, { target, data, value = 0n, salt = "", delay }) {
+  const { ethers } = hre;
+  const saltHash = salt ? ethers.id(salt) : ethers.ZeroHash;
+  const wait = delay ?? (await timelock.getMinDelay());
+  const id = await timelock.hashOperation(target, value, data, ethers.ZeroHash, saltHash);
+  const tx = await timelock.schedule(target, value, data, ethers.ZeroHash, saltHash, wait);
+  await tx.wait();
+  return { id, readyAt: await timelock.getTimestamp(id) };
+}
+
+/**
+ * 从 CallScheduled / CallSalt 事件还原排过队的操作，按排队顺序返回，
+ * 包括执行所需的全部参数和当前状态：waiting / ready / done / cancelled
+ */
+async function listOperations(hre, timelock, { fromBlock = 0 } = {}) {
+  const stake = await hre.ethers.getContractFactory("MetaNodeStake");
+  const scheduled = await timelock.queryFilter(timelock.filters.CallScheduled(), fromBlock);
+  const salts = await timelock.queryFilter(timelock.filters.CallSalt(), fromBlock);
+  const saltOf = new Map(salts.map((log) => [log.args.id, log.args.salt]));
+
+  // scheduleBatch 的每个调用一条 CallScheduled 事件，index 为调用的下标
+  const operations = new Map();
+  for (const log of scheduled) {
+    const { id, index, target, value, data, predecessor, delay } = log.args;
+    if (!operations.has(id)) {
+      operations.set(id, {
+        id,
+        calls: [],
+        predecessor,
+        salt: saltOf.get(id) ?? hre.ethers.ZeroHash,
+        delay,
+        blockNumber: log.blockNumber,
+      });
+    }
+    operations.get(id).calls[Number(index)] = { target, value, data };
+  }
+
+  const list = [];
+  for (const operation of operations.values()) {
+    const state = OPERATION_STATES[Number(await timelock.getOperationState(operation.id))];
+    list.push({
+      ...operation,
+      // 取消的操作时间戳被清零，状态回到 unset
+      status: state === "unset" ? "cancelled" : state,
+      readyAt: await timelock.getTimestamp(operation.id),
+      description: operation.calls.map((call) => describeCall(stake.interface, call)).join("; "),
+    });
+  }
+  return list;
+}
+
+/**
+ * 执行一个已经就绪的操作，批量操作用 executeBatch
+ */
+async function executeOperation(timelock, operation) {
+  const { calls, predecessor, salt } = operation;
+  const value = calls.reduce((sum, call) => sum + call.value, 0n);
+  const tx =
+    calls.length === 1
+      ? await timelock.execute(calls[0].target, calls[0].value, calls[0].data, predecessor, salt, { value })
+      : await timelock.executeBatch(
+          calls.map((call) => call.target),
+          calls.map((call) => call.value),
+          calls.map((call) => call.data),
+          predecessor,
+          salt,
+          { value }
+        );
+  return tx.wait();
+}
+
+function defaultFromBlock(hre, fromBlock) {
+  if (fromBlock !== undefined) {
+    return fromBlock;
+  }
+  const manifest = loadManifest(hre.network.name);
+  return (manifest && manifest.deployBlock) || 0;
+}
+
+function printOperation(operation) {
+  const readyAt = operation.readyAt > 1n ? new Date(Number(operation.readyAt) * 1000).toISOString() : "-";
+  console.log(`${operation.id} [${operation.status}] ready at ${readyAt}`);
+  console.log(`  ${operation.description}`);
+}
+
+// ************************************** TASKS **************************************
+
+task("stake:timelock-queue", "Queue a MetaNodeStake admin call (or an upgrade) through the timelock")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addOptionalParam("timelock", "MetaNodeTimelock address, defaults to deployments/<network>.json")
+  .addOptionalParam("method", "MetaNodeStake function, e.g. setMetaNodePerBlock")
+  .addOptionalParam("args", "JSON array of arguments for --method, or for the --call reinitializer", "[]")
+  .addOptionalParam("upgrade", "Deploy this implementation (e.g. MetaNodeStakeV2) and queue upgradeToAndCall")
+  .addOptionalParam("call", "Reinitializer to call in the upgrade, e.g. initializeV2")
+  .addOptionalParam("salt", "Salt to tell apart otherwise identical operations", "")
+  .addOptionalParam("delay", "Delay in seconds, defaults to the timelock minDelay", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { ethers, upgrades } = hre;
+    if (!args.method === !args.upgrade) {
+      throw new Error("exactly one of --method and --upgrade is required");
+    }
+    const stakeAddress = resolveAddress(hre, "MetaNodeStake", args.address);
+    const timelock = await getTimelock(hre, args.timelock);
+    const stake = await ethers.getContractAt("MetaNodeStake", stakeAddress);
+    const callArgs = JSON.parse(args.args);
+    // 只有配置的 proposer（一般是多签）能排队，其他账户直接失败，不发送交易
+    const [signer] = await ethers.getSigners();
+    if (!(await timelock.hasRole(await timelock.PROPOSER_ROLE(), signer.address))) {
+      throw new Error(`${signer.address} is not a timelock proposer, queue it from the proposer (multisig) instead`);
+    }
+
+    let data;
+    if (args.upgrade) {
+      // prepareUpgrade 校验存储布局并部署新的实现，升级本身由 timelock 执行
+      const Factory = await ethers.getContractFactory(args.upgrade);
+      const implementation = await upgrades.prepareUpgrade(stakeAddress, Factory, { kind: "uups" });
+      console.log(`${args.upgrade} implementation: ${implementation}`);
+      const initData = args.call ? Factory.interface.encodeFunctionData(args.call, callArgs) : "0x";
+      data = stake.interface.encodeFunctionData("upgradeToAndCall", [implementation, initData]);
+    } else {
+      data = stake.interface.encodeFunctionData(args.method, callArgs);
+    }
+
+    const operation = await queueOperation(hre, timelock, {
+      target: stakeAddress,
+      data,
+      salt: args.salt,
+      delay: args.delay,
+    });
+    console.log(`Queued ${describeCall(stake.interface, { target: stakeAddress, value: 0n, data })}`);
+    console.log(`  id: ${operation.id}`);
+    console.log(`  ready at: ${new Date(Number(operation.readyAt) * 1000).toISOString()}`);
+    return operation;
+  });
+
+task("stake:timelock-list", "List operations queued in the timelock and their status")
+  .addOptionalParam("timelock", "MetaNodeTimelock address, defaults to deployments/<network>.json")
+  .addOptionalParam("fromBlock", "Scan events from this block, defaults to the deploy block", undefined, types.int)
+  .addFlag("pending", "Only list operations that are waiting or ready")
+  .setAction(async (args, hre) => {
+    const timelock = await getTimelock(hre, args.timelock);
+    let operations = await listOperations(hre, timelock, { fromBlock: defaultFromBlock(hre, args.fromBlock) });
+    if (args.pending) {
+      operations = operations.filter((op) => op.status === "waiting" || op.status === "ready");
+    }
+    console.log(`MetaNodeTimelock: ${await timelock.getAddress()}, minDelay: ${await timelock.getMinDelay()}s`);
+    if (operations.length === 0) {
+      console.log("No operations");
+    }
+    operations.forEach(printOperation);
+    return operations;
+  });
+
+task("stake:timelock-execute", "Execute ready timelock operations")
+  .addOptionalParam("timelock", "MetaNodeTimelock address, defaults to deployments/<network>.json")
+  .addOptionalParam("id", "Operation id, defaults to every ready operation")
+  .addOptionalParam("fromBlock", "Scan events from this block, defaults to the deploy block", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const timelock = await getTimelock(hre, args.timelock);
+    const operations = await listOperations(hre, timelock, { fromBlock: defaultFromBlock(hre, args.fromBlock) });
+    let targets;
+    if (args.id) {
+      const operation = operations.find((op) => op.id === args.id);
+      if (!operation) {
+        throw new Error(`operation ${args.id} not found`);
+      }
+      if (operation.status !== "ready") {
+        throw new Error(`operation ${args.id} is ${operation.status}, not ready`);
+      }
+      targets = [operation];
+    } else {
+      targets = operations.filter((op) => op.status === "ready");
+    }
+    if (targets.length === 0) {
+      console.log("No ready operations");
+    }
+    for (const operation of targets) {
+      const receipt = await executeOperation(timelock, operation);
+      console.log(`Executed ${operation.description} tx: ${receipt.hash}`);
+    }
+    return targets.map((op) => op.id);
+  });
+
+module.exports = { queueOperation, listOperations, executeOperation };
@@ -0,0 +1,183 @@
+const { task } = require("hardhat/config");
+const { loadManifest, saveManifest, resolveAddress } = require("./manifest");
+const { snapshot, readOptional } = require("./stake");
+
+/**
+ * 升级前后都要读取的状态：全局和池状态，以及指定用户在每个池的质押、按固定区块计算的待领取奖励
+ * 升级前的实现可能是基线版本，只读取它也有的函数，新加入的字段只出现在升级后的结果中，不参与对比
+ */
+async function captureState(hre, stake, users, blockNumber) {
+  const state = await snapshot(hre, stake);
+  const length = Number(await stake.poolLength());
+  for (const account of users) {
+    for (let pid = 0; pid < length; pid++) {
+      const [requestAmount] = await stake.withdrawAmount(pid, account);
+      state[`user[${account}][${pid}].stAmount`] = (await stake.stakingBalance(pid, account)).toString();
+      state[`user[${account}][${pid}].pendingMetaNode`] = (
+        await stake.pendingMetaNodeByBlockNumber(pid, account, blockNumber)
+      ).toString();
+      state[`user[${account}][${pid}].unstaking`] = requestAmount.toString();
+    }
+    const unpaid = await readOptional(() => stake.unpaidMetaNode(account), undefined);
+    if (unpaid !== undefined) {
+      state[`user[${account}].unpaidMetaNode`] = unpaid.toString();
+    }
+  }
+  return state;
+}
+
+function diffState(before, after) {
+  return Object.keys(before).filter((key) => before[key] !== after[key]);
+}
+
+async function checkUpgrader(hre, stake) {
+  const [signer] = await hre.ethers.getSigners();
+  if (!(await stake.hasRole(await stake.UPGRADE_ROLE(), signer.address))) {
+    throw new Error(`${signer.address} does not have UPGRADE_ROLE`);
+  }
+  return signer;
+}
+
+// 在部署清单中记录实现合约地址和升级历史，回滚时从这里找上一个实现
+async function recordUpgrade(hre, proxyAddress, entry, dir) {
+  const { network } = hre;
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  const manifest = loadManifest(network.name, dir) || {
+    network: network.name,
+    chainId,
+    contracts: { MetaNodeStake: proxyAddress },
+  };
+  manifest.contracts.MetaNodeStakeImplementation = entry.to;
+  manifest.upgrades = [...(manifest.upgrades || []), entry];
+  saveManifest(network.name, manifest, dir);
+  return manifest;
+}
+
+/**
+ * 校验存储布局后升级 MetaNodeStake 代理，升级后做冒烟检查并记录新的实现合约
+ * 冒烟检查失败时抛错并给出回滚命令
+ *
+ * @param hre       Hardhat runtime environment
+ * @param params    `address`, `contract` (new implementation name), `call` / `args` (reinitializer),
+ *                  `users` (accounts whose positions must survive the upgrade), `validateOnly`
+ * @param options   `dir` overrides the deployments directory
+ */
+async function upgradeStake(hre, params, { dir } = {}) {
+  const { ethers, upgrades } = hre;
+  const proxyAddress = resolveAddress(hre, "MetaNodeStake", params.address);
+  const stake = await ethers.getContractAt("MetaNodeStake", proxyAddress);
+  const Factory = await ethers.getContractFactory(params.contract);
+  const users = params.users || [];
+
+  await checkUpgrader(hre, stake);
+  const from = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  console.log(`Proxy: ${proxyAddress}, current implementation: ${from}`);
+
+  // 存储布局和不安全写法的校验，基于 .openzeppelin/<network>.json 中记录的当前实现
+  await upgrades.validateUpgrade(proxyAddress, Factory, { kind: "uups" });
+  console.log(`Storage layout of ${params.contract} is compatible`);
+  if (params.validateOnly) {
+    return { proxy: proxyAddress, from };
+  }
+
+  const blockNumber = await ethers.provider.getBlockNumber();
+  const before = await captureState(hre, stake, users, blockNumber);
+
+  const upgraded = await upgrades.upgradeProxy(proxyAddress, Factory, {
+    kind: "uups",
+    call: params.call ? { fn: params.call, args: params.args || [] } : undefined,
+  });
+  await upgraded.waitForDeployment();
+  const to = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  console.log(`Upgraded to ${params.contract} at ${to}`);
+
+  // 冒烟检查：升级不应该改变任何已有状态
+  const after = await captureState(hre, stake, users, blockNumber);
+  const changed = diffState(before, after);
+  if (changed.length > 0) {
+    for (const key of changed) {
+      console.log(`  ${key}: ${before[key]} -> ${after[key]}`);
+    }
+    throw new Error(
+      `smoke check failed, ${changed.length} value(s) changed. ` +
+        `Roll back with: npx hardhat stake:rollback --implementation ${from} --network ${hre.network.name}`
+    );
+  }
+  if (upgraded.interface.getFunction("getVersion")) {
+    console.log(`Smoke check passed, version: ${await upgraded.getVersion()}`);
+  } else {
+    console.log("Smoke check passed");
+  }
+
+  const manifest = await recordUpgrade(
+    hre,
+    proxyAddress,
+    { contract: params.contract, from, to, block: await ethers.provider.getBlockNumber() },
+    dir
+  );
+  console.log(`Rollback plan: npx hardhat stake:rollback --implementation ${from} --network ${hre.network.name}`);
+  return { proxy: proxyAddress, from, to, manifest };
+}
+
+/**
+ * 回滚到之前的实现合约，默认是部署清单中最后一次升级前的实现
+ * 直接调用 upgradeToAndCall，不做存储布局校验：回滚的目标是一个曾经在用的实现，
+ * 新版本追加的状态变量会留在存储中，重新升级时还能读到。reinitializer 不会再次执行
+ */
+async function rollbackStake(hre, params, { dir } = {}) {
+  const { ethers, upgrades, network } = hre;
+  const proxyAddress = resolveAddress(hre, "MetaNodeStake", params.address);
+  const stake = await ethers.getContractAt("MetaNodeStake", proxyAddress);
+  await checkUpgrader(hre, stake);
+
+  let implementation = params.implementation;
+  if (!implementation) {
+    const manifest = loadManifest(network.name, dir);
+    const last = manifest && manifest.upgrades && manifest.upgrades[manifest.upgrades.length - 1];
+    if (!last) {
+      throw new Error("no upgrade recorded in the manifest, pass --implementation explicitly");
+    }
+    implementation = last.from;
+  }
+  if ((await ethers.provider.getCode(implementation)) === "0x") {
+    throw new Error(`implementation ${implementation} has no code`);
+  }
+
+  const from = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  const tx = await stake.upgradeToAndCall(implementation, "0x");
+  console.log(`upgradeToAndCall(${implementation}) tx: ${tx.hash}`);
+  await tx.wait();
+
+  const manifest = await recordUpgrade(
+    hre,
+    proxyAddress,
+    { contract: "rollback", from, to: implementation, block: await ethers.provider.getBlockNumber() },
+    dir
+  );
+  console.log(`Rolled back ${proxyAddress} from ${from} to ${implementation}`);
+  return { proxy: proxyAddress, from, to: implementation, manifest };
+}
+
+task("stake:upgrade", "Validate the storage layout and upgrade the MetaNodeStake proxy")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addOptionalParam("contract", "New implementation contract", "MetaNodeStakeV2")
+  .addOptionalParam("call", "Reinitializer to call during the upgrade, e.g. initializeV2")
+  .addOptionalParam("args", "JSON array of reinitializer arguments", "[]")
+  .addOptionalParam("users", "Comma separated accounts whose positions are checked after the upgrade", "")
+  .addFlag("validateOnly", "Only validate the storage layout, do not upgrade")
+  .setAction(async (args, hre) => {
+    return upgradeStake(hre, {
+      ...args,
+      args: JSON.parse(args.args),
+      users: args.users ? args.users.split(",").map((account) => account.trim()) : [],
+    });
+  });
+
+task("stake:rollback", "Point the MetaNodeStake proxy back to a previous implementation")
+  .addOptionalParam("address", "MetaNodeStake proxy address, defaults to deployments/<network>.json")
+  .addOptionalParam("implementation", "Implementation to roll back to, defaults to the one before the last upgrade")
+  .setAction(async (args, hre) => {
+    return rollbackStake(hre, args);
+  });
+
+module.exports = { upgradeStake, rollbackStake };
@@ -1,6 +1,7 @@
 const { ethers, upgrades } = require("hardhat")
 const { expect } = require("chai")
 const { time } = require("@nomicfoundation/hardhat-network-helpers")
+const { mine } = require("./helpers")
 
 describe("== MetaNodeStake 完整测试 ==", async function () {
     let admin, user1, user2, user3, attacker
@@ -1127,4 +1128,991 @@ describe("== MetaNodeStake 完整测试 ==", async function () {
             expect(userStake).to.be.gt(0)
         })
     })
+
+    describe("12、全局暂停与紧急提现测试", function () {
+        it("应该允许管理员全局暂停和恢复", async function () {
+            await stakeProxyContract.connect(admin).pause()
+            expect(await stakeProxyContract.paused()).to.be.true
+
+            // 重复暂停应该失败
+            await expect(
+                stakeProxyContract.connect(admin).pause()
+            ).to.be.revertedWithCustomError(stakeProxyContract, "EnforcedPause")
+
+            // 暂停期间所有用户操作都应该失败
+            await expect(
+                stakeProxyContract.connect(user1).depositETH({ value: ethers.parseEther("1") })
+            ).to.be.revertedWithCustomError(stakeProxyContract, "EnforcedPause")
+            await expect(
+                stakeProxyContract.connect(user2).deposit(1, ethers.parseEther("1"))
+            ).to.be.revertedWithCustomError(stakeProxyContract, "EnforcedPause")
+            await expect(
+                stakeProxyContract.connect(user1).unstake(0, 1)
+            ).to.be.revertedWithCustomError(stakeProxyContract, "EnforcedPause")
+            await expect(
+                stakeProxyContract.connect(user1).withdraw(0)
+            ).to.be.revertedWithCustomError(stakeProxyContract, "EnforcedPause")
+            await expect(
+                stakeProxyContract.connect(user1).claim(0)
+            ).to.be.revertedWithCustomError(stakeProxyContract, "EnforcedPause")
+
+            await stakeProxyContract.connect(admin).unpause()
+            expect(await stakeProxyContract.paused()).to.be.false
+
+            // 重复恢复应该失败
+            await expect(
+                stakeProxyContract.connect(admin).unpause()
+            ).to.be.revertedWithCustomError(stakeProxyContract, "ExpectedPause")
+
+            // 恢复后可以正常质押
+            await expect(
+                stakeProxyContract.connect(user1).depositETH({ value: ethers.parseEther("1") })
+            ).to.not.be.reverted
+        })
+
+        it("应该拒绝非管理员全局暂停和恢复", async function () {
+            await expect(
+                stakeProxyContract.connect(attacker).pause()
+            ).to.be.revertedWithCustomError(stakeProxyContract, "AccessControlUnauthorizedAccount")
+
+            await stakeProxyContract.connect(admin).pause()
+            await expect(
+                stakeProxyContract.connect(attacker).unpause()
+            ).to.be.revertedWithCustomError(stakeProxyContract, "AccessControlUnauthorizedAccount")
+            await stakeProxyContract.connect(admin).unpause()
+        })
+
+        it("紧急提现应该退还ETH本金并放弃奖励", async function () {
+            const poolId = 0
+            const depositAmount = ethers.parseEther("2")
+            const unstakeAmount = ethers.parseEther("0.5")
+
+            await stakeProxyContract.connect(attacker).depositETH({ value: depositAmount })
+            await stakeProxyContract.connect(attacker).unstake(poolId, unstakeAmount)
+            for (let i = 0; i < 3; i++) {
+                await provider.send("evm_mine", [])
+            }
+            expect(await stakeProxyContract.pendingMetaNode(poolId, attacker.address)).to.be.gt(0)
+
+            // 领取和全局都暂停时依然可以紧急提现
+            await stakeProxyContract.connect(admin).pauseClaim()
+            await stakeProxyContract.connect(admin).pause()
+
+            const poolBefore = await stakeProxyContract.pool(poolId)
+            const balanceBefore = await provider.getBalance(attacker.address)
+
+            const tx = await stakeProxyContract.connect(attacker).emergencyWithdraw(poolId)
+            const receipt = await tx.wait()
+            const gasUsed = receipt.gasUsed * receipt.gasPrice
+            await expect(tx)
+                .to.emit(stakeProxyContract, "EmergencyWithdraw")
+                .withArgs(attacker.address, poolId, depositAmount)
+
+            // 质押中的本金和解质押中的本金都被退还
+            const balanceAfter = await provider.getBalance(attacker.address)
+            expect(balanceAfter - balanceBefore + gasUsed).to.equal(depositAmount)
+
+            const poolAfter = await stakeProxyContract.pool(poolId)
+            expect(poolBefore.stTokenAmount - poolAfter.stTokenAmount).to.equal(depositAmount - unstakeAmount)
+
+            // 奖励被放弃
+            expect(await stakeProxyContract.stakingBalance(poolId, attacker.address)).to.equal(0)
+            expect(await stakeProxyContract.pendingMetaNode(poolId, attacker.address)).to.equal(0)
+            const [requestAmount, pendingWithdrawAmount] = await stakeProxyContract.withdrawAmount(poolId, attacker.address)
+            expect(requestAmount).to.equal(0)
+            expect(pendingWithdrawAmount).to.equal(0)
+
+            await stakeProxyContract.connect(admin).unpause()
+            await stakeProxyContract.connect(admin).unpauseClaim()
+        })
+
+        it("紧急提现应该退还ERC20本金", async function () {
+            const poolId = 1
+            const depositAmount = ethers.parseEther("50")
+            const stakeAddress = await stakeProxyContract.getAddress()
+
+            await erc20Contract.connect(admin).transfer(attacker.address, depositAmount)
+            await erc20Contract.connect(attacker).approve(stakeAddress, depositAmount)
+            await stakeProxyContract.connect(attacker).deposit(poolId, depositAmount)
+
+            const balanceBefore = await erc20Contract.balanceOf(attacker.address)
+            await stakeProxyContract.connect(attacker).emergencyWithdraw(poolId)
+            const balanceAfter = await erc20Contract.balanceOf(attacker.address)
+
+            expect(balanceAfter - balanceBefore).to.equal(depositAmount)
+            expect(await stakeProxyContract.stakingBalance(poolId, attacker.address)).to.equal(0)
+        })
+
+        it("没有本金时紧急提现应该失败", async function () {
+            await expect(
+                stakeProxyContract.connect(attacker).emergencyWithdraw(0)
+            ).to.be.revertedWith("nothing to withdraw")
+
+            await expect(
+                stakeProxyContract.connect(attacker).emergencyWithdraw(999)
+            ).to.be.revertedWith("invalid pid")
+        })
+    })
+
+    describe("13、解质押请求管理测试", function () {
+        // 独立部署，方便精确计算奖励
+        let token, stake, lens
+        const perBlock = ethers.parseEther("100")
+        const lockedBlocks = 5
+
+        before(async function () {
+            const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken")
+            token = await MetaNodeToken.connect(admin).deploy()
+            const blockNumber = await provider.getBlockNumber()
+            const MetaNodeStake = await ethers.getContractFactory("MetaNodeStake")
+            stake = await upgrades.deployProxy(
+                MetaNodeStake.connect(admin),
+                [await token.getAddress(), blockNumber, blockNumber + blockHeight, perBlock],
+                { kind: "uups" }
+            )
+            const MetaNodeStakeLens = await ethers.getContractFactory("MetaNodeStakeLens")
+            lens = await MetaNodeStakeLens.deploy(await stake.getAddress())
+            await token.connect(admin).transfer(await stake.getAddress(), ethers.parseEther("1000000"))
+            await stake.connect(admin).addPool(zeroAddress, 1, 0, lockedBlocks, false)
+        })
+
+        it("应该返回每一笔解质押请求的金额和解锁区块", async function () {
+            await stake.connect(user1).depositETH({ value: ethers.parseEther("10") })
+            await stake.connect(user1).unstake(0, ethers.parseEther("1"))
+            const firstUnlock = BigInt(await provider.getBlockNumber()) + BigInt(lockedBlocks)
+            await stake.connect(user1).unstake(0, ethers.parseEther("2"))
+
+            const [ids, requests] = await lens.unstakeRequests(0, user1.address)
+            expect(ids).to.deep.equal([0n, 1n])
+            expect(requests[0].amount).to.equal(ethers.parseEther("1"))
+            expect(requests[0].unlockBlocks).to.equal(firstUnlock)
+            expect(requests[1].amount).to.equal(ethers.parseEther("2"))
+            expect(requests[1].unlockBlocks).to.equal(firstUnlock + 1n)
+        })
+
+        it("取消解质押后应该重新质押并正确结算奖励", async function () {
+            const [, requestsBefore] = await lens.unstakeRequests(0, user1.address)
+            const poolBefore = await stake.pool(0)
+
+            await expect(stake.connect(user1).cancelUnstake(0, 1))
+                .to.emit(stake, "CancelUnstake")
+                .withArgs(user1.address, 0, 1, requestsBefore[1].amount)
+
+            expect(await stake.stakingBalance(0, user1.address)).to.equal(ethers.parseEther("9"))
+            const poolAfter = await stake.pool(0)
+            expect(poolAfter.stTokenAmount - poolBefore.stTokenAmount).to.equal(ethers.parseEther("2"))
+
+            const [ids] = await lens.unstakeRequests(0, user1.address)
+            expect(ids).to.deep.equal([0n])
+            const [requestAmount] = await stake.withdrawAmount(0, user1.address)
+            expect(requestAmount).to.equal(ethers.parseEther("1"))
+
+            // 唯一的质押者拿到全部奖励，取消前后都不会丢失
+            await mine(3)
+            const deposits = await stake.queryFilter(stake.filters.Deposit(user1.address))
+            const elapsed = BigInt(await provider.getBlockNumber()) - BigInt(deposits[0].blockNumber)
+            const pending = await stake.pendingMetaNode(0, user1.address)
+            expect(perBlock * elapsed - pending).to.be.lte(10n)
+        })
+
+        it("应该拒绝取消无效的解质押请求", async function () {
+            // 已取消
+            await expect(stake.connect(user1).cancelUnstake(0, 1)).to.be.revertedWith("invalid unstake request")
+            // 不存在
+            await expect(stake.connect(user1).cancelUnstake(0, 99)).to.be.revertedWith("invalid unstake request")
+            // 其他用户没有这个请求
+            await expect(stake.connect(user2).cancelUnstake(0, 0)).to.be.revertedWith("invalid unstake request")
+            await expect(stake.connect(user1).cancelUnstake(99, 0)).to.be.revertedWith("invalid pid")
+        })
+
+        it("应该可以限制单次提现的请求数量", async function () {
+            for (let i = 0; i < 3; i++) {
+                await stake.connect(user1).unstake(0, ethers.parseEther("1"))
+            }
+            await mine(lockedBlocks)
+
+            // 请求 0 和 2（已取消）之后是 3、4
+            let [ids] = await lens.unstakeRequests(0, user1.address)
+            expect(ids).to.deep.equal([0n, 2n, 3n, 4n])
+
+            const balanceBefore = await provider.getBalance(user1.address)
+            const tx = await stake.connect(user1).withdrawRequests(0, 3)
+            const receipt = await tx.wait()
+            const balanceAfter = await provider.getBalance(user1.address)
+            // 下标 0、1（已取消，金额为0）、2
+            expect(balanceAfter - balanceBefore + receipt.gasUsed * receipt.gasPrice).to.equal(ethers.parseEther("2"))
+            expect(await stake.requestHead(0, user1.address)).to.equal(3)
+
+            ;[ids] = await lens.unstakeRequests(0, user1.address)
+            expect(ids).to.deep.equal([3n, 4n])
+
+            // 已提现的请求不能再取消
+            await expect(stake.connect(user1).cancelUnstake(0, 2)).to.be.revertedWith("invalid unstake request")
+
+            await stake.connect(user1).withdraw(0)
+            ;[ids] = await lens.unstakeRequests(0, user1.address)
+            expect(ids).to.have.lengthOf(0)
+            expect(await stake.requestHead(0, user1.address)).to.equal(5)
+            const [requestAmount, pendingWithdrawAmount] = await stake.withdrawAmount(0, user1.address)
+            expect(requestAmount).to.equal(0)
+            expect(pendingWithdrawAmount).to.equal(0)
+        })
+
+        it("未解锁的请求不应该被提现", async function () {
+            await stake.connect(user1).unstake(0, ethers.parseEther("1"))
+            await stake.connect(user1).withdrawRequests(0, 10)
+            expect(await stake.requestHead(0, user1.address)).to.equal(5)
+
+            // 紧急提现后队列头移到末尾，剩余请求都被跳过
+            await stake.connect(user1).emergencyWithdraw(0)
+            expect(await stake.requestHead(0, user1.address)).to.equal(6)
+            const [ids] = await lens.unstakeRequests(0, user1.address)
+            expect(ids).to.have.lengthOf(0)
+        })
+    })
+
+    describe("14、奖励偿付能力测试", function () {
+        // 独立部署，只注入少量 MetaNode 模拟资金不足
+        let token, stake, lens
+        const perBlock = ethers.parseEther("100")
+        const funded = ethers.parseEther("1000")
+
+        before(async function () {
+            const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken")
+            token = await MetaNodeToken.connect(admin).deploy()
+            const blockNumber = await provider.getBlockNumber()
+            const MetaNodeStake = await ethers.getContractFactory("MetaNodeStake")
+            stake = await upgrades.deployProxy(
+                MetaNodeStake.connect(admin),
+                [await token.getAddress(), blockNumber, blockNumber + 100, perBlock],
+                { kind: "uups" }
+            )
+            const MetaNodeStakeLens = await ethers.getContractFactory("MetaNodeStakeLens")
+            lens = await MetaNodeStakeLens.deploy(await stake.getAddress())
+            await token.connect(admin).transfer(await stake.getAddress(), funded)
+            await stake.connect(admin).addPool(zeroAddress, 1, 0, 5, false)
+        })
+
+        it("应该统计已产生和未来的奖励负债", async function () {
+            let [balance, accrued, future, shortfall] = await lens.rewardSolvency()
+            expect(balance).to.equal(funded)
+            expect(accrued).to.equal(0)
+            // 剩余区块的奖励远超注入的 1000 个
+            expect(future % perBlock).to.equal(0)
+            expect(shortfall).to.equal(future - funded)
+
+            await stake.connect(user1).depositETH({ value: ethers.parseEther("1") })
+            await mine(3)
+            ;[balance, accrued, future, shortfall] = await lens.rewardSolvency()
+            expect(accrued).to.equal(await stake.pendingMetaNode(0, user1.address))
+            expect(accrued).to.be.gt(0)
+            expect(shortfall).to.equal(accrued + future - balance)
+        })
+
+        it("余额不足时应该记录欠款而不是少发", async function () {
+            await mine(10)
+            const balanceBefore = await token.balanceOf(user1.address)
+            const tx = await stake.connect(user1).claim(0)
+            const balanceAfter = await token.balanceOf(user1.address)
+
+            // 只能发出合约余额，其余记为欠款
+            expect(balanceAfter - balanceBefore).to.equal(funded)
+            await expect(tx).to.emit(stake, "Claim").withArgs(user1.address, 0, funded)
+            const unpaid = await stake.unpaidMetaNode(user1.address)
+            expect(unpaid).to.be.gt(0)
+            await expect(tx).to.emit(stake, "RecordUnpaid").withArgs(user1.address, unpaid, unpaid)
+            expect(await stake.totalUnpaidMetaNode()).to.equal(unpaid)
+            // 欠款仍然计入负债
+            expect(await stake.accruedMetaNode()).to.equal(unpaid)
+        })
+
+        it("补充资金后领取应该补发欠款", async function () {
+            const unpaid = await stake.unpaidMetaNode(user1.address)
+            await token.connect(admin).transfer(await stake.getAddress(), ethers.parseEther("100000"))
+
+            const balanceBefore = await token.balanceOf(user1.address)
+            const tx = await stake.connect(user1).claim(0)
+            const balanceAfter = await token.balanceOf(user1.address)
+
+            // 欠款 + 上次领取之后产生的奖励
+            expect(balanceAfter - balanceBefore).to.be.gt(unpaid)
+            await expect(tx).to.not.emit(stake, "RecordUnpaid")
+            expect(await stake.unpaidMetaNode(user1.address)).to.equal(0)
+            expect(await stake.totalUnpaidMetaNode()).to.equal(0)
+            expect(await stake.accruedMetaNode()).to.equal(0)
+        })
+
+        it("紧急提现放弃的奖励不再计入负债", async function () {
+            await stake.connect(user1).claim(0)
+            await stake.connect(user2).depositETH({ value: ethers.parseEther("1") })
+            await mine(3)
+            await stake.updatePool(0)
+            expect(await stake.accruedMetaNode()).to.be.gt(0)
+
+            await stake.connect(user1).emergencyWithdraw(0)
+            await stake.connect(user2).emergencyWithdraw(0)
+            expect(await stake.accruedMetaNode()).to.equal(0)
+            const [, accrued] = await lens.rewardSolvency()
+            expect(accrued).to.equal(0)
+        })
+    })
+
+    describe("15、时间戳计时模式测试", function () {
+        let token, stake, lens, startTime, endTime
+        const perSecond = ethers.parseEther("1")
+        const lockSeconds = 100
+
+        const timestampOf = async (tx) => {
+            const receipt = await tx.wait()
+            return BigInt((await provider.getBlock(receipt.blockNumber)).timestamp)
+        }
+
+        before(async function () {
+            const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken")
+            token = await MetaNodeToken.connect(admin).deploy()
+            startTime = await time.latest()
+            endTime = startTime + 1000
+            const MetaNodeStake = await ethers.getContractFactory("MetaNodeStake")
+            stake = await upgrades.deployProxy(
+                MetaNodeStake.connect(admin),
+                [await token.getAddress(), startTime, endTime, perSecond],
+                { kind: "uups", initializer: "initializeTimeBased" }
+            )
+            const MetaNodeStakeLens = await ethers.getContractFactory("MetaNodeStakeLens")
+            lens = await MetaNodeStakeLens.deploy(await stake.getAddress())
+            await token.connect(admin).transfer(await stake.getAddress(), ethers.parseEther("1000000"))
+            await stake.connect(admin).addPool(zeroAddress, 1, 0, lockSeconds, false)
+        })
+
+        it("应该使用时间戳计时", async function () {
+            expect(await stake.timeBased()).to.equal(true)
+            expect(await stake.CLOCK_MODE()).to.equal("mode=timestamp")
+            expect(await stake.clock()).to.equal(await time.latest())
+            expect(await stakeProxyContract.CLOCK_MODE()).to.equal("mode=blocknumber&from=default")
+
+            // 只能初始化一次
+            await expect(
+                stake.initialize(await token.getAddress(), 0, 1, perSecond)
+            ).to.be.revertedWithCustomError(stake, "InvalidInitialization")
+        })
+
+        it("奖励应该按秒累计", async function () {
+            const depositedAt = await timestampOf(
+                await stake.connect(user1).depositETH({ value: ethers.parseEther("1") })
+            )
+            await time.increase(100)
+
+            const balanceBefore = await token.balanceOf(user1.address)
+            const claimedAt = await timestampOf(await stake.connect(user1).claim(0))
+            const claimed = await token.balanceOf(user1.address) - balanceBefore
+            expect(claimed).to.equal((claimedAt - depositedAt) * perSecond)
+        })
+
+        it("解质押锁定期应该以秒计算", async function () {
+            const unstakedAt = await timestampOf(
+                await stake.connect(user1).unstake(0, ethers.parseEther("0.5"))
+            )
+            const [, requests] = await lens.unstakeRequests(0, user1.address)
+            expect(requests[0].unlockBlocks).to.equal(unstakedAt + BigInt(lockSeconds))
+
+            // 锁定期内无法提现
+            await stake.connect(user1).withdraw(0)
+            expect(await stake.requestHead(0, user1.address)).to.equal(0)
+
+            await time.increaseTo(unstakedAt + BigInt(lockSeconds))
+            const [, pendingWithdrawAmount] = await stake.withdrawAmount(0, user1.address)
+            expect(pendingWithdrawAmount).to.equal(ethers.parseEther("0.5"))
+            await expect(stake.connect(user1).withdraw(0)).to.changeEtherBalance(user1, ethers.parseEther("0.5"))
+        })
+
+        it("结束时间之后不再产生奖励", async function () {
+            await time.increaseTo(endTime + 10)
+            const pending = await stake.pendingMetaNode(0, user1.address)
+            await time.increase(100)
+            expect(await stake.pendingMetaNode(0, user1.address)).to.equal(pending)
+
+            const [, , future] = await lens.rewardSolvency()
+            expect(future).to.equal(0)
+            await expect(
+                stake.connect(admin).addPool(await token.getAddress(), 1, 0, lockSeconds, false)
+            ).to.be.revertedWith("Already ended")
+        })
+    })
+
+    describe("16、排放阶段测试", function () {
+        let token, stake, startBlock, depositBlock, phase1, phase2
+        const perBlock = ethers.parseEther("100")
+        const rate1 = ethers.parseEther("50")
+        const rate2 = ethers.parseEther("80")
+        const halvingInterval = 10
+
+        const mineTo = async (blockNumber) => {
+            while (await provider.getBlockNumber() < blockNumber) {
+                await provider.send("evm_mine", [])
+            }
+        }
+
+        before(async function () {
+            const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken")
+            token = await MetaNodeToken.connect(admin).deploy()
+            startBlock = await provider.getBlockNumber()
+            const MetaNodeStake = await ethers.getContractFactory("MetaNodeStake")
+            stake = await upgrades.deployProxy(
+                MetaNodeStake.connect(admin),
+                [await token.getAddress(), startBlock, startBlock + 1000, perBlock],
+                { kind: "uups" }
+            )
+            await token.connect(admin).transfer(await stake.getAddress(), ethers.parseEther("1000000"))
+            await stake.connect(admin).addPool(zeroAddress, 1, 0, unstakeLockedBlocks, false)
+        })
+
+        it("追加阶段不应该影响已经产生的奖励", async function () {
+            const tx = await stake.connect(user1).depositETH({ value: ethers.parseEther("1") })
+            depositBlock = BigInt((await tx.wait()).blockNumber)
+            await provider.send("evm_mine", [])
+            const blockNumber = await provider.getBlockNumber()
+            const pending = await stake.pendingMetaNodeByBlockNumber(0, user1.address, blockNumber)
+            expect(pending).to.equal(perBlock)
+
+            phase1 = blockNumber + 20
+            phase2 = phase1 + 20
+            await expect(stake.connect(admin).addEmissionPhase(phase1, rate1, 0))
+                .to.emit(stake, "AddEmissionPhase").withArgs(0, phase1, rate1, 0)
+            await stake.connect(admin).addEmissionPhase(phase2, rate2, halvingInterval)
+
+            expect(await stake.emissionPhaseLength()).to.equal(2)
+            expect(await stake.pendingMetaNodeByBlockNumber(0, user1.address, blockNumber)).to.equal(pending)
+            expect(await stake.getMultiplier(startBlock, phase1)).to.equal(BigInt(phase1 - startBlock) * perBlock)
+        })
+
+        it("getMultiplier应该跨阶段分段计算", async function () {
+            // 第一个阶段之前按 MetaNodePerBlock，之后按阶段速率
+            expect(await stake.getMultiplier(phase1 - 5, phase1 + 5))
+                .to.equal(5n * perBlock + 5n * rate1)
+            // 每 10 个区块减半：80 * 10 + 40 * 10 + 20 * 5
+            expect(await stake.getMultiplier(phase2, phase2 + 25))
+                .to.equal(ethers.parseEther("1300"))
+            // 从减半周期中间开始
+            expect(await stake.getMultiplier(phase2 + 15, phase2 + 25))
+                .to.equal(5n * (rate2 / 2n) + 5n * (rate2 / 4n))
+            // 跨越所有边界
+            expect(await stake.getMultiplier(phase1 - 1, phase2 + 11))
+                .to.equal(perBlock + 20n * rate1 + 10n * rate2 + rate2 / 2n)
+
+            expect(await stake.rewardPerBlockAt(phase1 - 1)).to.equal(perBlock)
+            expect(await stake.rewardPerBlockAt(phase1)).to.equal(rate1)
+            expect(await stake.rewardPerBlockAt(phase2 + 9)).to.equal(rate2)
+            expect(await stake.rewardPerBlockAt(phase2 + 10)).to.equal(rate2 / 2n)
+            expect(await stake.rewardPerBlockAt(phase2 + 25)).to.equal(rate2 / 4n)
+            expect(await stake.rewardPerBlockAt(startBlock + 1000)).to.equal(0)
+        })
+
+        it("跨阶段领取的奖励应该精确", async function () {
+            await mineTo(phase2 + 14)
+
+            const balanceBefore = await token.balanceOf(user1.address)
+            const tx = await stake.connect(user1).claim(0)
+            expect((await tx.wait()).blockNumber).to.equal(phase2 + 15)
+
+            // 唯一的质押者拿到全部排放
+            const expected =
+                (BigInt(phase1) - depositBlock) * perBlock +
+                20n * rate1 +
+                10n * rate2 +
+                5n * (rate2 / 2n)
+            expect(await token.balanceOf(user1.address) - balanceBefore).to.equal(expected)
+        })
+
+        it("减半到0之后不再发放", async function () {
+            const phase3 = await provider.getBlockNumber() + 5
+            await stake.connect(admin).addEmissionPhase(phase3, 5n, 1)
+
+            // 5 + 2 + 1，之后速率为0
+            expect(await stake.getMultiplier(phase3, phase3 + 100)).to.equal(8n)
+            expect(await stake.rewardPerBlockAt(phase3 + 3)).to.equal(0)
+        })
+
+        it("阶段只能按顺序追加在未来", async function () {
+            const blockNumber = await provider.getBlockNumber()
+            await expect(
+                stake.connect(admin).addEmissionPhase(blockNumber, rate1, 0)
+            ).to.be.revertedWith("phase must not start in the past")
+            await expect(
+                stake.connect(user1).addEmissionPhase(blockNumber + 100, rate1, 0)
+            ).to.be.revertedWithCustomError(stake, "AccessControlUnauthorizedAccount")
+            await stake.connect(admin).addEmissionPhase(blockNumber + 100, rate1, 0)
+            await expect(
+                stake.connect(admin).addEmissionPhase(blockNumber + 50, rate1, 0)
+            ).to.be.revertedWith("phase must start after the last phase")
+
+            // 未开始的阶段可以删除，已开始的不行
+            await expect(stake.connect(admin).removeEmissionPhase())
+                .to.emit(stake, "RemoveEmissionPhase").withArgs(3)
+            await expect(stake.connect(admin).removeEmissionPhase())
+                .to.be.revertedWith("phase already started")
+        })
+    })
+    describe("17、锁仓加成测试", function () {
+        let token, stake, b2
+        const perBlock = ethers.parseEther("300")
+        const shortLock = 30
+        const longLock = 90
+
+        before(async function () {
+            const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken")
+            token = await MetaNodeToken.connect(admin).deploy()
+            const blockNumber = await provider.getBlockNumber()
+            const MetaNodeStake = await ethers.getContractFactory("MetaNodeStake")
+            stake = await upgrades.deployProxy(
+                MetaNodeStake.connect(admin),
+                [await token.getAddress(), blockNumber, blockNumber + 10000, perBlock],
+                { kind: "uups" }
+            )
+            await token.connect(admin).transfer(await stake.getAddress(), ethers.parseEther("1000000"))
+            await stake.connect(admin).addPool(zeroAddress, 1, 0, unstakeLockedBlocks, false)
+        })
+
+        it("管理员可以配置锁仓档位", async function () {
+            await expect(stake.connect(admin).addLockTier(shortLock, 15000))
+                .to.emit(stake, "SetLockTier").withArgs(0, shortLock, 15000)
+            await stake.connect(admin).addLockTier(longLock, 20000)
+            expect(await stake.lockTierLength()).to.equal(2)
+            expect((await stake.lockTiers(1)).multiplier).to.equal(20000)
+
+            await expect(stake.connect(admin).addLockTier(10, 9999))
+                .to.be.revertedWith("invalid lock multiplier")
+            await expect(stake.connect(admin).addLockTier(10, 50001))
+                .to.be.revertedWith("invalid lock multiplier")
+            await expect(stake.connect(admin).addLockTier(0, 20000))
+                .to.be.revertedWith("invalid lock duration")
+            await expect(stake.connect(admin).setLockTier(2, 10, 20000))
+                .to.be.revertedWith("invalid lock tier")
+            await expect(stake.connect(user1).addLockTier(10, 20000))
+                .to.be.revertedWithCustomError(stake, "AccessControlUnauthorizedAccount")
+        })
+
+        it("锁仓部分应该按倍数分配奖励", async function () {
+            await stake.connect(user1).depositETH({ value: ethers.parseEther("1") })
+            const tx = await stake.connect(user2).depositETHLocked(1, { value: ethers.parseEther("1") })
+            const receipt = await tx.wait()
+            b2 = BigInt(receipt.blockNumber)
+            await expect(tx).to.emit(stake, "Lock")
+                .withArgs(user2.address, 0, 1, ethers.parseEther("1"), b2 + BigInt(longLock))
+
+            const lock = await stake.userLock(0, user2.address)
+            expect(lock.amount).to.equal(ethers.parseEther("1"))
+            expect(lock.boost).to.equal(ethers.parseEther("1"))
+            expect(await stake.boostedBalance(0, user2.address)).to.equal(ethers.parseEther("2"))
+            expect(await stake.boostedSupply(0)).to.equal(ethers.parseEther("3"))
+            expect(await stake.stakingBalance(0, user2.address)).to.equal(ethers.parseEther("1"))
+
+            await mine(10)
+            const t = BigInt(await provider.getBlockNumber())
+            // user1 独占一个区块，之后按 1:2 分配
+            expect(await stake.pendingMetaNode(0, user1.address))
+                .to.equal(perBlock + (t - b2) * perBlock / 3n)
+            expect(await stake.pendingMetaNode(0, user2.address))
+                .to.equal((t - b2) * perBlock * 2n / 3n)
+        })
+
+        it("锁仓未到期时不能解质押", async function () {
+            await expect(stake.connect(user2).unstake(0, 1))
+                .to.be.revertedWith("stake is locked")
+            await expect(stake.connect(user2).emergencyWithdraw(0))
+                .to.be.revertedWith("stake is locked")
+            await expect(stake.releaseLock(0, user2.address))
+                .to.be.revertedWith("lock not expired")
+
+            // 没有锁仓的部分可以正常解质押
+            await stake.connect(user2).depositETH({ value: ethers.parseEther("1") })
+            await stake.connect(user2).unstake(0, ethers.parseEther("1"))
+            await expect(stake.connect(user2).unstake(0, 1))
+                .to.be.revertedWith("stake is locked")
+        })
+
+        it("追加锁仓会合并且不能降低倍数", async function () {
+            await expect(stake.connect(user2).depositETHLocked(0, { value: ethers.parseEther("1") }))
+                .to.be.revertedWith("lock tier lower than current lock")
+            await expect(stake.connect(user2).depositETHLocked(2, { value: ethers.parseEther("1") }))
+                .to.be.revertedWith("invalid lock tier")
+
+            const tx = await stake.connect(user2).depositETHLocked(1, { value: ethers.parseEther("1") })
+            const blockNumber = BigInt((await tx.wait()).blockNumber)
+            const lock = await stake.userLock(0, user2.address)
+            expect(lock.amount).to.equal(ethers.parseEther("2"))
+            expect(lock.boost).to.equal(ethers.parseEther("2"))
+            expect(lock.unlockBlock).to.equal(blockNumber + BigInt(longLock))
+            expect(await stake.poolBoost(0)).to.equal(ethers.parseEther("2"))
+        })
+
+        it("到期后任何人都可以释放锁仓，之后按 1:1 分配", async function () {
+            const lock = await stake.userLock(0, user2.address)
+            await mine(Number(lock.unlockBlock) - await provider.getBlockNumber())
+
+            // 释放所在区块之前都按倍数结算
+            const releaseBlock = BigInt(await provider.getBlockNumber() + 1)
+            const pending = await stake.pendingMetaNodeByBlockNumber(0, user2.address, releaseBlock)
+            await expect(stake.connect(user3).releaseLock(0, user2.address))
+                .to.emit(stake, "ReleaseLock").withArgs(user2.address, 0, ethers.parseEther("2"))
+            expect(await stake.pendingMetaNode(0, user2.address)).to.equal(pending)
+            expect(await stake.poolBoost(0)).to.equal(0)
+            expect(await stake.boostedSupply(0)).to.equal(ethers.parseEther("3"))
+
+            await mine(3)
+            // user1 1 ETH, user2 2 ETH
+            expect(await stake.pendingMetaNode(0, user2.address) - pending).to.equal(3n * perBlock * 2n / 3n)
+
+            await stake.connect(user2).unstake(0, ethers.parseEther("2"))
+            expect(await stake.stakingBalance(0, user2.address)).to.equal(0)
+        })
+
+        it("全局暂停时可以紧急提现锁仓", async function () {
+            await stake.connect(user3).depositETHLocked(0, { value: ethers.parseEther("1") })
+            await expect(stake.connect(user3).emergencyWithdraw(0))
+                .to.be.revertedWith("stake is locked")
+
+            await stake.connect(admin).pause()
+            await expect(stake.connect(user3).emergencyWithdraw(0))
+                .to.changeEtherBalance(user3, ethers.parseEther("1"))
+            expect(await stake.poolBoost(0)).to.equal(0)
+            expect((await stake.userLock(0, user3.address)).amount).to.equal(0)
+            await stake.connect(admin).unpause()
+        })
+
+        it("已有锁仓时新质押按 stTokenAmount + poolBoost 分配，与前端的预估一致", async function () {
+            // user1 1 ETH 不锁仓，user3 1 ETH 锁仓 1.5 倍
+            await stake.connect(user3).depositETHLocked(0, { value: ethers.parseEther("1") })
+            const pool = await stake.pool(0)
+            const supply = pool.stTokenAmount + await stake.poolBoost(0)
+            expect(supply).to.equal(ethers.parseEther("2.5"))
+            expect(await stake.boostedSupply(0)).to.equal(supply)
+
+            // user2 选择 2 倍档位质押 2 ETH，有效质押量 4
+            const amount = ethers.parseEther("2")
+            const boosted = amount * 20000n / 10000n
+            const tx = await stake.connect(user2).depositETHLocked(1, { value: amount })
+            const b = BigInt((await tx.wait()).blockNumber)
+            // 之前已经累计的奖励不计入
+            const before = await stake.pendingMetaNodeByBlockNumber(0, user2.address, b)
+            await mine(10)
+            const t = BigInt(await provider.getBlockNumber())
+
+            const expected = perBlock * (t - b) * boosted / (supply + boosted)
+            expect(await stake.pendingMetaNode(0, user2.address) - before).to.be.closeTo(expected, 10n)
+            // 只按 stTokenAmount 计算会高估
+            expect(perBlock * (t - b) * boosted / (pool.stTokenAmount + boosted)).to.be.gt(expected)
+        })
+    })
+
+    describe("18、奖励复投测试", function () {
+        let token, stake, lens
+
+        // 下一个区块上的待领取奖励，也就是下一笔交易结算的奖励
+        const pendingNext = async (pid, account) =>
+            stake.pendingMetaNodeByBlockNumber(pid, account, await provider.getBlockNumber() + 1)
+
+        before(async function () {
+            const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken")
+            token = await MetaNodeToken.connect(admin).deploy()
+            const blockNumber = await provider.getBlockNumber()
+            const MetaNodeStake = await ethers.getContractFactory("MetaNodeStake")
+            stake = await upgrades.deployProxy(
+                MetaNodeStake.connect(admin),
+                [await token.getAddress(), blockNumber, blockNumber + 10000, metaNodePerBlock],
+                { kind: "uups" }
+            )
+            const MetaNodeStakeLens = await ethers.getContractFactory("MetaNodeStakeLens")
+            lens = await MetaNodeStakeLens.deploy(await stake.getAddress())
+            await token.connect(admin).transfer(await stake.getAddress(), ethers.parseEther("1000000"))
+            await token.connect(admin).transfer(user2.address, ethers.parseEther("1000"))
+            await stake.connect(admin).addPool(zeroAddress, 1, 0, unstakeLockedBlocks, false)
+        })
+
+        it("没有 MetaNode 池时不能复投", async function () {
+            await stake.connect(user1).depositETH({ value: ethers.parseEther("1") })
+            expect(await stake.compoundPid()).to.equal(0)
+            await expect(stake.connect(user1).compound(0))
+                .to.be.revertedWith("no MetaNode pool")
+
+            await stake.connect(admin).addPool(await token.getAddress(), 1, 0, unstakeLockedBlocks, true)
+            expect(await stake.compoundPid()).to.equal(1)
+        })
+
+        it("复投应该把奖励直接质押到 MetaNode 池", async function () {
+            await mine(5)
+            const amount = await pendingNext(0, user1.address)
+            const balance = await token.balanceOf(user1.address)
+
+            await expect(stake.connect(user1).compound(0))
+                .to.emit(stake, "Compound").withArgs(user1.address, 0, amount)
+                .and.to.emit(stake, "Deposit").withArgs(user1.address, 1, amount)
+            expect(await stake.stakingBalance(1, user1.address)).to.equal(amount)
+            expect(await stake.stakedMetaNode()).to.equal(amount)
+            expect(await stake.pendingMetaNode(0, user1.address)).to.equal(0)
+            // 奖励没有转出合约
+            expect(await token.balanceOf(user1.address)).to.equal(balance)
+        })
+
+        it("可以复投 MetaNode 池自身的奖励", async function () {
+            await mine(3)
+            const staked = await stake.stakingBalance(1, user1.address)
+            const amount = await pendingNext(1, user1.address)
+
+            await stake.connect(user1).compound(1)
+            expect(await stake.stakingBalance(1, user1.address)).to.equal(staked + amount)
+            expect(await stake.pendingMetaNode(1, user1.address)).to.equal(0)
+        })
+
+        it("keeper 只能为开启了自动复投的用户复投", async function () {
+            await expect(stake.connect(user3).compoundFor(0, user1.address))
+                .to.be.revertedWith("auto compound not enabled")
+
+            await expect(stake.connect(user1).setAutoCompound(true))
+                .to.emit(stake, "SetAutoCompound").withArgs(user1.address, true)
+            const staked = await stake.stakingBalance(1, user1.address)
+            const amount = await pendingNext(0, user1.address)
+            await stake.connect(user3).compoundFor(0, user1.address)
+            expect(await stake.stakingBalance(1, user1.address)).to.equal(staked + amount)
+            expect(await stake.stakingBalance(1, user3.address)).to.equal(0)
+
+            await stake.connect(user1).setAutoCompound(false)
+            await expect(stake.connect(user3).compoundFor(0, user1.address))
+                .to.be.revertedWith("auto compound not enabled")
+        })
+
+        it("暂停领取时不能复投", async function () {
+            await stake.connect(admin).pauseClaim()
+            await expect(stake.connect(user1).compound(0))
+                .to.be.revertedWith("claim is paused")
+            await stake.connect(admin).unpauseClaim()
+        })
+
+        it("MetaNode 池的本金不能作为奖励发放", async function () {
+            const amount = ethers.parseEther("100")
+            const staked = await stake.stakedMetaNode()
+            await token.connect(user2).approve(await stake.getAddress(), amount)
+            await stake.connect(user2).deposit(1, amount)
+            expect(await stake.stakedMetaNode()).to.equal(staked + amount)
+
+            const stakeAddress = await stake.getAddress()
+            const [balance] = await lens.rewardSolvency()
+            expect(balance).to.equal(await token.balanceOf(stakeAddress) - staked - amount)
+
+            // 解质押中的本金仍然保留，提现后才扣除
+            await stake.connect(user2).unstake(1, amount)
+            expect(await stake.stakedMetaNode()).to.equal(staked + amount)
+            await mine(unstakeLockedBlocks)
+            await stake.connect(user2).withdraw(1)
+            expect(await stake.stakedMetaNode()).to.equal(staked)
+        })
+    })
+
+    describe("19、批量操作测试", function () {
+        let token, stakeToken, stake
+
+        before(async function () {
+            const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken")
+            token = await MetaNodeToken.connect(admin).deploy()
+            stakeToken = await MetaNodeToken.connect(admin).deploy()
+            const blockNumber = await provider.getBlockNumber()
+            const MetaNodeStake = await ethers.getContractFactory("MetaNodeStake")
+            stake = await upgrades.deployProxy(
+                MetaNodeStake.connect(admin),
+                [await token.getAddress(), blockNumber, blockNumber + 10000, metaNodePerBlock],
+                { kind: "uups" }
+            )
+            await token.connect(admin).transfer(await stake.getAddress(), ethers.parseEther("1000000"))
+            await stake.connect(admin).addPool(zeroAddress, 1, 0, unstakeLockedBlocks, false)
+            await stake.connect(admin).addPool(await stakeToken.getAddress(), 1, 0, unstakeLockedBlocks, false)
+            await stake.connect(admin).addPool(await stakeToken.getAddress(), 1, 0, unstakeLockedBlocks, false)
+
+            await stakeToken.connect(admin).transfer(user1.address, ethers.parseEther("1000"))
+            await stakeToken.connect(user1).approve(await stake.getAddress(), ethers.MaxUint256)
+        })
+
+        it("multicall 可以在一笔交易中组合多个操作", async function () {
+            await stake.connect(user1).depositETH({ value: ethers.parseEther("1") })
+            const calls = [
+                stake.interface.encodeFunctionData("deposit", [1, ethers.parseEther("10")]),
+                stake.interface.encodeFunctionData("unstake", [1, ethers.parseEther("4")]),
+                stake.interface.encodeFunctionData("claim", [0])
+            ]
+            const tx = await stake.connect(user1).multicall(calls)
+            await expect(tx).to.emit(stake, "Deposit").withArgs(user1.address, 1, ethers.parseEther("10"))
+            await expect(tx).to.emit(stake, "RequestUnstake").withArgs(user1.address, 1, ethers.parseEther("4"))
+            await expect(tx).to.emit(stake, "Claim")
+            expect(await stake.stakingBalance(1, user1.address)).to.equal(ethers.parseEther("6"))
+
+            // 任何一个调用失败时整笔交易回滚
+            const failing = [
+                stake.interface.encodeFunctionData("deposit", [1, ethers.parseEther("1")]),
+                stake.interface.encodeFunctionData("unstake", [1, ethers.parseEther("100")])
+            ]
+            await expect(stake.connect(user1).multicall(failing))
+                .to.be.revertedWith("Not enough staking token balance")
+            expect(await stake.stakingBalance(1, user1.address)).to.equal(ethers.parseEther("6"))
+        })
+
+        it("getUserPositions 应该返回所有池的仓位", async function () {
+            await mine(unstakeLockedBlocks)
+            await stake.connect(user1).unstake(1, ethers.parseEther("1"))
+            await mine(2)
+
+            const positions = await stake.getUserPositions(user1.address)
+            expect(positions.length).to.equal(3)
+            for (let pid = 0; pid < 3; pid++) {
+                const [requestAmount, pendingWithdrawAmount] = await stake.withdrawAmount(pid, user1.address)
+                expect(positions[pid].stAmount).to.equal(await stake.stakingBalance(pid, user1.address))
+                expect(positions[pid].pendingMetaNode).to.equal(await stake.pendingMetaNode(pid, user1.address))
+                expect(positions[pid].requestAmount).to.equal(requestAmount)
+                expect(positions[pid].pendingWithdrawAmount).to.equal(pendingWithdrawAmount)
+            }
+            expect(positions[1].requestAmount).to.equal(ethers.parseEther("5"))
+            expect(positions[1].pendingWithdrawAmount).to.equal(ethers.parseEther("4"))
+            expect(positions[2].stAmount).to.equal(0)
+        })
+
+        it("claimAll 应该领取所有有仓位的池", async function () {
+            await mine(5)
+            const block = await provider.getBlockNumber() + 1
+            const pending0 = await stake.pendingMetaNodeByBlockNumber(0, user1.address, block)
+            const pending1 = await stake.pendingMetaNodeByBlockNumber(1, user1.address, block)
+
+            const tx = await stake.connect(user1).claimAll()
+            await expect(tx).to.emit(stake, "Claim").withArgs(user1.address, 0, pending0)
+            await expect(tx).to.emit(stake, "Claim").withArgs(user1.address, 1, pending1)
+            await expect(tx).to.changeTokenBalance(token, user1, pending0 + pending1)
+            // 没有仓位的池不会被领取
+            const claimed = (await tx.wait()).logs
+                .map((log) => stake.interface.parseLog(log))
+                .filter((log) => log && log.name === "Claim")
+            expect(claimed.map((log) => log.args.poolId)).to.deep.equal([0n, 1n])
+
+            await stake.connect(admin).pauseClaim()
+            await expect(stake.connect(user1).claimAll()).to.be.revertedWith("claim is paused")
+            await stake.connect(admin).unpauseClaim()
+        })
+    })
+
+    describe("20、奖励接收地址与领取操作员测试", function () {
+        let token, stakeToken, stake
+
+        // 下一个区块时用户在池中的待领取奖励，即下一笔交易领取的数量
+        const pendingNext = async (pid, account) =>
+            stake.pendingMetaNodeByBlockNumber(pid, account, await provider.getBlockNumber() + 1)
+
+        before(async function () {
+            const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken")
+            token = await MetaNodeToken.connect(admin).deploy()
+            stakeToken = await MetaNodeToken.connect(admin).deploy()
+            const blockNumber = await provider.getBlockNumber()
+            const MetaNodeStake = await ethers.getContractFactory("MetaNodeStake")
+            stake = await upgrades.deployProxy(
+                MetaNodeStake.connect(admin),
+                [await token.getAddress(), blockNumber, blockNumber + 10000, metaNodePerBlock],
+                { kind: "uups" }
+            )
+            await token.connect(admin).transfer(await stake.getAddress(), ethers.parseEther("1000000"))
+            await stake.connect(admin).addPool(zeroAddress, 1, 0, unstakeLockedBlocks, false)
+            await stake.connect(admin).addPool(await stakeToken.getAddress(), 1, 0, unstakeLockedBlocks, false)
+
+            await stakeToken.connect(admin).transfer(user1.address, ethers.parseEther("1000"))
+            await stakeToken.connect(user1).approve(await stake.getAddress(), ethers.MaxUint256)
+            await stake.connect(user1).depositETH({ value: ethers.parseEther("1") })
+            await stake.connect(user1).deposit(1, ethers.parseEther("10"))
+        })
+
+        it("设置接收地址后 claim 应该发给接收地址", async function () {
+            await expect(stake.connect(user1).setRewardRecipient(0, user3.address))
+                .to.emit(stake, "SetRewardRecipient").withArgs(user1.address, 0, user3.address)
+            expect(await stake.rewardRecipient(0, user1.address)).to.equal(user3.address)
+            await expect(stake.connect(user1).setRewardRecipient(2, user3.address))
+                .to.be.revertedWith("invalid pid")
+
+            await mine(3)
+            const pending = await pendingNext(0, user1.address)
+            const tx = await stake.connect(user1).claim(0)
+            await expect(tx).to.emit(stake, "Claim").withArgs(user1.address, 0, pending)
+            await expect(tx).to.changeTokenBalances(token, [user3, user1], [pending, 0])
+
+            // 设回 0 地址后发给用户本人
+            await expect(stake.connect(user1).setRewardRecipient(0, zeroAddress))
+                .to.emit(stake, "SetRewardRecipient").withArgs(user1.address, 0, zeroAddress)
+            const pendingAfter = await pendingNext(0, user1.address)
+            await expect(stake.connect(user1).claim(0)).to.changeTokenBalance(token, user1, pendingAfter)
+        })
+
+        it("claimTo 应该发给指定地址并忽略接收地址设置", async function () {
+            await stake.connect(user1).setRewardRecipient(1, user3.address)
+            await mine(2)
+
+            const pending = await pendingNext(1, user1.address)
+            const tx = await stake.connect(user1).claimTo(1, user2.address)
+            await expect(tx).to.emit(stake, "Claim").withArgs(user1.address, 1, pending)
+            await expect(tx).to.changeTokenBalances(token, [user2, user3, user1], [pending, 0, 0])
+
+            await expect(stake.connect(user1).claimTo(1, zeroAddress)).to.be.revertedWith("invalid recipient")
+            await stake.connect(admin).pauseClaim()
+            await expect(stake.connect(user1).claimTo(1, user2.address)).to.be.revertedWith("claim is paused")
+            await stake.connect(admin).unpauseClaim()
+        })
+
+        it("操作员可以代为领取，奖励发给用户的接收地址", async function () {
+            await expect(stake.connect(user2).claimFor(1, user1.address))
+                .to.be.revertedWith("not claim operator")
+
+            await expect(stake.connect(user1).setClaimOperator(user2.address, true))
+                .to.emit(stake, "SetClaimOperator").withArgs(user1.address, user2.address, true)
+            expect(await stake.claimOperator(user1.address, user2.address)).to.equal(true)
+
+            const pending = await pendingNext(1, user1.address)
+            const tx = await stake.connect(user2).claimFor(1, user1.address)
+            await expect(tx).to.emit(stake, "Claim").withArgs(user1.address, 1, pending)
+            // 池 1 设置了接收地址 user3，操作员拿不到奖励
+            await expect(tx).to.changeTokenBalances(token, [user3, user2], [pending, 0])
+
+            // 池 0 没有设置接收地址，发给用户本人
+            const pending0 = await pendingNext(0, user1.address)
+            await expect(stake.connect(user2).claimFor(0, user1.address))
+                .to.changeTokenBalance(token, user1, pending0)
+
+            await expect(stake.connect(user1).setClaimOperator(user2.address, false))
+                .to.emit(stake, "SetClaimOperator").withArgs(user1.address, user2.address, false)
+            await expect(stake.connect(user2).claimFor(1, user1.address))
+                .to.be.revertedWith("not claim operator")
+        })
+
+        it("claimAll 应该按每个池的接收地址发放", async function () {
+            await mine(2)
+            const block = await provider.getBlockNumber() + 1
+            const pending0 = await stake.pendingMetaNodeByBlockNumber(0, user1.address, block)
+            const pending1 = await stake.pendingMetaNodeByBlockNumber(1, user1.address, block)
+
+            await expect(stake.connect(user1).claimAll())
+                .to.changeTokenBalances(token, [user1, user3], [pending0, pending1])
+        })
+
+        it("余额不足时欠款仍记在用户名下", async function () {
+            // 只注入 1 个 MetaNode 的新合约，领取时余额不足
+            const blockNumber = await provider.getBlockNumber()
+            const MetaNodeStake = await ethers.getContractFactory("MetaNodeStake")
+            const poorStake = await upgrades.deployProxy(
+                MetaNodeStake.connect(admin),
+                [await token.getAddress(), blockNumber, blockNumber + 10000, metaNodePerBlock],
+                { kind: "uups" }
+            )
+            const funded = ethers.parseEther("1")
+            await token.connect(admin).transfer(await poorStake.getAddress(), funded)
+            await poorStake.connect(admin).addPool(zeroAddress, 1, 0, unstakeLockedBlocks, false)
+            await poorStake.connect(user1).depositETH({ value: ethers.parseEther("1") })
+            await poorStake.connect(user1).setRewardRecipient(0, user3.address)
+            await mine(2)
+
+            const tx = await poorStake.connect(user1).claim(0)
+            await expect(tx).to.changeTokenBalance(token, user3, funded)
+            await expect(tx).to.emit(poorStake, "Claim").withArgs(user1.address, 0, funded)
+            expect(await poorStake.unpaidMetaNode(user1.address)).to.be.gt(0)
+            expect(await poorStake.unpaidMetaNode(user3.address)).to.equal(0)
+        })
+    })
 })
\ No newline at end of file
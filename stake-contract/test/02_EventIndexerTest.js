@@ -0,0 +1,219 @@
+const { ethers } = require("hardhat")
+const { expect } = require("chai")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { StakeIndexer, JsonStore, createServer } = require("../indexer")
+const { deployStake, mine } = require("./helpers")
+
+describe("== MetaNodeStake 事件索引器测试 ==", function () {
+    let admin, user1, user2, user3, user4
+    let stakeToken, stakeContract
+    let startBlock, dbFile
+
+    const unstakeLockedBlocks = 2
+
+    before(async function () {
+        [admin, user1, user2, user3, user4] = await ethers.getSigners()
+        dbFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "stake-indexer-")), "events.jsonl")
+
+        ;({ stakeToken, stake: stakeContract, startBlock } = await deployStake({
+            pools: [
+                { token: "eth", weight: 5, lockBlocks: unstakeLockedBlocks },
+                { token: "stake", weight: 5, lockBlocks: unstakeLockedBlocks }
+            ]
+        }))
+    })
+
+    it("回填应该按顺序索引所有关注的事件", async function () {
+        await stakeContract.connect(user1).depositETH({ value: ethers.parseEther("2") })
+        await stakeContract.connect(user1).unstake(0, ethers.parseEther("1"))
+        await mine(unstakeLockedBlocks)
+        await stakeContract.connect(user1).withdraw(0)
+        await stakeContract.connect(user1).claim(0)
+        await stakeContract.setPoolWeight(0, 10, false)
+
+        const store = new JsonStore(dbFile).load()
+        const indexer = new StakeIndexer({ contract: stakeContract, store, startBlock, confirmations: 0 })
+        const lastBlock = await indexer.backfill()
+
+        expect(lastBlock).to.equal(await ethers.provider.getBlockNumber())
+        const history = store.getUserHistory(user1.address)
+        expect(history.map((e) => e.event)).to.deep.equal(["Deposit", "RequestUnstake", "Withdraw", "Claim"])
+        expect(history[0].args.amount).to.equal(ethers.parseEther("2").toString())
+        expect(history[0].args.poolId).to.equal("0")
+        expect(history[0].timestamp).to.be.gt(0)
+
+        const poolHistory = store.getPoolHistory(0)
+        const names = poolHistory.map((e) => e.event)
+        expect(names).to.include("UpdatePool")
+        expect(names).to.include("SetPoolWeight")
+        expect(names).to.not.include("AddPool")
+    })
+
+    it("追踪新区块并从已持久化的位置继续，不产生重复事件", async function () {
+        const amount = ethers.parseEther("10")
+        await stakeToken.transfer(user2.address, amount)
+        await stakeToken.connect(user2).approve(await stakeContract.getAddress(), amount)
+        await stakeContract.connect(user2).deposit(1, amount)
+
+        // 重新加载存储，模拟重启
+        const store = new JsonStore(dbFile).load()
+        const countBefore = store.events.length
+        const indexer = new StakeIndexer({ contract: stakeContract, store, startBlock, batchSize: 3, confirmations: 0 })
+        await indexer.poll()
+        await indexer.poll()
+
+        const added = store.events.slice(countBefore)
+        expect(added.map((e) => e.event)).to.include("Deposit")
+        expect(store.getUserHistory(user2.address, { poolId: 1 })).to.have.lengthOf(1)
+        expect(store.getUserHistory(user2.address, { poolId: 0 })).to.have.lengthOf(0)
+
+        const keys = store.events.map((e) => `${e.transactionHash}:${e.logIndex}`)
+        expect(new Set(keys).size).to.equal(keys.length)
+    })
+
+    it("确认数不足的区块不应该被索引", async function () {
+        const store = new JsonStore().load()
+        const indexer = new StakeIndexer({ contract: stakeContract, store, startBlock, confirmations: 5 })
+        const lastBlock = await indexer.backfill()
+        expect(lastBlock).to.equal((await ethers.provider.getBlockNumber()) - 5)
+    })
+
+    it("HTTP接口应该返回用户和池的历史", async function () {
+        const store = new JsonStore(dbFile).load()
+        const server = createServer(store)
+        await new Promise((resolve) => server.listen(0, resolve))
+        const baseUrl = `http://127.0.0.1:${server.address().port}`
+
+        try {
+            const history = await (await fetch(`${baseUrl}/history/${user1.address}?pid=0`)).json()
+            expect(history.map((e) => e.event)).to.deep.equal(["Deposit", "RequestUnstake", "Withdraw", "Claim"])
+
+            const poolHistory = await (await fetch(`${baseUrl}/pools/1/history`)).json()
+            expect(poolHistory.some((e) => e.event === "Deposit" && e.args.user === user2.address)).to.be.true
+
+            const status = await (await fetch(`${baseUrl}/status`)).json()
+            expect(status.lastBlock).to.equal(store.lastBlock)
+
+            expect((await fetch(`${baseUrl}/history/${user1.address}?pid=abc`)).status).to.equal(400)
+            expect((await fetch(`${baseUrl}/unknown`)).status).to.equal(404)
+        } finally {
+            server.close()
+        }
+    })
+
+    it("默认只索引 12 个确认之后的区块", async function () {
+        await mine(12)
+        const indexer = new StakeIndexer({ contract: stakeContract, store: new JsonStore(), startBlock })
+        expect(await indexer.backfill()).to.equal((await ethers.provider.getBlockNumber()) - 12)
+    })
+
+    it("新的事件逐行追加到文件，不重写已有内容", async function () {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "stake-indexer-")), "events.jsonl")
+        const store = new JsonStore(file).load()
+        const indexer = new StakeIndexer({ contract: stakeContract, store, startBlock, confirmations: 0 })
+        await indexer.backfill()
+        const before = fs.readFileSync(file, "utf8")
+
+        await stakeContract.connect(user2).depositETH({ value: ethers.parseEther("0.5") })
+        await indexer.poll()
+
+        const after = fs.readFileSync(file, "utf8")
+        expect(after.startsWith(before)).to.be.true
+        const added = after.slice(before.length).split("\n").filter(Boolean).map((line) => JSON.parse(line))
+        expect(added.map((e) => e.event)).to.include("Deposit")
+        expect(added.every((e) => e.blockNumber > JSON.parse(before.split("\n").at(-2)).blockNumber)).to.be.true
+
+        // 重启后读取到同样的事件和位置
+        const reloaded = new JsonStore(file).load()
+        expect(reloaded.events).to.deep.equal(store.events)
+        expect(reloaded.lastBlock).to.equal(store.lastBlock)
+    })
+
+    it("链重组时回滚到仍在链上的检查点，丢弃被替换的事件", async function () {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "stake-indexer-")), "events.jsonl")
+        const store = new JsonStore(file).load()
+        const from = (await ethers.provider.getBlockNumber()) + 1
+        const indexer = new StakeIndexer({ contract: stakeContract, store, startBlock: from, confirmations: 0 })
+        await stakeContract.connect(user2).depositETH({ value: ethers.parseEther("0.1") })
+        await indexer.backfill()
+
+        // 重组之前索引到的质押在新的链上不存在
+        const snapshot = await ethers.provider.send("evm_snapshot", [])
+        await stakeContract.connect(user2).depositETH({ value: ethers.parseEther("0.2") })
+        await indexer.backfill()
+        expect(store.getUserHistory(user2.address, { poolId: 0 }).map((e) => e.args.amount))
+            .to.deep.equal([ethers.parseEther("0.1").toString(), ethers.parseEther("0.2").toString()])
+
+        await ethers.provider.send("evm_revert", [snapshot])
+        await mine(1)
+        await stakeContract.connect(user2).depositETH({ value: ethers.parseEther("0.3") })
+        await indexer.backfill()
+
+        const amounts = [ethers.parseEther("0.1").toString(), ethers.parseEther("0.3").toString()]
+        expect(store.getUserHistory(user2.address, { poolId: 0 }).map((e) => e.args.amount)).to.deep.equal(amounts)
+        expect(store.lastBlock).to.equal(await ethers.provider.getBlockNumber())
+        expect(new JsonStore(file).load().getUserHistory(user2.address, { poolId: 0 }).map((e) => e.args.amount))
+            .to.deep.equal(amounts)
+    })
+
+    it("锁仓和解除锁仓事件应该被索引", async function () {
+        const lockBlocks = 3
+        const from = (await ethers.provider.getBlockNumber()) + 1
+        await stakeContract.addLockTier(lockBlocks, 20000)
+        const tierId = (await stakeContract.lockTierLength()) - 1n
+        await stakeContract.connect(user3).depositETHLocked(tierId, { value: ethers.parseEther("1") })
+        await mine(lockBlocks)
+        // 任何人都可以解除到期的锁仓
+        await stakeContract.releaseLock(0, user3.address)
+
+        const store = new JsonStore()
+        await new StakeIndexer({ contract: stakeContract, store, startBlock: from, confirmations: 0 }).backfill()
+        const history = store.getUserHistory(user3.address)
+        // 锁仓事件在质押事件之前发出
+        expect(history.map((e) => e.event)).to.deep.equal(["Lock", "Deposit", "ReleaseLock"])
+        expect(history[0].args.tierId).to.equal(tierId.toString())
+        expect(history[0].args.amount).to.equal(ethers.parseEther("1").toString())
+        expect(history[2].args.amount).to.equal(ethers.parseEther("1").toString())
+    })
+
+    it("紧急提现事件应该被索引", async function () {
+        const from = (await ethers.provider.getBlockNumber()) + 1
+        await stakeContract.connect(user3).unstake(0, ethers.parseEther("0.4"))
+        await stakeContract.connect(user3).emergencyWithdraw(0)
+
+        const store = new JsonStore()
+        await new StakeIndexer({ contract: stakeContract, store, startBlock: from, confirmations: 0 }).backfill()
+        const history = store.getUserHistory(user3.address, { poolId: 0 })
+        expect(history.map((e) => e.event)).to.deep.equal(["RequestUnstake", "EmergencyWithdraw"])
+        // 包括解质押中的数量
+        expect(history[1].args.amount).to.equal(ethers.parseEther("1").toString())
+    })
+
+    it("收据转账的 TransferStake 应该出现在双方的记录中", async function () {
+        const receiptStakeToken = await (await ethers.getContractFactory("MetaNodeToken")).deploy()
+        await stakeContract.addPool(await receiptStakeToken.getAddress(), 5, 0, unstakeLockedBlocks, false)
+        const pid = (await stakeContract.poolLength()) - 1n
+        const MetaNodeReceipt = await ethers.getContractFactory("MetaNodeReceipt")
+        const receipt = await MetaNodeReceipt.deploy("stMetaNode", "stMetaNode", 18, await stakeContract.getAddress(), pid)
+        await stakeContract.setReceiptToken(pid, await receipt.getAddress())
+
+        const amount = ethers.parseEther("10")
+        await receiptStakeToken.transfer(user3.address, amount)
+        await receiptStakeToken.connect(user3).approve(await stakeContract.getAddress(), amount)
+        const from = (await ethers.provider.getBlockNumber()) + 1
+        await stakeContract.connect(user3).deposit(pid, amount)
+        await receipt.connect(user3).transfer(user4.address, ethers.parseEther("4"))
+
+        const store = new JsonStore()
+        await new StakeIndexer({ contract: stakeContract, store, startBlock: from, confirmations: 0 }).backfill()
+        const [transfer] = store.getPoolHistory(pid).filter((e) => e.event === "TransferStake")
+        expect(transfer.args.from).to.equal(user3.address)
+        expect(transfer.args.to).to.equal(user4.address)
+        expect(transfer.args.amount).to.equal(ethers.parseEther("4").toString())
+
+        expect(store.getUserHistory(user3.address).map((e) => e.event)).to.deep.equal(["Deposit", "TransferStake"])
+        expect(store.getUserHistory(user4.address, { poolId: pid }).map((e) => e.event)).to.deep.equal(["TransferStake"])
+    })
+})
@@ -0,0 +1,149 @@
+const hre = require("hardhat")
+const { ethers, upgrades } = hre
+const { expect } = require("chai")
+
+describe("== MetaNodeStake 管理任务测试 ==", function () {
+    let admin, user1
+    let metaNodeToken, stakeToken, stakeContract, address, lens
+
+    const zeroAddress = "0x0000000000000000000000000000000000000000"
+
+    // 任务会打印状态差异，测试时不输出
+    const run = async (name, args) => {
+        const log = console.log
+        console.log = () => {}
+        try {
+            return await hre.run(name, { address, ...args })
+        } finally {
+            console.log = log
+        }
+    }
+
+    before(async function () {
+        [admin, user1] = await ethers.getSigners()
+
+        const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken")
+        metaNodeToken = await MetaNodeToken.deploy()
+        stakeToken = await MetaNodeToken.deploy()
+
+        const startBlock = await ethers.provider.getBlockNumber()
+        const MetaNodeStake = await ethers.getContractFactory("MetaNodeStake")
+        stakeContract = await upgrades.deployProxy(
+            MetaNodeStake,
+            [await metaNodeToken.getAddress(), startBlock, startBlock + 10000, ethers.parseEther("1")],
+            { kind: "uups" }
+        )
+        address = await stakeContract.getAddress()
+        const MetaNodeStakeLens = await ethers.getContractFactory("MetaNodeStakeLens")
+        lens = await (await MetaNodeStakeLens.deploy(address)).getAddress()
+    })
+
+    it("dry-run 不改变状态", async function () {
+        const state = await run("stake:add-pool", {
+            token: zeroAddress, weight: 500, minDeposit: "0.01", lockBlocks: 20, dryRun: true
+        })
+        expect(state.totalPoolWeight).to.equal("0")
+        expect(await stakeContract.poolLength()).to.equal(0)
+    })
+
+    it("dry-run 能暴露会失败的调用", async function () {
+        await expect(run("stake:set-weight", { pid: 0, weight: 100, dryRun: true }))
+            .to.be.revertedWith("invalid pid")
+    })
+
+    it("stake:add-pool 按代币精度解析最小质押数量", async function () {
+        await run("stake:add-pool", { token: zeroAddress, weight: 500, minDeposit: "0.01", lockBlocks: 20 })
+        const state = await run("stake:add-pool", {
+            token: await stakeToken.getAddress(), weight: 100, minDeposit: "2", lockBlocks: 10
+        })
+
+        expect(state.totalPoolWeight).to.equal("600")
+        expect(state["pool[0].minDepositAmount"]).to.equal(ethers.parseEther("0.01").toString())
+        expect(state["pool[1].minDepositAmount"]).to.equal(ethers.parseEther("2").toString())
+        expect(state["pool[1].unstakeLockedBlocks"]).to.equal("10")
+    })
+
+    it("stake:set-weight / stake:update-pool", async function () {
+        let state = await run("stake:set-weight", { pid: 1, weight: 300, withUpdate: true })
+        expect(state["pool[1].poolWeight"]).to.equal("300")
+        expect(state.totalPoolWeight).to.equal("800")
+
+        // 只改锁定区块数，最小质押数量保持不变
+        state = await run("stake:update-pool", { pid: 1, lockBlocks: 30 })
+        expect(state["pool[1].unstakeLockedBlocks"]).to.equal("30")
+        expect(state["pool[1].minDepositAmount"]).to.equal(ethers.parseEther("2").toString())
+
+        // 只传 pid 时结算奖励
+        const before = await stakeContract.pool(0)
+        state = await run("stake:update-pool", { pid: 0 })
+        expect(BigInt(state["pool[0].lastRewardBlock"])).to.be.gt(before.lastRewardBlock)
+    })
+
+    it("stake:set-reward / stake:set-window", async function () {
+        let state = await run("stake:set-reward", { perBlock: "2" })
+        expect(state.MetaNodePerBlock).to.equal(ethers.parseEther("2").toString())
+
+        // 开始区块晚于当前结束区块时先延后结束区块
+        const endBlock = await stakeContract.endBlock()
+        state = await run("stake:set-window", { start: Number(endBlock) + 10, end: Number(endBlock) + 100 })
+        expect(state.startBlock).to.equal((endBlock + 10n).toString())
+        expect(state.endBlock).to.equal((endBlock + 100n).toString())
+
+        await expect(run("stake:set-window", { start: 100, end: 10 }))
+            .to.be.rejectedWith("start block must be smaller than end block")
+    })
+
+    it("stake:pause-* / stake:fund", async function () {
+        let state = await run("stake:pause-withdraw", {})
+        expect(state.withdrawPaused).to.equal("true")
+        state = await run("stake:pause-withdraw", { unpause: true })
+        expect(state.withdrawPaused).to.equal("false")
+
+        state = await run("stake:pause-claim", {})
+        expect(state.claimPaused).to.equal("true")
+        state = await run("stake:pause-all", {})
+        expect(state.paused).to.equal("true")
+
+        state = await run("stake:fund", { amount: "1000" })
+        expect(state.MetaNodeBalance).to.equal(ethers.parseEther("1000").toString())
+    })
+
+    it("stake:solvency 提前发现资金不足", async function () {
+        // 剩余 90 个区块 * 2 MetaNode，余额 1000 足够
+        let report = await run("stake:solvency", { lens })
+        expect(report.underfunded).to.equal(false)
+        expect(report.shortfall).to.equal(0)
+
+        await run("stake:set-reward", { perBlock: "100" })
+        report = await run("stake:solvency", { lens })
+        expect(report.underfunded).to.equal(true)
+        expect(report.shortfall).to.equal(report.future - ethers.parseEther("1000"))
+        await expect(run("stake:solvency", { lens, failOnShortfall: true }))
+            .to.be.rejectedWith("MetaNode rewards are underfunded")
+    })
+
+    it("stake:add-phase / stake:remove-phase", async function () {
+        const endBlock = await stakeContract.endBlock()
+        let state = await run("stake:add-phase", { start: Number(endBlock) - 10, perBlock: "1", halvingInterval: 5 })
+        expect(state["emissionPhase[0].startBlock"]).to.equal((endBlock - 10n).toString())
+        expect(state["emissionPhase[0].MetaNodePerBlock"]).to.equal(ethers.parseEther("1").toString())
+        expect(state["emissionPhase[0].halvingInterval"]).to.equal("5")
+
+        // 最后 10 个区块按 1 + 0.5 减半发放，偿付能力按阶段计算
+        const report = await run("stake:solvency", { lens })
+        expect(await stakeContract.getMultiplier(endBlock - 10n, endBlock)).to.equal(ethers.parseEther("7.5"))
+        expect(report.future).to.equal(await stakeContract.getMultiplier(await stakeContract.clock(), endBlock))
+
+        state = await run("stake:remove-phase", {})
+        expect(state["emissionPhase[0].startBlock"]).to.equal(undefined)
+    })
+
+    it("stake:info 和地址解析", async function () {
+        const state = await run("stake:info", { user: user1.address })
+        expect(state.MetaNode).to.equal(await metaNodeToken.getAddress())
+
+        // hardhat 网络没有部署清单，必须显式传地址
+        await expect(hre.run("stake:info", {})).to.be.rejectedWith("pass --address explicitly")
+        await expect(run("stake:info", { address: "0x1234" })).to.be.rejectedWith("invalid MetaNodeStake address")
+    })
+})
@@ -0,0 +1,150 @@
+const hre = require("hardhat")
+const { ethers, upgrades } = hre
+const { expect } = require("chai")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { deployStake, loadDeployConfig } = require("../tasks/deploy")
+const { manifestPath, saveManifest } = require("../tasks/manifest")
+const { quiet } = require("./helpers")
+
+describe("== MetaNodeStake 部署流水线测试 ==", function () {
+    let admin, user1, user2
+    let dir, config
+
+    const deploy = (cfg) => quiet(() => deployStake(hre, cfg, { dir }))
+
+    before(async function () {
+        [admin, user1, user2] = await ethers.getSigners()
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "stake-deployments-"))
+        // hardhat 网络沿用 localhost 的配置
+        config = loadDeployConfig("hardhat")
+        config.roles = { admin: [user1.address], upgrader: [] }
+    })
+
+    it("首次执行应该部署并写入清单", async function () {
+        const manifest = await deploy(config)
+
+        expect(manifest.chainId).to.equal(31337)
+        expect(manifest.deployBlock).to.be.gt(0)
+        expect(JSON.parse(fs.readFileSync(manifestPath("hardhat", dir), "utf8"))).to.deep.equal(manifest)
+
+        const stake = await ethers.getContractAt("MetaNodeStake", manifest.contracts.MetaNodeStake)
+        const token = await ethers.getContractAt("MetaNodeToken", manifest.contracts.MetaNodeToken)
+        expect(await stake.MetaNode()).to.equal(manifest.contracts.MetaNodeToken)
+        expect(await stake.MetaNodePerBlock()).to.equal(ethers.parseEther(config.metaNodePerBlock))
+        expect(await stake.endBlock() - await stake.startBlock()).to.equal(config.durationBlocks)
+        expect(await stake.poolLength()).to.equal(1)
+        expect((await stake.pool(0)).minDepositAmount).to.equal(ethers.parseEther("0.01"))
+        expect(await stake.lockTierLength()).to.equal(config.lockTiers.length)
+        expect((await stake.lockTiers(2)).multiplier).to.equal(config.lockTiers[2].multiplier)
+        expect(await stake.hasRole(await stake.ADMIN_ROLE(), user1.address)).to.equal(true)
+        expect(await token.balanceOf(manifest.contracts.MetaNodeStake)).to.equal(ethers.parseEther(config.fund))
+        expect(await stake.trustedForwarder()).to.equal(manifest.contracts.MetaNodeForwarder)
+        expect(await stake.weth()).to.equal(manifest.contracts.WETH9)
+        const lens = await ethers.getContractAt("MetaNodeStakeLens", manifest.contracts.MetaNodeStakeLens)
+        expect(await lens.stake()).to.equal(manifest.contracts.MetaNodeStake)
+        const receipt = await ethers.getContractAt("MetaNodeReceipt", await stake.receiptToken(0))
+        expect(await receipt.symbol()).to.equal("stMetaNode-ETH")
+        expect(await receipt.poolId()).to.equal(0)
+    })
+
+    it("重复执行应该是幂等的", async function () {
+        const file = manifestPath("hardhat", dir)
+        const before = fs.readFileSync(file, "utf8")
+        const nonce = await ethers.provider.getTransactionCount(admin.address)
+
+        await deploy(config)
+
+        expect(await ethers.provider.getTransactionCount(admin.address)).to.equal(nonce)
+        expect(fs.readFileSync(file, "utf8")).to.equal(before)
+    })
+
+    it("配置变化时只补齐差异", async function () {
+        const stakeToken = await (await ethers.getContractFactory("MetaNodeToken")).deploy()
+        const nonce = await ethers.provider.getTransactionCount(admin.address)
+        const updated = {
+            ...config,
+            pools: [
+                { ...config.pools[0], weight: 100, lockBlocks: 30 },
+                { token: await stakeToken.getAddress(), weight: 50, minDeposit: "1", lockBlocks: 10 }
+            ],
+            lockTiers: [{ ...config.lockTiers[0], multiplier: 13000 }, ...config.lockTiers.slice(1)],
+            roles: { admin: [user1.address], upgrader: [user2.address] }
+        }
+
+        const manifest = await deploy(updated)
+        const stake = await ethers.getContractAt("MetaNodeStake", manifest.contracts.MetaNodeStake)
+
+        // setPoolWeight + updatePool + addPool + setLockTier + grantRole
+        expect(await ethers.provider.getTransactionCount(admin.address)).to.equal(nonce + 5)
+        expect((await stake.pool(0)).poolWeight).to.equal(100)
+        expect((await stake.pool(0)).unstakeLockedBlocks).to.equal(30)
+        expect((await stake.pool(1)).stTokenAddress).to.equal(await stakeToken.getAddress())
+        expect(await stake.totalPoolWeight()).to.equal(150)
+        expect((await stake.lockTiers(0)).multiplier).to.equal(13000)
+        expect(await stake.hasRole(await stake.UPGRADE_ROLE(), user2.address)).to.equal(true)
+    })
+
+    it("应该支持按时间戳计时的部署", async function () {
+        const timestampConfig = loadDeployConfig("hardhat", path.join(__dirname, "..", "deploy-config", "example-timestamp.json"))
+        const timestampDir = fs.mkdtempSync(path.join(os.tmpdir(), "stake-deployments-"))
+        const manifest = await quiet(() => deployStake(hre, timestampConfig, { dir: timestampDir }))
+        const stake = await ethers.getContractAt("MetaNodeStake", manifest.contracts.MetaNodeStake)
+
+        expect(await stake.CLOCK_MODE()).to.equal("mode=timestamp")
+        expect(await stake.endBlock() - await stake.startBlock()).to.equal(timestampConfig.durationSeconds)
+        expect(await stake.MetaNodePerBlock()).to.equal(ethers.parseEther(timestampConfig.metaNodePerSecond))
+        expect((await stake.pool(0)).unstakeLockedBlocks).to.equal(timestampConfig.pools[0].lockSeconds)
+
+        // 已部署的代理计时方式与配置不一致时不能复用
+        await expect(quiet(() => deployStake(hre, config, { dir: timestampDir })))
+            .to.be.rejectedWith("uses a different clock")
+    })
+
+    it("清单中的合约不存在时应该重新部署", async function () {
+        const file = manifestPath("hardhat", dir)
+        const manifest = JSON.parse(fs.readFileSync(file, "utf8"))
+        // 模拟本地节点重启：清单里的地址上没有代码
+        manifest.contracts.MetaNodeStake = ethers.Wallet.createRandom().address
+        fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n")
+
+        const redeployed = await deploy(config)
+        expect(redeployed.contracts.MetaNodeToken).to.equal(manifest.contracts.MetaNodeToken)
+        expect(redeployed.contracts.MetaNodeStake).to.not.equal(manifest.contracts.MetaNodeStake)
+        expect(await ethers.provider.getCode(redeployed.contracts.MetaNodeStake)).to.not.equal("0x")
+        // 旧的 lens 指向原来的质押合约，需要重新部署
+        expect(redeployed.contracts.MetaNodeStakeLens).to.not.equal(manifest.contracts.MetaNodeStakeLens)
+        const lens = await ethers.getContractAt("MetaNodeStakeLens", redeployed.contracts.MetaNodeStakeLens)
+        expect(await lens.stake()).to.equal(redeployed.contracts.MetaNodeStake)
+    })
+
+    it("清单指向基线实现的代理时（sepolia）按区块计时复用，不调用基线没有的函数", async function () {
+        const baselineDir = fs.mkdtempSync(path.join(os.tmpdir(), "stake-deployments-"))
+        const sepoliaConfig = loadDeployConfig("sepolia")
+        const token = await (await ethers.getContractFactory("MetaNodeToken")).deploy()
+        const tokenAddress = await token.getAddress()
+        const startBlock = await ethers.provider.getBlockNumber()
+        const stake = await upgrades.deployProxy(
+            await ethers.getContractFactory("MetaNodeStakeBaseline"),
+            [tokenAddress, startBlock, startBlock + 1000, ethers.parseEther(sepoliaConfig.metaNodePerBlock)],
+            { kind: "uups" }
+        )
+        const stakeAddress = await stake.getAddress()
+        const [pool] = sepoliaConfig.pools
+        await stake.addPool(ethers.ZeroAddress, pool.weight, ethers.parseEther(pool.minDeposit), pool.lockBlocks, false)
+        saveManifest("hardhat", { network: "hardhat", chainId: 31337, contracts: { MetaNodeToken: tokenAddress, MetaNodeStake: stakeAddress } }, baselineDir)
+
+        const manifest = await quiet(() => deployStake(hre, { ...sepoliaConfig, token: tokenAddress }, { dir: baselineDir }))
+
+        expect(manifest.contracts.MetaNodeStake).to.equal(stakeAddress)
+        expect(manifest.contracts.MetaNodeStakeImplementation)
+            .to.equal(await upgrades.erc1967.getImplementationAddress(stakeAddress))
+        expect(await stake.poolLength()).to.equal(1)
+
+        // 基线实现只支持按区块计时
+        const timestampConfig = loadDeployConfig("hardhat", path.join(__dirname, "..", "deploy-config", "example-timestamp.json"))
+        await expect(quiet(() => deployStake(hre, { ...timestampConfig, token: tokenAddress }, { dir: baselineDir })))
+            .to.be.rejectedWith("uses a different clock")
+    })
+})
@@ -0,0 +1,187 @@
+const hre = require("hardhat")
+const { ethers, upgrades } = hre
+const { expect } = require("chai")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { upgradeStake, rollbackStake } = require("../tasks/upgrade")
+const { loadManifest } = require("../tasks/manifest")
+const { deployStake, mine, quiet } = require("./helpers")
+
+describe("== MetaNodeStake 升级流程测试 ==", function () {
+    let admin, user1, user2
+    let metaNodeToken, stakeToken, stake, proxyAddress, v1Implementation
+    let dir
+
+    // 升级前后需要保持不变的用户数据
+    const positions = async (blockNumber) => {
+        const result = []
+        for (const account of [user1.address, user2.address]) {
+            for (const pid of [0, 1]) {
+                result.push([
+                    await stake.stakingBalance(pid, account),
+                    await stake.pendingMetaNodeByBlockNumber(pid, account, blockNumber),
+                    (await stake.withdrawAmount(pid, account))[0]
+                ])
+            }
+        }
+        return result
+    }
+
+    before(async function () {
+        [admin, user1, user2] = await ethers.getSigners()
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "stake-upgrade-"))
+
+        ;({ metaNodeToken, stakeToken, stake, stakeAddress: proxyAddress } = await deployStake({
+            pools: [
+                { token: "eth", weight: 2, lockBlocks: 5 },
+                { token: "stake", weight: 1, lockBlocks: 5 }
+            ]
+        }))
+        v1Implementation = await upgrades.erc1967.getImplementationAddress(proxyAddress)
+
+        // 用户在两个池质押，部分解质押，部分奖励已领取
+        await stake.connect(user1).depositETH({ value: ethers.parseEther("2") })
+        await stakeToken.transfer(user2.address, ethers.parseEther("100"))
+        await stakeToken.connect(user2).approve(proxyAddress, ethers.parseEther("100"))
+        await stake.connect(user2).deposit(1, ethers.parseEther("100"))
+        await mine(5)
+        await stake.connect(user1).unstake(0, ethers.parseEther("1"))
+        await stake.connect(user2).claim(1)
+        await mine(3)
+    })
+
+    it("存储布局不兼容时应该拒绝升级", async function () {
+        await expect(quiet(() => upgradeStake(hre, {
+            address: proxyAddress, contract: "MetaNodeStakeBadLayout", validateOnly: true
+        }, { dir }))).to.be.rejected
+        expect(await upgrades.erc1967.getImplementationAddress(proxyAddress)).to.equal(v1Implementation)
+    })
+
+    it("只校验时不应该升级", async function () {
+        await quiet(() => upgradeStake(hre, {
+            address: proxyAddress, contract: "MetaNodeStakeV2", validateOnly: true
+        }, { dir }))
+        expect(await upgrades.erc1967.getImplementationAddress(proxyAddress)).to.equal(v1Implementation)
+    })
+
+    it("没有UPGRADE_ROLE时应该拒绝", async function () {
+        const getSigners = hre.ethers.getSigners
+        hre.ethers.getSigners = async () => [user1]
+        try {
+            await expect(quiet(() => upgradeStake(hre, {
+                address: proxyAddress, contract: "MetaNodeStakeV2"
+            }, { dir }))).to.be.rejectedWith("does not have UPGRADE_ROLE")
+        } finally {
+            hre.ethers.getSigners = getSigners
+        }
+    })
+
+    it("升级到V2后质押余额和待领取奖励应该保持不变", async function () {
+        const blockNumber = await ethers.provider.getBlockNumber()
+        const before = await positions(blockNumber)
+        const poolsBefore = [await stake.pool(0), await stake.pool(1)]
+
+        const result = await quiet(() => upgradeStake(hre, {
+            address: proxyAddress,
+            contract: "MetaNodeStakeV2",
+            call: "initializeV2",
+            args: [42],
+            users: [user1.address, user2.address]
+        }, { dir }))
+
+        expect(result.from).to.equal(v1Implementation)
+        expect(result.to).to.not.equal(v1Implementation)
+        expect(await positions(blockNumber)).to.deep.equal(before)
+        expect([await stake.pool(0), await stake.pool(1)]).to.deep.equal(poolsBefore)
+
+        // reinitializer 设置了 V2 的新状态
+        const v2 = await ethers.getContractAt("MetaNodeStakeV2", proxyAddress)
+        expect(await v2.getVersion()).to.equal("V2.0")
+        expect(await v2.newVersionVariable()).to.equal(42)
+
+        // 记录新的实现和升级历史
+        const manifest = loadManifest("hardhat", dir)
+        expect(manifest.contracts.MetaNodeStakeImplementation).to.equal(result.to)
+        expect(manifest.upgrades).to.have.lengthOf(1)
+        expect(manifest.upgrades[0]).to.include({ contract: "MetaNodeStakeV2", from: v1Implementation, to: result.to })
+    })
+
+    it("reinitializer只能执行一次", async function () {
+        const v2 = await ethers.getContractAt("MetaNodeStakeV2", proxyAddress)
+        await expect(v2.initializeV2(7)).to.be.revertedWithCustomError(v2, "InvalidInitialization")
+        expect(await v2.newVersionVariable()).to.equal(42)
+    })
+
+    it("升级后的奖励应该按原来的进度继续累计", async function () {
+        // 领取交易所在区块的待领取奖励
+        const claimBlock = await ethers.provider.getBlockNumber() + 1
+        const pending = await stake.pendingMetaNodeByBlockNumber(1, user2.address, claimBlock)
+        expect(pending).to.be.gt(0)
+        const balanceBefore = await metaNodeToken.balanceOf(user2.address)
+        await stake.connect(user2).claim(1)
+        expect(await metaNodeToken.balanceOf(user2.address) - balanceBefore).to.equal(pending)
+
+        await stake.connect(user1).depositETH({ value: ethers.parseEther("1") })
+        expect(await stake.stakingBalance(0, user1.address)).to.equal(ethers.parseEther("2"))
+    })
+
+    it("应该可以回滚到升级前的实现", async function () {
+        const blockNumber = await ethers.provider.getBlockNumber()
+        const before = await positions(blockNumber)
+
+        const result = await quiet(() => rollbackStake(hre, { address: proxyAddress }, { dir }))
+
+        expect(result.to).to.equal(v1Implementation)
+        expect(await upgrades.erc1967.getImplementationAddress(proxyAddress)).to.equal(v1Implementation)
+        expect(await positions(blockNumber)).to.deep.equal(before)
+
+        const v2 = await ethers.getContractAt("MetaNodeStakeV2", proxyAddress)
+        await expect(v2.getVersion()).to.be.reverted
+
+        const manifest = loadManifest("hardhat", dir)
+        expect(manifest.contracts.MetaNodeStakeImplementation).to.equal(v1Implementation)
+        expect(manifest.upgrades).to.have.lengthOf(2)
+    })
+
+    it("可以从基线实现（sepolia 上的版本）升级，升级前只读取基线已有的函数", async function () {
+        const baselineDir = fs.mkdtempSync(path.join(os.tmpdir(), "stake-upgrade-"))
+        const startBlock = await ethers.provider.getBlockNumber()
+        const baseline = await upgrades.deployProxy(
+            await ethers.getContractFactory("MetaNodeStakeBaseline"),
+            [await metaNodeToken.getAddress(), startBlock, startBlock + 10000, ethers.parseEther("100")],
+            { kind: "uups" }
+        )
+        const baselineAddress = await baseline.getAddress()
+        const baselineImplementation = await upgrades.erc1967.getImplementationAddress(baselineAddress)
+        await metaNodeToken.transfer(baselineAddress, ethers.parseEther("100000"))
+        await baseline.addPool(ethers.ZeroAddress, 2, 0, 5, false)
+        await baseline.addPool(await stakeToken.getAddress(), 1, 0, 5, false)
+        await baseline.connect(user1).depositETH({ value: ethers.parseEther("2") })
+        await stakeToken.transfer(user2.address, ethers.parseEther("10"))
+        await stakeToken.connect(user2).approve(baselineAddress, ethers.parseEther("10"))
+        await baseline.connect(user2).deposit(1, ethers.parseEther("10"))
+        await mine(5)
+        await baseline.connect(user1).unstake(0, ethers.parseEther("1"))
+        await baseline.connect(user2).claim(1)
+        await mine(3)
+
+        const blockNumber = await ethers.provider.getBlockNumber()
+        stake = await ethers.getContractAt("MetaNodeStake", baselineAddress)
+        const before = await positions(blockNumber)
+
+        const result = await quiet(() => upgradeStake(hre, {
+            address: baselineAddress,
+            contract: "MetaNodeStake",
+            users: [user1.address, user2.address]
+        }, { dir: baselineDir }))
+
+        expect(result.from).to.equal(baselineImplementation)
+        expect(await upgrades.erc1967.getImplementationAddress(baselineAddress)).to.equal(result.to)
+        expect(await positions(blockNumber)).to.deep.equal(before)
+        // 升级后可以使用新加入的函数
+        expect(await stake.timeBased()).to.equal(false)
+        expect(await stake.lockTierLength()).to.equal(0)
+        expect(await stake.unpaidMetaNode(user2.address)).to.equal(0)
+    })
+})
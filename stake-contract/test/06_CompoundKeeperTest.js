@@ -0,0 +1,73 @@
+const { ethers } = require("hardhat")
+const { expect } = require("chai")
+const { CompoundKeeper } = require("../keeper")
+const { deployStake, mine } = require("./helpers")
+
+describe("== MetaNodeStake 自动复投 keeper 测试 ==", function () {
+    let admin, keeperSigner, user1, user2
+    let stakeContract, keeper
+    let startBlock
+
+    before(async function () {
+        [admin, keeperSigner, user1, user2] = await ethers.getSigners()
+
+        // 第二个池质押 MetaNode，复投的目标池
+        ;({ stake: stakeContract, startBlock } = await deployStake({
+            pools: [
+                { token: "eth", weight: 5, lockBlocks: 10 },
+                { token: "metaNode", weight: 5, lockBlocks: 10 }
+            ]
+        }))
+
+        keeper = new CompoundKeeper({
+            contract: stakeContract.connect(keeperSigner),
+            startBlock,
+            minReward: ethers.parseEther("1")
+        })
+    })
+
+    it("只为开启了自动复投的用户复投", async function () {
+        await stakeContract.connect(user1).depositETH({ value: ethers.parseEther("1") })
+        await stakeContract.connect(user2).depositETH({ value: ethers.parseEther("1") })
+        await stakeContract.connect(user1).setAutoCompound(true)
+        await mine(5)
+
+        const results = await keeper.runOnce()
+
+        expect(results.map((r) => [r.user, r.pid])).to.deep.equal([[user1.address, 0]])
+        expect(await stakeContract.stakingBalance(1, user1.address)).to.be.gte(results[0].reward)
+        expect(await stakeContract.stakingBalance(1, user2.address)).to.equal(0)
+        expect(await stakeContract.pendingMetaNode(0, user2.address)).to.be.gt(0)
+    })
+
+    it("复投后的 MetaNode 池奖励也会继续复投", async function () {
+        await mine(5)
+        const staked = await stakeContract.stakingBalance(1, user1.address)
+
+        const results = await keeper.runOnce()
+
+        expect(results.map((r) => r.pid)).to.deep.equal([0, 1])
+        expect(await stakeContract.stakingBalance(1, user1.address)).to.be.gt(staked)
+    })
+
+    it("关闭自动复投或暂停领取后不再复投", async function () {
+        await stakeContract.connect(user2).setAutoCompound(true)
+        await stakeContract.pauseClaim()
+        expect(await keeper.runOnce()).to.deep.equal([])
+        await stakeContract.unpauseClaim()
+
+        await stakeContract.connect(user1).setAutoCompound(false)
+        const results = await keeper.runOnce()
+        expect([...new Set(results.map((r) => r.user))]).to.deep.equal([user2.address])
+    })
+
+    it("待领取奖励低于阈值时跳过", async function () {
+        const strict = new CompoundKeeper({
+            contract: stakeContract.connect(keeperSigner),
+            startBlock,
+            minReward: ethers.parseEther("1000000")
+        })
+        expect(await strict.runOnce()).to.deep.equal([])
+        expect((await strict.syncUsers()).length).to.equal(1)
+    })
+})
@@ -0,0 +1,160 @@
+const { ethers } = require("hardhat")
+const { expect } = require("chai")
+const { signForwardRequest, Relayer } = require("../relayer")
+const { deployStake, zeroAddress } = require("./helpers")
+
+describe("== MetaNodeStake permit 和元交易测试 ==", function () {
+    let admin, relayerSigner, user1, user2, attacker
+    let metaNodeToken, stakeToken, stakeContract, forwarder, relayer
+    let stakeAddress
+
+    const deadline = async () => (await ethers.provider.getBlock("latest")).timestamp + 3600
+
+    // 用户对质押合约的 EIP-2612 permit 签名
+    const signPermit = async (token, owner, value, permitDeadline) => {
+        const [, name, version, chainId, verifyingContract] = await token.eip712Domain()
+        const signature = await owner.signTypedData(
+            { name, version, chainId, verifyingContract },
+            {
+                Permit: [
+                    { name: "owner", type: "address" },
+                    { name: "spender", type: "address" },
+                    { name: "value", type: "uint256" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" }
+                ]
+            },
+            {
+                owner: owner.address,
+                spender: stakeAddress,
+                value,
+                nonce: await token.nonces(owner.address),
+                deadline: permitDeadline
+            }
+        )
+        return ethers.Signature.from(signature)
+    }
+
+    // 用户签名对质押合约的调用，交给中继者提交
+    const relay = async (signer, method, args) => {
+        const request = await signForwardRequest(forwarder, signer, {
+            to: stakeAddress,
+            data: stakeContract.interface.encodeFunctionData(method, args),
+            deadline: await deadline()
+        })
+        return relayer.relay(request)
+    }
+
+    before(async function () {
+        [admin, relayerSigner, user1, user2, attacker] = await ethers.getSigners()
+
+        ;({ metaNodeToken, stakeToken, stake: stakeContract, stakeAddress } = await deployStake())
+        await stakeToken.transfer(user1.address, ethers.parseEther("1000"))
+
+        forwarder = await (await ethers.getContractFactory("MetaNodeForwarder")).deploy()
+        relayer = new Relayer({ forwarder: forwarder.connect(relayerSigner), targets: [stakeAddress] })
+    })
+
+    it("MetaNodeToken 支持 permit", async function () {
+        const value = ethers.parseEther("1")
+        const permitDeadline = await deadline()
+        const { v, r, s } = await signPermit(stakeToken, user1, value, permitDeadline)
+        await stakeToken.connect(attacker).permit(user1.address, stakeAddress, value, permitDeadline, v, r, s)
+        expect(await stakeToken.allowance(user1.address, stakeAddress)).to.equal(value)
+    })
+
+    it("depositWithPermit 不需要单独的 approve 交易", async function () {
+        const amount = ethers.parseEther("100")
+        const permitDeadline = await deadline()
+        const { v, r, s } = await signPermit(stakeToken, user1, amount, permitDeadline)
+
+        await expect(stakeContract.connect(user1).depositWithPermit(1, amount, permitDeadline, v, r, s))
+            .to.emit(stakeContract, "Deposit").withArgs(user1.address, 1, amount)
+        expect(await stakeContract.stakingBalance(1, user1.address)).to.equal(amount)
+        expect(await stakeToken.allowance(user1.address, stakeAddress)).to.equal(0)
+    })
+
+    it("permit 被抢先提交时依然可以质押", async function () {
+        const amount = ethers.parseEther("50")
+        const permitDeadline = await deadline()
+        const { v, r, s } = await signPermit(stakeToken, user1, amount, permitDeadline)
+        await stakeToken.connect(attacker).permit(user1.address, stakeAddress, amount, permitDeadline, v, r, s)
+
+        await stakeContract.connect(user1).depositWithPermit(1, amount, permitDeadline, v, r, s)
+        expect(await stakeContract.stakingBalance(1, user1.address)).to.equal(ethers.parseEther("150"))
+    })
+
+    it("签名无效或质押ETH池时应该失败", async function () {
+        const amount = ethers.parseEther("10")
+        const permitDeadline = await deadline()
+        // 签名的数量和质押数量不一致，permit 失败后额度不足
+        const { v, r, s } = await signPermit(stakeToken, user1, amount - 1n, permitDeadline)
+        await expect(stakeContract.connect(user1).depositWithPermit(1, amount, permitDeadline, v, r, s))
+            .to.be.revertedWithCustomError(stakeToken, "ERC20InsufficientAllowance")
+        await expect(stakeContract.connect(user1).depositWithPermit(0, amount, permitDeadline, v, r, s))
+            .to.be.revertedWith("deposit not support ETH staking")
+    })
+
+    it("只有管理员可以设置可信转发合约", async function () {
+        await expect(stakeContract.connect(attacker).setTrustedForwarder(await forwarder.getAddress()))
+            .to.be.revertedWithCustomError(stakeContract, "AccessControlUnauthorizedAccount")
+
+        await expect(stakeContract.setTrustedForwarder(await forwarder.getAddress()))
+            .to.emit(stakeContract, "SetTrustedForwarder").withArgs(await forwarder.getAddress())
+        expect(await stakeContract.isTrustedForwarder(await forwarder.getAddress())).to.equal(true)
+        expect(await stakeContract.isTrustedForwarder(zeroAddress)).to.equal(false)
+    })
+
+    it("中继者可以替用户解质押和领取奖励", async function () {
+        await stakeContract.connect(user2).depositETH({ value: ethers.parseEther("2") })
+        const ethBalance = await ethers.provider.getBalance(user2.address)
+
+        let receipt = await relay(user2, "unstake", [0, ethers.parseEther("1")])
+        const events = receipt.logs
+            .filter((log) => log.address === stakeAddress)
+            .map((log) => stakeContract.interface.parseLog(log))
+        expect(events.find((e) => e.name === "RequestUnstake").args.user).to.equal(user2.address)
+        expect(await stakeContract.stakingBalance(0, user2.address)).to.equal(ethers.parseEther("1"))
+
+        const pending = await stakeContract.pendingMetaNodeByBlockNumber(0, user2.address, await ethers.provider.getBlockNumber() + 1)
+        receipt = await relay(user2, "claim", [0])
+        expect(await metaNodeToken.balanceOf(user2.address)).to.equal(pending)
+        expect(await metaNodeToken.balanceOf(relayerSigner.address)).to.equal(0)
+        // gas 由中继者支付
+        expect(await ethers.provider.getBalance(user2.address)).to.equal(ethBalance)
+    })
+
+    it("转发的 multicall 保留用户身份", async function () {
+        const calls = [
+            stakeContract.interface.encodeFunctionData("claim", [1]),
+            stakeContract.interface.encodeFunctionData("unstake", [1, ethers.parseEther("10")])
+        ]
+        const balance = await metaNodeToken.balanceOf(user1.address)
+        await relay(user1, "multicall", [calls])
+
+        expect(await stakeContract.stakingBalance(1, user1.address)).to.equal(ethers.parseEther("140"))
+        expect(await metaNodeToken.balanceOf(user1.address)).to.be.gt(balance)
+    })
+
+    it("中继者不能伪造用户的请求", async function () {
+        const request = await signForwardRequest(forwarder, attacker, {
+            to: stakeAddress,
+            data: stakeContract.interface.encodeFunctionData("unstake", [1, ethers.parseEther("1")]),
+            deadline: await deadline()
+        })
+        // 把请求改成以 user1 的身份执行，签名不再匹配
+        await expect(relayer.relay({ ...request, from: user1.address }))
+            .to.be.rejectedWith("invalid forward request")
+        await expect(relayer.relay({ ...request, to: await stakeToken.getAddress() }))
+            .to.be.rejectedWith("is not allowed")
+    })
+
+    it("取消可信转发合约后不能再转发", async function () {
+        await stakeContract.setTrustedForwarder(zeroAddress)
+        await expect(relay(user1, "claim", [1])).to.be.rejectedWith("invalid forward request")
+
+        // 直接调用不受影响，调用者就是 msg.sender
+        await expect(stakeContract.connect(user1).claim(1))
+            .to.emit(stakeContract, "Claim")
+    })
+})
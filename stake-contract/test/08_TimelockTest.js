@@ -0,0 +1,127 @@
+const hre = require("hardhat")
+const { ethers } = hre
+const { expect } = require("chai")
+const { time } = require("@nomicfoundation/hardhat-network-helpers")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { deployStake, loadDeployConfig } = require("../tasks/deploy")
+const { quiet } = require("./helpers")
+
+describe("== MetaNodeStake timelock 治理测试 ==", function () {
+    let admin, user1
+    let dir, config, manifest, stake, timelock, address
+
+    const minDelay = 3600
+
+    const run = (name, args) => quiet(() => hre.run(name, { timelock: manifest.contracts.MetaNodeTimelock, fromBlock: 0, ...args }))
+    const queue = (args) => run("stake:timelock-queue", { address, ...args })
+    const statusOf = async (id) => (await run("stake:timelock-list", {})).find((op) => op.id === id).status
+
+    before(async function () {
+        [admin, user1] = await ethers.getSigners()
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "stake-timelock-"))
+        // 本地测试由部署账户兼任 proposer，实际部署时填多签地址
+        config = { ...loadDeployConfig("hardhat"), timelock: { minDelay, proposers: [admin.address] } }
+        manifest = await quiet(() => deployStake(hre, config, { dir }))
+        address = manifest.contracts.MetaNodeStake
+        stake = await ethers.getContractAt("MetaNodeStake", address)
+        timelock = await ethers.getContractAt("MetaNodeTimelock", manifest.contracts.MetaNodeTimelock)
+    })
+
+    it("部署时应该把角色交给 timelock", async function () {
+        expect(await timelock.getMinDelay()).to.equal(minDelay)
+        for (const role of [await stake.DEFAULT_ADMIN_ROLE(), await stake.ADMIN_ROLE(), await stake.UPGRADE_ROLE()]) {
+            expect(await stake.hasRole(role, admin.address)).to.equal(false)
+            expect(await stake.hasRole(role, manifest.contracts.MetaNodeTimelock)).to.equal(true)
+        }
+        // executors 不填时与 proposers 相同
+        expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), admin.address)).to.equal(true)
+        expect(await timelock.hasRole(await timelock.EXECUTOR_ROLE(), admin.address)).to.equal(true)
+    })
+
+    it("没有显式配置 proposer 时部署失败，不会默认成部署账户", async function () {
+        const emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), "stake-timelock-"))
+        const nonce = await ethers.provider.getTransactionCount(admin.address)
+
+        await expect(quiet(() => deployStake(hre, { ...config, timelock: { minDelay } }, { dir: emptyDir })))
+            .to.be.rejectedWith("timelock.proposers is required")
+        await expect(quiet(() => deployStake(hre, { ...config, timelock: { minDelay, proposers: [] } }, { dir: emptyDir })))
+            .to.be.rejectedWith("timelock.proposers is required")
+        await expect(quiet(() => deployStake(hre, { ...config, timelock: { minDelay, proposers: [ethers.ZeroAddress] } }, { dir: emptyDir })))
+            .to.be.rejectedWith("is not a valid address")
+        // 校验在发送任何交易之前
+        expect(await ethers.provider.getTransactionCount(admin.address)).to.equal(nonce)
+    })
+
+    it("直接调用管理函数应该失败", async function () {
+        await expect(stake.setMetaNodePerBlock(ethers.parseEther("2")))
+            .to.be.revertedWithCustomError(stake, "AccessControlUnauthorizedAccount")
+        await expect(stake.setPoolWeight(0, 100, true))
+            .to.be.revertedWithCustomError(stake, "AccessControlUnauthorizedAccount")
+        await expect(stake.setMetaNode(manifest.contracts.MetaNodeToken))
+            .to.be.revertedWithCustomError(stake, "AccessControlUnauthorizedAccount")
+        await expect(stake.grantRole(await stake.ADMIN_ROLE(), admin.address))
+            .to.be.revertedWithCustomError(stake, "AccessControlUnauthorizedAccount")
+        await expect(stake.upgradeToAndCall(manifest.contracts.MetaNodeStakeImplementation, "0x"))
+            .to.be.revertedWithCustomError(stake, "AccessControlUnauthorizedAccount")
+    })
+
+    it("重复部署时跳过需要管理权限的差异", async function () {
+        const nonce = await ethers.provider.getTransactionCount(admin.address)
+        const updated = { ...config, pools: [{ ...config.pools[0], weight: 100 }] }
+
+        await quiet(() => deployStake(hre, updated, { dir }))
+
+        expect(await ethers.provider.getTransactionCount(admin.address)).to.equal(nonce)
+        expect((await stake.pool(0)).poolWeight).to.equal(config.pools[0].weight)
+    })
+
+    it("排队的操作在延迟之后才能执行", async function () {
+        const rate = ethers.parseEther("2")
+        const { id } = await queue({ method: "setMetaNodePerBlock", args: JSON.stringify([rate.toString()]) })
+        expect(await statusOf(id)).to.equal("waiting")
+
+        await expect(run("stake:timelock-execute", { id })).to.be.rejectedWith("is waiting, not ready")
+        const [operation] = (await run("stake:timelock-list", { pending: true })).filter((op) => op.id === id)
+        expect(operation.description).to.equal(`setMetaNodePerBlock(${rate})`)
+        await expect(timelock.execute(address, 0, operation.calls[0].data, ethers.ZeroHash, ethers.ZeroHash))
+            .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState")
+
+        await time.increase(minDelay)
+        expect(await statusOf(id)).to.equal("ready")
+        expect(await run("stake:timelock-execute", {})).to.deep.equal([id])
+
+        expect(await stake.MetaNodePerBlock()).to.equal(rate)
+        expect(await statusOf(id)).to.equal("done")
+    })
+
+    it("只有 proposer 可以排队", async function () {
+        const data = stake.interface.encodeFunctionData("setPoolWeight", [0, 100, true])
+        await expect(timelock.connect(user1).schedule(address, 0, data, ethers.ZeroHash, ethers.ZeroHash, minDelay))
+            .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount")
+        // 延迟不能小于 minDelay
+        await expect(queue({ method: "setPoolWeight", args: "[0, 100, true]", delay: minDelay - 1 }))
+            .to.be.revertedWithCustomError(timelock, "TimelockInsufficientDelay")
+    })
+
+    it("取消的操作不能执行", async function () {
+        const { id } = await queue({ method: "pauseClaim", salt: "cancel" })
+        await timelock.cancel(id)
+        await time.increase(minDelay)
+
+        expect(await statusOf(id)).to.equal("cancelled")
+        expect(await run("stake:timelock-execute", {})).to.deep.equal([])
+        expect(await stake.claimPaused()).to.equal(false)
+    })
+
+    it("升级同样需要通过 timelock", async function () {
+        const { id } = await queue({ upgrade: "MetaNodeStakeV2", call: "initializeV2", args: "[42]" })
+        await time.increase(minDelay)
+        await run("stake:timelock-execute", { id })
+
+        const upgraded = await ethers.getContractAt("MetaNodeStakeV2", address)
+        expect(await upgraded.getVersion()).to.equal("V2.0")
+        expect(await upgraded.newVersionVariable()).to.equal(42)
+    })
+})
@@ -0,0 +1,151 @@
+const { ethers } = require("hardhat")
+const { expect } = require("chai")
+const { deployStake, mine } = require("./helpers")
+
+describe("== MetaNodeStake 质押收据测试 ==", function () {
+    let admin, user1, user2, user3
+    let metaNodeToken, stakeToken, stakeContract, receipt
+
+    const metaNodePerBlock = ethers.parseEther("100")
+    const lockBlocks = 20
+
+    const deployReceipt = async (stakeAddress, pid) => {
+        const MetaNodeReceipt = await ethers.getContractFactory("MetaNodeReceipt")
+        return MetaNodeReceipt.deploy("stMetaNode-ETH", "stMetaNode-ETH", 18, stakeAddress, pid)
+    }
+
+    before(async function () {
+        [admin, user1, user2, user3] = await ethers.getSigners()
+
+        ;({ metaNodeToken, stakeToken, stake: stakeContract } = await deployStake({
+            metaNodePerBlock,
+            pools: [
+                { token: "eth", weight: 1, lockBlocks: 10 },
+                { token: "stake", weight: 1, lockBlocks: 10 }
+            ]
+        }))
+        await stakeContract.addLockTier(lockBlocks, 20000)
+
+        await stakeToken.transfer(user1.address, ethers.parseEther("100"))
+        await stakeToken.connect(user1).approve(await stakeContract.getAddress(), ethers.MaxUint256)
+    })
+
+    it("只能为空池设置本池的收据", async function () {
+        const stakeAddress = await stakeContract.getAddress()
+        receipt = await deployReceipt(stakeAddress, 0)
+
+        await expect(stakeContract.connect(user1).setReceiptToken(0, await receipt.getAddress()))
+            .to.be.revertedWithCustomError(stakeContract, "AccessControlUnauthorizedAccount")
+        // 收据属于别的池或别的质押合约
+        await expect(stakeContract.setReceiptToken(1, await receipt.getAddress()))
+            .to.be.revertedWith("invalid receipt token")
+        const other = await deployReceipt(user1.address, 0)
+        await expect(stakeContract.setReceiptToken(0, await other.getAddress()))
+            .to.be.revertedWith("invalid receipt token")
+
+        await expect(stakeContract.setReceiptToken(0, await receipt.getAddress()))
+            .to.emit(stakeContract, "SetReceiptToken").withArgs(0, await receipt.getAddress())
+        expect(await stakeContract.receiptToken(0)).to.equal(await receipt.getAddress())
+        // 只能设置一次
+        await expect(stakeContract.setReceiptToken(0, await receipt.getAddress()))
+            .to.be.revertedWith("pool not empty")
+
+        // 已有质押的池不能再加收据，否则老的质押没有收据
+        await stakeContract.connect(user1).deposit(1, ethers.parseEther("1"))
+        const receipt1 = await deployReceipt(stakeAddress, 1)
+        await expect(stakeContract.setReceiptToken(1, await receipt1.getAddress()))
+            .to.be.revertedWith("pool not empty")
+    })
+
+    it("质押时铸造，解质押时销毁，取消解质押时重新铸造", async function () {
+        expect(await receipt.decimals()).to.equal(18)
+        expect(await receipt.symbol()).to.equal("stMetaNode-ETH")
+
+        await expect(stakeContract.connect(user1).depositETH({ value: ethers.parseEther("10") }))
+            .to.changeTokenBalance(receipt, user1, ethers.parseEther("10"))
+
+        await stakeContract.connect(user1).unstake(0, ethers.parseEther("3"))
+        expect(await receipt.balanceOf(user1.address)).to.equal(ethers.parseEther("7"))
+
+        await stakeContract.connect(user1).cancelUnstake(0, 0)
+        expect(await receipt.balanceOf(user1.address)).to.equal(ethers.parseEther("10"))
+        expect(await receipt.totalSupply()).to.equal((await stakeContract.pool(0)).stTokenAmount)
+
+        // 没有收据的池照常质押
+        await stakeContract.connect(user1).deposit(1, ethers.parseEther("1"))
+        expect(await stakeContract.stakingBalance(1, user1.address)).to.equal(ethers.parseEther("2"))
+    })
+
+    it("转账收据应该转移质押量并结算双方的奖励", async function () {
+        await stakeContract.connect(user2).depositETH({ value: ethers.parseEther("5") })
+        await mine(5)
+
+        // 转账所在区块双方的待领取奖励，转账不改变已经产生的奖励
+        const block = await ethers.provider.getBlockNumber() + 1
+        const pending1 = await stakeContract.pendingMetaNodeByBlockNumber(0, user1.address, block)
+        const pending2 = await stakeContract.pendingMetaNodeByBlockNumber(0, user2.address, block)
+
+        const tx = await receipt.connect(user1).transfer(user2.address, ethers.parseEther("4"))
+        await expect(tx).to.emit(stakeContract, "TransferStake")
+            .withArgs(user1.address, user2.address, 0, ethers.parseEther("4"))
+        expect(await stakeContract.stakingBalance(0, user1.address)).to.equal(ethers.parseEther("6"))
+        expect(await stakeContract.stakingBalance(0, user2.address)).to.equal(ethers.parseEther("9"))
+        expect(await stakeContract.pendingMetaNode(0, user1.address)).to.equal(pending1)
+        expect(await stakeContract.pendingMetaNode(0, user2.address)).to.equal(pending2)
+
+        // 之后按新的质押量分配：每区块 user1 6/15，user2 9/15
+        await mine(5)
+        const reward = metaNodePerBlock * 5n / 2n // 池 0 占一半权重
+        expect(await stakeContract.pendingMetaNode(0, user1.address))
+            .to.be.closeTo(pending1 + reward * 6n / 15n, 10n)
+        expect(await stakeContract.pendingMetaNode(0, user2.address))
+            .to.be.closeTo(pending2 + reward * 9n / 15n, 10n)
+
+        // 接收方可以解质押并提现转来的部分
+        await stakeContract.connect(user2).unstake(0, ethers.parseEther("9"))
+        expect(await receipt.balanceOf(user2.address)).to.equal(0)
+    })
+
+    it("锁仓部分不能转出，只有收据合约能回调", async function () {
+        await expect(
+            stakeContract.connect(user1).onReceiptTransfer(0, user1.address, user3.address, 1)
+        ).to.be.revertedWith("caller is not the receipt token")
+
+        await stakeContract.connect(user3).depositETHLocked(0, { value: ethers.parseEther("2") })
+        await expect(receipt.connect(user3).transfer(user1.address, 1))
+            .to.be.revertedWith("stake is locked")
+
+        // 到期后可以转出，锁仓倍数随之失效
+        await mine(lockBlocks)
+        await receipt.connect(user3).transfer(user1.address, ethers.parseEther("2"))
+        expect(await stakeContract.stakingBalance(0, user3.address)).to.equal(0)
+        expect((await stakeContract.userLock(0, user3.address)).amount).to.equal(0)
+        expect(await stakeContract.poolBoost(0)).to.equal(0)
+    })
+
+    it("transferFrom、给自己转账和暂停", async function () {
+        await receipt.connect(user1).approve(user3.address, ethers.parseEther("1"))
+        await receipt.connect(user3).transferFrom(user1.address, user3.address, ethers.parseEther("1"))
+        expect(await stakeContract.stakingBalance(0, user3.address)).to.equal(ethers.parseEther("1"))
+
+        const pending = await stakeContract.pendingMetaNodeByBlockNumber(
+            0, user3.address, await ethers.provider.getBlockNumber() + 1
+        )
+        await expect(receipt.connect(user3).transfer(user3.address, ethers.parseEther("1")))
+            .to.not.emit(stakeContract, "TransferStake")
+        expect(await stakeContract.pendingMetaNode(0, user3.address)).to.equal(pending)
+
+        await stakeContract.pause()
+        await expect(receipt.connect(user3).transfer(user1.address, 1))
+            .to.be.revertedWithCustomError(stakeContract, "EnforcedPause")
+        await stakeContract.unpause()
+    })
+
+    it("紧急提现销毁全部收据", async function () {
+        await stakeContract.connect(user1).emergencyWithdraw(0)
+        expect(await receipt.balanceOf(user1.address)).to.equal(0)
+        expect(await receipt.totalSupply()).to.equal((await stakeContract.pool(0)).stTokenAmount)
+        await expect(receipt.connect(user1).setBalance(user1.address, 1))
+            .to.be.revertedWith("caller is not the stake contract")
+    })
+})
@@ -0,0 +1,113 @@
+const { ethers } = require("hardhat")
+const { expect } = require("chai")
+const { deployStake, mine } = require("./helpers")
+
+describe("== MetaNodeStake WETH 质押测试 ==", function () {
+    let admin, user1, user2
+    let metaNodeToken, weth, stakeContract, stakeAddress
+
+    const metaNodePerBlock = ethers.parseEther("100")
+    const unstakeLockedBlocks = 5
+    const minDeposit = ethers.parseEther("0.1")
+
+    before(async function () {
+        [admin, user1, user2] = await ethers.getSigners()
+
+        ;({ metaNodeToken, stake: stakeContract, stakeAddress } = await deployStake({
+            metaNodePerBlock,
+            pools: [{ token: "eth", weight: 1, minDeposit, lockBlocks: unstakeLockedBlocks }]
+        }))
+        const WETH9 = await ethers.getContractFactory("WETH9")
+        weth = await WETH9.deploy()
+
+        for (const user of [user1, user2]) {
+            await weth.connect(user).deposit({ value: ethers.parseEther("10") })
+            await weth.connect(user).approve(stakeAddress, ethers.MaxUint256)
+        }
+    })
+
+    it("未设置 WETH 时不能使用 WETH 质押和提现", async function () {
+        await expect(stakeContract.connect(user1).depositWETH(ethers.parseEther("1")))
+            .to.be.revertedWith("WETH not set")
+        await expect(stakeContract.connect(user1).withdrawAsWETH(10))
+            .to.be.revertedWith("WETH not set")
+    })
+
+    it("只有管理员可以设置 WETH", async function () {
+        await expect(stakeContract.connect(user1).setWETH(await weth.getAddress()))
+            .to.be.revertedWithCustomError(stakeContract, "AccessControlUnauthorizedAccount")
+        await expect(stakeContract.setWETH(await weth.getAddress()))
+            .to.emit(stakeContract, "SetWETH").withArgs(await weth.getAddress())
+        expect(await stakeContract.weth()).to.equal(await weth.getAddress())
+    })
+
+    it("WETH 质押应该解包成 ETH，与原生 ETH 质押统一记账", async function () {
+        const amount = ethers.parseEther("2")
+        const tx = await stakeContract.connect(user1).depositWETH(amount)
+        await expect(tx).to.emit(stakeContract, "Deposit").withArgs(user1.address, 0, amount)
+        await expect(tx).to.changeEtherBalance(stakeContract, amount)
+        await stakeContract.connect(user2).depositETH({ value: amount })
+
+        expect(await weth.balanceOf(user1.address)).to.equal(ethers.parseEther("8"))
+        expect(await weth.balanceOf(stakeAddress)).to.equal(0)
+        expect(await stakeContract.stakingBalance(0, user1.address)).to.equal(amount)
+        expect((await stakeContract.pool(0)).stTokenAmount).to.equal(amount * 2n)
+
+        // 同样的质押量获得同样的奖励，user1 早一个区块质押，多拿独享的那一个区块
+        await mine(3)
+        const block = await ethers.provider.getBlockNumber()
+        expect(await stakeContract.pendingMetaNodeByBlockNumber(0, user1.address, block))
+            .to.equal(await stakeContract.pendingMetaNodeByBlockNumber(0, user2.address, block) + metaNodePerBlock)
+
+        await expect(stakeContract.connect(user1).depositWETH(minDeposit - 1n))
+            .to.be.revertedWith("deposit amount is too small")
+    })
+
+    it("可以选择以 WETH 或原生 ETH 提现", async function () {
+        await stakeContract.connect(user1).unstake(0, ethers.parseEther("1"))
+        await stakeContract.connect(user2).unstake(0, ethers.parseEther("1"))
+
+        // 未解锁时什么也不转
+        await expect(stakeContract.connect(user1).withdrawAsWETH(10))
+            .to.changeTokenBalance(weth, user1, 0)
+        await mine(unstakeLockedBlocks)
+
+        // WETH 质押的可以按原生 ETH 提现，原生 ETH 质押的可以按 WETH 提现
+        await expect(stakeContract.connect(user1).withdraw(0))
+            .to.changeEtherBalances([stakeContract, user1], [-ethers.parseEther("1"), ethers.parseEther("1")])
+        const tx = await stakeContract.connect(user2).withdrawAsWETH(10)
+        await expect(tx).to.emit(stakeContract, "Withdraw")
+        await expect(tx).to.changeTokenBalance(weth, user2, ethers.parseEther("1"))
+        expect(await ethers.provider.getBalance(stakeAddress)).to.equal(ethers.parseEther("2"))
+        expect(await weth.balanceOf(stakeAddress)).to.equal(0)
+        expect((await stakeContract.pool(0)).stTokenAmount).to.equal(ethers.parseEther("2"))
+
+        const [requestAmount] = await stakeContract.withdrawAmount(0, user2.address)
+        expect(requestAmount).to.equal(0)
+    })
+
+    it("暂停时不能使用 WETH 质押和提现", async function () {
+        await stakeContract.connect(user1).unstake(0, ethers.parseEther("0.5"))
+        await mine(unstakeLockedBlocks)
+
+        await stakeContract.pauseWithdraw()
+        await expect(stakeContract.connect(user1).withdrawAsWETH(10))
+            .to.be.revertedWith("withdraw is paused")
+        await stakeContract.unpauseWithdraw()
+
+        await stakeContract.pause()
+        await expect(stakeContract.connect(user1).depositWETH(ethers.parseEther("1")))
+            .to.be.revertedWithCustomError(stakeContract, "EnforcedPause")
+        await expect(stakeContract.connect(user1).withdrawAsWETH(10))
+            .to.be.revertedWithCustomError(stakeContract, "EnforcedPause")
+        await stakeContract.unpause()
+
+        await expect(stakeContract.connect(user1).withdrawAsWETH(10))
+            .to.changeTokenBalance(weth, user1, ethers.parseEther("0.5"))
+    })
+
+    it("只接收 WETH 解包转入的 ETH", async function () {
+        await expect(user1.sendTransaction({ to: stakeAddress, value: 1 }))
+            .to.be.revertedWith("only WETH")
+    })
+})
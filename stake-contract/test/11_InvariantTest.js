@@ -0,0 +1,259 @@
+const { ethers } = require("hardhat")
+const { expect } = require("chai")
+const { deployStake } = require("./helpers")
+
+// 随机操作序列 + 不变量检查。失败信息里带有种子，用同一个种子可以重放:
+//   FUZZ_SEED=<seed> npx hardhat test test/11_InvariantTest.js
+// FUZZ_RUNS 控制不指定种子时跑几个种子（1..FUZZ_RUNS），FUZZ_STEPS 控制每轮的操作数
+const SEEDS = process.env.FUZZ_SEED
+    ? [Number(process.env.FUZZ_SEED)]
+    : Array.from({ length: Number(process.env.FUZZ_RUNS || 3) }, (_, i) => i + 1)
+const STEPS = Number(process.env.FUZZ_STEPS || 60)
+
+// mulberry32，同一个种子总是生成同样的序列
+const createRandom = (seed) => {
+    let state = seed >>> 0
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+    return {
+        int: (n) => Math.floor(next() * n),
+        pick: (list) => list[Math.floor(next() * list.length)],
+        // [1, max] 之间的随机 bigint，带上零头方便暴露取整问题
+        amount: (max) => {
+            const unit = max / 1000n > 0n ? max / 1000n : 1n
+            const value = BigInt(Math.floor(next() * 1000)) * unit + BigInt(Math.floor(next() * 1e6))
+            return value % max + 1n
+        }
+    }
+}
+
+describe("== MetaNodeStake 不变量随机测试 ==", function () {
+    this.timeout(600000)
+
+    const lockBlocks = [5, 8]
+    const minDeposit = ethers.parseEther("0.01")
+    // 取整误差上限：每次结算池和每个用户各向下取整一次，远小于这个值
+    const rounding = 10n ** 9n
+
+    let admin, users
+
+    before(async function () {
+        [admin, ...users] = await ethers.getSigners()
+        users = users.slice(0, 5)
+    })
+
+    // 每个种子都从同一套刚部署好的合约开始
+    const setup = async () => {
+        const weights = [100n, 50n]
+        const { stake, metaNodeToken, stakeToken, stakeAddress } = await deployStake({
+            metaNodePerBlock: ethers.parseEther("1"),
+            duration: 1000000,
+            pools: [
+                { token: "eth", weight: weights[0], minDeposit, lockBlocks: lockBlocks[0] },
+                { token: "stake", weight: weights[1], lockBlocks: lockBlocks[1] }
+            ]
+        })
+
+        for (const user of users) {
+            await stakeToken.transfer(user.address, ethers.parseEther("10000"))
+            await stakeToken.connect(user).approve(stakeAddress, ethers.MaxUint256)
+        }
+        return {
+            stake,
+            metaNodeToken,
+            stakeToken,
+            funded: ethers.parseEther("1000000"),
+            rate: ethers.parseEther("1"),
+            weights,
+            // 模型中每个池的排放：有质押的区块按 速率 * 权重 / 总权重 累计，from 是尚未累计的第一个区块
+            emission: await Promise.all([0, 1].map(async (pid) => ({
+                from: (await stake.pool(pid)).lastRewardBlock,
+                emitted: 0n,
+                claimed: 0n
+            }))),
+            // 模型中每个池每个用户的质押量和解质押请求
+            ledger: [0, 1].map(() => Object.fromEntries(users.map((u) => [u.address, { staked: 0n, requests: [] }])))
+        }
+    }
+
+    const supplyOf = (ctx, pid) => Object.values(ctx.ledger[pid]).reduce((sum, e) => sum + e.staked, 0n)
+
+    // 池 pid 到 block 为止的排放，质押量、权重和速率变化之前都要先累计
+    const emittedUntil = (ctx, pid, block) => {
+        const { from, emitted } = ctx.emission[pid]
+        if (block <= from || supplyOf(ctx, pid) === 0n) return emitted
+        const totalWeight = ctx.weights[0] + ctx.weights[1]
+        return emitted + (block - from) * ctx.rate * ctx.weights[pid] / totalWeight
+    }
+    const accrue = (ctx, pids, block) => {
+        for (const pid of pids) {
+            ctx.emission[pid].emitted = emittedUntil(ctx, pid, block)
+            ctx.emission[pid].from = block
+        }
+    }
+
+    const actions = {
+        deposit: async (ctx, random, user) => {
+            const pid = random.int(2)
+            const amount = pid === 0
+                ? minDeposit + random.amount(ethers.parseEther("3"))
+                : random.amount(ethers.parseEther("500"))
+            const tx = pid === 0
+                ? await ctx.stake.connect(user).depositETH({ value: amount })
+                : await ctx.stake.connect(user).deposit(pid, amount)
+            const receipt = await tx.wait()
+            accrue(ctx, [pid], BigInt(receipt.blockNumber))
+            ctx.ledger[pid][user.address].staked += amount
+            return `deposit(${pid}, ${amount})`
+        },
+        unstake: async (ctx, random, user) => {
+            const pid = random.int(2)
+            const entry = ctx.ledger[pid][user.address]
+            if (entry.staked === 0n) return `unstake(${pid}) skipped`
+            const amount = random.amount(entry.staked)
+            const receipt = await (await ctx.stake.connect(user).unstake(pid, amount)).wait()
+            accrue(ctx, [pid], BigInt(receipt.blockNumber))
+            entry.staked -= amount
+            entry.requests.push({ amount, unlock: BigInt(receipt.blockNumber + lockBlocks[pid]) })
+            return `unstake(${pid}, ${amount})`
+        },
+        withdraw: async (ctx, random, user) => {
+            const pid = random.int(2)
+            const entry = ctx.ledger[pid][user.address]
+            const balanceOf = (address) => pid === 0
+                ? ethers.provider.getBalance(address)
+                : ctx.stakeToken.balanceOf(address)
+            const stakeAddress = await ctx.stake.getAddress()
+            const before = await balanceOf(stakeAddress)
+            const receipt = await (await ctx.stake.connect(user).withdraw(pid)).wait()
+            // 请求按解锁区块顺序排列，只提现到第一个未解锁的请求为止
+            let expected = 0n
+            while (entry.requests.length > 0 && entry.requests[0].unlock <= BigInt(receipt.blockNumber)) {
+                expected += entry.requests.shift().amount
+            }
+            expect(before - await balanceOf(stakeAddress), "withdrawn amount").to.equal(expected)
+            return `withdraw(${pid}) = ${expected}`
+        },
+        claim: async (ctx, random, user) => {
+            const pid = random.int(2)
+            const receipt = await (await ctx.stake.connect(user).claim(pid)).wait()
+            const [event] = await ctx.stake.queryFilter(ctx.stake.filters.Claim(), receipt.blockNumber, receipt.blockNumber)
+            ctx.emission[pid].claimed += event.args.MetaNodeReward
+            return `claim(${pid}) = ${event.args.MetaNodeReward}`
+        },
+        setPoolWeight: async (ctx, random) => {
+            const pid = random.int(2)
+            const weight = random.int(1000) + 1
+            // 先结算所有池，否则新的权重会作用于已经过去的区块
+            const receipt = await (await ctx.stake.setPoolWeight(pid, weight, true)).wait()
+            accrue(ctx, [0, 1], BigInt(receipt.blockNumber))
+            ctx.weights[pid] = BigInt(weight)
+            return `setPoolWeight(${pid}, ${weight})`
+        },
+        setMetaNodePerBlock: async (ctx, random) => {
+            const rate = random.amount(ethers.parseEther("5"))
+            // 结算和修改放在同一笔交易里，新的速率从这个区块开始生效
+            const receipt = await (await ctx.stake.multicall([
+                ctx.stake.interface.encodeFunctionData("massUpdatePools"),
+                ctx.stake.interface.encodeFunctionData("setMetaNodePerBlock", [rate])
+            ])).wait()
+            accrue(ctx, [0, 1], BigInt(receipt.blockNumber))
+            ctx.rate = rate
+            return `setMetaNodePerBlock(${rate})`
+        },
+        mine: async (ctx, random) => {
+            const blocks = random.int(20) + 1
+            await ethers.provider.send("hardhat_mine", [ethers.toQuantity(blocks)])
+            return `mine(${blocks})`
+        }
+    }
+    // 用户操作出现得更频繁
+    const schedule = [
+        "deposit", "deposit", "deposit", "unstake", "unstake", "withdraw", "withdraw",
+        "claim", "claim", "mine", "mine", "setPoolWeight", "setMetaNodePerBlock"
+    ]
+
+    const checkInvariants = async (ctx) => {
+        const { stake, metaNodeToken, stakeToken } = ctx
+        const stakeAddress = await stake.getAddress()
+        const block = BigInt(await ethers.provider.getBlockNumber())
+        let owedSettled = 0n
+        let emitted = 0n
+
+        for (const pid of [0, 1]) {
+            const pool = await stake.pool(pid)
+            let owedNow = 0n
+            let staked = 0n
+            let unstaking = 0n
+            for (const user of users) {
+                const { stAmount, finishedMetaNode, pendingMetaNode } = await stake.user(pid, user.address)
+                const head = Number(await stake.requestHead(pid, user.address))
+                const requests = (await stake.userRequests(pid, user.address)).slice(head)
+                const requested = requests.reduce((sum, r) => sum + r.amount, 0n)
+                const entry = ctx.ledger[pid][user.address]
+
+                // 用户的质押量和解质押中的数量与模型一致
+                expect(stAmount, `stAmount(${pid}, ${user.address})`).to.equal(entry.staked)
+                expect(requested, `unstaking(${pid}, ${user.address})`)
+                    .to.equal(entry.requests.reduce((sum, r) => sum + r.amount, 0n))
+
+                // finishedMetaNode 不会超过按已结算的累计值计算的奖励，否则待领取奖励会下溢
+                const accrued = await stake.boostedBalance(pid, user.address) * pool.accMetaNodePerST / ethers.parseEther("1")
+                expect(accrued, `finishedMetaNode(${pid}, ${user.address})`).to.be.gte(finishedMetaNode)
+
+                owedSettled += accrued - finishedMetaNode + pendingMetaNode
+                owedNow += await stake.pendingMetaNodeByBlockNumber(pid, user.address, block)
+                staked += stAmount
+                unstaking += requested
+            }
+            // 本金守恒：池总质押量等于用户质押量之和，合约余额等于质押量加解质押中的数量
+            expect(pool.stTokenAmount, `stTokenAmount(${pid})`).to.equal(staked)
+            const balance = pid === 0
+                ? await ethers.provider.getBalance(stakeAddress)
+                : await stakeToken.balanceOf(stakeAddress)
+            expect(balance, `principal(${pid})`).to.equal(staked + unstaking)
+
+            // 奖励不超过排放：每个池已领取的加上待领取的不超过模型中该池的排放，差额只来自取整
+            const poolEmitted = emittedUntil(ctx, pid, block)
+            const rewarded = ctx.emission[pid].claimed + owedNow
+            expect(rewarded, `rewards(${pid}) <= emitted`).to.be.lte(poolEmitted)
+            expect(poolEmitted - rewarded, `rewards(${pid}) rounding`).to.be.lte(rounding)
+            emitted += poolEmitted
+        }
+
+        // 已领取的 + 已分配未领取的（包括欠款）不超过总排放，已分配的足够支付所有用户
+        const claimed = ctx.funded - await metaNodeToken.balanceOf(stakeAddress)
+        const accruedMetaNode = await stake.accruedMetaNode()
+        const unpaid = await stake.totalUnpaidMetaNode()
+        expect(claimed, "claimed").to.equal(ctx.emission[0].claimed + ctx.emission[1].claimed)
+        expect(owedSettled + unpaid, "owed <= accruedMetaNode").to.be.lte(accruedMetaNode)
+        expect(claimed + accruedMetaNode, "paid + accrued <= emitted").to.be.lte(emitted)
+    }
+
+    for (const seed of SEEDS) {
+        it(`种子 ${seed}: ${STEPS} 步随机操作后不变量始终成立`, async function () {
+            const random = createRandom(seed)
+            const ctx = await setup()
+            const log = []
+
+            for (let step = 0; step < STEPS; step++) {
+                const name = random.pick(schedule)
+                const user = random.pick(users)
+                try {
+                    log.push(`${step}: ${user.address.slice(0, 8)} ${await actions[name](ctx, random, user)}`)
+                    await checkInvariants(ctx)
+                } catch (error) {
+                    error.message = `seed ${seed}, step ${step} (${name}): ${error.message}\n` +
+                        `replay with FUZZ_SEED=${seed} FUZZ_STEPS=${STEPS}\n` +
+                        log.slice(-20).join("\n")
+                    throw error
+                }
+            }
+        })
+    }
+})
@@ -0,0 +1,295 @@
+const path = require("path")
+const hre = require("hardhat")
+const { ethers } = hre
+const { expect } = require("chai")
+const { RewardSimulator, parseScenario, simulate, reportBlocks } = require("../simulator")
+const { loadChainHistory } = require("../tasks/simulate")
+const { deployStake, mine, zeroAddress } = require("./helpers")
+
+// 同样的操作在合约和模拟器上各执行一遍，每一步之后逐个对比奖励状态，要求精确到 wei
+describe("== 链下奖励模拟器测试 ==", function () {
+    this.timeout(300000)
+
+    let admin, user1, user2, user3, users
+    let metaNodeToken, stakeToken, stake, stakeAddress, receipt, deployBlock
+    let simulator
+
+    // 带零头的速率和数量，方便暴露取整差异
+    const metaNodePerBlock = ethers.parseEther("1.234567890123456789")
+    const lockBlocks = 5
+    const claimed = {}
+
+    const clock = async () => BigInt(await ethers.provider.getBlockNumber())
+
+    // 发送交易，在同一个区块上执行模拟器的操作，返回模拟器的结果
+    const step = async (send, apply) => {
+        const tx = await send()
+        const { blockNumber } = await tx.wait()
+        simulator.at(blockNumber)
+        const result = apply(simulator)
+        await expectMatch()
+        return { tx, result }
+    }
+
+    // 合约和模拟器的池、用户和全局状态完全一致
+    const expectMatch = async () => {
+        const length = Number(await stake.poolLength())
+        expect(simulator.pools.length).to.equal(length)
+        expect(await stake.totalPoolWeight()).to.equal(simulator.totalPoolWeight)
+        expect(await stake.accruedMetaNode(), "accruedMetaNode").to.equal(simulator.accruedMetaNode)
+        for (let pid = 0; pid < length; pid++) {
+            const pool = await stake.pool(pid)
+            const simPool = simulator.pools[pid]
+            expect(pool.lastRewardBlock, `lastRewardBlock(${pid})`).to.equal(simPool.lastRewardBlock)
+            expect(pool.accMetaNodePerST, `accMetaNodePerST(${pid})`).to.equal(simPool.accMetaNodePerST)
+            expect(pool.stTokenAmount, `stTokenAmount(${pid})`).to.equal(simPool.stTokenAmount)
+            expect(await stake.boostedSupply(pid), `boostedSupply(${pid})`).to.equal(simulator.boostedSupply(pid))
+            for (const user of users) {
+                const info = await stake.user(pid, user.address)
+                const simInfo = simulator.userInfo(pid, user.address)
+                expect(info.stAmount, `stAmount(${pid}, ${user.address})`).to.equal(simInfo.stAmount)
+                expect(info.finishedMetaNode, `finishedMetaNode(${pid}, ${user.address})`).to.equal(simInfo.finishedMetaNode)
+                expect(info.pendingMetaNode, `pendingMetaNode(${pid}, ${user.address})`).to.equal(simInfo.pendingMetaNode)
+                expect(await stake.pendingMetaNode(pid, user.address), `pending(${pid}, ${user.address})`)
+                    .to.equal(simulator.pendingMetaNode(pid, user.address))
+            }
+        }
+    }
+
+    // 领取的数量与 Claim 事件一致
+    const claim = async (user, pid) => {
+        const { tx, result } = await step(
+            () => stake.connect(user).claim(pid),
+            (s) => s.claim(pid, user.address)
+        )
+        await expect(tx).to.emit(stake, "Claim").withArgs(user.address, pid, result)
+        claimed[user.address] = (claimed[user.address] || 0n) + result
+        return result
+    }
+
+    before(async function () {
+        [admin, user1, user2, user3] = await ethers.getSigners()
+        users = [user1, user2, user3]
+
+        // 奖励在几个区块之后才开始，覆盖开始之前的质押；资金池由下面的步骤和模拟器一起添加
+        let startBlock, endBlock
+        ;({ metaNodeToken, stakeToken, stake, stakeAddress, startBlock, endBlock, deployBlock } = await deployStake({
+            metaNodePerBlock,
+            startOffset: 12,
+            duration: 400,
+            pools: []
+        }))
+        for (const user of users) {
+            await metaNodeToken.transfer(user.address, ethers.parseEther("1000"))
+            await metaNodeToken.connect(user).approve(stakeAddress, ethers.MaxUint256)
+            await stakeToken.transfer(user.address, ethers.parseEther("1000"))
+            await stakeToken.connect(user).approve(stakeAddress, ethers.MaxUint256)
+        }
+
+        simulator = new RewardSimulator({ startBlock, endBlock, metaNodePerBlock })
+        await step(
+            () => stake.addPool(zeroAddress, 100, 0, lockBlocks, false),
+            (s) => s.addPool({ weight: 100n, unstakeLockedBlocks: BigInt(lockBlocks) })
+        )
+        await step(
+            () => stake.addPool(metaNodeToken.getAddress(), 50, 0, lockBlocks, false),
+            (s) => s.addPool({ weight: 50n, unstakeLockedBlocks: BigInt(lockBlocks), metaNode: true })
+        )
+        expect(await stake.compoundPid()).to.equal(simulator.compoundPid)
+        await step(() => stake.addLockTier(10, 15000), (s) => s.addLockTier(10n, 15000n))
+        await step(() => stake.addLockTier(30, 30000), (s) => s.addLockTier(30n, 30000n))
+    })
+
+    it("奖励开始前的质押、锁仓质押和复投与合约一致", async function () {
+        await step(
+            () => stake.connect(user1).depositETH({ value: ethers.parseEther("1.5") }),
+            (s) => s.deposit(0, user1.address, ethers.parseEther("1.5"))
+        )
+        await mine(12)
+        const amount = ethers.parseEther("2.345678901234567891")
+        await step(
+            () => stake.connect(user2).depositETHLocked(1, { value: amount }),
+            (s) => s.deposit(0, user2.address, amount, 1)
+        )
+        await step(
+            () => stake.connect(user3).deposit(1, ethers.parseEther("33.333333333333333333")),
+            (s) => s.deposit(1, user3.address, ethers.parseEther("33.333333333333333333"))
+        )
+        await mine(7)
+        const { tx, result } = await step(
+            () => stake.connect(user1).compound(0),
+            (s) => s.compound(0, user1.address)
+        )
+        expect(result).to.be.gt(0)
+        await expect(tx).to.emit(stake, "Compound").withArgs(user1.address, 0, result)
+    })
+
+    it("不结算就修改权重和速率时，模拟器同样作用于尚未结算的区块", async function () {
+        await mine(3)
+        await step(() => stake.setPoolWeight(1, 80, false), (s) => s.setPoolWeight(1, 80n, false))
+        await mine(2)
+        const rate = ethers.parseEther("2.000000000000000001")
+        await step(() => stake.setMetaNodePerBlock(rate), (s) => s.setMetaNodePerBlock(rate))
+        await step(() => stake.setPoolWeight(0, 120, true), (s) => s.setPoolWeight(0, 120n, true))
+    })
+
+    it("锁仓、解质押、取消和提现与合约一致，回退的原因相同", async function () {
+        const amount = ethers.parseEther("0.1")
+        await expect(stake.connect(user2).unstake(0, amount)).to.be.revertedWith("stake is locked")
+        expect(() => simulator.at(simulator.clock).unstake(0, user2.address, amount)).to.throw("stake is locked")
+        expect(await stake.boostedBalance(0, user2.address)).to.equal(simulator.boostedBalance(0, user2.address))
+
+        await expect(stake.releaseLock(0, user2.address)).to.be.revertedWith("lock not expired")
+        expect(() => simulator.releaseLock(0, user2.address)).to.throw("lock not expired")
+        await mine(30)
+        await step(() => stake.releaseLock(0, user2.address), (s) => s.releaseLock(0, user2.address))
+        await step(() => stake.connect(user1).unstake(0, ethers.parseEther("0.5")), (s) => s.unstake(0, user1.address, ethers.parseEther("0.5")))
+        await step(() => stake.connect(user1).cancelUnstake(0, 0), (s) => s.cancelUnstake(0, user1.address, 0))
+        await step(() => stake.connect(user1).unstake(0, ethers.parseEther("0.2")), (s) => s.unstake(0, user1.address, ethers.parseEther("0.2")))
+        await step(() => stake.connect(user2).unstake(0, ethers.parseEther("1")), (s) => s.unstake(0, user2.address, ethers.parseEther("1")))
+        await mine(lockBlocks)
+        await step(() => stake.connect(user1).withdraw(0), (s) => s.withdraw(0, user1.address))
+        await claim(user2, 0)
+        await claim(user3, 1)
+    })
+
+    it("中途添加资金池、收据转账和锁仓档位规则与合约一致", async function () {
+        await step(
+            () => stake.addPool(stakeToken.getAddress(), 70, 0, lockBlocks, true),
+            (s) => s.addPool({ weight: 70n, unstakeLockedBlocks: BigInt(lockBlocks), withUpdate: true })
+        )
+        const MetaNodeReceipt = await ethers.getContractFactory("MetaNodeReceipt")
+        receipt = await MetaNodeReceipt.deploy("stMetaNode-ST", "stMetaNode-ST", 18, stakeAddress, 2)
+        await stake.setReceiptToken(2, await receipt.getAddress())
+
+        const locked = ethers.parseEther("77.777777777777777777")
+        await step(() => stake.connect(user3).depositLocked(2, locked, 1), (s) => s.deposit(2, user3.address, locked, 1))
+        await step(() => stake.connect(user1).deposit(2, ethers.parseEther("12.5")), (s) => s.deposit(2, user1.address, ethers.parseEther("12.5")))
+        // 1.5 倍锁仓的加成有零头
+        const odd = ethers.parseEther("3.000000000000000001")
+        await step(() => stake.connect(user1).depositLocked(2, odd, 0), (s) => s.deposit(2, user1.address, odd, 0))
+        await expect(stake.connect(user3).depositLocked(2, locked, 0)).to.be.revertedWith("lock tier lower than current lock")
+        expect(() => simulator.at(simulator.clock).deposit(2, user3.address, locked, 0)).to.throw("lock tier lower than current lock")
+
+        await mine(4)
+        const amount = ethers.parseEther("4.2")
+        await step(() => receipt.connect(user1).transfer(user2.address, amount), (s) => s.transferStake(2, user1.address, user2.address, amount))
+        await expect(receipt.connect(user3).transfer(user2.address, amount)).to.be.revertedWith("stake is locked")
+        expect(() => simulator.at(simulator.clock).transferStake(2, user3.address, user2.address, amount)).to.throw("stake is locked")
+    })
+
+    it("排放阶段和减半与合约一致，包括结束区块之后", async function () {
+        const now = await clock()
+        const rate = ethers.parseEther("3.000000000000000007")
+        await step(() => stake.addEmissionPhase(now + 6n, rate, 7), (s) => s.addEmissionPhase(now + 6n, rate, 7n))
+        await step(() => stake.addEmissionPhase(now + 300n, rate, 0), (s) => s.addEmissionPhase(now + 300n, rate, 0n))
+        await step(() => stake.removeEmissionPhase(), (s) => s.removeEmissionPhase())
+        expect(() => simulator.addEmissionPhase(now, rate, 0n)).to.throw("phase must not start in the past")
+
+        const endBlock = await stake.endBlock()
+        for (const [from, to] of [[0n, now], [now, now + 6n], [now + 3n, now + 40n], [now + 20n, endBlock + 10n], [endBlock, endBlock + 5n]]) {
+            expect(simulator.getMultiplier(from, to), `getMultiplier(${from}, ${to})`).to.equal(await stake.getMultiplier(from, to))
+        }
+        // 未来区块的待领取奖励
+        for (const block of [now + 10n, now + 50n, endBlock, endBlock + 20n]) {
+            for (const pid of [0, 1, 2]) {
+                for (const user of users) {
+                    expect(simulator.pendingMetaNode(pid, user.address, block), `pending(${pid}, ${user.address}) at ${block}`)
+                        .to.equal(await stake.pendingMetaNodeByBlockNumber(pid, user.address, block))
+                }
+            }
+        }
+
+        await mine(20)
+        await step(() => stake.connect(user2).compound(2), (s) => s.compound(2, user2.address))
+        await step(() => stake.connect(user3).unstake(1, ethers.parseEther("10")), (s) => s.unstake(1, user3.address, ethers.parseEther("10")))
+        await step(() => stake.connect(user2).emergencyWithdraw(0), (s) => s.emergencyWithdraw(0, user2.address))
+        await mine(15)
+        for (const user of users) {
+            for (const pid of [0, 1, 2]) {
+                await claim(user, pid)
+            }
+        }
+    })
+
+    it("回放链上事件得到同样的奖励", async function () {
+        const history = await loadChainHistory(hre, { address: stakeAddress, fromBlock: deployBlock })
+        expect(history.decimals).to.deep.equal([18, 18, 18])
+        const block = await clock()
+        const { simulator: replayed } = simulate(history.config, history.actions, [])
+        replayed.at(block)
+
+        expect(replayed.accruedMetaNode).to.equal(await stake.accruedMetaNode())
+        expect(replayed.compoundPid).to.equal(await stake.compoundPid())
+        for (let pid = 0; pid < 3; pid++) {
+            expect(replayed.pools[pid].accMetaNodePerST).to.equal((await stake.pool(pid)).accMetaNodePerST)
+            expect(replayed.pools[pid].poolWeight).to.equal((await stake.pool(pid)).poolWeight)
+            for (const user of users) {
+                expect(replayed.pendingMetaNode(pid, user.address), `pending(${pid}, ${user.address})`)
+                    .to.equal(await stake.pendingMetaNode(pid, user.address))
+                expect(replayed.boostedBalance(pid, user.address)).to.equal(await stake.boostedBalance(pid, user.address))
+            }
+        }
+        for (const user of users) {
+            const total = [0, 1, 2].reduce((sum, pid) => sum + replayed.userInfo(pid, user.address).claimed, 0n)
+            expect(total, `claimed(${user.address})`).to.equal(claimed[user.address])
+        }
+    })
+
+    it("JSON 场景：按报告区块输出每个用户的奖励，奖励不超过排放", async function () {
+        const scenario = require("../simulator/scenarios/example.json")
+        const { config, decimals, actions, report } = parseScenario(scenario)
+        expect(decimals).to.deep.equal([18, 18, 6])
+        const blocks = reportBlocks(report, actions, config.startBlock)
+        expect(blocks[0]).to.equal(100n)
+        expect(blocks[blocks.length - 1]).to.equal(2500n)
+
+        const { simulator: sim, timeline, results } = simulate(config, actions, blocks)
+        expect(timeline.map((snapshot) => snapshot.block)).to.deep.equal(blocks)
+        // carol 的 1000 个 6 位精度代币
+        expect(sim.userInfo(2, "carol").stAmount).to.equal(1000n * 10n ** 6n)
+        // 复投的奖励进入 MetaNode 池
+        expect(sim.userInfo(1, "alice").stAmount).to.equal(results[actions.findIndex((a) => a.type === "compound")])
+
+        // 每个池的用户奖励之和等于池分配的奖励，差额只来自取整；没有质押的区块不分配
+        const last = timeline[timeline.length - 1]
+        for (const pool of last.pools) {
+            const earned = last.users.filter((row) => row.pid === pool.pid).reduce((sum, row) => sum + row.earned, 0n)
+            expect(earned, `earned(${pool.pid})`).to.be.lte(pool.distributed)
+            expect(pool.distributed - earned, `rounding(${pool.pid})`).to.be.lte(10n ** 6n)
+        }
+        const distributed = last.pools.reduce((sum, pool) => sum + pool.distributed, 0n)
+        expect(distributed).to.be.lte(sim.getMultiplier(config.startBlock, 2500n))
+    })
+
+    it("stake:simulate 任务可以单独运行场景，也可以在链上历史之后追加操作", async function () {
+        const log = console.log
+        console.log = () => {}
+        let offline
+        let replay
+        try {
+            offline = await hre.run("stake:simulate", {
+                scenario: path.join(__dirname, "..", "simulator", "scenarios", "example.json"),
+                every: 500,
+                json: true,
+            })
+            replay = await hre.run("stake:simulate", {
+                replay: true,
+                address: stakeAddress,
+                fromBlock: deployBlock,
+            })
+        } finally {
+            console.log = log
+        }
+        expect(offline.timeline.map((snapshot) => snapshot.block)).to.deep.equal(["100", "600", "1100", "1600", "2100", "2500"])
+        const carol = offline.timeline[offline.timeline.length - 1].users.find((row) => row.user === "carol")
+        expect(carol.stAmount).to.equal("1000.0")
+
+        const last = replay.timeline[replay.timeline.length - 1]
+        expect(last.block).to.equal((await clock()).toString())
+        const row = last.users.find((r) => r.pid === 1 && r.user === user1.address)
+        expect(row.pending).to.equal(ethers.formatEther(await stake.pendingMetaNode(1, user1.address)))
+
+        await expect(hre.run("stake:simulate", {})).to.be.rejectedWith("at least one of --scenario and --replay is required")
+    })
+})
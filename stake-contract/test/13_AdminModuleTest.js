@@ -0,0 +1,77 @@
+const { ethers, upgrades } = require("hardhat")
+const { expect } = require("chai")
+const { deployStake } = require("./helpers")
+
+describe("== MetaNodeStake 管理模块测试 ==", function () {
+    let admin, user1
+    let metaNodeToken, stake, stakeAddress, implementation, adminModule
+
+    before(async function () {
+        [admin, user1] = await ethers.getSigners()
+
+        ;({ metaNodeToken, stake, stakeAddress } = await deployStake({
+            pools: [{ token: "eth", weight: 1, lockBlocks: 5 }]
+        }))
+        implementation = await ethers.getContractAt(
+            "MetaNodeStake",
+            await upgrades.erc1967.getImplementationAddress(stakeAddress)
+        )
+        adminModule = await ethers.getContractAt("MetaNodeStakeAdmin", await stake.adminModule())
+    })
+
+    it("存储布局校验照常通过，模块地址不占用代理的存储", async function () {
+        await upgrades.validateImplementation(await ethers.getContractFactory("MetaNodeStake"), { kind: "uups" })
+        expect(await stake.adminModule()).to.equal(await implementation.adminModule())
+    })
+
+    it("管理函数通过代理执行，在代理的存储上生效并由代理发出事件", async function () {
+        await expect(stake.setPoolWeight(0, 3, false))
+            .to.emit(stake, "SetPoolWeight").withArgs(0, 3, 3)
+        expect((await stake.pool(0)).poolWeight).to.equal(3)
+        // 模块自己的存储没有变化
+        expect(await adminModule.totalPoolWeight()).to.equal(0)
+
+        await expect(stake.connect(user1).setPoolWeight(0, 5, false))
+            .to.be.revertedWithCustomError(stake, "AccessControlUnauthorizedAccount")
+            .withArgs(user1.address, await stake.ADMIN_ROLE())
+    })
+
+    it("直接调用管理模块只会在没有角色的模块存储上执行，全部失败", async function () {
+        const ADMIN_ROLE = await stake.ADMIN_ROLE()
+        expect(await adminModule.hasRole(ADMIN_ROLE, admin.address)).to.equal(false)
+        await expect(adminModule.setMetaNodePerBlock(1))
+            .to.be.revertedWithCustomError(adminModule, "AccessControlUnauthorizedAccount")
+        await expect(adminModule.pause())
+            .to.be.revertedWithCustomError(adminModule, "AccessControlUnauthorizedAccount")
+        expect(await stake.paused()).to.equal(false)
+    })
+
+    it("实现合约不能被初始化，不能借实现合约调用管理函数", async function () {
+        const now = await ethers.provider.getBlockNumber()
+        await expect(implementation.connect(user1).initialize(await metaNodeToken.getAddress(), now, now + 100, 1))
+            .to.be.revertedWithCustomError(implementation, "InvalidInitialization")
+        await expect(implementation.connect(user1).pause())
+            .to.be.revertedWithCustomError(implementation, "AccessControlUnauthorizedAccount")
+    })
+
+    it("模块没有升级入口", async function () {
+        expect(adminModule.interface.getFunction("upgradeToAndCall")).to.equal(null)
+        const data = stake.interface.encodeFunctionData("upgradeToAndCall", [await implementation.getAddress(), "0x"])
+        await expect(admin.sendTransaction({ to: await adminModule.getAddress(), data })).to.be.reverted
+    })
+
+    it("升级后使用新实现部署的模块，原有状态上的管理函数照常生效", async function () {
+        const upgraded = await upgrades.upgradeProxy(stakeAddress, await ethers.getContractFactory("MetaNodeStakeV2"))
+        const newImplementation = await ethers.getContractAt(
+            "MetaNodeStakeV2",
+            await upgrades.erc1967.getImplementationAddress(stakeAddress)
+        )
+        expect(await upgraded.adminModule()).to.equal(await newImplementation.adminModule())
+        expect(await upgraded.adminModule()).to.not.equal(await adminModule.getAddress())
+
+        expect((await upgraded.pool(0)).poolWeight).to.equal(3)
+        await expect(upgraded.setPoolWeight(0, 4, false))
+            .to.emit(upgraded, "SetPoolWeight").withArgs(0, 4, 4)
+        expect(await upgraded.totalPoolWeight()).to.equal(4)
+    })
+})
@@ -0,0 +1,88 @@
+const { ethers, upgrades } = require("hardhat")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+
+const zeroAddress = "0x0000000000000000000000000000000000000000"
+
+// 连续挖 blocks 个区块
+const mine = async (blocks) => {
+    if (blocks > 0) {
+        await ethers.provider.send("hardhat_mine", [ethers.toQuantity(blocks)])
+    }
+}
+
+// 部署、升级等任务会打印每一步，测试时不输出
+const quiet = async (fn) => {
+    const log = console.log
+    console.log = () => {}
+    try {
+        return await fn()
+    } finally {
+        console.log = log
+    }
+}
+
+const fixtures = new Map()
+
+/**
+ * 按区块计时的质押合约夹具：部署 MetaNodeToken 和一个 ERC20 质押代币，部署 MetaNodeStake 代理并注入奖励，
+ * 然后依次添加 pools 中的资金池。pools 的 token 为 "eth"（第一个池必须是 ETH 池）、"stake"（质押代币）或 "metaNode"
+ *
+ * 同样的参数返回同一个夹具函数，配合 loadFixture 使用：第一次调用时部署，之后回到部署完成时的快照
+ *
+ * @param {object} [options]
+ * @param {bigint} [options.metaNodePerBlock]   每区块奖励，默认 100 MetaNode
+ * @param {number} [options.startOffset]        奖励开始区块相对当前区块的偏移，默认 0
+ * @param {number} [options.duration]           奖励持续的区块数，默认 10000
+ * @param {bigint} [options.funded]             注入质押合约的奖励，默认 1000000 MetaNode
+ * @param {object[]} [options.pools]            { token, weight, minDeposit = 0, lockBlocks }
+ */
+const stakeFixture = ({
+    metaNodePerBlock = ethers.parseEther("100"),
+    startOffset = 0,
+    duration = 10000,
+    funded = ethers.parseEther("1000000"),
+    pools = [
+        { token: "eth", weight: 5, lockBlocks: 10 },
+        { token: "stake", weight: 5, lockBlocks: 10 }
+    ]
+} = {}) => {
+    const key = JSON.stringify({ metaNodePerBlock, startOffset, duration, funded, pools }, (_, value) =>
+        typeof value === "bigint" ? value.toString() : value
+    )
+    if (!fixtures.has(key)) {
+        fixtures.set(key, async function deployStakeFixture() {
+            const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken")
+            const metaNodeToken = await MetaNodeToken.deploy()
+            const stakeToken = await MetaNodeToken.deploy()
+
+            const startBlock = (await ethers.provider.getBlockNumber()) + startOffset
+            const endBlock = startBlock + duration
+            const MetaNodeStake = await ethers.getContractFactory("MetaNodeStake")
+            const stake = await upgrades.deployProxy(
+                MetaNodeStake,
+                [await metaNodeToken.getAddress(), startBlock, endBlock, metaNodePerBlock],
+                { kind: "uups" }
+            )
+            const stakeAddress = await stake.getAddress()
+            const deployBlock = (await stake.deploymentTransaction().wait()).blockNumber
+            await metaNodeToken.transfer(stakeAddress, funded)
+
+            const tokens = {
+                eth: zeroAddress,
+                stake: await stakeToken.getAddress(),
+                metaNode: await metaNodeToken.getAddress()
+            }
+            for (const { token, weight, minDeposit = 0, lockBlocks } of pools) {
+                await stake.addPool(tokens[token], weight, minDeposit, lockBlocks, false)
+            }
+
+            return { metaNodeToken, stakeToken, stake, stakeAddress, startBlock, endBlock, deployBlock }
+        })
+    }
+    return fixtures.get(key)
+}
+
+// 部署（或恢复）夹具中的质押合约
+const deployStake = (options) => loadFixture(stakeFixture(options))
+
+module.exports = { zeroAddress, mine, quiet, stakeFixture, deployStake }
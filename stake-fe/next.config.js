@@ -1,6 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// 合约地址默认读取 stake-contract 部署流水线生成的 deployments/<network>.json，
+// 显式设置的环境变量优先
+const deploymentsDir = path.join(__dirname, '..', 'stake-contract', 'deployments');
+const loadManifest = (network) => {
+  const file = path.join(deploymentsDir, `${network}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : undefined;
+};
+
+// 没有 manifest 或没有配置 RPC 时使用的默认值
+const KnownNetworks = {
+  sepolia: { chainId: 11155111, rpcUrl: 'https://sepolia.infura.io/v3/d8ed0bd1de8242d998a1405b6932ab33' },
+  localhost: { chainId: 31337, rpcUrl: 'http://127.0.0.1:8545' },
+};
+
+// 第一个网络是默认网络；开发环境默认同时支持 hardhat 本地链
+const defaultNetwork = process.env.NEXT_PUBLIC_DEPLOYMENT_NETWORK || 'sepolia';
+const networkList = process.env.NEXT_PUBLIC_CHAINS
+  || (process.env.NODE_ENV === 'development' ? `${defaultNetwork},localhost` : defaultNetwork);
+const networks = [...new Set([defaultNetwork, ...networkList.split(',').map((name) => name.trim()).filter(Boolean)])];
+
+// 每个网络的变量带网络名后缀，如 NEXT_PUBLIC_RPC_URL_SEPOLIA；默认网络也接受不带后缀的变量
+const envOf = (network) => (name) =>
+  process.env[`${name}_${network.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`]
+  || (network === defaultNetwork ? process.env[name] : undefined)
+  || undefined;
+
+const chainConfig = networks.map((network) => {
+  const env = envOf(network);
+  const manifest = loadManifest(network);
+  const known = KnownNetworks[network] || {};
+  const chainId = Number(env('NEXT_PUBLIC_CHAIN_ID') || manifest?.chainId || known.chainId);
+  const rpcUrl = env('NEXT_PUBLIC_RPC_URL') || known.rpcUrl;
+  if (!chainId || !rpcUrl) {
+    throw new Error(`network ${network} needs a chain id and an RPC URL, see the Networks section of the README`);
+  }
+  return {
+    network,
+    chainId,
+    rpcUrl,
+    // 订阅新区块和事件用，没有时轮询
+    wsRpcUrl: env('NEXT_PUBLIC_WS_RPC_URL'),
+    contracts: {
+      stake: env('NEXT_PUBLIC_STAKE_ADDRESS') || manifest?.contracts?.MetaNodeStake,
+      // 只读聚合查询合约，读取仓位和解质押请求
+      lens: env('NEXT_PUBLIC_LENS_ADDRESS') || manifest?.contracts?.MetaNodeStakeLens,
+      // 部署时配置了 timelock 治理才有
+      timelock: env('NEXT_PUBLIC_TIMELOCK_ADDRESS') || manifest?.contracts?.MetaNodeTimelock,
+    },
+    // 管理后台从部署区块开始读取角色事件
+    deployBlock: Number(env('NEXT_PUBLIC_STAKE_DEPLOY_BLOCK') || manifest?.deployBlock || 0),
+  };
+});
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  env: {
+    NEXT_PUBLIC_CHAIN_CONFIG: JSON.stringify(chainConfig),
+  },
 };
 
 module.exports = nextConfig;
@@ -0,0 +1,67 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { FiAlertTriangle, FiArrowRight } from 'react-icons/fi';
+import { PreviewRow } from '../utils/admin';
+import { Button } from './ui/Button';
+
+interface ConfirmDialogProps {
+  open: boolean;
+  title: string;
+  description?: string;
+  rows: PreviewRow[];
+  warning?: string;
+  loading?: boolean;
+  onConfirm: () => void;
+  onCancel: () => void;
+}
+
+// 发送管理交易前的确认对话框，列出每一项的变化
+export const ConfirmDialog = ({ open, title, description, rows, warning, loading, onConfirm, onCancel }: ConfirmDialogProps) => (
+  <AnimatePresence>
+    {open && (
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 z-[60] flex items-center justify-center bg-black/60 px-4"
+        onClick={loading ? undefined : onCancel}
+      >
+        <motion.div
+          initial={{ scale: 0.95, y: 20 }}
+          animate={{ scale: 1, y: 0 }}
+          exit={{ scale: 0.95, y: 20 }}
+          className="card w-full max-w-lg"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <h3 className="text-xl font-semibold text-white mb-2">{title}</h3>
+          {description && <p className="text-sm text-gray-400 mb-4">{description}</p>}
+          <div className="space-y-2 mb-4">
+            {rows.map((row) => (
+              <div key={row.label} className="flex items-center justify-between gap-4 text-sm">
+                <span className="text-gray-400">{row.label}</span>
+                <span className="flex items-center gap-2 text-right font-medium text-gray-100">
+                  {row.before !== undefined && (
+                    <>
+                      <span className="text-gray-500">{row.before}</span>
+                      <FiArrowRight className="text-primary-400 shrink-0" />
+                    </>
+                  )}
+                  <span>{row.after}</span>
+                </span>
+              </div>
+            ))}
+          </div>
+          {warning && (
+            <div className="flex items-start gap-2 rounded-lg bg-yellow-500/10 p-3 text-sm text-yellow-400 mb-4">
+              <FiAlertTriangle className="mt-0.5 shrink-0" />
+              <span>{warning}</span>
+            </div>
+          )}
+          <div className="flex gap-3">
+            <Button variant="secondary" onClick={onCancel} disabled={loading} fullWidth>Cancel</Button>
+            <Button onClick={onConfirm} loading={loading} fullWidth>Confirm</Button>
+          </div>
+        </motion.div>
+      </motion.div>
+    )}
+  </AnimatePresence>
+);
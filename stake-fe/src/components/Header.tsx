@@ -3,12 +3,24 @@ import { motion } from 'framer-motion';
 import { ConnectButton } from "@rainbow-me/rainbowkit";
 import Link from "next/link";
 import { usePathname } from "next/navigation";
-import { FiMenu, FiZap } from 'react-icons/fi';
+import { FiActivity, FiMenu, FiZap } from 'react-icons/fi';
 import { useState } from 'react';
 import { cn } from '../utils/cn';
+import { ETH_PID } from '../utils';
+import { usePool } from '../context/PoolContext';
+import { PoolSelector } from './PoolSelector';
+import useRoles from '../hooks/useRoles';
+import useTimelock from '../hooks/useTimelock';
+import { useTransactions } from '../context/TransactionContext';
+import { TransactionDrawer } from './TransactionDrawer';
 
 const Header = () => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+  const [isDrawerOpen, setIsDrawerOpen] = useState(false);
+  const { pendingCount } = useTransactions();
+  // 只有拥有角色或者是 timelock proposer / executor 的钱包才显示管理入口
+  const { myRoles } = useRoles(false);
+  const { isProposer, isExecutor } = useTimelock(false);
 
   const Links = [
     {
@@ -23,9 +35,17 @@ const Header = () => {
       name: 'Claim',
       path: '/claim'
     },
+    {
+      name: 'History',
+      path: '/history'
+    },
+    ...(myRoles.length > 0 || isProposer || isExecutor ? [{ name: 'Admin', path: '/admin' }] : []),
   ];
 
   const pathname = usePathname();
+  const { pid } = usePool();
+  // 切换页面时保留当前选中的池子
+  const linkQuery = pid === ETH_PID ? {} : { pid };
 
   return (
     <motion.header
@@ -55,7 +75,7 @@ const Header = () => {
               return (
                 <Link
                   key={link.name}
-                  href={link.path}
+                  href={{ pathname: link.path, query: linkQuery }}
                   className={cn(
                     "relative text-base lg:text-lg font-medium transition-all duration-300 group",
                     isActive ? "text-primary-400" : "text-gray-400 hover:text-primary-400"
@@ -77,9 +97,23 @@ const Header = () => {
           </nav>
 
           <div className="flex items-center gap-2 md:gap-4 mt-2 md:mt-0">
+            <PoolSelector />
             <div className="glow min-w-[100px] sm:min-w-[120px]">
               <ConnectButton />
             </div>
+            {/* 交易记录，有等待中的交易时显示数量 */}
+            <button
+              className="relative p-1.5 sm:p-2 rounded-lg hover:bg-gray-800 text-gray-400 hover:text-primary-400 transition-colors duration-200"
+              onClick={() => setIsDrawerOpen(true)}
+              title="Transactions"
+            >
+              <FiActivity className={cn("w-5 h-5 sm:w-6 sm:h-6", pendingCount > 0 && "text-primary-400 animate-pulse")} />
+              {pendingCount > 0 && (
+                <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-primary-500 text-[11px] leading-[18px] text-white text-center">
+                  {pendingCount}
+                </span>
+              )}
+            </button>
             {/* Mobile menu button */}
             <button
               className="md:hidden p-1.5 sm:p-2 ml-1 rounded-lg hover:bg-gray-800 text-gray-400 hover:text-primary-400 transition-colors duration-200"
@@ -103,7 +137,7 @@ const Header = () => {
             return (
               <Link
                 key={link.name}
-                href={link.path}
+                href={{ pathname: link.path, query: linkQuery }}
                 className={cn(
                   "block px-3 py-2 rounded-lg text-sm sm:text-base font-medium transition-colors duration-200",
                   isActive
@@ -118,6 +152,7 @@ const Header = () => {
           })}
         </div>
       </motion.div>
+      <TransactionDrawer open={isDrawerOpen} onClose={() => setIsDrawerOpen(false)} />
     </motion.header>
   );
 };
@@ -1,5 +1,6 @@
 import { ReactNode } from "react";
 import Header from "./Header";
+import { NetworkPrompt } from "./NetworkPrompt";
 import { motion } from "framer-motion";
 import { FiGithub, FiTwitter } from 'react-icons/fi';
 
@@ -26,6 +27,7 @@ export default function Layout({ children }: LayoutProps) {
           transition={{ duration: 0.5 }}
           className="flex-grow max-w-7xl mx-auto px-3 sm:px-4 md:px-6 lg:px-8 py-4 sm:py-6 md:py-8"
         >
+          <NetworkPrompt />
           {children}
         </motion.main>
 
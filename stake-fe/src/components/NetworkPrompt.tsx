@@ -0,0 +1,43 @@
+import { FiAlertTriangle } from 'react-icons/fi';
+import { useAccount, useSwitchChain } from 'wagmi';
+import { deploymentOf } from '../utils/env';
+import { SupportedChains } from '../utils/chains';
+import { Button } from './ui/Button';
+
+// 钱包连接到未配置的网络，或该网络没有部署质押合约时，提示切换到已部署的网络
+export const NetworkPrompt = () => {
+  const { isConnected, chainId, chain } = useAccount();
+  const { switchChain, isPending, variables } = useSwitchChain();
+  if (!isConnected || deploymentOf(chainId)?.contracts.stake) return null;
+
+  const targets = SupportedChains.filter((item) => deploymentOf(item.id)?.contracts.stake);
+  const current = chain?.name ?? `chain ${chainId}`;
+
+  return (
+    <div className="card mb-6 flex flex-col md:flex-row md:items-center justify-between gap-4 border border-yellow-500/30">
+      <div className="flex items-start gap-3 text-yellow-400">
+        <FiAlertTriangle className="mt-1 w-5 h-5 shrink-0" />
+        <div>
+          <p className="font-semibold">
+            {chain ? `MetaNode Stake is not deployed on ${current}` : `${current} is not supported`}
+          </p>
+          <p className="text-sm text-gray-400">
+            {targets.length > 0 ? 'Switch your wallet to a supported network to continue.' : 'No network with a MetaNodeStake deployment is configured.'}
+          </p>
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {targets.map((target) => (
+          <Button
+            key={target.id}
+            onClick={() => switchChain({ chainId: target.id })}
+            loading={isPending && variables?.chainId === target.id}
+            disabled={isPending}
+          >
+            Switch to {target.name}
+          </Button>
+        ))}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,26 @@
+import { usePool } from '../context/PoolContext';
+import { cn } from '../utils/cn';
+
+export const PoolSelector = ({ className }: { className?: string }) => {
+  const { pid, pools, setPid } = usePool();
+
+  if (pools.length <= 1) return null;
+
+  return (
+    <select
+      value={pid}
+      onChange={(e) => setPid(Number(e.target.value))}
+      className={cn(
+        "bg-gray-800 border border-gray-700 text-gray-200 text-sm rounded-lg px-3 py-2",
+        "focus:ring-primary-500 focus:border-primary-500",
+        className
+      )}
+    >
+      {pools.map((pool) => (
+        <option key={pool.pid} value={pool.pid}>
+          #{pool.pid} {pool.symbol}
+        </option>
+      ))}
+    </select>
+  );
+};
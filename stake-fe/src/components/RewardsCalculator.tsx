@@ -0,0 +1,78 @@
+import { useMemo, useState } from 'react';
+import { formatUnits, parseUnits } from 'viem';
+import { FiTrendingUp } from 'react-icons/fi';
+import { Card } from './ui/Card';
+import { Input } from './ui/Input';
+import { PoolInfo } from '../hooks/usePools';
+import { PoolEmission, projectRewards } from '../utils/apr';
+import { formatMultiplier } from '../utils/boost';
+
+type RewardsCalculatorProps = {
+  pool?: PoolInfo;
+  emission?: PoolEmission;
+  boostedSupply?: bigint;   // stTokenAmount + poolBoost(pid)
+  multiplier?: bigint;      // 选择的锁仓倍数，不锁仓时为空
+  rewardPrice?: number;
+};
+
+const Periods = [
+  { label: '1 Day', days: 1 },
+  { label: '30 Days', days: 30 },
+  { label: '1 Year', days: 365 },
+];
+
+// 预估质押指定数量后可以获得的奖励
+export const RewardsCalculator = ({ pool, emission, boostedSupply, multiplier, rewardPrice }: RewardsCalculatorProps) => {
+  const [amount, setAmount] = useState('');
+  const symbol = pool?.symbol ?? 'ETH';
+
+  const projections = useMemo(() => {
+    if (!pool || !emission || boostedSupply === undefined || !/^\d*(\.\d*)?$/.test(amount) || !amount) return undefined;
+    const value = parseUnits(amount, pool.decimals);
+    return Periods.map(({ label, days }) => {
+      const reward = Number(formatUnits(projectRewards({
+        amount: value,
+        boostedSupply,
+        multiplier,
+        emission,
+        blocks: emission.unitsPerDay * BigInt(days)
+      }), 18));
+      return { label, reward, usd: rewardPrice ? reward * rewardPrice : undefined };
+    });
+  }, [pool, emission, boostedSupply, multiplier, amount, rewardPrice]);
+
+  return (
+    <Card className="p-4 sm:p-8 bg-gradient-to-br from-gray-800/80 to-gray-900/80 shadow-2xl border-primary-500/20 border-[1.5px] rounded-2xl">
+      <div className="space-y-6">
+        <div className="flex items-center space-x-3">
+          <FiTrendingUp className="w-6 h-6 text-primary-400" />
+          <h2 className="text-2xl font-bold text-primary-400">Projected Rewards</h2>
+        </div>
+        <Input
+          label="If I stake"
+          type="number"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          placeholder="0.0"
+          rightElement={<span className="text-gray-500">{symbol}</span>}
+          helperText={multiplier
+            ? `Estimated with the current pool size, emission rate and the ${formatMultiplier(multiplier)} lock boost`
+            : 'Estimated with the current pool size and emission rate'}
+        />
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          {Periods.map(({ label }, i) => (
+            <div key={label} className="bg-gray-800/70 rounded-xl p-4 border border-gray-700/50">
+              <div className="text-sm text-gray-400 mb-1">{label}</div>
+              <div className="text-lg font-semibold text-green-400">
+                {projections ? projections[i].reward.toFixed(4) : '0.0000'} MetaNode
+              </div>
+              {projections?.[i].usd !== undefined && (
+                <div className="text-xs text-gray-500">≈ ${projections[i].usd!.toFixed(2)}</div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </Card>
+  );
+};
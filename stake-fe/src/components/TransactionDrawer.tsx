@@ -0,0 +1,102 @@
+import { ReactNode } from 'react';
+import { AnimatePresence, motion } from 'framer-motion';
+import { FiCheckCircle, FiExternalLink, FiLoader, FiX, FiXCircle } from 'react-icons/fi';
+import { useChains } from 'wagmi';
+import { TxRecord, TxStatus, useTransactions } from '../context/TransactionContext';
+import { Button } from './ui/Button';
+
+interface TransactionDrawerProps {
+  open: boolean;
+  onClose: () => void;
+}
+
+const StatusIcon: Record<TxStatus, ReactNode> = {
+  pending: <FiLoader className="w-4 h-4 text-primary-400 animate-spin" />,
+  confirmed: <FiCheckCircle className="w-4 h-4 text-green-400" />,
+  failed: <FiXCircle className="w-4 h-4 text-red-400" />
+};
+
+const shortHash = (hash: string) => `${hash.slice(0, 10)}…${hash.slice(-8)}`;
+
+// 当前钱包的本地交易记录，本地链等没有区块浏览器的网络只显示哈希
+export const TransactionDrawer = ({ open, onClose }: TransactionDrawerProps) => {
+  const { transactions, clear } = useTransactions();
+  const chains = useChains();
+
+  const explorerUrl = (record: TxRecord) => {
+    const explorer = chains.find((chain) => chain.id === record.chainId)?.blockExplorers?.default.url;
+    return explorer ? `${explorer}/tx/${record.hash}` : undefined;
+  };
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-[60] bg-black/60"
+          onClick={onClose}
+        >
+          <motion.aside
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ type: 'spring', stiffness: 400, damping: 40 }}
+            className="absolute right-0 top-0 h-full w-full max-w-sm bg-gray-900 border-l border-gray-800 p-6 flex flex-col"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h3 className="text-xl font-semibold text-white">Transactions</h3>
+              <button onClick={onClose} className="p-1 rounded-lg text-gray-400 hover:text-primary-400 hover:bg-gray-800">
+                <FiX className="w-5 h-5" />
+              </button>
+            </div>
+            <div className="flex-1 overflow-y-auto space-y-3">
+              {transactions.length === 0 && (
+                <p className="text-sm text-gray-400">No transactions yet.</p>
+              )}
+              {transactions.map((record) => {
+                const url = explorerUrl(record);
+                return (
+                  <div key={record.hash} className="rounded-lg bg-gray-800/60 p-3 text-sm">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="flex items-center gap-2 font-medium text-gray-100">
+                        {StatusIcon[record.status]}
+                        {record.label}
+                      </span>
+                      <span className="text-xs text-gray-500">{new Date(record.createdAt).toLocaleString()}</span>
+                    </div>
+                    {record.error && <p className="mt-1 text-red-400">{record.error}</p>}
+                    {url ? (
+                      <a
+                        href={url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="mt-1 inline-flex items-center gap-1 text-primary-400 hover:text-primary-300"
+                      >
+                        {shortHash(record.hash)}
+                        <FiExternalLink className="w-3 h-3" />
+                      </a>
+                    ) : (
+                      <p className="mt-1 text-gray-500">{shortHash(record.hash)}</p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            <Button
+              variant="secondary"
+              onClick={clear}
+              disabled={!transactions.some((record) => record.status !== 'pending')}
+              className="mt-4"
+              fullWidth
+            >
+              Clear history
+            </Button>
+          </motion.aside>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
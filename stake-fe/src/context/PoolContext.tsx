@@ -0,0 +1,54 @@
+import { createContext, ReactNode, useCallback, useContext, useMemo } from 'react';
+import { useRouter } from 'next/router';
+import usePools, { PoolInfo } from '../hooks/usePools';
+import { ETH_PID } from '../utils';
+
+type PoolContextValue = {
+  pid: number;
+  pool?: PoolInfo;
+  pools: PoolInfo[];
+  loading: boolean;
+  setPid: (pid: number) => void;
+  refreshPools: () => void;
+};
+
+const PoolContext = createContext<PoolContextValue>({
+  pid: ETH_PID,
+  pools: [],
+  loading: false,
+  setPid: () => {},
+  refreshPools: () => {}
+});
+
+// 当前选中的池子来自路由参数 ?pid=，没有时默认为ETH池
+export const PoolProvider = ({ children }: { children: ReactNode }) => {
+  const router = useRouter();
+  const { pools, loading, refresh } = usePools();
+
+  const pid = useMemo(() => {
+    const value = Number(router.query.pid);
+    return Number.isInteger(value) && value >= 0 ? value : ETH_PID;
+  }, [router.query.pid]);
+
+  const setPid = useCallback((next: number) => {
+    const { pid: _, ...query } = router.query;
+    router.replace(
+      { pathname: router.pathname, query: next === ETH_PID ? query : { ...query, pid: next } },
+      undefined,
+      { shallow: true }
+    );
+  }, [router]);
+
+  const value = useMemo(() => ({
+    pid,
+    pool: pools.find((pool) => pool.pid === pid),
+    pools,
+    loading,
+    setPid,
+    refreshPools: refresh
+  }), [pid, pools, loading, setPid, refresh]);
+
+  return <PoolContext.Provider value={value}>{children}</PoolContext.Provider>;
+};
+
+export const usePool = () => useContext(PoolContext);
@@ -0,0 +1,150 @@
+import { createContext, ReactNode, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { Address, Hash, isAddressEqual } from 'viem';
+import { useAccount, useChainId } from 'wagmi';
+import { stakeAbi } from '../assets/abis/stake';
+import { PollingInterval, deploymentOf } from '../utils/env';
+import { stakeKeys } from '../utils/queryKeys';
+import { viemClients, wsClients } from '../utils/viem';
+
+// 改变质押量、锁仓、解质押请求或奖励的事件
+const TrackedEvents = [
+  'Deposit',
+  'RequestUnstake',
+  'CancelUnstake',
+  'Withdraw',
+  'Claim',
+  'Compound',
+  'EmergencyWithdraw',
+  'TransferStake',
+  'Lock',
+  'ReleaseLock'
+];
+
+export type StakeEvent = {
+  eventName: string;
+  pid: number;
+  user: Address;
+  blockNumber: bigint;
+  transactionHash: Hash;
+};
+
+type StakeEventsValue = {
+  // websocket: 订阅推送；polling: 没有 WebSocket 或连接失败，按 PollingInterval 轮询
+  mode: 'websocket' | 'polling' | 'idle';
+  blockNumber?: bigint;
+  // 当前用户最近的一次相关事件，没有用 TanStack Query 的 hook 据此刷新
+  lastEvent?: StakeEvent;
+};
+
+const StakeEventsContext = createContext<StakeEventsValue>({ mode: 'idle' });
+
+/**
+ * 监听新区块和质押合约事件，使对应的查询缓存失效：
+ *   每个新区块失效当前用户随区块变化的数据（待领取奖励等），
+ *   质押、锁仓、解质押、提现、领取和复投事件失效对应池的数据，是当前用户的事件时再失效用户的全部数据和钱包余额。
+ *   TransferStake 同时影响转出和转入的两个地址，当前用户是其中任何一方都算
+ */
+export const StakeEventsProvider = ({ children }: { children: ReactNode }) => {
+  const queryClient = useQueryClient();
+  const chainId = useChainId();
+  const { address } = useAccount();
+  const [mode, setMode] = useState<StakeEventsValue['mode']>('idle');
+  const [wsFailed, setWsFailed] = useState(false);
+  const [blockNumber, setBlockNumber] = useState<bigint>();
+  const [lastEvent, setLastEvent] = useState<StakeEvent>();
+
+  // 切换网络后重新尝试 WebSocket
+  useEffect(() => {
+    setWsFailed(false);
+  }, [chainId]);
+
+  useEffect(() => {
+    const wsClient = wsFailed ? undefined : wsClients(chainId);
+    const client = wsClient ?? viemClients(chainId);
+    const stakeAddress = deploymentOf(chainId)?.contracts.stake;
+    if (!client || !stakeAddress) {
+      setMode('idle');
+      return;
+    }
+    // viem 对 WebSocket 传输默认订阅 eth_subscribe，对 http 传输默认按 pollingInterval 轮询
+    const poll = !wsClient;
+    setMode(poll ? 'polling' : 'websocket');
+
+    const onError = (error: Error) => {
+      console.error('Failed to watch stake contract:', error);
+      // 重连也失败后改为轮询
+      if (!poll) setWsFailed(true);
+    };
+
+    const unwatchBlocks = client.watchBlockNumber({
+      pollingInterval: PollingInterval,
+      emitOnBegin: true,
+      onBlockNumber: (number) => {
+        setBlockNumber(number);
+        if (address) {
+          queryClient.invalidateQueries({ queryKey: stakeKeys.perBlock(chainId, address) });
+        }
+      },
+      onError
+    });
+
+    const unwatchEvents = client.watchContractEvent({
+      address: stakeAddress,
+      abi: stakeAbi,
+      pollingInterval: PollingInterval,
+      onLogs: (logs) => {
+        let userEvent: StakeEvent | undefined;
+        for (const log of logs) {
+          if (!log.eventName || !TrackedEvents.includes(log.eventName)) continue;
+          const { user, from, to, poolId } = log.args as { user?: Address; from?: Address; to?: Address; poolId?: bigint };
+          const users = [user, from, to].filter((account): account is Address => !!account);
+          if (users.length === 0 || poolId === undefined) continue;
+
+          queryClient.invalidateQueries({ queryKey: stakeKeys.pool(chainId, Number(poolId)) });
+          if (address && users.some((account) => isAddressEqual(account, address))) {
+            userEvent = {
+              eventName: log.eventName,
+              pid: Number(poolId),
+              user: address,
+              blockNumber: log.blockNumber ?? BigInt(0),
+              transactionHash: log.transactionHash as Hash
+            };
+          }
+        }
+        if (userEvent && address) {
+          queryClient.invalidateQueries({ queryKey: stakeKeys.user(chainId, address) });
+          // wagmi useBalance 的缓存
+          queryClient.invalidateQueries({ queryKey: ['balance'] });
+          setLastEvent(userEvent);
+        }
+      },
+      onError
+    });
+
+    return () => {
+      unwatchBlocks();
+      unwatchEvents();
+    };
+  }, [chainId, address, wsFailed, queryClient]);
+
+  const value = useMemo(() => ({ mode, blockNumber, lastEvent }), [mode, blockNumber, lastEvent]);
+
+  return <StakeEventsContext.Provider value={value}>{children}</StakeEventsContext.Provider>;
+};
+
+export const useStakeEvents = () => useContext(StakeEventsContext);
+
+/**
+ * 当前用户有新的质押、锁仓、解质押、提现、领取或复投事件时调用 refresh，包括其他页面、其他设备或 keeper 发起的交易
+ */
+export const useStakeEventRefresh = (refresh: () => void) => {
+  const { lastEvent } = useStakeEvents();
+  const handled = useRef(lastEvent);
+
+  useEffect(() => {
+    if (!lastEvent || lastEvent === handled.current) return;
+    handled.current = lastEvent;
+    refresh();
+  }, [lastEvent, refresh]);
+};
@@ -0,0 +1,172 @@
+import { createContext, ReactNode, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { Abi, Address, Hash, TransactionReceipt, isAddressEqual } from 'viem';
+import { useAccount, useChainId, useWalletClient } from 'wagmi';
+import { toast } from 'react-toastify';
+import { viemClients } from '../utils/viem';
+import { TxRevertedError, decodeTxError } from '../utils/txErrors';
+
+export type TxStatus = 'pending' | 'confirmed' | 'failed';
+
+export type TxRecord = {
+  hash: Hash;
+  chainId: number;
+  from: Address;
+  label: string;
+  status: TxStatus;
+  createdAt: number;
+  error?: string;
+};
+
+export type SendTxParams = {
+  // 显示在提示和交易记录里，如 "Claim ETH rewards"
+  label: string;
+  contract: { address: Address; abi: Abi | readonly unknown[] };
+  functionName: string;
+  args?: readonly unknown[];
+  value?: bigint;
+};
+
+type TransactionsValue = {
+  // 当前钱包在当前链上的交易，新的在前
+  transactions: TxRecord[];
+  pendingCount: number;
+  send: (params: SendTxParams) => Promise<TransactionReceipt>;
+  // 清除已结束的记录，等待中的保留
+  clear: () => void;
+};
+
+const StorageKey = 'metanode-stake:transactions';
+const MaxRecords = 50;
+
+const loadRecords = (): TxRecord[] => {
+  try {
+    const raw = window.localStorage.getItem(StorageKey);
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+};
+
+const TransactionContext = createContext<TransactionsValue>({
+  transactions: [],
+  pendingCount: 0,
+  send: () => Promise.reject(new Error('TransactionProvider is missing')),
+  clear: () => {}
+});
+
+/**
+ * 统一发送合约交易：先 simulateContract 再签名，等待回执并把结果写入本地交易记录。
+ * 放在页面之外，切换页面后仍会继续跟踪；刷新页面后从 localStorage 恢复并继续等待未完成的交易
+ */
+export const TransactionProvider = ({ children }: { children: ReactNode }) => {
+  const chainId = useChainId();
+  const { address } = useAccount();
+  const { data: walletClient } = useWalletClient();
+  const [records, setRecords] = useState<TxRecord[]>([]);
+  const [loaded, setLoaded] = useState(false);
+  // 正在等待回执的交易，避免重复监听
+  const watching = useRef(new Set<Hash>());
+
+  // localStorage 只能在客户端读取，放到 effect 中避免和服务端渲染结果不一致
+  useEffect(() => {
+    setRecords(loadRecords());
+    setLoaded(true);
+  }, []);
+
+  useEffect(() => {
+    if (loaded) window.localStorage.setItem(StorageKey, JSON.stringify(records));
+  }, [loaded, records]);
+
+  const update = useCallback((hash: Hash, patch: Partial<TxRecord>) => {
+    setRecords((prev) => prev.map((record) => (record.hash === hash ? { ...record, ...patch } : record)));
+  }, []);
+
+  const track = useCallback(async (record: TxRecord): Promise<TransactionReceipt> => {
+    let hash = record.hash;
+    watching.current.add(hash);
+    try {
+      const client = viemClients(record.chainId);
+      if (!client) throw new Error(`Unsupported chain ${record.chainId}`);
+      const receipt = await client.waitForTransactionReceipt({
+        hash,
+        // 钱包加速或替换交易后跟踪新的哈希
+        onReplaced: (replacement) => {
+          const next = replacement.transaction.hash;
+          update(hash, { hash: next });
+          watching.current.delete(hash);
+          watching.current.add(next);
+          hash = next;
+        }
+      });
+      if (receipt.status !== 'success') throw new TxRevertedError(record.label);
+      update(hash, { status: 'confirmed' });
+      return receipt;
+    } catch (error) {
+      // 查询回执超时或网络错误时保持 pending，下次加载时继续等待
+      if (error instanceof TxRevertedError) update(hash, { status: 'failed', error: error.message });
+      throw error;
+    } finally {
+      watching.current.delete(hash);
+    }
+  }, [update]);
+
+  // 恢复上次未完成的交易
+  useEffect(() => {
+    if (!loaded) return;
+    records
+      .filter((record) => record.status === 'pending' && !watching.current.has(record.hash) && viemClients(record.chainId))
+      .forEach((record) => {
+        track(record).catch((error) => console.error('Failed to track transaction:', error));
+      });
+  }, [loaded, records, track]);
+
+  const send = useCallback(async ({ label, contract, functionName, args, value }: SendTxParams) => {
+    try {
+      const client = viemClients(chainId);
+      if (!client) throw new Error(`Unsupported chain ${chainId}`);
+      if (!walletClient?.account) throw new Error('Wallet is not connected');
+      // 会 revert 的交易在模拟阶段就报错，不会弹出钱包签名
+      const { request } = await client.simulateContract({
+        address: contract.address,
+        abi: contract.abi as Abi,
+        functionName,
+        args,
+        value,
+        account: walletClient.account
+      });
+      const hash = await walletClient.writeContract(request);
+      const record: TxRecord = {
+        hash,
+        chainId,
+        from: walletClient.account.address,
+        label,
+        status: 'pending',
+        createdAt: Date.now()
+      };
+      setRecords((prev) => [record, ...prev].slice(0, MaxRecords));
+      return await track(record);
+    } catch (error) {
+      toast.error(decodeTxError(error));
+      throw error;
+    }
+  }, [walletClient, chainId, track]);
+
+  const transactions = useMemo(
+    () => (address ? records.filter((record) => record.chainId === chainId && isAddressEqual(record.from, address)) : []),
+    [records, address, chainId]
+  );
+  const pendingCount = transactions.filter((record) => record.status === 'pending').length;
+
+  const clear = useCallback(() => {
+    setRecords((prev) => prev.filter((record) => record.status === 'pending' || !transactions.includes(record)));
+  }, [transactions]);
+
+  const value = useMemo(
+    () => ({ transactions, pendingCount, send, clear }),
+    [transactions, pendingCount, send, clear]
+  );
+
+  return <TransactionContext.Provider value={value}>{children}</TransactionContext.Provider>;
+};
+
+export const useTransactions = () => useContext(TransactionContext);
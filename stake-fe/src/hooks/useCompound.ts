@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAccount } from 'wagmi';
+import { useStakeContract } from './useContract';
+import { usePool } from '../context/PoolContext';
+import { useStakeEventRefresh } from '../context/StakeEventsContext';
+import { retryWithDelay } from '../utils/retry';
+
+export type CompoundPreview = {
+  reward: bigint;       // 复投的奖励：当前待领取 + 欠款
+  stakeBefore: bigint;  // MetaNode 池中当前的质押量
+  stakeAfter: bigint;   // 复投之后的质押量
+};
+
+// 复投：把选中池子的奖励直接质押到 MetaNode 池（compoundPid），以及自动复投开关
+const useCompound = () => {
+  const stakeContract = useStakeContract();
+  const { address } = useAccount();
+  const { pid } = usePool();
+  const [compoundPid, setCompoundPid] = useState<number>();
+  const [preview, setPreview] = useState<CompoundPreview>();
+  const [autoCompound, setAutoCompound] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const fetchCompound = useCallback(async () => {
+    if (!stakeContract) return;
+    try {
+      setLoading(true);
+      const target = Number(await retryWithDelay(() => stakeContract.read.compoundPid() as Promise<bigint>));
+      // 0 号池总是 ETH 池，为 0 表示还没有 MetaNode 池
+      setCompoundPid(target > 0 ? target : undefined);
+      if (!address || target === 0) return;
+      const [pending, unpaid, stakeBefore, enabled] = await retryWithDelay(() =>
+        Promise.all([
+          stakeContract.read.pendingMetaNode([BigInt(pid), address]) as Promise<bigint>,
+          stakeContract.read.unpaidMetaNode([address]) as Promise<bigint>,
+          stakeContract.read.stakingBalance([BigInt(target), address]) as Promise<bigint>,
+          stakeContract.read.autoCompound([address]) as Promise<boolean>
+        ])
+      );
+      const reward = pending + unpaid;
+      setPreview({ reward, stakeBefore, stakeAfter: stakeBefore + reward });
+      setAutoCompound(enabled);
+    } catch (error) {
+      console.error('Failed to fetch compound preview:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [stakeContract, address, pid]);
+
+  useEffect(() => {
+    fetchCompound();
+  }, [fetchCompound]);
+
+  useStakeEventRefresh(fetchCompound);
+
+  return {
+    compoundPid,
+    preview,
+    autoCompound,
+    canCompound: compoundPid !== undefined && !!preview && preview.reward > BigInt(0),
+    loading,
+    refresh: fetchCompound
+  };
+};
+
+export default useCompound;
@@ -1,9 +1,11 @@
 import { useMemo } from "react"
-import { Abi, Address, WalletClient } from "viem"
+import { Abi, Address, WalletClient, erc20Abi } from "viem"
 import { useChainId, useWalletClient } from "wagmi"
 import { getContract } from "../utils/contractHelper"
-import { StakeContractAddress } from "../utils/env"
+import { LensAddresses, StakeContractAddresses, TimelockAddresses } from "../utils/env"
 import { stakeAbi } from '../assets/abis/stake'
+import { lensAbi } from '../assets/abis/lens'
+import { timelockAbi } from '../assets/abis/timelock'
 
 type UseContractOptions = {
   chainId?: number
@@ -39,5 +41,17 @@ export function useContract<TAbi extends Abi>(
 }
 
 export const useStakeContract = () => {
-  return useContract(StakeContractAddress, stakeAbi as Abi)
+  return useContract(StakeContractAddresses, stakeAbi as Abi)
+}
+
+export const useLensContract = () => {
+  return useContract(LensAddresses, lensAbi as Abi)
+}
+
+export const useTimelockContract = () => {
+  return useContract(TimelockAddresses, timelockAbi as Abi)
+}
+
+export const useErc20Contract = (address?: Address) => {
+  return useContract(address, erc20Abi as Abi)
 }
\ No newline at end of file
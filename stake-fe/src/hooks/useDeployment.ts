@@ -0,0 +1,10 @@
+import { useChainId } from 'wagmi';
+import { deploymentOf } from '../utils/env';
+
+// 当前网络的合约地址和部署区块
+const useDeployment = () => {
+  const chainId = useChainId();
+  return deploymentOf(chainId);
+};
+
+export default useDeployment;
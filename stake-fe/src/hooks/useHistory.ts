@@ -0,0 +1,69 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAccount } from 'wagmi';
+import { IndexerUrl } from '../utils/env';
+import { retryWithDelay } from '../utils/retry';
+
+export type HistoryEvent = {
+  event:
+    | 'Deposit'
+    | 'RequestUnstake'
+    | 'CancelUnstake'
+    | 'Withdraw'
+    | 'Claim'
+    | 'Compound'
+    | 'EmergencyWithdraw'
+    | 'TransferStake'
+    | 'Lock'
+    | 'ReleaseLock'
+    | 'UpdatePool'
+    | 'SetPoolWeight';
+  blockNumber: number;
+  timestamp: number;
+  transactionHash: string;
+  logIndex: number;
+  args: Record<string, string>;
+};
+
+// 从事件索引器读取当前用户的操作记录
+const useHistory = (pid?: number) => {
+  const { address, isConnected } = useAccount();
+  const [events, setEvents] = useState<HistoryEvent[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string>();
+
+  const fetchHistory = useCallback(async () => {
+    if (!address || !isConnected) return;
+
+    try {
+      setLoading(true);
+      setError(undefined);
+      const query = pid === undefined ? '' : `?pid=${pid}`;
+      const data = await retryWithDelay(async () => {
+        const res = await fetch(`${IndexerUrl}/history/${address}${query}`);
+        if (!res.ok) throw new Error(`Indexer responded ${res.status}`);
+        return res.json() as Promise<HistoryEvent[]>;
+      });
+      // 最新的记录排在前面
+      setEvents([...data].reverse());
+    } catch (error) {
+      console.error('Failed to fetch history:', error);
+      setError('Unable to reach the history indexer');
+      setEvents([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [address, isConnected, pid]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  return {
+    events,
+    loading,
+    error,
+    refresh: fetchHistory
+  };
+};
+
+export default useHistory;
@@ -0,0 +1,95 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAccount } from 'wagmi';
+import { useStakeContract } from './useContract';
+import { usePool } from '../context/PoolContext';
+import { useStakeEventRefresh } from '../context/StakeEventsContext';
+import { retryWithDelay } from '../utils/retry';
+
+export type LockTier = {
+  id: number;
+  duration: bigint;   // 锁仓区块数（时间戳计时为秒数）
+  multiplier: bigint;
+};
+
+export type UserLock = {
+  amount: bigint;
+  multiplier: bigint;
+  boost: bigint;
+  unlockBlock: bigint;
+};
+
+type LockTierData = [bigint, bigint]; // [duration, multiplier]
+type UserLockData = [bigint, bigint, bigint, bigint]; // [amount, multiplier, boost, unlockBlock]
+
+// 可选的锁仓档位，以及当前用户在选中池子的锁仓和有效质押份额
+const useLock = () => {
+  const stakeContract = useStakeContract();
+  const { address } = useAccount();
+  const { pid } = usePool();
+  const [tiers, setTiers] = useState<LockTier[]>([]);
+  const [lock, setLock] = useState<UserLock>();
+  const [boostedBalance, setBoostedBalance] = useState(BigInt(0));
+  const [boostedSupply, setBoostedSupply] = useState(BigInt(0));
+  const [loading, setLoading] = useState(false);
+
+  const fetchTiers = useCallback(async () => {
+    if (!stakeContract) return;
+    try {
+      const length = await retryWithDelay(() => stakeContract.read.lockTierLength() as Promise<bigint>);
+      const list = await retryWithDelay(() =>
+        Promise.all(
+          Array.from({ length: Number(length) }, (_, id) =>
+            stakeContract.read.lockTiers([BigInt(id)]) as Promise<LockTierData>
+          )
+        )
+      );
+      setTiers(list.map(([duration, multiplier], id) => ({ id, duration, multiplier })));
+    } catch (error) {
+      console.error('Failed to fetch lock tiers:', error);
+    }
+  }, [stakeContract]);
+
+  const fetchLock = useCallback(async () => {
+    if (!stakeContract) return;
+    try {
+      setLoading(true);
+      const supply = await retryWithDelay(() => stakeContract.read.boostedSupply([pid]) as Promise<bigint>);
+      setBoostedSupply(supply);
+      if (!address) return;
+      const [[amount, multiplier, boost, unlockBlock], balance] = await retryWithDelay(() =>
+        Promise.all([
+          stakeContract.read.userLock([pid, address]) as Promise<UserLockData>,
+          stakeContract.read.boostedBalance([pid, address]) as Promise<bigint>
+        ])
+      );
+      setLock(amount > BigInt(0) ? { amount, multiplier, boost, unlockBlock } : undefined);
+      setBoostedBalance(balance);
+    } catch (error) {
+      console.error('Failed to fetch lock:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [stakeContract, address, pid]);
+
+  useEffect(() => {
+    fetchTiers();
+  }, [fetchTiers]);
+
+  useEffect(() => {
+    fetchLock();
+  }, [fetchLock]);
+
+  // 质押和解质押会合并或释放锁仓
+  useStakeEventRefresh(fetchLock);
+
+  return {
+    tiers,
+    lock,
+    boostedBalance,
+    boostedSupply,
+    loading,
+    refresh: fetchLock
+  };
+};
+
+export default useLock;
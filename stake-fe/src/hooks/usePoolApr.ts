@@ -0,0 +1,87 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useStakeContract } from './useContract';
+import { usePool } from '../context/PoolContext';
+import { PoolEmission, aprToApy, calcApr, poolEmission } from '../utils/apr';
+import { PriceFeed, defaultPriceFeed } from '../utils/priceFeed';
+import { retryWithDelay } from '../utils/retry';
+
+// 当前选中池子的奖励发放速度和年化收益
+const usePoolApr = (priceFeed: PriceFeed = defaultPriceFeed) => {
+  const stakeContract = useStakeContract();
+  const { pid, pool } = usePool();
+  const [emission, setEmission] = useState<PoolEmission>();
+  const [schedule, setSchedule] = useState<{ start: bigint; end: bigint }>();
+  const [apr, setApr] = useState<number>();
+  const [prices, setPrices] = useState<{ reward?: number; stToken?: number }>({});
+  const [loading, setLoading] = useState(false);
+
+  const fetchApr = useCallback(async () => {
+    if (!stakeContract || !pool) return;
+
+    try {
+      setLoading(true);
+      // 时间戳计时的合约中 clock() 是当前时间戳
+      // 锁仓的额外权重记在 poolBoost 中，合约按 stTokenAmount + poolBoost 分配奖励
+      const [totalPoolWeight, startBlock, endBlock, clock, timeBased, poolBoost] = await retryWithDelay(() =>
+        Promise.all([
+          stakeContract.read.totalPoolWeight() as Promise<bigint>,
+          stakeContract.read.startBlock() as Promise<bigint>,
+          stakeContract.read.endBlock() as Promise<bigint>,
+          stakeContract.read.clock() as Promise<number>,
+          stakeContract.read.timeBased() as Promise<boolean>,
+          stakeContract.read.poolBoost([pid]) as Promise<bigint>
+        ])
+      );
+      // 排放速率可能分阶段变化，取当前（未开始时取开始时）的速率
+      const currentBlock = BigInt(clock);
+      const from = currentBlock > startBlock ? currentBlock : startBlock;
+      const metaNodePerBlock = await retryWithDelay(() =>
+        stakeContract.read.rewardPerBlockAt([from]) as Promise<bigint>
+      );
+      const emission = poolEmission({
+        metaNodePerBlock,
+        poolWeight: pool.poolWeight,
+        totalPoolWeight,
+        startBlock,
+        endBlock,
+        currentBlock,
+        timeBased
+      });
+      const [reward, stToken] = await Promise.all([
+        priceFeed.getPrice({ symbol: 'MetaNode' }),
+        priceFeed.getPrice({ symbol: pool.symbol, address: pool.stTokenAddress })
+      ]);
+
+      setEmission(emission);
+      setSchedule({ start: startBlock, end: endBlock });
+      setPrices({ reward, stToken });
+      setApr(calcApr({
+        rewardPerDay: emission.perDay,
+        boostedSupply: pool.stTokenAmount + poolBoost,
+        stTokenDecimals: pool.decimals,
+        rewardPrice: reward,
+        stTokenPrice: stToken
+      }));
+    } catch (error) {
+      console.error('Failed to fetch pool APR:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [stakeContract, pid, pool, priceFeed]);
+
+  useEffect(() => {
+    fetchApr();
+  }, [fetchApr]);
+
+  return {
+    emission,
+    schedule,
+    apr,
+    apy: apr === undefined ? undefined : aprToApy(apr),
+    prices,
+    loading,
+    refresh: fetchApr
+  };
+};
+
+export default usePoolApr;
@@ -0,0 +1,94 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Address, erc20Abi, zeroAddress } from 'viem';
+import { useChainId } from 'wagmi';
+import { useStakeContract } from './useContract';
+import { getContract } from '../utils/contractHelper';
+import { retryWithDelay } from '../utils/retry';
+
+export type PoolData = [Address, bigint, bigint, bigint, bigint, bigint, bigint]; // [stTokenAddress, poolWeight, lastRewardBlock, accMetaNodePerST, stTokenAmount, minDepositAmount, unstakeLockedBlocks]
+
+export type PoolInfo = {
+  pid: number;
+  stTokenAddress: Address;
+  poolWeight: bigint;
+  lastRewardBlock: bigint;
+  accMetaNodePerST: bigint;
+  stTokenAmount: bigint;
+  minDepositAmount: bigint;
+  unstakeLockedBlocks: bigint;
+  isETH: boolean;
+  symbol: string;
+  decimals: number;
+};
+
+const usePools = () => {
+  const stakeContract = useStakeContract();
+  const chainId = useChainId();
+  const [pools, setPools] = useState<PoolInfo[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  // 读取单个池信息，ERC20池额外读取代币符号和精度
+  const fetchPool = useCallback(async (pid: number): Promise<PoolInfo | undefined> => {
+    if (!stakeContract) return;
+
+    const pool = await retryWithDelay(() =>
+      stakeContract.read.pool([BigInt(pid)]) as Promise<PoolData>
+    );
+    const isETH = pool[0] === zeroAddress;
+    let symbol = 'ETH';
+    let decimals = 18;
+
+    if (!isETH) {
+      const token = getContract({ abi: erc20Abi, address: pool[0], chainId });
+      [symbol, decimals] = await Promise.all([
+        retryWithDelay(() => token.read.symbol() as Promise<string>),
+        retryWithDelay(() => token.read.decimals() as Promise<number>),
+      ]);
+    }
+
+    return {
+      pid,
+      stTokenAddress: pool[0],
+      poolWeight: pool[1],
+      lastRewardBlock: pool[2],
+      accMetaNodePerST: pool[3],
+      stTokenAmount: pool[4],
+      minDepositAmount: pool[5],
+      unstakeLockedBlocks: pool[6],
+      isETH,
+      symbol,
+      decimals
+    };
+  }, [stakeContract, chainId]);
+
+  const fetchPools = useCallback(async () => {
+    if (!stakeContract) return;
+
+    try {
+      setLoading(true);
+      const length = await retryWithDelay(() =>
+        stakeContract.read.poolLength() as Promise<bigint>
+      );
+      const list = await Promise.all(
+        Array.from({ length: Number(length) }, (_, pid) => fetchPool(pid))
+      );
+      setPools(list.filter((pool): pool is PoolInfo => !!pool));
+    } catch (error) {
+      console.error('Failed to fetch pools:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [stakeContract, fetchPool]);
+
+  useEffect(() => {
+    fetchPools();
+  }, [fetchPools]);
+
+  return {
+    pools,
+    loading,
+    refresh: fetchPools
+  };
+};
+
+export default usePools;
@@ -0,0 +1,40 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Address, zeroAddress } from 'viem';
+import { useStakeContract } from './useContract';
+import { usePool } from '../context/PoolContext';
+import { retryWithDelay } from '../utils/retry';
+
+// 选中池子的质押收据代币，没有绑定收据的池子不能转让仓位
+const useReceipt = () => {
+  const stakeContract = useStakeContract();
+  const { pid } = usePool();
+  const [receipt, setReceipt] = useState<Address>();
+  const [loading, setLoading] = useState(false);
+
+  const fetchReceipt = useCallback(async () => {
+    if (!stakeContract) return;
+    try {
+      setLoading(true);
+      const token = await retryWithDelay(() =>
+        stakeContract.read.receiptToken([BigInt(pid)]) as Promise<Address>
+      );
+      setReceipt(token === zeroAddress ? undefined : token);
+    } catch (error) {
+      console.error('Failed to fetch receipt token:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [stakeContract, pid]);
+
+  useEffect(() => {
+    fetchReceipt();
+  }, [fetchReceipt]);
+
+  return {
+    receipt,
+    loading,
+    refresh: fetchReceipt
+  };
+};
+
+export default useReceipt;
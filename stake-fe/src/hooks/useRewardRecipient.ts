@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Address, zeroAddress } from 'viem';
+import { useAccount } from 'wagmi';
+import { useStakeContract } from './useContract';
+import { usePool } from '../context/PoolContext';
+import { retryWithDelay } from '../utils/retry';
+
+// 选中池子的奖励接收地址，没有设置时 claim 发给用户本人
+const useRewardRecipient = () => {
+  const stakeContract = useStakeContract();
+  const { address } = useAccount();
+  const { pid } = usePool();
+  const [recipient, setRecipient] = useState<Address>();
+  const [loading, setLoading] = useState(false);
+
+  const fetchRecipient = useCallback(async () => {
+    if (!stakeContract || !address) return;
+    try {
+      setLoading(true);
+      const configured = await retryWithDelay(() =>
+        stakeContract.read.rewardRecipient([BigInt(pid), address]) as Promise<Address>
+      );
+      setRecipient(configured === zeroAddress ? undefined : configured);
+    } catch (error) {
+      console.error('Failed to fetch reward recipient:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [stakeContract, address, pid]);
+
+  useEffect(() => {
+    fetchRecipient();
+  }, [fetchRecipient]);
+
+  return {
+    // 设置过的接收地址，未设置时为 undefined
+    recipient,
+    // 实际收到奖励的地址
+    payee: recipient ?? address,
+    loading,
+    refresh: fetchRecipient
+  };
+};
+
+export default useRewardRecipient;
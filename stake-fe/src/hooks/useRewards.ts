@@ -1,62 +1,68 @@
-import { useCallback, useEffect, useState } from 'react';
-import { useAccount } from 'wagmi';
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { useAccount, useChainId } from 'wagmi';
 import { formatUnits } from 'viem';
 import { useStakeContract } from './useContract';
-import { Pid } from '../utils';
+import { PoolData } from './usePools';
+import { usePool } from '../context/PoolContext';
 import { addMetaNodeToMetaMask } from '../utils/metamask';
+import { stakeKeys } from '../utils/queryKeys';
 import { retryWithDelay } from '../utils/retry';
 
 export type RewardsData = {
   pendingReward: string;
+  // 合约余额不足时欠下的奖励，下次领取时补发
+  unpaidReward: string;
   stakedAmount: string;
+  // 所有池的待领取奖励之和，claimAll 会一次领取
+  totalPendingReward: string;
   lastUpdate: number;
 };
 
-type UserData = [bigint, bigint, bigint]; // [stAmount, finishedMetaNode, pendingMetaNode]
+// getUserPositions 返回的每个池的仓位，下标即池 id
+export type UserPosition = {
+  stAmount: bigint;
+  pendingMetaNode: bigint;
+  requestAmount: bigint;
+  pendingWithdrawAmount: bigint;
+};
 
-type PoolData = [string, bigint, bigint, bigint, bigint, bigint, bigint]; // [stTokenAddress, poolWeight, lastRewardBlock, accMetaNodePerST, stTokenAmount, minDepositAmount, unstakeLockedBlocks]
+const EmptyPoolData: Record<string, string> = {
+  poolWeight: '0',
+  lastRewardBlock: '0',
+  accMetaNodePerShare: '0'
+};
 
 const useRewards = () => {
   const stakeContract = useStakeContract();
   const { address, isConnected } = useAccount();
-  const [rewardsData, setRewardsData] = useState<RewardsData>({
-    pendingReward: '0',
-    stakedAmount: '0',
-    lastUpdate: 0
-  });
-  const [loading, setLoading] = useState(false);
-
-  const [poolData, setPoolData] = useState<Record<string, string>>({
-    poolWeight: '0',
-    lastRewardBlock: '0',
-    accMetaNodePerShare: '0'
-  });
+  const { pid, pool: poolInfo } = usePool();
+  const decimals = poolInfo?.decimals ?? 18;
+  const chainId = useChainId();
+  const queryClient = useQueryClient();
+  const enabled = !!stakeContract && !!address && isConnected;
 
   const [metaNodeAddress, setMetaNodeAddress] = useState<string>('');
 
-  const fetchPoolData = useCallback(async () => {
-    if (!stakeContract || !address || !isConnected) return;
-
-    try {
-      const pool = await retryWithDelay(() => 
-        stakeContract.read.pool([Pid]) as Promise<PoolData>
+  // 池的数据在该池有质押、解质押、提现或领取事件时失效
+  const { data: poolData = EmptyPoolData } = useQuery({
+    queryKey: stakeKeys.pool(chainId, pid),
+    enabled,
+    queryFn: async (): Promise<Record<string, string>> => {
+      const pool = await retryWithDelay(() =>
+        stakeContract!.read.pool([pid]) as Promise<PoolData>
       );
-
-      console.log('poolInfo:::', pool);
-      
-      setPoolData({
+      return {
         poolWeight: formatUnits(pool[1] as bigint || BigInt(0), 18),
         lastRewardBlock: formatUnits(pool[2] as bigint || BigInt(0), 18),
         accMetaNodePerShare: formatUnits(pool[3] as bigint || BigInt(0), 18),
-        stTokenAmount: formatUnits(pool[4] as bigint || BigInt(0), 18),
-        minDepositAmount: formatUnits(pool[5] as bigint || BigInt(0), 18),
+        stTokenAmount: formatUnits(pool[4] as bigint || BigInt(0), decimals),
+        minDepositAmount: formatUnits(pool[5] as bigint || BigInt(0), decimals),
         unstakeLockedBlocks: formatUnits(pool[6] as bigint || BigInt(0), 18),
         stTokenAddress: pool[0] as string
-      });
-    } catch (error) {
-      console.error('Failed to fetch pool data:', error);
+      };
     }
-  }, [stakeContract, address, isConnected]);
+  });
 
   // 获取MetaNode代币地址
   const fetchMetaNodeAddress = useCallback(async () => {
@@ -72,65 +78,68 @@ const useRewards = () => {
     }
   }, [stakeContract]);
 
-  const fetchRewardsData = useCallback(async () => {
-    if (!stakeContract || !address || !isConnected) return;
-
-    try {
-      setLoading(true);
-      
-      // 获取用户数据
-      const userData = await retryWithDelay(() => 
-        stakeContract.read.user([Pid, address]) as Promise<UserData>
-      );
-      const stakedAmount = await retryWithDelay(() => 
-        stakeContract.read.stakingBalance([Pid, address]) as Promise<bigint>
-      );
+  // 用户在所有池中的仓位和欠款，每个新区块和用户的事件都会失效
+  const positionsQuery = useQuery({
+    queryKey: stakeKeys.positions(chainId, address),
+    enabled,
+    queryFn: () => retryWithDelay(() =>
+      Promise.all([
+        stakeContract!.read.getUserPositions([address]) as Promise<readonly UserPosition[]>,
+        stakeContract!.read.unpaidMetaNode([address]) as Promise<bigint>
+      ])
+    )
+  });
 
-      console.log('User data:', userData);
-      console.log('Staked amount:', stakedAmount);
+  // 当前池的待领取奖励直接读取 pendingMetaNode，包含上次结算之后新产生的奖励
+  const pendingQuery = useQuery({
+    queryKey: stakeKeys.pending(chainId, address, pid),
+    enabled,
+    queryFn: () => retryWithDelay(() =>
+      stakeContract!.read.pendingMetaNode([BigInt(pid), address]) as Promise<bigint>
+    )
+  });
 
-      setRewardsData({
-        pendingReward: formatUnits(userData[2] || BigInt(0), 18),
-        stakedAmount: formatUnits(stakedAmount as bigint || BigInt(0), 18),
-        lastUpdate: Date.now()
-      });
-    } catch (error) {
-      console.error('Failed to fetch rewards data:', error);
-      // 设置默认值
-      setRewardsData({
-        pendingReward: '0',
-        stakedAmount: '0',
-        lastUpdate: Date.now()
-      });
-    } finally {
-      setLoading(false);
+  useEffect(() => {
+    if (positionsQuery.error || pendingQuery.error) {
+      console.error('Failed to fetch rewards data:', positionsQuery.error || pendingQuery.error);
     }
-  }, [stakeContract, address, isConnected]);
+  }, [positionsQuery.error, pendingQuery.error]);
+
+  const positions = useMemo(() => positionsQuery.data?.[0] ?? [], [positionsQuery.data]);
+
+  const rewardsData = useMemo<RewardsData>(() => {
+    const position = positions[pid];
+    const unpaidReward = positionsQuery.data?.[1] ?? BigInt(0);
+    const pending = pendingQuery.data ?? position?.pendingMetaNode ?? BigInt(0);
+    // 其他池沿用仓位中的值，当前池用最新读取的值
+    const totalPending = positions.reduce(
+      (sum, p, i) => sum + (i === pid ? pending : p.pendingMetaNode),
+      positions[pid] ? BigInt(0) : pending
+    );
+    return {
+      pendingReward: formatUnits(pending, 18),
+      unpaidReward: formatUnits(unpaidReward, 18),
+      stakedAmount: formatUnits(position?.stAmount ?? BigInt(0), decimals),
+      totalPendingReward: formatUnits(totalPending, 18),
+      lastUpdate: Math.max(positionsQuery.dataUpdatedAt, pendingQuery.dataUpdatedAt)
+    };
+  }, [positions, positionsQuery.data, positionsQuery.dataUpdatedAt, pendingQuery.data, pendingQuery.dataUpdatedAt, pid, decimals]);
+
+  // 只在首次加载时显示加载状态，每个区块的刷新在后台进行
+  const loading = positionsQuery.isLoading || pendingQuery.isLoading;
 
   // 初始加载
   useEffect(() => {
     if (isConnected && address) {
-      fetchRewardsData();
-      fetchPoolData();
       fetchMetaNodeAddress();
     }
-  }, [isConnected, address, fetchRewardsData, fetchPoolData, fetchMetaNodeAddress]);
-
-  // 定期刷新数据（每60秒）
-  useEffect(() => {
-    if (!isConnected || !address) return;
-
-    const interval = setInterval(() => {
-      fetchRewardsData();
-    }, 60000); // 60秒
-
-    return () => clearInterval(interval);
-  }, [isConnected, address, fetchRewardsData]);
+  }, [isConnected, address, fetchMetaNodeAddress]);
 
-  // 手动刷新
+  // 手动刷新，交易确认后调用；事件到达时也会自动刷新
   const refresh = useCallback(() => {
-    fetchRewardsData();
-  }, [fetchRewardsData]);
+    queryClient.invalidateQueries({ queryKey: stakeKeys.user(chainId, address) });
+    queryClient.invalidateQueries({ queryKey: stakeKeys.pool(chainId, pid) });
+  }, [queryClient, chainId, address, pid]);
 
   // 添加MetaNode代币到MetaMask
   const addMetaNodeToWallet = useCallback(async () => {
@@ -149,12 +158,15 @@ const useRewards = () => {
 
   return {
     rewardsData,
+    positions,
     loading,
     poolData,
     metaNodeAddress,
     refresh,
     addMetaNodeToWallet,
-    canClaim: parseFloat(rewardsData.pendingReward) > 0
+    canClaim: parseFloat(rewardsData.pendingReward) > 0 || parseFloat(rewardsData.unpaidReward) > 0,
+    // 其他池也有奖励时才需要 claimAll
+    canClaimAll: parseFloat(rewardsData.totalPendingReward) > parseFloat(rewardsData.pendingReward)
   };
 };
 
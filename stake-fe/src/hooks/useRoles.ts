@@ -0,0 +1,103 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Address, Hash } from 'viem';
+import { useAccount, usePublicClient } from 'wagmi';
+import { useStakeContract } from './useContract';
+import { stakeAbi } from '../assets/abis/stake';
+import useDeployment from './useDeployment';
+import { retryWithDelay } from '../utils/retry';
+import { scanLogs } from '../utils/logs';
+
+export const RoleNames = ['DEFAULT_ADMIN_ROLE', 'ADMIN_ROLE', 'UPGRADE_ROLE'] as const;
+export type RoleName = typeof RoleNames[number];
+
+export type RoleInfo = {
+  name: RoleName;
+  id: Hash;
+  adminRole: Hash;      // 可以授予和撤销该角色的角色
+  members: Address[];
+};
+
+// 角色成员由 RoleGranted / RoleRevoked 事件按顺序重放得到，同时读取当前钱包拥有的角色
+// withMembers 为 false 时只读取当前钱包的角色，不扫描事件
+const useRoles = (withMembers: boolean = true) => {
+  const stakeContract = useStakeContract();
+  const publicClient = usePublicClient();
+  const deployment = useDeployment();
+  const { address } = useAccount();
+  const [roles, setRoles] = useState<RoleInfo[]>([]);
+  const [myRoles, setMyRoles] = useState<RoleName[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchRoles = useCallback(async () => {
+    if (!stakeContract || !publicClient) return;
+    try {
+      setLoading(true);
+      const ids = await retryWithDelay(() =>
+        Promise.all(RoleNames.map((name) => stakeContract.read[name]() as Promise<Hash>))
+      );
+      const adminRoles = await retryWithDelay(() =>
+        Promise.all(ids.map((id) => stakeContract.read.getRoleAdmin([id]) as Promise<Hash>))
+      );
+
+      const logs = withMembers
+        ? await scanLogs(BigInt(deployment?.deployBlock ?? 0), await publicClient.getBlockNumber(), (fromBlock, toBlock) =>
+          retryWithDelay(async () => {
+            const [granted, revoked] = await Promise.all([
+              publicClient.getContractEvents({ address: stakeContract.address, abi: stakeAbi, eventName: 'RoleGranted', fromBlock, toBlock }),
+              publicClient.getContractEvents({ address: stakeContract.address, abi: stakeAbi, eventName: 'RoleRevoked', fromBlock, toBlock })
+            ]);
+            return [...granted, ...revoked];
+          })
+        )
+        : [];
+
+      const members = new Map<Hash, Set<Address>>(ids.map((id) => [id, new Set<Address>()]));
+      for (const log of logs) {
+        const set = members.get(log.args.role as Hash);
+        if (!set) continue;
+        if (log.eventName === 'RoleGranted') set.add(log.args.account as Address);
+        else set.delete(log.args.account as Address);
+      }
+      setRoles(RoleNames.map((name, i) => ({
+        name,
+        id: ids[i],
+        adminRole: adminRoles[i],
+        members: Array.from(members.get(ids[i]) ?? [])
+      })));
+
+      if (!address) {
+        setMyRoles([]);
+        return;
+      }
+      const owned = await retryWithDelay(() =>
+        Promise.all(ids.map((id) => stakeContract.read.hasRole([id, address]) as Promise<boolean>))
+      );
+      setMyRoles(RoleNames.filter((_, i) => owned[i]));
+    } catch (error) {
+      console.error('Failed to fetch roles:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [stakeContract, publicClient, deployment, address, withMembers]);
+
+  useEffect(() => {
+    fetchRoles();
+  }, [fetchRoles]);
+
+  // 当前钱包能否管理某个角色：需要拥有该角色的管理角色
+  const canManage = useCallback((role: RoleInfo) => {
+    const admin = roles.find((r) => r.id === role.adminRole);
+    return !!admin && myRoles.includes(admin.name);
+  }, [roles, myRoles]);
+
+  return {
+    roles,
+    myRoles,
+    hasRole: (name: RoleName) => myRoles.includes(name),
+    canManage,
+    loading,
+    refresh: fetchRoles
+  };
+};
+
+export default useRoles;
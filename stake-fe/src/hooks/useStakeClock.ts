@@ -0,0 +1,73 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useBlock } from 'wagmi';
+import { useStakeContract } from './useContract';
+import { AverageBlockTime } from '../utils/apr';
+import { retryWithDelay } from '../utils/retry';
+
+// 质押合约的计时方式：按区块号或按时间戳（ERC-6372 clock）
+// startBlock / endBlock / unlockBlocks 等值在时间戳计时时都是秒级时间戳，这里统一换算成倒计时和日期
+const useStakeClock = () => {
+  const stakeContract = useStakeContract();
+  const { data: block } = useBlock({ watch: true });
+  const [timeBased, setTimeBased] = useState<boolean>();
+  const [blockSeenAt, setBlockSeenAt] = useState(Date.now());
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!stakeContract) return;
+    retryWithDelay(() => stakeContract.read.timeBased() as Promise<boolean>)
+      .then(setTimeBased)
+      .catch((error) => console.error('Failed to fetch clock mode:', error));
+  }, [stakeContract]);
+
+  useEffect(() => {
+    setBlockSeenAt(Date.now());
+  }, [block?.number]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // 最新区块上合约 clock() 的值，链上视图函数（如 withdrawAmount）按这个值计算
+  const current = block && timeBased !== undefined
+    ? (timeBased ? block.timestamp : block.number)
+    : undefined;
+
+  // 距离 value 还有多少秒，已经过去时为负数；区块计时按平均出块时间估算
+  const offsetOf = useCallback((value: bigint) => {
+    if (!block || timeBased === undefined) return undefined;
+    const elapsed = (now - blockSeenAt) / 1000;
+    return timeBased
+      ? Number(value - block.timestamp) - elapsed
+      : Number(value - block.number) * AverageBlockTime - elapsed;
+  }, [block, timeBased, now, blockSeenAt]);
+
+  const reached = useCallback((value: bigint) => current !== undefined && value <= current, [current]);
+
+  const secondsUntil = useCallback((value: bigint) => {
+    if (reached(value)) return 0;
+    return Math.max(0, offsetOf(value) ?? 0);
+  }, [reached, offsetOf]);
+
+  const dateOf = useCallback((value: bigint) => {
+    const offset = offsetOf(value);
+    return offset === undefined ? undefined : new Date(now + offset * 1000);
+  }, [offsetOf, now]);
+
+  // 锁定期等时长换算成秒
+  const durationOf = useCallback((units: bigint) => {
+    return timeBased ? Number(units) : Number(units) * AverageBlockTime;
+  }, [timeBased]);
+
+  return {
+    timeBased,
+    current,
+    reached,
+    secondsUntil,
+    dateOf,
+    durationOf
+  };
+};
+
+export default useStakeClock;
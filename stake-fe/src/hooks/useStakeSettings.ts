@@ -0,0 +1,67 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useStakeContract } from './useContract';
+import { retryWithDelay } from '../utils/retry';
+
+export type StakeSettings = {
+  metaNodePerBlock: bigint;
+  totalPoolWeight: bigint;
+  startBlock: bigint;
+  endBlock: bigint;
+  clock: bigint;
+  paused: boolean;
+  withdrawPaused: boolean;
+  claimPaused: boolean;
+};
+
+// 管理后台用到的全局参数：排放速率、起止区块和暂停开关
+const useStakeSettings = () => {
+  const stakeContract = useStakeContract();
+  const [settings, setSettings] = useState<StakeSettings>();
+  const [loading, setLoading] = useState(false);
+
+  const fetchSettings = useCallback(async () => {
+    if (!stakeContract) return;
+    try {
+      setLoading(true);
+      const [metaNodePerBlock, totalPoolWeight, startBlock, endBlock, clock, paused, withdrawPaused, claimPaused] =
+        await retryWithDelay(() =>
+          Promise.all([
+            stakeContract.read.MetaNodePerBlock() as Promise<bigint>,
+            stakeContract.read.totalPoolWeight() as Promise<bigint>,
+            stakeContract.read.startBlock() as Promise<bigint>,
+            stakeContract.read.endBlock() as Promise<bigint>,
+            stakeContract.read.clock() as Promise<number>,
+            stakeContract.read.paused() as Promise<boolean>,
+            stakeContract.read.withdrawPaused() as Promise<boolean>,
+            stakeContract.read.claimPaused() as Promise<boolean>
+          ])
+        );
+      setSettings({
+        metaNodePerBlock,
+        totalPoolWeight,
+        startBlock,
+        endBlock,
+        clock: BigInt(clock),
+        paused,
+        withdrawPaused,
+        claimPaused
+      });
+    } catch (error) {
+      console.error('Failed to fetch stake settings:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [stakeContract]);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  return {
+    settings,
+    loading,
+    refresh: fetchSettings
+  };
+};
+
+export default useStakeSettings;
@@ -0,0 +1,147 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Address, Hash, Hex, decodeFunctionData, zeroAddress } from 'viem';
+import { useAccount, usePublicClient } from 'wagmi';
+import { useTimelockContract } from './useContract';
+import { stakeAbi } from '../assets/abis/stake';
+import { timelockAbi } from '../assets/abis/timelock';
+import useDeployment from './useDeployment';
+import { retryWithDelay } from '../utils/retry';
+import { scanLogs } from '../utils/logs';
+
+export type TimelockCall = {
+  target: Address;
+  value: bigint;
+  data: Hex;
+};
+
+export type TimelockOperation = {
+  id: Hash;
+  calls: TimelockCall[];
+  predecessor: Hash;
+  salt: Hash;
+  status: 'waiting' | 'ready' | 'done' | 'cancelled';
+  readyAt: bigint;      // 可以执行的时间戳
+  description: string;
+};
+
+// TimelockController.OperationState，取消的操作时间戳被清零，状态回到 Unset
+const OperationStates = ['cancelled', 'waiting', 'ready', 'done'] as const;
+
+const zeroHash = `0x${'0'.repeat(64)}` as Hash;
+
+// 把调用数据解码成 setPoolWeight(0, 100, true) 的形式，multicall 展开为其中的每个调用
+const describeCall = (data: Hex): string => {
+  try {
+    const { functionName, args = [] } = decodeFunctionData({ abi: stakeAbi, data });
+    if (functionName === 'multicall') return (args[0] as Hex[]).map(describeCall).join('; ');
+    return `${functionName}(${args.map(String).join(', ')})`;
+  } catch {
+    return data;
+  }
+};
+
+// 治理用的 timelock：当前钱包的 proposer / executor / canceller 角色，以及从 CallScheduled 事件还原的操作
+// withOperations 为 false 时只读取角色，不扫描事件
+const useTimelock = (withOperations: boolean = true) => {
+  const timelockContract = useTimelockContract();
+  const publicClient = usePublicClient();
+  const deployment = useDeployment();
+  const { address } = useAccount();
+  const [minDelay, setMinDelay] = useState<bigint>();
+  const [access, setAccess] = useState({ isProposer: false, isExecutor: false, isCanceller: false });
+  const [operations, setOperations] = useState<TimelockOperation[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchTimelock = useCallback(async () => {
+    if (!timelockContract || !publicClient) return;
+    try {
+      setLoading(true);
+      const [delay, proposerRole, executorRole, cancellerRole] = await retryWithDelay(() =>
+        Promise.all([
+          timelockContract.read.getMinDelay() as Promise<bigint>,
+          timelockContract.read.PROPOSER_ROLE() as Promise<Hash>,
+          timelockContract.read.EXECUTOR_ROLE() as Promise<Hash>,
+          timelockContract.read.CANCELLER_ROLE() as Promise<Hash>
+        ])
+      );
+      setMinDelay(delay);
+      if (address) {
+        // EXECUTOR_ROLE 授予零地址时任何人都可以执行
+        const [isProposer, isExecutor, openExecutor, isCanceller] = await retryWithDelay(() =>
+          Promise.all([
+            timelockContract.read.hasRole([proposerRole, address]) as Promise<boolean>,
+            timelockContract.read.hasRole([executorRole, address]) as Promise<boolean>,
+            timelockContract.read.hasRole([executorRole, zeroAddress]) as Promise<boolean>,
+            timelockContract.read.hasRole([cancellerRole, address]) as Promise<boolean>
+          ])
+        );
+        setAccess({ isProposer, isExecutor: isExecutor || openExecutor, isCanceller });
+      } else {
+        setAccess({ isProposer: false, isExecutor: false, isCanceller: false });
+      }
+      if (!withOperations) return;
+
+      const logs = await scanLogs(BigInt(deployment?.deployBlock ?? 0), await publicClient.getBlockNumber(), (fromBlock, toBlock) =>
+        retryWithDelay(async () => {
+          const [scheduled, salts] = await Promise.all([
+            publicClient.getContractEvents({ address: timelockContract.address, abi: timelockAbi, eventName: 'CallScheduled', fromBlock, toBlock }),
+            publicClient.getContractEvents({ address: timelockContract.address, abi: timelockAbi, eventName: 'CallSalt', fromBlock, toBlock })
+          ]);
+          return [...scheduled, ...salts];
+        })
+      );
+
+      // scheduleBatch 的每个调用一条 CallScheduled 事件，index 为调用的下标
+      const grouped = new Map<Hash, Omit<TimelockOperation, 'status' | 'readyAt' | 'description'>>();
+      const salts = new Map<Hash, Hash>();
+      for (const log of logs) {
+        if (log.eventName === 'CallSalt') {
+          salts.set(log.args.id as Hash, log.args.salt as Hash);
+          continue;
+        }
+        const { id, index, target, value, data, predecessor } = log.args as {
+          id: Hash; index: bigint; target: Address; value: bigint; data: Hex; predecessor: Hash;
+        };
+        if (!grouped.has(id)) grouped.set(id, { id, calls: [], predecessor, salt: zeroHash });
+        grouped.get(id)!.calls[Number(index)] = { target, value, data };
+      }
+
+      const list = await retryWithDelay(() =>
+        Promise.all(Array.from(grouped.values()).map(async (operation) => {
+          const [state, readyAt] = await Promise.all([
+            timelockContract.read.getOperationState([operation.id]) as Promise<number>,
+            timelockContract.read.getTimestamp([operation.id]) as Promise<bigint>
+          ]);
+          return {
+            ...operation,
+            salt: salts.get(operation.id) ?? zeroHash,
+            status: OperationStates[state],
+            readyAt,
+            description: operation.calls.map((call) => describeCall(call.data)).join('; ')
+          };
+        }))
+      );
+      // 最新排队的操作排在前面
+      setOperations(list.reverse());
+    } catch (error) {
+      console.error('Failed to fetch timelock:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [timelockContract, publicClient, deployment, address, withOperations]);
+
+  useEffect(() => {
+    fetchTimelock();
+  }, [fetchTimelock]);
+
+  return {
+    timelockAddress: timelockContract?.address,
+    minDelay,
+    ...access,
+    operations,
+    loading,
+    refresh: fetchTimelock
+  };
+};
+
+export default useTimelock;
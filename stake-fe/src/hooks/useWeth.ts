@@ -0,0 +1,38 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Address, zeroAddress } from 'viem';
+import { useStakeContract } from './useContract';
+import { retryWithDelay } from '../utils/retry';
+
+// ETH 池接受的 WETH 地址，没有配置时只能用原生 ETH 质押和提现
+const useWeth = () => {
+  const stakeContract = useStakeContract();
+  const [weth, setWeth] = useState<Address>();
+  const [loading, setLoading] = useState(false);
+
+  const fetchWeth = useCallback(async () => {
+    if (!stakeContract) return;
+    try {
+      setLoading(true);
+      const token = await retryWithDelay(() =>
+        stakeContract.read.weth() as Promise<Address>
+      );
+      setWeth(token === zeroAddress ? undefined : token);
+    } catch (error) {
+      console.error('Failed to fetch WETH address:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [stakeContract]);
+
+  useEffect(() => {
+    fetchWeth();
+  }, [fetchWeth]);
+
+  return {
+    weth,
+    loading,
+    refresh: fetchWeth
+  };
+};
+
+export default useWeth;
@@ -11,6 +11,9 @@ import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import Head from 'next/head';
 import Layout from '../components/Layout';
+import { PoolProvider } from '../context/PoolContext';
+import { StakeEventsProvider } from '../context/StakeEventsContext';
+import { TransactionProvider } from '../context/TransactionContext';
 
 const client = new QueryClient();
 
@@ -44,7 +47,13 @@ function MyApp({ Component, pageProps }: AppProps) {
                 bodyClassName="custom-toast-body"
                 progressClassName="custom-toast-progress"
               />
-              <Layout><Component {...pageProps} /></Layout>
+              <StakeEventsProvider>
+                <TransactionProvider>
+                  <PoolProvider>
+                    <Layout><Component {...pageProps} /></Layout>
+                  </PoolProvider>
+                </TransactionProvider>
+              </StakeEventsProvider>
             </RainbowKitProvider>
           </QueryClientProvider>
         </WagmiProvider>
@@ -0,0 +1,778 @@
+'use client'
+import { motion } from 'framer-motion';
+import { ReactNode, useState } from "react";
+import { useAccount, usePublicClient } from "wagmi";
+import { ConnectButton } from "@rainbow-me/rainbowkit";
+import { Abi, Address, encodeFunctionData, erc20Abi, formatUnits, isAddress, keccak256, parseEther, parseUnits, toHex, zeroAddress, zeroHash } from "viem";
+import { toast } from "react-toastify";
+import { FiClock, FiLock, FiPause, FiPlay, FiPlus, FiShield, FiUserMinus, FiUserPlus } from 'react-icons/fi';
+import { useStakeContract, useTimelockContract } from "../../hooks/useContract";
+import useRoles, { RoleInfo, RoleName, RoleNames } from "../../hooks/useRoles";
+import useTimelock, { TimelockOperation } from "../../hooks/useTimelock";
+import useStakeSettings, { StakeSettings } from "../../hooks/useStakeSettings";
+import useStakeClock from "../../hooks/useStakeClock";
+import { usePool } from "../../context/PoolContext";
+import { SendTxParams, useTransactions } from "../../context/TransactionContext";
+import { stakeAbi } from '../../assets/abis/stake';
+import { PreviewRow, formatMetaNode, previewEmissionRate, previewPoolWeight } from '../../utils/admin';
+import { unitsPerDay } from '../../utils/apr';
+import { formatDate, formatPeriod } from '../../utils/time';
+import { cn } from '../../utils/cn';
+import { Button } from '../../components/ui/Button';
+import { Input } from '../../components/ui/Input';
+import { Card } from '../../components/ui/Card';
+import { ConfirmDialog } from '../../components/ConfirmDialog';
+
+// 质押合约上的一次调用
+type StakeCall = { functionName: string; args?: readonly unknown[] };
+
+// 等待确认的管理交易：对话框中展示 rows，确认后发送 calls（多个时用 multicall）。
+// 当前钱包没有 role 而 timelock 有时，改为通过 timelock 排队；tx 用于 timelock 自身的执行和取消
+type PendingAction = {
+  title: string;
+  description?: string;
+  rows: PreviewRow[];
+  warning?: string;
+  role?: RoleName;
+  calls?: StakeCall[];
+  tx?: Omit<SendTxParams, 'label'>;
+};
+
+const RoleLabels: Record<RoleName, { label: string; description: string }> = {
+  DEFAULT_ADMIN_ROLE: { label: 'Default Admin', description: 'Grants and revokes every role' },
+  ADMIN_ROLE: { label: 'Admin', description: 'Manages pools, emission and pause switches' },
+  UPGRADE_ROLE: { label: 'Upgrader', description: 'Upgrades the contract implementation' }
+};
+
+const PauseSwitches = [
+  { key: 'paused', label: 'All operations', target: 'deposit, unstake, withdraw and claim', pause: 'pause', unpause: 'unpause' },
+  { key: 'withdrawPaused', label: 'Withdraw', target: 'unstake and withdraw', pause: 'pauseWithdraw', unpause: 'unpauseWithdraw' },
+  { key: 'claimPaused', label: 'Claim', target: 'claim and compound', pause: 'pauseClaim', unpause: 'unpauseClaim' }
+] as const;
+
+const shortAddress = (value: string) => `${value.slice(0, 6)}...${value.slice(-4)}`;
+
+const stakeCall = (functionName: string, args: readonly unknown[] = []): StakeCall => ({ functionName, args });
+
+const encodeCall = ({ functionName, args }: StakeCall) =>
+  encodeFunctionData({ abi: stakeAbi as Abi, functionName, args });
+
+const OperationColors: Record<TimelockOperation['status'], string> = {
+  waiting: 'text-yellow-400',
+  ready: 'text-green-400',
+  done: 'text-gray-500',
+  cancelled: 'text-gray-500'
+};
+
+const isPositiveInteger = (value: string) => /^\d+$/.test(value) && BigInt(value) > BigInt(0);
+
+const Admin = () => {
+  const stakeContract = useStakeContract();
+  const timelockContract = useTimelockContract();
+  const publicClient = usePublicClient();
+  const { address, isConnected } = useAccount();
+  const { send } = useTransactions();
+  const { pools, refreshPools } = usePool();
+  const { roles, myRoles, hasRole, canManage, loading: rolesLoading, refresh: refreshRoles } = useRoles();
+  const { settings, refresh: refreshSettings } = useStakeSettings();
+  const { timeBased, dateOf, durationOf } = useStakeClock();
+  const timelock = useTimelock();
+  const [pending, setPending] = useState<PendingAction>();
+  const [sending, setSending] = useState(false);
+
+  const [grantForm, setGrantForm] = useState<{ role: RoleName; account: string }>({ role: 'ADMIN_ROLE', account: '' });
+  const [addPoolForm, setAddPoolForm] = useState({ token: '', weight: '', minDeposit: '0', lockBlocks: '', withUpdate: true });
+  const [weightForm, setWeightForm] = useState({ pid: 0, weight: '', withUpdate: true });
+  const [poolForm, setPoolForm] = useState({ pid: 0, minDeposit: '', lockBlocks: '' });
+  const [rateForm, setRateForm] = useState({ rate: '', withUpdate: true });
+  const [windowForm, setWindowForm] = useState({ start: '', end: '' });
+
+  // 角色交给 timelock 之后，proposer 的操作改为排队
+  const timelockHolds = (name: RoleName) => {
+    const holder = timelock.timelockAddress?.toLowerCase();
+    return !!holder && !!roles.find((r) => r.name === name)?.members.some((member) => member.toLowerCase() === holder);
+  };
+  const queued = (name?: RoleName) => !!name && !hasRole(name) && timelock.isProposer && timelockHolds(name);
+  const canAct = (name: RoleName) => hasRole(name) || queued(name);
+  const adminRoleOf = (role: RoleInfo) => roles.find((r) => r.id === role.adminRole)?.name;
+  const manageable = (role: RoleInfo) => {
+    const adminRole = adminRoleOf(role);
+    return canManage(role) || (!!adminRole && queued(adminRole));
+  };
+  const isAdmin = canAct('ADMIN_ROLE');
+  const hasAccess = myRoles.length > 0 || timelock.isProposer || timelock.isExecutor;
+  const pendingQueued = !!pending && !pending.tx && queued(pending.role);
+  const unit = timeBased ? 'seconds' : 'blocks';
+  const perDay = unitsPerDay(timeBased);
+  const formatClock = (value: bigint) =>
+    timeBased ? formatDate(dateOf(value)) : `#${value.toString()} (~${formatDate(dateOf(value))})`;
+  const formatLock = (value: bigint) => `${value.toString()} ${unit} (${formatPeriod(durationOf(value))})`;
+
+  // 确认的管理交易对应的合约调用：timelock 的执行和取消、通过 timelock 排队，或者直接调用质押合约
+  const txOf = (action: PendingAction): Omit<SendTxParams, 'label'> | undefined => {
+    if (action.tx) return action.tx;
+    if (!stakeContract) return undefined;
+    const calls = action.calls ?? [];
+    if (queued(action.role)) {
+      if (!timelockContract) return undefined;
+      const payload = calls.length === 1 ? encodeCall(calls[0]) : encodeCall(stakeCall('multicall', [calls.map(encodeCall)]));
+      // 随机 salt，同样的调用可以重复排队
+      const salt = keccak256(toHex(`${Date.now()}-${Math.random()}`));
+      return {
+        contract: timelockContract,
+        functionName: 'schedule',
+        args: [stakeContract.address, BigInt(0), payload, zeroHash, salt, timelock.minDelay]
+      };
+    }
+    return calls.length === 1
+      ? { contract: stakeContract, ...calls[0] }
+      : { contract: stakeContract, functionName: 'multicall', args: [calls.map(encodeCall)] };
+  };
+
+  const handleConfirm = async () => {
+    const tx = pending && txOf(pending);
+    if (!pending || !tx) return;
+    try {
+      setSending(true);
+      await send({ label: pending.title, ...tx });
+      toast.success(`${pending.title} successful!`);
+      setPending(undefined);
+      refreshRoles();
+      refreshSettings();
+      refreshPools();
+      timelock.refresh();
+    } catch (error) {
+      // 失败原因已由 send 提示
+      console.log(error, 'admin-error');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  // ------------------------------ 角色 ------------------------------
+
+  const prepareGrant = () => {
+    if (!stakeContract) return;
+    const role = roles.find((r) => r.name === grantForm.role);
+    if (!role) return;
+    if (!isAddress(grantForm.account)) {
+      toast.error('Please enter a valid address');
+      return;
+    }
+    const account = grantForm.account as Address;
+    if (role.members.some((member) => member.toLowerCase() === account.toLowerCase())) {
+      toast.error(`${shortAddress(account)} already has ${RoleLabels[role.name].label}`);
+      return;
+    }
+    setPending({
+      title: `Grant ${RoleLabels[role.name].label}`,
+      description: RoleLabels[role.name].description,
+      rows: [
+        { label: 'Account', after: account },
+        { label: 'Members', before: role.members.length.toString(), after: (role.members.length + 1).toString() }
+      ],
+      warning: role.name === 'DEFAULT_ADMIN_ROLE' ? 'The account will be able to grant and revoke every role, including yours.' : undefined,
+      role: adminRoleOf(role),
+      calls: [stakeCall('grantRole', [role.id, account])]
+    });
+  };
+
+  const prepareRevoke = (role: RoleInfo, account: Address, renounce: boolean) => {
+    if (!stakeContract) return;
+    const label = RoleLabels[role.name].label;
+    const last = role.members.length === 1;
+    setPending({
+      title: `${renounce ? 'Renounce' : 'Revoke'} ${label}`,
+      description: RoleLabels[role.name].description,
+      rows: [
+        { label: 'Account', after: account },
+        { label: 'Members', before: role.members.length.toString(), after: (role.members.length - 1).toString() }
+      ],
+      warning: last
+        ? `This is the last ${label}. Nobody will hold the role afterwards${role.name === 'DEFAULT_ADMIN_ROLE' ? ' and roles can no longer be managed' : ''}.`
+        : renounce ? 'You cannot get the role back unless an admin grants it again.' : undefined,
+      // 放弃角色只能由持有者自己直接调用
+      role: renounce ? undefined : adminRoleOf(role),
+      calls: [stakeCall(renounce ? 'renounceRole' : 'revokeRole', [role.id, account])]
+    });
+  };
+
+  // ------------------------------ 资金池 ------------------------------
+
+  const weightedPools = pools.map(({ pid, symbol, poolWeight }) => ({ pid, symbol, poolWeight }));
+
+  const weightPreview = (current: StakeSettings, weight: bigint, pid?: number, symbol?: string) =>
+    previewPoolWeight({
+      pools: weightedPools,
+      totalPoolWeight: current.totalPoolWeight,
+      metaNodePerBlock: current.metaNodePerBlock,
+      unitsPerDay: perDay,
+      pid,
+      weight,
+      symbol
+    });
+
+  const withUpdateWarning = 'Pools are not settled first, so rewards accrued since their last update are distributed with the new weights.';
+
+  const prepareAddPool = async () => {
+    if (!stakeContract || !publicClient || !settings) return;
+    const isETH = pools.length === 0;
+    const token = (isETH ? zeroAddress : addPoolForm.token) as Address;
+    if (!isETH && (!isAddress(token) || token === zeroAddress)) {
+      toast.error('Please enter the staking token address');
+      return;
+    }
+    if (!/^\d+$/.test(addPoolForm.weight) || !isPositiveInteger(addPoolForm.lockBlocks)) {
+      toast.error(`Weight and unstake lock ${unit} must be positive integers`);
+      return;
+    }
+    if (pools.some((pool) => pool.stTokenAddress.toLowerCase() === token.toLowerCase())) {
+      toast.error('A pool for this token already exists');
+      return;
+    }
+    try {
+      const [symbol, decimals] = isETH
+        ? ['ETH', 18]
+        : await Promise.all([
+          publicClient.readContract({ address: token, abi: erc20Abi, functionName: 'symbol' }),
+          publicClient.readContract({ address: token, abi: erc20Abi, functionName: 'decimals' })
+        ]);
+      const weight = BigInt(addPoolForm.weight);
+      const minDeposit = parseUnits(addPoolForm.minDeposit || '0', decimals);
+      const lockBlocks = BigInt(addPoolForm.lockBlocks);
+      setPending({
+        title: `Add ${symbol} pool`,
+        description: `Pool #${pools.length} stakes ${isETH ? 'ETH' : token}`,
+        rows: [
+          ...weightPreview(settings, weight, undefined, symbol),
+          { label: 'Min deposit', after: `${addPoolForm.minDeposit || '0'} ${symbol}` },
+          { label: 'Unstake lock', after: formatLock(lockBlocks) }
+        ],
+        warning: addPoolForm.withUpdate ? undefined : withUpdateWarning,
+        role: 'ADMIN_ROLE',
+        calls: [stakeCall('addPool', [token, weight, minDeposit, lockBlocks, addPoolForm.withUpdate])]
+      });
+    } catch (error) {
+      toast.error('Unable to read the staking token');
+      console.log(error, 'add-pool-error');
+    }
+  };
+
+  const prepareSetWeight = () => {
+    if (!stakeContract || !settings) return;
+    const pool = pools.find((p) => p.pid === weightForm.pid);
+    if (!pool) return;
+    if (!isPositiveInteger(weightForm.weight)) {
+      toast.error('Weight must be a positive integer');
+      return;
+    }
+    const weight = BigInt(weightForm.weight);
+    setPending({
+      title: `Set #${pool.pid} ${pool.symbol} weight`,
+      rows: [
+        { label: 'Weight', before: pool.poolWeight.toString(), after: weight.toString() },
+        ...weightPreview(settings, weight, pool.pid)
+      ],
+      warning: weightForm.withUpdate ? undefined : withUpdateWarning,
+      role: 'ADMIN_ROLE',
+      calls: [stakeCall('setPoolWeight', [BigInt(pool.pid), weight, weightForm.withUpdate])]
+    });
+  };
+
+  const prepareUpdatePool = () => {
+    if (!stakeContract) return;
+    const pool = pools.find((p) => p.pid === poolForm.pid);
+    if (!pool) return;
+    let minDeposit: bigint;
+    try {
+      minDeposit = poolForm.minDeposit === '' ? pool.minDepositAmount : parseUnits(poolForm.minDeposit, pool.decimals);
+    } catch {
+      toast.error('Please enter a valid min deposit');
+      return;
+    }
+    if (poolForm.lockBlocks !== '' && !isPositiveInteger(poolForm.lockBlocks)) {
+      toast.error(`Unstake lock ${unit} must be a positive integer`);
+      return;
+    }
+    const lockBlocks = poolForm.lockBlocks === '' ? pool.unstakeLockedBlocks : BigInt(poolForm.lockBlocks);
+    setPending({
+      title: `Update #${pool.pid} ${pool.symbol} pool`,
+      rows: [
+        {
+          label: 'Min deposit',
+          before: `${formatUnits(pool.minDepositAmount, pool.decimals)} ${pool.symbol}`,
+          after: `${formatUnits(minDeposit, pool.decimals)} ${pool.symbol}`
+        },
+        { label: 'Unstake lock', before: formatLock(pool.unstakeLockedBlocks), after: formatLock(lockBlocks) }
+      ],
+      warning: lockBlocks !== pool.unstakeLockedBlocks ? 'The new lock only applies to unstake requests made afterwards.' : undefined,
+      role: 'ADMIN_ROLE',
+      calls: [stakeCall('updatePool', [BigInt(pool.pid), minDeposit, lockBlocks])]
+    });
+  };
+
+  // ------------------------------ 排放 ------------------------------
+
+  const prepareSetRate = () => {
+    if (!stakeContract || !settings) return;
+    let rate: bigint;
+    try {
+      rate = parseEther(rateForm.rate);
+    } catch {
+      rate = BigInt(0);
+    }
+    if (rate <= BigInt(0)) {
+      toast.error('Please enter a valid reward amount');
+      return;
+    }
+    const from = settings.clock > settings.startBlock ? settings.clock : settings.startBlock;
+    const remaining = settings.endBlock > from ? settings.endBlock - from : BigInt(0);
+    const setRate = stakeCall('setMetaNodePerBlock', [rate]);
+    setPending({
+      title: `Set reward per ${timeBased ? 'second' : 'block'}`,
+      description: 'Scheduled emission phases keep their own rates.',
+      rows: previewEmissionRate({ current: settings.metaNodePerBlock, next: rate, unitsPerDay: perDay, remaining }),
+      warning: rateForm.withUpdate ? undefined : 'Pools are not settled first, so rewards accrued since their last update are paid at the new rate.',
+      role: 'ADMIN_ROLE',
+      // 结算和修改速率放在同一笔 multicall 中
+      calls: rateForm.withUpdate ? [stakeCall('massUpdatePools'), setRate] : [setRate]
+    });
+  };
+
+  const prepareSetWindow = () => {
+    if (!stakeContract || !settings) return;
+    if ((windowForm.start !== '' && !/^\d+$/.test(windowForm.start)) || (windowForm.end !== '' && !/^\d+$/.test(windowForm.end))) {
+      toast.error(`Start and end must be ${timeBased ? 'timestamps' : 'block numbers'}`);
+      return;
+    }
+    if (windowForm.start === '' && windowForm.end === '') {
+      toast.error('Please enter a new start or end');
+      return;
+    }
+    const start = windowForm.start === '' ? settings.startBlock : BigInt(windowForm.start);
+    const end = windowForm.end === '' ? settings.endBlock : BigInt(windowForm.end);
+    if (start > end) {
+      toast.error('Start must be smaller than end');
+      return;
+    }
+    const setStart = stakeCall('setStartBlock', [start]);
+    const setEnd = stakeCall('setEndBlock', [end]);
+    // 与 stake:set-window 一致：新的开始晚于当前结束时先延后结束
+    const calls = windowForm.start === ''
+      ? [setEnd]
+      : windowForm.end === ''
+        ? [setStart]
+        : start > settings.endBlock ? [setEnd, setStart] : [setStart, setEnd];
+    setPending({
+      title: 'Set reward window',
+      rows: [
+        { label: 'Start', before: formatClock(settings.startBlock), after: formatClock(start) },
+        { label: 'End', before: formatClock(settings.endBlock), after: formatClock(end) },
+        {
+          label: 'Total emission at current rate',
+          before: formatMetaNode(settings.metaNodePerBlock * (settings.endBlock - settings.startBlock)),
+          after: formatMetaNode(settings.metaNodePerBlock * (end - start))
+        }
+      ],
+      warning: end <= settings.clock ? 'The new end is already reached, rewards stop immediately.' : undefined,
+      role: 'ADMIN_ROLE',
+      calls
+    });
+  };
+
+  // ------------------------------ 暂停 ------------------------------
+
+  const prepareToggle = (item: typeof PauseSwitches[number]) => {
+    if (!stakeContract || !settings) return;
+    const paused = settings[item.key];
+    setPending({
+      title: `${paused ? 'Resume' : 'Pause'} ${item.label.toLowerCase()}`,
+      rows: [{ label: item.label, before: paused ? 'Paused' : 'Active', after: paused ? 'Active' : 'Paused' }],
+      warning: paused ? undefined : `Users will not be able to ${item.target} until it is resumed.`,
+      role: 'ADMIN_ROLE',
+      calls: [stakeCall(paused ? item.unpause : item.pause)]
+    });
+  };
+
+  // ------------------------------ timelock ------------------------------
+
+  const formatTimestamp = (value: bigint) => formatDate(new Date(Number(value) * 1000));
+
+  const prepareExecute = (operation: TimelockOperation) => {
+    if (!timelockContract) return;
+    const { calls, predecessor, salt } = operation;
+    const value = calls.reduce((sum, call) => sum + call.value, BigInt(0));
+    setPending({
+      title: 'Execute queued change',
+      description: operation.description,
+      rows: [
+        { label: 'Operation', after: shortAddress(operation.id) },
+        { label: 'Ready since', after: formatTimestamp(operation.readyAt) }
+      ],
+      tx: calls.length === 1
+        ? { contract: timelockContract, functionName: 'execute', args: [calls[0].target, calls[0].value, calls[0].data, predecessor, salt], value }
+        : {
+          contract: timelockContract,
+          functionName: 'executeBatch',
+          args: [calls.map((call) => call.target), calls.map((call) => call.value), calls.map((call) => call.data), predecessor, salt],
+          value
+        }
+    });
+  };
+
+  const prepareCancel = (operation: TimelockOperation) => {
+    if (!timelockContract) return;
+    setPending({
+      title: 'Cancel queued change',
+      description: operation.description,
+      rows: [
+        { label: 'Operation', after: shortAddress(operation.id) },
+        { label: 'Status', before: operation.status, after: 'cancelled' }
+      ],
+      warning: 'The change has to be queued again and wait the full delay to be applied later.',
+      tx: { contract: timelockContract, functionName: 'cancel', args: [operation.id] }
+    });
+  };
+
+  const pendingOperations = timelock.operations.filter((op) => op.status === 'waiting' || op.status === 'ready');
+
+  if (!isConnected) {
+    return (
+      <div className="flex flex-col items-center justify-center py-24 space-y-4">
+        <FiShield className="w-12 h-12 text-primary-500" />
+        <p className="text-gray-400">Connect an admin wallet to manage the stake contract</p>
+        <ConnectButton />
+      </div>
+    );
+  }
+
+  if (!hasAccess) {
+    return (
+      <div className="flex flex-col items-center justify-center py-24 space-y-4">
+        <FiLock className="w-12 h-12 text-gray-500" />
+        <p className="text-gray-400">
+          {rolesLoading ? 'Checking roles...' : `${address ? shortAddress(address) : 'This wallet'} has no role on the stake contract`}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full max-w-5xl mx-auto space-y-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="text-center"
+      >
+        <h1 className="text-4xl font-bold bg-gradient-to-r from-primary-400 to-primary-600 bg-clip-text text-transparent mb-2">
+          Admin
+        </h1>
+        <p className="text-gray-400">
+          Your roles: {[
+            ...myRoles.map((name) => RoleLabels[name].label),
+            ...(timelock.isProposer ? ['Timelock Proposer'] : []),
+            ...(timelock.isExecutor ? ['Timelock Executor'] : [])
+          ].join(', ')}
+        </p>
+      </motion.div>
+
+      {/* Pending timelock changes */}
+      {timelock.timelockAddress && (
+        <Card>
+          <SectionTitle icon={<FiClock />} title="Pending changes" />
+          <p className="text-sm text-gray-500 mb-4">
+            Admin changes are queued in the timelock {shortAddress(timelock.timelockAddress)} and can be executed
+            {timelock.minDelay === undefined ? ' after the delay' : ` ${formatPeriod(Number(timelock.minDelay))} after queueing`}.
+          </p>
+          {pendingOperations.length === 0 && (
+            <p className="text-sm text-gray-500">{timelock.loading ? 'Loading...' : 'No pending changes'}</p>
+          )}
+          <div className="space-y-3">
+            {pendingOperations.map((operation) => (
+              <div key={operation.id} className="flex flex-col md:flex-row md:items-center justify-between gap-3 rounded-lg bg-gray-800/50 p-4">
+                <div className="min-w-0">
+                  <div className="font-mono text-sm text-gray-100 break-all">{operation.description}</div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    <span className={OperationColors[operation.status]}>{operation.status}</span>
+                    {' · '}ready at {formatTimestamp(operation.readyAt)}
+                  </div>
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  {timelock.isCanceller && (
+                    <Button variant="secondary" onClick={() => prepareCancel(operation)} className="px-4 py-2">Cancel</Button>
+                  )}
+                  {timelock.isExecutor && (
+                    <Button onClick={() => prepareExecute(operation)} disabled={operation.status !== 'ready'} className="px-4 py-2">
+                      Execute
+                    </Button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      {/* Roles */}
+      <Card>
+        <SectionTitle icon={<FiShield />} title="Roles" />
+        <div className="space-y-6">
+          {roles.map((role) => (
+            <div key={role.name}>
+              <div className="flex items-baseline justify-between mb-2">
+                <span className="font-medium text-gray-100">{RoleLabels[role.name].label}</span>
+                <span className="text-sm text-gray-500">{RoleLabels[role.name].description}</span>
+              </div>
+              {role.members.length === 0 && <p className="text-sm text-gray-500">No members</p>}
+              {role.members.map((member) => {
+                const self = member.toLowerCase() === address?.toLowerCase();
+                return (
+                  <div key={member} className="flex items-center justify-between py-1 text-sm">
+                    <span className={cn("font-mono", self ? "text-primary-400" : "text-gray-300")}>
+                      {member}{self && ' (you)'}
+                    </span>
+                    {self ? (
+                      <button
+                        onClick={() => prepareRevoke(role, member, true)}
+                        className="inline-flex items-center text-red-400 hover:text-red-300"
+                      >
+                        <FiUserMinus className="mr-1" />Renounce
+                      </button>
+                    ) : manageable(role) && (
+                      <button
+                        onClick={() => prepareRevoke(role, member, false)}
+                        className="inline-flex items-center text-red-400 hover:text-red-300"
+                      >
+                        <FiUserMinus className="mr-1" />Revoke
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+        {roles.some(manageable) && (
+          <div className="mt-6 flex flex-col md:flex-row gap-3 md:items-end">
+            <Field label="Role">
+              <select
+                className="input-field"
+                value={grantForm.role}
+                onChange={(e) => setGrantForm({ ...grantForm, role: e.target.value as RoleName })}
+              >
+                {RoleNames.filter((name) => roles.some((r) => r.name === name && manageable(r))).map((name) => (
+                  <option key={name} value={name}>{RoleLabels[name].label}</option>
+                ))}
+              </select>
+            </Field>
+            <Input
+              label="Account"
+              placeholder="0x..."
+              value={grantForm.account}
+              onChange={(e) => setGrantForm({ ...grantForm, account: e.target.value.trim() })}
+            />
+            <Button onClick={prepareGrant} className="md:w-48 shrink-0">
+              <FiUserPlus className="w-5 h-5" />
+              <span>Grant</span>
+            </Button>
+          </div>
+        )}
+      </Card>
+
+      {isAdmin && settings && (
+        <>
+          {/* Pools */}
+          <Card delay={0.1}>
+            <SectionTitle icon={<FiPlus />} title="Pools" />
+            <div className="overflow-x-auto mb-8">
+              <table className="w-full text-left text-sm">
+                <thead className="text-gray-500 border-b border-gray-700">
+                  <tr>
+                    <th className="py-2 pr-4">#</th>
+                    <th className="py-2 pr-4">Token</th>
+                    <th className="py-2 pr-4">Weight</th>
+                    <th className="py-2 pr-4">Min deposit</th>
+                    <th className="py-2">Unstake lock</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {pools.map((pool) => (
+                    <tr key={pool.pid} className="border-b border-gray-800 text-gray-300">
+                      <td className="py-2 pr-4 text-gray-500">{pool.pid}</td>
+                      <td className="py-2 pr-4">{pool.symbol}</td>
+                      <td className="py-2 pr-4">{pool.poolWeight.toString()}</td>
+                      <td className="py-2 pr-4">{formatUnits(pool.minDepositAmount, pool.decimals)}</td>
+                      <td className="py-2">{formatLock(pool.unstakeLockedBlocks)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+              <Form title="Add pool" action="Add pool" onSubmit={prepareAddPool}>
+                {pools.length > 0 && (
+                  <Input
+                    label="Staking token"
+                    placeholder="0x..."
+                    value={addPoolForm.token}
+                    onChange={(e) => setAddPoolForm({ ...addPoolForm, token: e.target.value.trim() })}
+                  />
+                )}
+                <Input label="Weight" value={addPoolForm.weight} onChange={(e) => setAddPoolForm({ ...addPoolForm, weight: e.target.value })} />
+                <Input label="Min deposit" value={addPoolForm.minDeposit} onChange={(e) => setAddPoolForm({ ...addPoolForm, minDeposit: e.target.value })} />
+                <Input label={`Unstake lock (${unit})`} value={addPoolForm.lockBlocks} onChange={(e) => setAddPoolForm({ ...addPoolForm, lockBlocks: e.target.value })} />
+                <Checkbox label="Settle all pools first" checked={addPoolForm.withUpdate} onChange={(withUpdate) => setAddPoolForm({ ...addPoolForm, withUpdate })} />
+              </Form>
+
+              <Form title="Pool weight" action="Set weight" onSubmit={prepareSetWeight}>
+                <PoolSelect pools={pools} value={weightForm.pid} onChange={(pid) => setWeightForm({ ...weightForm, pid })} />
+                <Input label="Weight" value={weightForm.weight} onChange={(e) => setWeightForm({ ...weightForm, weight: e.target.value })} />
+                <Checkbox label="Settle all pools first" checked={weightForm.withUpdate} onChange={(withUpdate) => setWeightForm({ ...weightForm, withUpdate })} />
+              </Form>
+
+              <Form title="Pool settings" action="Update pool" onSubmit={prepareUpdatePool}>
+                <PoolSelect pools={pools} value={poolForm.pid} onChange={(pid) => setPoolForm({ ...poolForm, pid })} />
+                <Input label="Min deposit" placeholder="Unchanged" value={poolForm.minDeposit} onChange={(e) => setPoolForm({ ...poolForm, minDeposit: e.target.value })} />
+                <Input label={`Unstake lock (${unit})`} placeholder="Unchanged" value={poolForm.lockBlocks} onChange={(e) => setPoolForm({ ...poolForm, lockBlocks: e.target.value })} />
+              </Form>
+            </div>
+          </Card>
+
+          {/* Emission */}
+          <Card delay={0.2}>
+            <SectionTitle icon={<FiPlay />} title="Emission" />
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8 text-sm">
+              <Stat label={`Reward per ${timeBased ? 'second' : 'block'}`} value={formatMetaNode(settings.metaNodePerBlock)} />
+              <Stat label="Start" value={formatClock(settings.startBlock)} />
+              <Stat label="End" value={formatClock(settings.endBlock)} />
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              <Form title="Reward rate" action="Set rate" onSubmit={prepareSetRate}>
+                <Input
+                  label={`MetaNode per ${timeBased ? 'second' : 'block'}`}
+                  value={rateForm.rate}
+                  onChange={(e) => setRateForm({ ...rateForm, rate: e.target.value })}
+                />
+                <Checkbox label="Settle all pools first" checked={rateForm.withUpdate} onChange={(withUpdate) => setRateForm({ ...rateForm, withUpdate })} />
+              </Form>
+              <Form title="Reward window" action="Set window" onSubmit={prepareSetWindow}>
+                <Input
+                  label={timeBased ? 'Start timestamp' : 'Start block'}
+                  placeholder={settings.startBlock.toString()}
+                  value={windowForm.start}
+                  onChange={(e) => setWindowForm({ ...windowForm, start: e.target.value })}
+                />
+                <Input
+                  label={timeBased ? 'End timestamp' : 'End block'}
+                  placeholder={settings.endBlock.toString()}
+                  value={windowForm.end}
+                  onChange={(e) => setWindowForm({ ...windowForm, end: e.target.value })}
+                />
+              </Form>
+            </div>
+          </Card>
+
+          {/* Pause switches */}
+          <Card delay={0.3}>
+            <SectionTitle icon={<FiPause />} title="Pause" />
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {PauseSwitches.map((item) => {
+                const paused = settings[item.key];
+                return (
+                  <div key={item.key} className="rounded-lg bg-gray-800/50 p-4 space-y-3">
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium text-gray-100">{item.label}</span>
+                      <span className={cn("text-sm", paused ? "text-red-400" : "text-green-400")}>
+                        {paused ? 'Paused' : 'Active'}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-500">Covers {item.target}</p>
+                    <Button variant={paused ? 'primary' : 'outline'} onClick={() => prepareToggle(item)} fullWidth>
+                      {paused ? <FiPlay className="w-4 h-4" /> : <FiPause className="w-4 h-4" />}
+                      <span>{paused ? 'Resume' : 'Pause'}</span>
+                    </Button>
+                  </div>
+                );
+              })}
+            </div>
+          </Card>
+        </>
+      )}
+
+      <ConfirmDialog
+        open={!!pending}
+        title={pendingQueued ? `Queue: ${pending?.title}` : pending?.title ?? ''}
+        description={pendingQueued
+          ? `${pending?.description ? `${pending.description} ` : ''}The change is queued in the timelock and can be executed ${formatPeriod(Number(timelock.minDelay ?? 0))} later.`
+          : pending?.description}
+        rows={pending?.rows ?? []}
+        warning={pending?.warning}
+        loading={sending}
+        onConfirm={handleConfirm}
+        onCancel={() => setPending(undefined)}
+      />
+    </div>
+  );
+};
+
+function SectionTitle({ icon, title }: { icon: ReactNode; title: string }) {
+  return (
+    <h2 className="flex items-center gap-2 text-xl font-semibold text-white mb-6">
+      <span className="text-primary-400">{icon}</span>
+      {title}
+    </h2>
+  );
+}
+
+function Form({ title, action, onSubmit, children }: { title: string; action: string; onSubmit: () => void; children: ReactNode }) {
+  return (
+    <div className="space-y-4">
+      <h3 className="font-medium text-gray-300">{title}</h3>
+      {children}
+      <Button onClick={onSubmit} fullWidth>{action}</Button>
+    </div>
+  );
+}
+
+function Field({ label, children }: { label: string; children: ReactNode }) {
+  return (
+    <div className="space-y-2 w-full">
+      <label className="block text-sm font-medium text-gray-400">{label}</label>
+      {children}
+    </div>
+  );
+}
+
+function PoolSelect({ pools, value, onChange }: { pools: { pid: number; symbol: string }[]; value: number; onChange: (pid: number) => void }) {
+  return (
+    <Field label="Pool">
+      <select className="input-field" value={value} onChange={(e) => onChange(Number(e.target.value))}>
+        {pools.map((pool) => (
+          <option key={pool.pid} value={pool.pid}>#{pool.pid} {pool.symbol}</option>
+        ))}
+      </select>
+    </Field>
+  );
+}
+
+function Checkbox({ label, checked, onChange }: { label: string; checked: boolean; onChange: (checked: boolean) => void }) {
+  return (
+    <label className="flex items-center justify-between text-sm text-gray-300">
+      <span>{label}</span>
+      <input type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} />
+    </label>
+  );
+}
+
+function Stat({ label, value }: { label: string; value: string }) {
+  return (
+    <div className="rounded-lg bg-gray-800/50 p-4">
+      <div className="text-gray-500 mb-1">{label}</div>
+      <div className="font-medium text-gray-100">{value}</div>
+    </div>
+  );
+}
+
+export default Admin;
@@ -2,47 +2,136 @@
 import { motion } from 'framer-motion';
 import { useStakeContract } from "../../hooks/useContract";
 import useRewards from "../../hooks/useRewards";
+import useCompound from "../../hooks/useCompound";
+import useRewardRecipient from "../../hooks/useRewardRecipient";
 import { useCallback, useState } from "react";
-import { Pid } from "../../utils";
-import { useAccount, useWalletClient } from "wagmi";
+import { usePool } from "../../context/PoolContext";
+import { useTransactions } from "../../context/TransactionContext";
+import { useAccount } from "wagmi";
 import { ConnectButton } from "@rainbow-me/rainbowkit";
-import { waitForTransactionReceipt } from "viem/actions";
+import { formatUnits, isAddress, isAddressEqual, zeroAddress } from "viem";
 import { toast } from "react-toastify";
-import { FiGift, FiInfo, FiTrendingUp, FiClock, FiZap } from 'react-icons/fi';
+import { FiGift, FiInfo, FiTrendingUp, FiClock, FiZap, FiAlertTriangle, FiRepeat, FiSend } from 'react-icons/fi';
 import { cn } from '../../utils/cn';
 import { Button } from '../../components/ui/Button';
 import { Card } from '../../components/ui/Card';
+import { Input } from '../../components/ui/Input';
 
 const Claim = () => {
   const stakeContract = useStakeContract();
   const { address, isConnected } = useAccount();
-  const { rewardsData, canClaim, refresh } = useRewards();
+  const { rewardsData, canClaim, canClaimAll, refresh } = useRewards();
   const [claimLoading, setClaimLoading] = useState(false);
-  const { data } = useWalletClient();
+  const [claimAllLoading, setClaimAllLoading] = useState(false);
+  const { compoundPid, preview, autoCompound, canCompound, refresh: refreshCompound } = useCompound();
+  const [compoundLoading, setCompoundLoading] = useState(false);
+  const [autoLoading, setAutoLoading] = useState(false);
+  const { recipient, payee, refresh: refreshRecipient } = useRewardRecipient();
+  const [recipientInput, setRecipientInput] = useState('');
+  const [recipientLoading, setRecipientLoading] = useState(false);
+  const { send } = useTransactions();
+  const { pid, pool } = usePool();
+  const symbol = pool?.symbol ?? 'ETH';
 
   const handleClaim = useCallback(async () => {
-    if (!stakeContract || !data) return;
-    
+    if (!stakeContract) return;
+
     try {
       setClaimLoading(true);
-      const tx = await stakeContract.write.claim([Pid]);
-      console.log(tx, '===tx===');
-      
-      const res = await waitForTransactionReceipt(data, { hash: tx });
-      
-      if (res.status === 'success') {
-        toast.success('Claim successful!');
-        setClaimLoading(false);
-        refresh(); // 刷新数据
-        return;
-      }
-      toast.error('Claim failed!');
+      await send({ label: `Claim ${symbol} pool rewards`, contract: stakeContract, functionName: 'claim', args: [pid] });
+      toast.success('Claim successful!');
+      refresh(); // 刷新数据
+      refreshCompound();
     } catch (error) {
-      setClaimLoading(false);
-      toast.error('Transaction failed. Please try again.');
+      // 失败原因已由 send 提示
       console.log(error, 'claim-error');
+    } finally {
+      setClaimLoading(false);
     }
-  }, [stakeContract, data, refresh]);
+  }, [stakeContract, send, refresh, refreshCompound, pid, symbol]);
+
+  // 一笔交易领取所有池的奖励
+  const handleClaimAll = useCallback(async () => {
+    if (!stakeContract) return;
+
+    try {
+      setClaimAllLoading(true);
+      await send({ label: 'Claim rewards from all pools', contract: stakeContract, functionName: 'claimAll' });
+      toast.success('Claimed rewards from all pools!');
+      refresh();
+      refreshCompound();
+    } catch (error) {
+      console.log(error, 'claim-all-error');
+    } finally {
+      setClaimAllLoading(false);
+    }
+  }, [stakeContract, send, refresh, refreshCompound]);
+
+  // 领取奖励并直接质押到 MetaNode 池
+  const handleCompound = useCallback(async () => {
+    if (!stakeContract) return;
+
+    try {
+      setCompoundLoading(true);
+      await send({ label: `Compound ${symbol} pool rewards`, contract: stakeContract, functionName: 'compound', args: [pid] });
+      toast.success('Compound successful!');
+      refresh();
+      refreshCompound();
+    } catch (error) {
+      console.log(error, 'compound-error');
+    } finally {
+      setCompoundLoading(false);
+    }
+  }, [stakeContract, send, refresh, refreshCompound, pid, symbol]);
+
+  // 开启后 keeper 会定期为用户复投
+  const handleAutoCompound = useCallback(async () => {
+    if (!stakeContract) return;
+
+    try {
+      setAutoLoading(true);
+      await send({
+        label: autoCompound ? 'Disable auto-compound' : 'Enable auto-compound',
+        contract: stakeContract,
+        functionName: 'setAutoCompound',
+        args: [!autoCompound]
+      });
+      toast.success(autoCompound ? 'Auto-compound disabled' : 'Auto-compound enabled');
+      refreshCompound();
+    } catch (error) {
+      console.log(error, 'auto-compound-error');
+    } finally {
+      setAutoLoading(false);
+    }
+  }, [stakeContract, send, autoCompound, refreshCompound]);
+
+  // 设置选中池子的奖励接收地址，零地址恢复发给自己
+  const handleSetRecipient = useCallback(async (next: `0x${string}`) => {
+    if (!stakeContract) return;
+
+    try {
+      setRecipientLoading(true);
+      await send({
+        label: next === zeroAddress ? `Reset ${symbol} reward recipient` : `Set ${symbol} reward recipient`,
+        contract: stakeContract,
+        functionName: 'setRewardRecipient',
+        args: [pid, next]
+      });
+      toast.success(next === zeroAddress ? 'Rewards will be sent to your wallet' : 'Reward recipient updated');
+      setRecipientInput('');
+      refreshRecipient();
+    } catch (error) {
+      console.log(error, 'set-recipient-error');
+    } finally {
+      setRecipientLoading(false);
+    }
+  }, [stakeContract, send, pid, symbol, refreshRecipient]);
+
+  const recipientError = recipientInput && !isAddress(recipientInput) ? 'Invalid address' : undefined;
+  // 填自己的地址等同于清除设置
+  const recipientTarget = isAddress(recipientInput)
+    ? (address && isAddressEqual(recipientInput, address) ? zeroAddress : recipientInput)
+    : undefined;
 
 
 
@@ -91,6 +180,24 @@ const Claim = () => {
               </div>
             </div>
 
+            {/* Unpaid Rewards (IOU) */}
+            {parseFloat(rewardsData.unpaidReward) > 0 && (
+              <div className="bg-yellow-500/10 border border-yellow-500/20 rounded-xl p-6">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center space-x-3">
+                    <FiAlertTriangle className="w-6 h-6 text-yellow-400" />
+                    <span className="text-gray-300 font-medium">Unpaid Rewards</span>
+                  </div>
+                  <span className="text-2xl font-bold text-yellow-400">
+                    {parseFloat(rewardsData.unpaidReward).toFixed(4)} MetaNode
+                  </span>
+                </div>
+                <p className="text-xs text-yellow-300/80 mt-3">
+                  The reward pool ran short on a previous claim. The remainder is owed to you and paid on your next claim.
+                </p>
+              </div>
+            )}
+
             {/* Staked Amount */}
             <div className="bg-blue-500/10 border border-blue-500/20 rounded-xl p-6">
               <div className="flex items-center justify-between">
@@ -99,7 +206,7 @@ const Claim = () => {
                   <span className="text-gray-300 font-medium">Staked Amount</span>
                 </div>
                 <span className="text-2xl font-bold text-blue-400">
-                  {parseFloat(rewardsData.stakedAmount).toFixed(4)} ETH
+                  {parseFloat(rewardsData.stakedAmount).toFixed(4)} {symbol}
                 </span>
               </div>
             </div>
@@ -133,8 +240,11 @@ const Claim = () => {
                   <ul className="space-y-1 text-xs">
                     <li>• Rewards accumulate continuously while you stake</li>
                     <li>• You can claim rewards anytime</li>
-                    <li>• Claimed rewards are sent to your wallet</li>
+                    <li>• {recipient ? 'Claimed rewards are sent to the recipient below' : 'Claimed rewards are sent to your wallet'}</li>
                     <li>• No minimum claim amount required</li>
+                    {compoundPid !== undefined && (
+                      <li>• Compound stakes your rewards into the MetaNode pool instead</li>
+                    )}
                   </ul>
                 </div>
               </div>
@@ -167,6 +277,81 @@ const Claim = () => {
               </div>
             </div>
 
+            {/* Reward Recipient */}
+            {isConnected && (
+              <div className="bg-gray-500/10 border border-gray-500/20 rounded-xl p-6 space-y-4">
+                <div className="flex items-center space-x-3">
+                  <FiSend className="w-5 h-5 text-green-400" />
+                  <span className="text-gray-300 font-medium">Reward Recipient</span>
+                </div>
+                <div className="flex items-center justify-between text-sm">
+                  <span className="text-gray-400">Claims from this pool go to</span>
+                  <span className="text-green-400 font-medium font-mono">
+                    {payee ? `${payee.slice(0, 6)}...${payee.slice(-4)}` : '-'}
+                    {!recipient && <span className="text-gray-400 font-sans"> (your wallet)</span>}
+                  </span>
+                </div>
+                <Input
+                  placeholder="0x... new recipient"
+                  value={recipientInput}
+                  onChange={(e) => setRecipientInput(e.target.value.trim())}
+                  error={recipientError}
+                  helperText="Unpaid rewards (IOUs) stay owed to you, not to the recipient"
+                />
+                <div className="flex gap-4">
+                  <Button
+                    onClick={() => recipientTarget && handleSetRecipient(recipientTarget)}
+                    disabled={recipientLoading || !recipientTarget}
+                    loading={recipientLoading}
+                    fullWidth
+                  >
+                    Set Recipient
+                  </Button>
+                  {recipient && (
+                    <Button
+                      onClick={() => handleSetRecipient(zeroAddress)}
+                      disabled={recipientLoading}
+                      variant="outline"
+                      fullWidth
+                    >
+                      Reset to My Wallet
+                    </Button>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Compound Preview */}
+            {isConnected && compoundPid !== undefined && preview && (
+              <div className="bg-primary-500/10 border border-primary-500/20 rounded-xl p-6 space-y-3">
+                <div className="flex items-center space-x-3">
+                  <FiRepeat className="w-5 h-5 text-primary-400" />
+                  <span className="text-gray-300 font-medium">Compound Preview</span>
+                </div>
+                <div className="flex items-center justify-between text-sm">
+                  <span className="text-gray-400">Rewards to stake</span>
+                  <span className="text-primary-400 font-medium">
+                    {parseFloat(formatUnits(preview.reward, 18)).toFixed(4)} MetaNode
+                  </span>
+                </div>
+                <div className="flex items-center justify-between text-sm">
+                  <span className="text-gray-400">MetaNode pool stake</span>
+                  <span className="text-primary-400 font-medium">
+                    {parseFloat(formatUnits(preview.stakeBefore, 18)).toFixed(4)} → {parseFloat(formatUnits(preview.stakeAfter, 18)).toFixed(4)} MetaNode
+                  </span>
+                </div>
+                <label className="flex items-center justify-between text-sm text-gray-300 pt-2">
+                  <span>Auto-compound by keeper</span>
+                  <input
+                    type="checkbox"
+                    checked={autoCompound}
+                    disabled={autoLoading}
+                    onChange={handleAutoCompound}
+                  />
+                </label>
+              </div>
+            )}
+
             {/* Claim Button */}
             <div className="pt-4">
               {!isConnected ? (
@@ -176,25 +361,53 @@ const Claim = () => {
                   </div>
                 </div>
               ) : (
-                <Button
-                  onClick={handleClaim}
-                  disabled={claimLoading || !canClaim}
-                  loading={claimLoading}
-                  fullWidth
-                  className="py-4 text-lg bg-gradient-to-r from-green-500 to-green-600 hover:from-green-600 hover:to-green-700"
-                >
-                  <FiGift className="w-6 h-6" />
-                  <span>
-                    {claimLoading ? 'Processing...' : canClaim ? 'Claim Rewards' : 'No Rewards'}
-                  </span>
-                </Button>
+                <div className="flex flex-col sm:flex-row gap-4">
+                  <Button
+                    onClick={handleClaim}
+                    disabled={claimLoading || compoundLoading || !canClaim}
+                    loading={claimLoading}
+                    fullWidth
+                    className="py-4 text-lg bg-gradient-to-r from-green-500 to-green-600 hover:from-green-600 hover:to-green-700"
+                  >
+                    <FiGift className="w-6 h-6" />
+                    <span>
+                      {claimLoading ? 'Processing...' : canClaim ? 'Claim Rewards' : 'No Rewards'}
+                    </span>
+                  </Button>
+                  {canClaimAll && (
+                    <Button
+                      onClick={handleClaimAll}
+                      disabled={claimLoading || claimAllLoading || compoundLoading}
+                      loading={claimAllLoading}
+                      fullWidth
+                      className="py-4 text-lg bg-gradient-to-r from-green-500 to-green-600 hover:from-green-600 hover:to-green-700"
+                    >
+                      <FiGift className="w-6 h-6" />
+                      <span>
+                        {claimAllLoading ? 'Processing...' : `Claim All (${parseFloat(rewardsData.totalPendingReward).toFixed(2)})`}
+                      </span>
+                    </Button>
+                  )}
+                  {compoundPid !== undefined && (
+                    <Button
+                      onClick={handleCompound}
+                      disabled={claimLoading || compoundLoading || !canCompound}
+                      loading={compoundLoading}
+                      fullWidth
+                      className="py-4 text-lg"
+                    >
+                      <FiRepeat className="w-6 h-6" />
+                      <span>{compoundLoading ? 'Processing...' : 'Compound'}</span>
+                    </Button>
+                  )}
+                </div>
               )}
             </div>
 
             {/* Additional Info */}
             {!canClaim && isConnected && (
               <div className="text-center text-gray-400 text-sm">
-                <p>Start staking ETH to earn MetaNode rewards!</p>
+                <p>Start staking {symbol} to earn MetaNode rewards!</p>
               </div>
             )}
           </div>
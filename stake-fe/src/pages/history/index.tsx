@@ -0,0 +1,164 @@
+'use client'
+import { motion } from 'framer-motion';
+import { useState } from 'react';
+import { useAccount } from 'wagmi';
+import { formatUnits } from 'viem';
+import { ConnectButton } from '@rainbow-me/rainbowkit';
+import { FiClock, FiExternalLink, FiRefreshCw } from 'react-icons/fi';
+import useHistory, { HistoryEvent } from '../../hooks/useHistory';
+import { usePool } from '../../context/PoolContext';
+import { Card } from '../../components/ui/Card';
+import { Button } from '../../components/ui/Button';
+import { cn } from '../../utils/cn';
+
+const EventLabels: Record<HistoryEvent['event'], string> = {
+  Deposit: 'Stake',
+  RequestUnstake: 'Unstake',
+  CancelUnstake: 'Cancel Unstake',
+  Withdraw: 'Withdraw',
+  Claim: 'Claim',
+  Compound: 'Compound',
+  EmergencyWithdraw: 'Emergency Withdraw',
+  TransferStake: 'Transfer',
+  Lock: 'Lock',
+  ReleaseLock: 'Release Lock',
+  UpdatePool: 'Update Pool',
+  SetPoolWeight: 'Set Weight'
+};
+
+const EventColors: Record<HistoryEvent['event'], string> = {
+  Deposit: 'text-primary-400',
+  RequestUnstake: 'text-yellow-400',
+  CancelUnstake: 'text-primary-400',
+  Withdraw: 'text-blue-400',
+  Claim: 'text-green-400',
+  Compound: 'text-green-400',
+  EmergencyWithdraw: 'text-red-400',
+  TransferStake: 'text-blue-400',
+  Lock: 'text-yellow-400',
+  ReleaseLock: 'text-primary-400',
+  UpdatePool: 'text-gray-400',
+  SetPoolWeight: 'text-gray-400'
+};
+
+const History = () => {
+  const { isConnected, chain } = useAccount();
+  const { pid, pools } = usePool();
+  const [allPools, setAllPools] = useState(false);
+  const { events, loading, error, refresh } = useHistory(allPools ? undefined : pid);
+  const explorer = chain?.blockExplorers?.default.url;
+
+  // 奖励以MetaNode发放，其余金额使用对应池代币的精度
+  const formatAmount = (event: HistoryEvent) => {
+    const pool = pools.find((p) => p.pid === Number(event.args.poolId));
+    if (event.event === 'Claim') {
+      return `${parseFloat(formatUnits(BigInt(event.args.MetaNodeReward), 18)).toFixed(4)} MetaNode`;
+    }
+    if (event.event === 'Compound') {
+      return `${parseFloat(formatUnits(BigInt(event.args.amount), 18)).toFixed(4)} MetaNode`;
+    }
+    return `${parseFloat(formatUnits(BigInt(event.args.amount), pool?.decimals ?? 18)).toFixed(4)} ${pool?.symbol ?? ''}`;
+  };
+
+  return (
+    <div className="w-full max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="text-center mb-12"
+      >
+        <h1 className="text-4xl font-bold bg-gradient-to-r from-primary-400 to-primary-600 bg-clip-text text-transparent mb-4">
+          History
+        </h1>
+        <p className="text-gray-400 text-xl">
+          Your past stakes, unstakes, withdrawals and claims
+        </p>
+      </motion.div>
+
+      <Card className="p-6 sm:p-8 bg-gradient-to-br from-gray-800/80 to-gray-900/80 shadow-2xl border-primary-500/20 border-[1.5px] rounded-2xl">
+        {!isConnected ? (
+          <div className="flex justify-center py-8">
+            <div className="glow">
+              <ConnectButton />
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
+              <label className="flex items-center space-x-2 text-gray-300 text-sm">
+                <input
+                  type="checkbox"
+                  checked={allPools}
+                  onChange={(e) => setAllPools(e.target.checked)}
+                />
+                <span>Show all pools</span>
+              </label>
+              <Button variant="secondary" onClick={refresh} loading={loading}>
+                <FiRefreshCw className="w-4 h-4" />
+                <span>Refresh</span>
+              </Button>
+            </div>
+
+            {error && (
+              <div className="text-center text-red-400 text-sm">{error}</div>
+            )}
+
+            {!error && events.length === 0 ? (
+              <div className="text-center text-gray-400 py-8">
+                <FiClock className="w-12 h-12 mx-auto mb-4 text-gray-500" />
+                <p>{loading ? 'Loading history...' : 'No history yet'}</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-left text-sm">
+                  <thead className="text-gray-400 border-b border-gray-700">
+                    <tr>
+                      <th className="py-3 pr-4">Action</th>
+                      <th className="py-3 pr-4">Pool</th>
+                      <th className="py-3 pr-4">Amount</th>
+                      <th className="py-3 pr-4">Time</th>
+                      <th className="py-3">Tx</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {events.map((event) => (
+                      <tr key={`${event.transactionHash}-${event.logIndex}`} className="border-b border-gray-800 text-gray-300">
+                        <td className={cn("py-3 pr-4 font-medium", EventColors[event.event])}>
+                          {EventLabels[event.event]}
+                        </td>
+                        <td className="py-3 pr-4">#{event.args.poolId}</td>
+                        <td className="py-3 pr-4">{formatAmount(event)}</td>
+                        <td className="py-3 pr-4">
+                          {new Date(event.timestamp * 1000).toLocaleString()}
+                          <span className="block text-xs text-gray-500">Block {event.blockNumber}</span>
+                        </td>
+                        <td className="py-3">
+                          {explorer ? (
+                            <a
+                              href={`${explorer}/tx/${event.transactionHash}`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="inline-flex items-center text-primary-400 hover:text-primary-300"
+                            >
+                              {event.transactionHash.slice(0, 10)}...
+                              <FiExternalLink className="ml-1 w-3 h-3" />
+                            </a>
+                          ) : (
+                            <span>{event.transactionHash.slice(0, 10)}...</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default History;
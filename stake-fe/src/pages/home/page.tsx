@@ -1,19 +1,31 @@
 'use client'
 import { motion } from 'framer-motion';
-import { useStakeContract } from "../../hooks/useContract";
+import { useErc20Contract, useStakeContract } from "../../hooks/useContract";
 import useRewards from "../../hooks/useRewards";
-import { useCallback, useState } from "react";
-import { Pid } from "../../utils";
+import usePoolApr from "../../hooks/usePoolApr";
+import useStakeClock from "../../hooks/useStakeClock";
+import useLock from "../../hooks/useLock";
+import useWeth from "../../hooks/useWeth";
+import { useCallback, useMemo, useState } from "react";
+import { ETH_PID } from "../../utils";
+import { usePool } from "../../context/PoolContext";
+import { useTransactions } from "../../context/TransactionContext";
 import { useAccount, useWalletClient, useBalance } from "wagmi";
-import { parseUnits } from "viem";
+import { formatUnits, parseUnits } from "viem";
 import { ConnectButton } from "@rainbow-me/rainbowkit";
 import { toast } from "react-toastify";
-import { waitForTransactionReceipt } from "viem/actions";
 import { FiArrowDown, FiInfo, FiZap, FiTrendingUp, FiGift } from 'react-icons/fi';
 import { cn } from '../../utils/cn';
+import { formatDate, formatPeriod } from '../../utils/time';
+import { BoostBase, formatMultiplier, projectBoost } from '../../utils/boost';
+import { signPermit } from '../../utils/permit';
+import { aprToApy, boostApr } from '../../utils/apr';
 import { Button } from '../../components/ui/Button';
 import { Input } from '../../components/ui/Input';
 import { Card } from '../../components/ui/Card';
+import { RewardsCalculator } from '../../components/RewardsCalculator';
+
+const formatPercent = (value?: number) => value === undefined ? '--' : `${(value * 100).toFixed(2)}%`;
 
 const Home = () => {
   const stakeContract = useStakeContract();
@@ -23,8 +35,47 @@ const Home = () => {
   const [loading, setLoading] = useState(false);
   const [claimLoading, setClaimLoading] = useState(false);
   const { data } = useWalletClient();
+  const { send } = useTransactions();
+  const { pid, pool } = usePool();
+  const isETH = pool ? pool.isETH : pid === ETH_PID;
+  const symbol = pool?.symbol ?? 'ETH';
+  const decimals = pool?.decimals ?? 18;
+  const tokenContract = useErc20Contract(isETH ? undefined : pool?.stTokenAddress);
+  // ETH 池配置了 WETH 时可以直接质押 WETH，合约解包后与原生 ETH 一样记账
+  const { weth } = useWeth();
+  const [payWithWeth, setPayWithWeth] = useState(false);
+  const wrapped = isETH && !!weth && payWithWeth;
+  const wethContract = useErc20Contract(wrapped ? weth : undefined);
+  const inputSymbol = wrapped ? 'WETH' : symbol;
+  const { emission, schedule, apr: baseApr, prices } = usePoolApr();
+  const { dateOf, durationOf, reached } = useStakeClock();
+  const { tiers, lock, boostedBalance, boostedSupply, refresh: refreshLock } = useLock();
+  // 选中的锁仓档位，undefined 表示不锁仓
+  const [tierId, setTierId] = useState<number>();
+  const activeLock = lock && !reached(lock.unlockBlock) ? lock : undefined;
+  const selectedTier = tierId === undefined ? undefined : tiers[tierId];
+  // 选择锁仓档位时按锁仓倍数展示年化收益
+  const apr = boostApr(baseApr, selectedTier?.multiplier);
+  const apy = apr === undefined ? undefined : aprToApy(apr);
+  const projected = useMemo(() => {
+    let value = BigInt(0);
+    try {
+      value = amount && parseFloat(amount) > 0 ? parseUnits(amount, decimals) : BigInt(0);
+    } catch {
+      // 输入还不是合法数字时不预估
+    }
+    return projectBoost({
+      amount: value,
+      multiplier: selectedTier?.multiplier,
+      lockAmount: activeLock?.amount ?? BigInt(0),
+      lockMultiplier: activeLock?.multiplier ?? BoostBase,
+      boostedBalance,
+      boostedSupply
+    });
+  }, [amount, decimals, selectedTier, activeLock, boostedBalance, boostedSupply]);
   const { data: balance } = useBalance({
     address: address,
+    token: isETH ? (wrapped ? weth : undefined) : pool?.stTokenAddress,
     query: {
       enabled: isConnected,
       refetchInterval: 10000,
@@ -46,43 +97,69 @@ const Home = () => {
 
     try {
       setLoading(true);
-      const tx = await stakeContract.write.depositETH([], { value: parseUnits(amount, 18) });
-      const res = await waitForTransactionReceipt(data, { hash: tx });
-      console.log({ res })
-      if (res.status === 'success') {
-        toast.success('Stake successful!');
-        setAmount('');
-        setLoading(false);
-        refresh(); // 刷新奖励数据
-        return
+      const value = parseUnits(amount, decimals);
+      const label = `Stake ${amount} ${inputSymbol}${tierId === undefined ? '' : ' locked'}`;
+      if (wrapped) {
+        if (!wethContract || !address) return;
+        // depositWETH 没有锁仓版本，WETH 只能不锁仓质押
+        const allowance = await wethContract.read.allowance([address, stakeContract.address]) as bigint;
+        if (allowance < value) {
+          await send({ label: 'Approve WETH', contract: wethContract, functionName: 'approve', args: [stakeContract.address, value] });
+          toast.info('WETH approved, depositing...');
+        }
+        await send({ label, contract: stakeContract, functionName: 'depositWETH', args: [value] });
+      } else if (isETH) {
+        await send(tierId === undefined
+          ? { label, contract: stakeContract, functionName: 'depositETH', value }
+          : { label, contract: stakeContract, functionName: 'depositETHLocked', args: [BigInt(tierId)], value });
+      } else {
+        if (!tokenContract || !address) return;
+        // ERC20池需要先授权质押合约转移代币，支持 permit 的代币用签名代替 approve 交易
+        const allowance = await tokenContract.read.allowance([address, stakeContract.address]) as bigint;
+        const permit = allowance < value && tierId === undefined
+          ? await signPermit(data, { token: tokenContract.address, owner: address, spender: stakeContract.address, value })
+          : undefined;
+        if (permit) {
+          await send({
+            label,
+            contract: stakeContract,
+            functionName: 'depositWithPermit',
+            args: [pid, value, permit.deadline, permit.v, permit.r, permit.s]
+          });
+        } else {
+          if (allowance < value) {
+            await send({ label: `Approve ${symbol}`, contract: tokenContract, functionName: 'approve', args: [stakeContract.address, value] });
+            toast.info(`${symbol} approved, depositing...`);
+          }
+          await send(tierId === undefined
+            ? { label, contract: stakeContract, functionName: 'deposit', args: [pid, value] }
+            : { label, contract: stakeContract, functionName: 'depositLocked', args: [pid, value, BigInt(tierId)] });
+        }
       }
-      toast.error('Stake failed!')
+      toast.success('Stake successful!');
+      setAmount('');
+      refresh(); // 刷新奖励数据
+      refreshLock();
     } catch (error) {
-      setLoading(false);
-      toast.error('Transaction failed. Please try again.');
+      // 失败原因已由 send 提示
       console.log(error, 'stake-error');
+    } finally {
+      setLoading(false);
     }
   };
 
   const handleClaim = async () => {
-    if (!stakeContract || !data) return;
-    
+    if (!stakeContract) return;
+
     try {
       setClaimLoading(true);
-      const tx = await stakeContract.write.claim([Pid]);
-      const res = await waitForTransactionReceipt(data, { hash: tx });
-      
-      if (res.status === 'success') {
-        toast.success('Claim successful!');
-        setClaimLoading(false);
-        refresh(); // 刷新奖励数据
-        return;
-      }
-      toast.error('Claim failed!');
+      await send({ label: `Claim ${symbol} pool rewards`, contract: stakeContract, functionName: 'claim', args: [pid] });
+      toast.success('Claim successful!');
+      refresh(); // 刷新奖励数据
     } catch (error) {
-      setClaimLoading(false);
-      toast.error('Transaction failed. Please try again.');
       console.log(error, 'claim-error');
+    } finally {
+      setClaimLoading(false);
     }
   };
 
@@ -108,7 +185,7 @@ const Home = () => {
           MetaNode Stake
         </h1>
         <p className="text-gray-400 text-xl">
-          Stake ETH to earn tokens
+          Stake {symbol} to earn tokens
         </p>
       </motion.div>
 
@@ -124,11 +201,34 @@ const Home = () => {
               <div className="flex flex-col justify-center flex-1 min-w-0 items-center sm:items-start">
                 <span className="text-gray-400 text-base sm:text-lg mb-1">Staked Amount</span>
                 <span className="text-3xl sm:text-5xl font-bold bg-gradient-to-r from-primary-400 to-primary-600 bg-clip-text text-transparent leading-tight break-all">
-                  {parseFloat(poolData.stTokenAmount || '0').toFixed(4)} ETH
+                  {parseFloat(poolData.stTokenAmount || '0').toFixed(4)} {symbol}
                 </span>
               </div>
             </div>
 
+            {/* APR / APY */}
+            <div className="grid grid-cols-3 gap-2 sm:gap-4">
+              <div className="bg-gray-800/70 rounded-xl p-3 sm:p-4 border border-gray-700/50 text-center">
+                <div className="text-xs sm:text-sm text-gray-400 mb-1">APR</div>
+                <div className="text-lg sm:text-xl font-semibold text-primary-400">{formatPercent(apr)}</div>
+              </div>
+              <div className="bg-gray-800/70 rounded-xl p-3 sm:p-4 border border-gray-700/50 text-center">
+                <div className="text-xs sm:text-sm text-gray-400 mb-1">APY</div>
+                <div className="text-lg sm:text-xl font-semibold text-primary-400">{formatPercent(apy)}</div>
+              </div>
+              <div className="bg-gray-800/70 rounded-xl p-3 sm:p-4 border border-gray-700/50 text-center">
+                <div className="text-xs sm:text-sm text-gray-400 mb-1">MetaNode / Day</div>
+                <div className="text-lg sm:text-xl font-semibold text-green-400">
+                  {emission ? parseFloat(formatUnits(emission.perDay, 18)).toFixed(2) : '--'}
+                </div>
+              </div>
+            </div>
+            {schedule && (
+              <div className="text-xs sm:text-sm text-gray-400 text-center">
+                Rewards from {formatDate(dateOf(schedule.start))} to {formatDate(dateOf(schedule.end))}
+              </div>
+            )}
+
             {/* Input Field */}
             <div className="space-y-4 sm:space-y-6">
               <Input
@@ -137,12 +237,84 @@ const Home = () => {
                 value={amount}
                 onChange={(e) => setAmount(e.target.value)}
                 placeholder="0.0"
-                rightElement={<span className="text-gray-500">ETH</span>}
-                helperText={balance ? `Available: ${parseFloat(balance.formatted).toFixed(4)} ETH` : undefined}
+                rightElement={<span className="text-gray-500">{inputSymbol}</span>}
+                helperText={balance ? `Available: ${parseFloat(balance.formatted).toFixed(4)} ${inputSymbol}` : undefined}
                 className="text-lg sm:text-xl py-3 sm:py-5"
               />
             </div>
 
+            {/* Native / Wrapped ETH */}
+            {isETH && weth && (
+              <div className="space-y-3">
+                <div className="text-sm font-medium text-gray-400">Pay With</div>
+                <div className="grid grid-cols-2 gap-2">
+                  {[false, true].map((option) => (
+                    <button
+                      key={option ? 'weth' : 'eth'}
+                      onClick={() => {
+                        setPayWithWeth(option);
+                        if (option) setTierId(undefined);
+                      }}
+                      className={cn(
+                        "rounded-xl p-3 border text-center transition-colors",
+                        payWithWeth === option ? "border-primary-500 bg-primary-500/10" : "border-gray-700/50 bg-gray-800/70 hover:border-primary-500/50"
+                      )}
+                    >
+                      <div className="text-lg font-semibold text-primary-400">{option ? 'WETH' : 'ETH'}</div>
+                    </button>
+                  ))}
+                </div>
+                {wrapped && (
+                  <div className="text-xs sm:text-sm text-gray-400">
+                    WETH is unwrapped and staked as ETH. WETH deposits can not be locked.
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Lock Tier */}
+            {tiers.length > 0 && (
+              <div className="space-y-3">
+                <div className="text-sm font-medium text-gray-400">Lock Period</div>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                  {[undefined, ...tiers].map((tier) => {
+                    // 追加锁仓不能降低当前锁仓的倍数，WETH 质押不能锁仓
+                    const disabled = !!tier && (wrapped || (!!activeLock && tier.multiplier < activeLock.multiplier));
+                    const selected = tier?.id === tierId;
+                    return (
+                      <button
+                        key={tier?.id ?? 'none'}
+                        onClick={() => setTierId(tier?.id)}
+                        disabled={disabled}
+                        className={cn(
+                          "rounded-xl p-3 border text-center transition-colors",
+                          selected ? "border-primary-500 bg-primary-500/10" : "border-gray-700/50 bg-gray-800/70 hover:border-primary-500/50",
+                          disabled && "opacity-40 cursor-not-allowed"
+                        )}
+                      >
+                        <div className="text-sm text-gray-300">{tier ? formatPeriod(durationOf(tier.duration)) : 'No lock'}</div>
+                        <div className="text-lg font-semibold text-primary-400">{formatMultiplier(tier?.multiplier ?? BoostBase)}</div>
+                      </button>
+                    );
+                  })}
+                </div>
+                <div className="text-xs sm:text-sm text-gray-400 space-y-1">
+                  {activeLock && (
+                    <div>
+                      {formatUnits(activeLock.amount, decimals)} {symbol} locked at {formatMultiplier(activeLock.multiplier)} until {formatDate(dateOf(activeLock.unlockBlock))}
+                    </div>
+                  )}
+                  {selectedTier && (
+                    <div>Locked {symbol} can not be unstaked before the lock expires. Adding to an existing lock relocks all of it.</div>
+                  )}
+                  <div>
+                    Boosted share: {(Number(boostedSupply === BigInt(0) ? 0 : boostedBalance * BigInt(1e6) / boostedSupply) / 1e4).toFixed(2)}%
+                    {projected.boostedBalance !== boostedBalance && ` → ${(projected.share * 100).toFixed(2)}% after staking`}
+                  </div>
+                </div>
+              </div>
+            )}
+
             {/* Stake Button */}
             <div className="pt-4 sm:pt-8">
               {!isConnected ? (
@@ -160,7 +332,7 @@ const Home = () => {
                   className="py-3 sm:py-5 text-lg sm:text-xl"
                 >
                   <FiArrowDown className="w-6 h-6 sm:w-7 sm:h-7" />
-                  <span>Stake ETH</span>
+                  <span>Stake {inputSymbol}</span>
                 </Button>
               )}
             </div>
@@ -224,6 +396,16 @@ const Home = () => {
           </div>
         </Card>
       </div>
+
+      <div className="max-w-6xl mx-auto mt-8">
+        <RewardsCalculator
+          pool={pool}
+          emission={emission}
+          boostedSupply={boostedSupply}
+          multiplier={selectedTier?.multiplier}
+          rewardPrice={prices.reward}
+        />
+      </div>
     </div>
   );
 };
@@ -1,15 +1,22 @@
 'use client'
 import { motion } from 'framer-motion';
-import { useStakeContract } from "../../hooks/useContract";
-import { useCallback, useEffect, useMemo, useState } from "react";
-import { Pid } from "../../utils";
-import { useAccount, useWalletClient } from "wagmi";
-import { formatUnits, parseUnits } from "viem";
+import { useErc20Contract, useLensContract, useStakeContract } from "../../hooks/useContract";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { usePool } from "../../context/PoolContext";
+import { useStakeEventRefresh } from "../../context/StakeEventsContext";
+import { useTransactions } from "../../context/TransactionContext";
+import { useAccount } from "wagmi";
+import { formatUnits, isAddress, isAddressEqual, parseUnits } from "viem";
 import { ConnectButton } from "@rainbow-me/rainbowkit";
-import { waitForTransactionReceipt } from "viem/actions";
 import { toast } from "react-toastify";
-import { FiArrowUp, FiClock, FiInfo } from 'react-icons/fi';
+import { FiArrowUp, FiClock, FiInfo, FiLock, FiRotateCcw, FiSend } from 'react-icons/fi';
 import { cn } from '../../utils/cn';
+import useStakeClock from '../../hooks/useStakeClock';
+import useLock from '../../hooks/useLock';
+import useReceipt from '../../hooks/useReceipt';
+import useWeth from '../../hooks/useWeth';
+import { ETH_PID } from '../../utils';
+import { formatDate, formatDuration } from '../../utils/time';
 
 export type UserStakeData = {
   staked: string;
@@ -17,36 +24,93 @@ export type UserStakeData = {
   withdrawable: string;
 };
 
+export type UnstakeRequestRow = {
+  id: bigint;
+  amount: bigint;
+  unlockBlock: bigint;
+};
+
 const InitData: UserStakeData = {
   staked: '0',
   withdrawable: '0',
   withdrawPending: '0'
 };
 
+// 单次提现最多处理的请求数量，避免请求过多时超出 gas 限制
+const MaxWithdrawRequests = 50;
+
 const Withdraw = () => {
   const stakeContract = useStakeContract();
+  const lensContract = useLensContract();
   const { address, isConnected } = useAccount();
   const [amount, setAmount] = useState('');
   const [unstakeLoading, setUnstakeLoading] = useState(false);
   const [withdrawLoading, setWithdrawLoading] = useState(false);
-  const { data } = useWalletClient();
+  const { send } = useTransactions();
   const [userData, setUserData] = useState<UserStakeData>(InitData);
+  const [requests, setRequests] = useState<UnstakeRequestRow[]>([]);
+  const [cancelId, setCancelId] = useState<bigint>();
+  const { pid, pool } = usePool();
+  const symbol = pool?.symbol ?? 'ETH';
+  const decimals = pool?.decimals ?? 18;
+  // unlockBlock 在时间戳计时的合约中是解锁时间戳
+  const { timeBased, current, reached, secondsUntil, dateOf, durationOf } = useStakeClock();
+  const previousClock = useRef<bigint | undefined>(undefined);
+  // 锁仓到期前，锁仓部分不能解质押
+  const { lock, refresh: refreshLock } = useLock();
+  const lockedAmount = lock && !reached(lock.unlockBlock) ? lock.amount : BigInt(0);
+  // 池子绑定了质押收据时，可以把仓位（未锁仓的部分）连同之后的奖励转给别的地址
+  const { receipt } = useReceipt();
+  const receiptContract = useErc20Contract(receipt);
+  const [transferTo, setTransferTo] = useState('');
+  const [transferAmount, setTransferAmount] = useState('');
+  const [transferLoading, setTransferLoading] = useState(false);
+  // ETH 池配置了 WETH 时，提现可以选择收到原生 ETH 还是 WETH，与质押时用的哪一种无关
+  const { weth } = useWeth();
+  const [receiveWeth, setReceiveWeth] = useState(false);
+  const isETH = pool ? pool.isETH : pid === ETH_PID;
+  const wrapped = isETH && !!weth && receiveWeth;
+  const withdrawSymbol = wrapped ? 'WETH' : symbol;
 
   const isWithdrawable = useMemo(() => Number(userData.withdrawable) > 0 && isConnected, [userData, isConnected]);
 
   const getUserData = useCallback(async () => {
     if (!stakeContract || !address) return;
-    const staked = await stakeContract.read.stakingBalance([Pid, address]);
-    // @ts-ignore
-    const [requestAmount, pendingWithdrawAmount] = await stakeContract.read.withdrawAmount([Pid, address]);
-    const ava = Number(formatUnits(pendingWithdrawAmount, 18));
-    const total = Number(formatUnits(requestAmount, 18));
+    const staked = await stakeContract.read.stakingBalance([pid, address]);
+    const [requestAmount, pendingWithdrawAmount] = await stakeContract.read.withdrawAmount([pid, address]) as [bigint, bigint];
+    const ava = Number(formatUnits(pendingWithdrawAmount, decimals));
+    const total = Number(formatUnits(requestAmount, decimals));
     setUserData({
-      staked: formatUnits(staked as bigint, 18),
+      staked: formatUnits(staked as bigint, decimals),
       withdrawPending: (total - ava).toFixed(4),
       withdrawable: ava.toString()
     });
-  }, [stakeContract, address]);
+    if (lensContract) {
+      const [ids, list] = await lensContract.read.unstakeRequests([pid, address]) as [bigint[], { amount: bigint; unlockBlocks: bigint }[]];
+      setRequests(ids.map((id, i) => ({ id, amount: list[i].amount, unlockBlock: list[i].unlockBlocks })));
+      return;
+    }
+    // 网络没有部署 MetaNodeStakeLens 时直接读取请求数组，跳过队列头之前和已取消（数量为 0）的请求，下标即请求 id
+    const [list, head] = await Promise.all([
+      stakeContract.read.userRequests([pid, address]) as Promise<{ amount: bigint; unlockBlocks: bigint }[]>,
+      stakeContract.read.requestHead([pid, address]) as Promise<bigint>
+    ]);
+    setRequests(
+      list
+        .map((request, i) => ({ id: BigInt(i), amount: request.amount, unlockBlock: request.unlockBlocks }))
+        .filter((request) => request.id >= head && request.amount > BigInt(0))
+    );
+  }, [stakeContract, lensContract, address, pid, decimals]);
+
+  // 新区块出现时，有请求在上一个区块之后解锁就重新读取
+  useEffect(() => {
+    const previous = previousClock.current;
+    previousClock.current = current;
+    if (current === undefined || previous === undefined || current === previous) return;
+    if (stakeContract && address && requests.some((r) => r.unlockBlock > previous && r.unlockBlock <= current)) {
+      getUserData();
+    }
+  }, [current, requests, stakeContract, address, getUserData]);
 
   useEffect(() => {
     if (stakeContract && address) {
@@ -54,8 +118,10 @@ const Withdraw = () => {
     }
   }, [address, stakeContract, getUserData]);
 
+  useStakeEventRefresh(getUserData);
+
   const handleUnStake = useCallback(async () => {
-    if (!stakeContract || !data) return;
+    if (!stakeContract) return;
     if (!amount || parseFloat(amount) <= 0) {
       toast.error('Please enter a valid amount');
       return;
@@ -64,38 +130,98 @@ const Withdraw = () => {
       toast.error('Amount cannot be greater than staked amount');
       return;
     }
+    if (parseFloat(amount) > parseFloat(userData.staked) - Number(formatUnits(lockedAmount, decimals))) {
+      toast.error('Locked stake cannot be unstaked before the lock expires');
+      return;
+    }
     try {
       setUnstakeLoading(true);
-      const tx = await stakeContract.write.unstake([Pid, parseUnits(amount, 18)]);
-      console.log('stakeContract', stakeContract)
-      console.log('Pid', Pid)
-      await waitForTransactionReceipt(data, { hash: tx });
+      await send({
+        label: `Unstake ${amount} ${symbol}`,
+        contract: stakeContract,
+        functionName: 'unstake',
+        args: [pid, parseUnits(amount, decimals)]
+      });
       toast.success('Unstake successful!');
       setAmount('');
-      setUnstakeLoading(false);
       getUserData();
+      refreshLock();
     } catch (error) {
-      setUnstakeLoading(false);
-      toast.error('Transaction failed. Please try again.');
       console.log(error, 'stake-error');
+    } finally {
+      setUnstakeLoading(false);
+    }
+  }, [stakeContract, send, amount, userData.staked, lockedAmount, getUserData, refreshLock, pid, decimals, symbol]);
+
+  const transferable = Math.max(0, parseFloat(userData.staked) - Number(formatUnits(lockedAmount, decimals)));
+  const transferToError = transferTo && !isAddress(transferTo)
+    ? 'Invalid address'
+    : (transferTo && address && isAddressEqual(transferTo as `0x${string}`, address) ? 'Cannot transfer to yourself' : undefined);
+
+  const handleTransfer = useCallback(async () => {
+    if (!receiptContract) return;
+    if (!isAddress(transferTo) || transferToError) {
+      toast.error('Please enter a valid recipient address');
+      return;
+    }
+    if (!transferAmount || parseFloat(transferAmount) <= 0) {
+      toast.error('Please enter a valid amount');
+      return;
+    }
+    if (parseFloat(transferAmount) > transferable) {
+      toast.error('Amount cannot be greater than the unlocked stake');
+      return;
+    }
+    try {
+      setTransferLoading(true);
+      await send({
+        label: `Transfer ${transferAmount} ${symbol} position`,
+        contract: receiptContract,
+        functionName: 'transfer',
+        args: [transferTo, parseUnits(transferAmount, decimals)]
+      });
+      toast.success('Position transferred!');
+      setTransferAmount('');
+      getUserData();
+      refreshLock();
+    } catch (error) {
+      console.log(error, 'transfer-position-error');
+    } finally {
+      setTransferLoading(false);
     }
-  }, [stakeContract, data, amount, userData.staked, getUserData]);
+  }, [receiptContract, send, transferTo, transferToError, transferAmount, transferable, decimals, symbol, getUserData, refreshLock]);
 
   const handleWithdraw = useCallback(async () => {
-    if (!stakeContract || !data) return;
+    if (!stakeContract) return;
     try {
       setWithdrawLoading(true);
-      const tx = await stakeContract.write.withdraw([Pid]);
-      await waitForTransactionReceipt(data, { hash: tx });
+      await send(wrapped
+        ? { label: 'Withdraw as WETH', contract: stakeContract, functionName: 'withdrawAsWETH', args: [MaxWithdrawRequests] }
+        : { label: `Withdraw ${symbol}`, contract: stakeContract, functionName: 'withdrawRequests', args: [pid, MaxWithdrawRequests] });
       toast.success('Withdraw successful!');
-      setWithdrawLoading(false);
       getUserData();
     } catch (error) {
-      setWithdrawLoading(false);
-      toast.error('Transaction failed. Please try again.');
       console.log(error, 'stake-error');
+    } finally {
+      setWithdrawLoading(false);
+    }
+  }, [stakeContract, send, getUserData, pid, wrapped, symbol]);
+
+  const handleCancel = useCallback(async (id: bigint) => {
+    if (!stakeContract) return;
+    try {
+      setCancelId(id);
+      await send({ label: `Cancel ${symbol} unstake request`, contract: stakeContract, functionName: 'cancelUnstake', args: [pid, id] });
+      toast.success('Unstake request cancelled and restaked!');
+      getUserData();
+    } catch (error) {
+      console.log(error, 'cancel-unstake-error');
+    } finally {
+      setCancelId(undefined);
     }
-  }, [stakeContract, data, getUserData]);
+  }, [stakeContract, send, getUserData, pid, symbol]);
+
+  const lockDuration = formatDuration(durationOf(pool?.unstakeLockedBlocks ?? BigInt(0)));
 
   const handleAmountChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const val = e.target.value;
@@ -116,7 +242,7 @@ const Withdraw = () => {
           Withdraw
         </h1>
         <p className="text-gray-600 text-lg">
-          Unstake and withdraw your ETH
+          Unstake and withdraw your {symbol}
         </p>
       </motion.div>
 
@@ -128,9 +254,9 @@ const Withdraw = () => {
       >
         {/* Stats Grid */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-          <StatCard label="Staked Amount" value={`${parseFloat(userData.staked).toFixed(4)} ETH`} />
-          <StatCard label="Available to Withdraw" value={`${parseFloat(userData.withdrawable).toFixed(4)} ETH`} />
-          <StatCard label="Pending Withdraw" value={`${parseFloat(userData.withdrawPending).toFixed(4)} ETH`} />
+          <StatCard label="Staked Amount" value={`${parseFloat(userData.staked).toFixed(4)} ${symbol}`} />
+          <StatCard label="Available to Withdraw" value={`${parseFloat(userData.withdrawable).toFixed(4)} ${symbol}`} />
+          <StatCard label="Pending Withdraw" value={`${parseFloat(userData.withdrawPending).toFixed(4)} ${symbol}`} />
         </div>
 
         {/* Unstake Section */}
@@ -152,9 +278,17 @@ const Withdraw = () => {
                 )}
               />
               <span className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-500">
-                ETH
+                {symbol}
               </span>
             </div>
+            {lock && lockedAmount > BigInt(0) && (
+              <div className="flex items-center text-sm text-gray-500">
+                <FiLock className="mr-1" />
+                <span>
+                  {parseFloat(formatUnits(lockedAmount, decimals)).toFixed(4)} {symbol} is locked until {formatDate(dateOf(lock.unlockBlock))}
+                </span>
+              </div>
+            )}
           </div>
 
           <div className="pt-4">
@@ -181,7 +315,7 @@ const Withdraw = () => {
                 ) : (
                   <>
                     <FiArrowUp className="w-5 h-5" />
-                    <span>Unstake ETH</span>
+                    <span>Unstake {symbol}</span>
                   </>
                 )}
               </motion.button>
@@ -189,6 +323,77 @@ const Withdraw = () => {
           </div>
         </div>
 
+        {/* Transfer Position Section */}
+        {receipt && isConnected && (
+          <div className="mt-12 space-y-6">
+            <h2 className="text-xl font-semibold">Transfer Position</h2>
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Recipient
+              </label>
+              <input
+                type="text"
+                value={transferTo}
+                onChange={(e) => setTransferTo(e.target.value.trim())}
+                placeholder="0x..."
+                className={cn(
+                  "input-field",
+                  transferToError ? "border-red-500" : "focus:ring-primary-500 focus:border-primary-500"
+                )}
+              />
+              {transferToError && <p className="text-sm text-red-500">{transferToError}</p>}
+            </div>
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Amount to Transfer
+              </label>
+              <div className="relative">
+                <input
+                  type="number"
+                  value={transferAmount}
+                  onChange={(e) => /^\d*(\.\d*)?$/.test(e.target.value) && setTransferAmount(e.target.value)}
+                  placeholder="0.0"
+                  className={cn(
+                    "input-field pr-12",
+                    "focus:ring-primary-500 focus:border-primary-500"
+                  )}
+                />
+                <span className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-500">
+                  {symbol}
+                </span>
+              </div>
+              <div className="flex items-center text-sm text-gray-500">
+                <FiInfo className="mr-1" />
+                <span>
+                  Transferable: {transferable.toFixed(4)} {symbol}. Rewards earned so far stay with you; the recipient earns rewards on the transferred stake from now on.
+                </span>
+              </div>
+            </div>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={handleTransfer}
+              disabled={transferLoading || !transferAmount || !transferTo}
+              className={cn(
+                "btn-primary w-full flex items-center justify-center space-x-2",
+                transferLoading && "opacity-70 cursor-not-allowed"
+              )}
+            >
+              {transferLoading ? (
+                <>
+                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                  <span>Processing...</span>
+                </>
+              ) : (
+                <>
+                  <FiSend className="w-5 h-5" />
+                  <span>Transfer Position</span>
+                </>
+              )}
+            </motion.button>
+          </div>
+        )}
+
         {/* Withdraw Section */}
         <div className="mt-12 space-y-6">
           <h2 className="text-xl font-semibold">Withdraw</h2>
@@ -198,21 +403,96 @@ const Withdraw = () => {
               <div>
                 <div className="text-sm text-gray-600">Ready to Withdraw</div>
                 <div className="text-2xl font-semibold text-primary-600">
-                  {parseFloat(userData.withdrawable).toFixed(4)} ETH
+                  {parseFloat(userData.withdrawable).toFixed(4)} {symbol}
                 </div>
               </div>
               <div className="flex items-center text-sm text-gray-500">
                 <FiClock className="mr-1" />
-                <span>20 min cooldown</span>
+                <span>{lockDuration} cooldown</span>
               </div>
             </div>
           </div>
 
+          {isETH && weth && (
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Receive As
+              </label>
+              <div className="grid grid-cols-2 gap-2">
+                {[false, true].map((option) => (
+                  <button
+                    key={option ? 'weth' : 'eth'}
+                    onClick={() => setReceiveWeth(option)}
+                    className={cn(
+                      "rounded-lg p-3 border text-center font-medium transition-colors",
+                      receiveWeth === option ? "border-primary-500 bg-primary-50 text-primary-600" : "border-gray-200 text-gray-600 hover:border-primary-300"
+                    )}
+                  >
+                    {option ? 'WETH' : 'ETH'}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
           <div className="flex items-center text-sm text-gray-500">
             <FiInfo className="mr-1" />
-            <span>After unstaking, you need to wait 20 minutes to withdraw.</span>
+            <span>After unstaking, you need to wait {timeBased ? '' : 'about '}{lockDuration}{timeBased ? '' : ` (${pool?.unstakeLockedBlocks.toString() ?? '-'} blocks)`} to withdraw. Up to {MaxWithdrawRequests} unlocked requests are withdrawn per transaction.</span>
           </div>
 
+          {/* Unstake Requests */}
+          {requests.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-sm">
+                <thead className="text-gray-500 border-b border-gray-200">
+                  <tr>
+                    <th className="py-2 pr-4">#</th>
+                    <th className="py-2 pr-4">Amount</th>
+                    <th className="py-2 pr-4">Unlocks At</th>
+                    <th className="py-2 pr-4">Status</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {requests.map((request) => {
+                    const seconds = secondsUntil(request.unlockBlock);
+                    const unlocked = reached(request.unlockBlock);
+                    return (
+                      <tr key={request.id.toString()} className="border-b border-gray-100">
+                        <td className="py-2 pr-4 text-gray-500">{request.id.toString()}</td>
+                        <td className="py-2 pr-4 font-medium">
+                          {parseFloat(formatUnits(request.amount, decimals)).toFixed(4)} {symbol}
+                        </td>
+                        <td className="py-2 pr-4">
+                          {timeBased ? '' : '~'}{formatDate(dateOf(request.unlockBlock))}
+                          {timeBased === false && (
+                            <span className="block text-xs text-gray-500">Block {request.unlockBlock.toString()}</span>
+                          )}
+                        </td>
+                        <td className={cn("py-2 pr-4", unlocked ? "text-green-600" : "text-gray-500")}>
+                          {unlocked ? 'Unlocked' : `~${formatDuration(seconds)}`}
+                        </td>
+                        <td className="py-2 text-right">
+                          <button
+                            onClick={() => handleCancel(request.id)}
+                            disabled={cancelId !== undefined}
+                            className={cn(
+                              "inline-flex items-center text-primary-600 hover:text-primary-500",
+                              cancelId !== undefined && "opacity-50 cursor-not-allowed"
+                            )}
+                          >
+                            <FiRotateCcw className="mr-1" />
+                            {cancelId === request.id ? 'Restaking...' : 'Cancel & Restake'}
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
           <motion.button
             whileHover={{ scale: 1.02 }}
             whileTap={{ scale: 0.98 }}
@@ -231,7 +511,7 @@ const Withdraw = () => {
             ) : (
               <>
                 <FiArrowUp className="w-5 h-5" />
-                <span>Withdraw ETH</span>
+                <span>Withdraw {withdrawSymbol}</span>
               </>
             )}
           </motion.button>
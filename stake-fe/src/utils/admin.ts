@@ -0,0 +1,73 @@
+import { formatUnits } from 'viem';
+
+// 确认对话框中的一行预览：变化前后的值，新增的项没有 before
+export type PreviewRow = {
+  label: string;
+  before?: string;
+  after: string;
+};
+
+export type WeightedPool = {
+  pid: number;
+  symbol: string;
+  poolWeight: bigint;
+};
+
+const formatShare = (weight: bigint, total: bigint) =>
+  total === BigInt(0) ? '0.00%' : `${(Number((weight * BigInt(10000)) / total) / 100).toFixed(2)}%`;
+
+export const formatMetaNode = (value: bigint) =>
+  `${parseFloat(formatUnits(value, 18)).toLocaleString(undefined, { maximumFractionDigits: 4 })} MetaNode`;
+
+/**
+ * 修改或新增池权重后各池的排放份额和每日奖励。pid 为空表示新增的池
+ */
+export function previewPoolWeight({ pools, totalPoolWeight, metaNodePerBlock, unitsPerDay, pid, weight, symbol }: {
+  pools: WeightedPool[];
+  totalPoolWeight: bigint;
+  metaNodePerBlock: bigint;
+  unitsPerDay: bigint;
+  pid?: number;
+  weight: bigint;
+  symbol?: string;
+}): PreviewRow[] {
+  const previous = pid === undefined ? BigInt(0) : pools.find((p) => p.pid === pid)?.poolWeight ?? BigInt(0);
+  const total = totalPoolWeight - previous + weight;
+  const daily = (poolWeight: bigint) =>
+    total === BigInt(0) ? BigInt(0) : (metaNodePerBlock * poolWeight * unitsPerDay) / total;
+
+  const rows: PreviewRow[] = [
+    { label: 'Total weight', before: totalPoolWeight.toString(), after: total.toString() }
+  ];
+  for (const pool of pools) {
+    const next = pool.pid === pid ? weight : pool.poolWeight;
+    rows.push({
+      label: `#${pool.pid} ${pool.symbol} share`,
+      before: formatShare(pool.poolWeight, totalPoolWeight),
+      after: `${formatShare(next, total)} (${formatMetaNode(daily(next))}/day)`
+    });
+  }
+  if (pid === undefined) {
+    rows.push({
+      label: `#${pools.length} ${symbol ?? 'new pool'} share`,
+      after: `${formatShare(weight, total)} (${formatMetaNode(daily(weight))}/day)`
+    });
+  }
+  return rows;
+}
+
+/**
+ * 修改每区块奖励后的每日排放，以及到 endBlock 为止还会发放的奖励（按新速率估算，不考虑排放阶段）
+ */
+export function previewEmissionRate({ current, next, unitsPerDay, remaining }: {
+  current: bigint;
+  next: bigint;
+  unitsPerDay: bigint;
+  remaining: bigint;
+}): PreviewRow[] {
+  return [
+    { label: 'Reward per unit', before: formatMetaNode(current), after: formatMetaNode(next) },
+    { label: 'Daily emission', before: formatMetaNode(current * unitsPerDay), after: formatMetaNode(next * unitsPerDay) },
+    { label: 'Remaining emission', before: formatMetaNode(current * remaining), after: formatMetaNode(next * remaining) }
+  ];
+}
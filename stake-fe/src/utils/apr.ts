@@ -0,0 +1,103 @@
+import { formatUnits } from 'viem';
+import { BoostBase } from './boost';
+
+// 平均出块时间（秒），sepolia 约为12秒
+export const AverageBlockTime = Number(process.env.NEXT_PUBLIC_AVG_BLOCK_TIME || 12);
+
+const SecondsPerDay = 86400;
+const DaysPerYear = 365;
+
+// 时间戳计时的合约中 startBlock / endBlock / currentBlock 都是时间戳，MetaNodePerBlock 是每秒奖励
+export type EmissionParams = {
+  metaNodePerBlock: bigint;
+  poolWeight: bigint;
+  totalPoolWeight: bigint;
+  startBlock: bigint;
+  endBlock: bigint;
+  currentBlock: bigint;
+  timeBased?: boolean;
+};
+
+export type PoolEmission = {
+  perBlock: bigint;       // 该池每个区块（时间戳计时为每秒）分得的MetaNode
+  perDay: bigint;         // 折算的每日MetaNode
+  remainingBlocks: bigint; // 距离 endBlock 还剩的区块数（或秒数）
+  unitsPerDay: bigint;    // 每天的区块数（或秒数）
+};
+
+export const blocksPerDay = (blockTime: number = AverageBlockTime) =>
+  BigInt(Math.floor(SecondsPerDay / blockTime));
+
+export const unitsPerDay = (timeBased?: boolean, blockTime: number = AverageBlockTime) =>
+  timeBased ? BigInt(SecondsPerDay) : blocksPerDay(blockTime);
+
+/**
+ * 池子的奖励发放速度：当前每区块奖励（rewardPerBlockAt）* poolWeight / totalPoolWeight，
+ * 与合约 updatePool 的计算方式一致，已结束时为0。排放阶段切换后速率会变化，按当前速率估算
+ */
+export function poolEmission(params: EmissionParams, blockTime: number = AverageBlockTime): PoolEmission {
+  const { metaNodePerBlock, poolWeight, totalPoolWeight, startBlock, endBlock, currentBlock, timeBased } = params;
+  const perDayUnits = unitsPerDay(timeBased, blockTime);
+  if (totalPoolWeight === BigInt(0) || currentBlock >= endBlock) {
+    return { perBlock: BigInt(0), perDay: BigInt(0), remainingBlocks: BigInt(0), unitsPerDay: perDayUnits };
+  }
+  const perBlock = (metaNodePerBlock * poolWeight) / totalPoolWeight;
+  const from = currentBlock > startBlock ? currentBlock : startBlock;
+  return {
+    perBlock,
+    perDay: perBlock * perDayUnits,
+    remainingBlocks: endBlock - from,
+    unitsPerDay: perDayUnits
+  };
+}
+
+export type AprParams = {
+  rewardPerDay: bigint;
+  boostedSupply: bigint;    // stTokenAmount + poolBoost(pid)，合约按它分配奖励
+  stTokenDecimals: number;
+  rewardPrice?: number;
+  stTokenPrice?: number;
+};
+
+/**
+ * 不锁仓的年化收益率：一年奖励的价值 / 池中有效质押量的价值
+ * 缺少价格或池子为空时返回 undefined
+ */
+export function calcApr({ rewardPerDay, boostedSupply, stTokenDecimals, rewardPrice, stTokenPrice }: AprParams) {
+  if (!rewardPrice || !stTokenPrice || boostedSupply === BigInt(0)) return undefined;
+  const rewardValue = Number(formatUnits(rewardPerDay, 18)) * DaysPerYear * rewardPrice;
+  const stakedValue = Number(formatUnits(boostedSupply, stTokenDecimals)) * stTokenPrice;
+  return rewardValue / stakedValue;
+}
+
+/**
+ * 锁仓后的年化收益率，自己的有效质押量按锁仓倍数放大
+ */
+export function boostApr(apr: number | undefined, multiplier: bigint = BoostBase) {
+  return apr === undefined ? undefined : apr * Number(multiplier) / Number(BoostBase);
+}
+
+/**
+ * 按每日复投折算的年化收益
+ */
+export function aprToApy(apr: number, periods: number = DaysPerYear) {
+  return Math.pow(1 + apr / periods, periods) - 1;
+}
+
+/**
+ * 新增质押 amount 后，在 blocks 个区块（时间戳计时为秒）内预计获得的奖励，超过 endBlock 的部分不计
+ * 奖励按有效质押量分配：锁仓时自己的质押乘以 multiplier，池子总量是 boostedSupply 加上这部分
+ */
+export function projectRewards({ amount, boostedSupply, multiplier = BoostBase, emission, blocks }: {
+  amount: bigint;
+  boostedSupply: bigint;
+  multiplier?: bigint;
+  emission: PoolEmission;
+  blocks: bigint;
+}) {
+  const boosted = amount * multiplier / BoostBase;
+  const total = boostedSupply + boosted;
+  if (boosted === BigInt(0) || total === BigInt(0)) return BigInt(0);
+  const effectiveBlocks = blocks < emission.remainingBlocks ? blocks : emission.remainingBlocks;
+  return (emission.perBlock * effectiveBlocks * boosted) / total;
+}
@@ -0,0 +1,33 @@
+// 合约中锁仓倍数的精度，10000 表示 1 倍
+export const BoostBase = BigInt(10000);
+
+export const formatMultiplier = (multiplier: bigint) =>
+  `${(Number(multiplier) / Number(BoostBase)).toFixed(2).replace(/\.?0+$/, '')}x`;
+
+export type BoostParams = {
+  amount: bigint;            // 本次质押数量
+  multiplier?: bigint;       // 选择的锁仓倍数，不锁仓时为空
+  lockAmount: bigint;        // 当前未释放的锁仓数量
+  lockMultiplier: bigint;    // 当前锁仓的倍数
+  boostedBalance: bigint;    // 当前有效质押量
+  boostedSupply: bigint;     // 池子当前有效质押总量
+};
+
+/**
+ * 质押后的有效质押量和在池子中的份额。追加锁仓时整个锁仓改用新的倍数，与合约 _lock 的计算一致
+ */
+export function projectBoost(params: BoostParams) {
+  const { amount, multiplier, lockAmount, lockMultiplier, boostedBalance, boostedSupply } = params;
+  let added = amount;
+  if (multiplier !== undefined) {
+    const lockBoost = lockAmount * (lockMultiplier > BoostBase ? lockMultiplier - BoostBase : BigInt(0)) / BoostBase;
+    const newBoost = (lockAmount + amount) * (multiplier - BoostBase) / BoostBase;
+    added = amount + newBoost - lockBoost;
+  }
+  const balance = boostedBalance + added;
+  const supply = boostedSupply + added;
+  return {
+    boostedBalance: balance,
+    share: supply === BigInt(0) ? 0 : Number(balance * BigInt(1e6) / supply) / 1e6
+  };
+}
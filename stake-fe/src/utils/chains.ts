@@ -0,0 +1,20 @@
+import { Chain, defineChain } from 'viem';
+import { hardhat, mainnet, sepolia } from 'viem/chains';
+import { ChainDeployment, Deployments } from './env';
+
+// 已知的链使用 viem 自带的定义（区块浏览器、原生代币等），其他链按配置的 RPC 生成
+const KnownChains: Chain[] = [sepolia, hardhat, mainnet];
+
+const chainOf = (deployment: ChainDeployment): Chain =>
+  KnownChains.find((chain) => chain.id === deployment.chainId) ??
+  defineChain({
+    id: deployment.chainId,
+    name: deployment.network,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: { default: { http: [deployment.rpcUrl] } }
+  });
+
+// 没有配置时退回 sepolia，保证 wagmi 至少有一条链
+export const SupportedChains = (Deployments.length ? Deployments.map(chainOf) : [sepolia]) as [Chain, ...Chain[]];
+
+export const isSupportedChain = (chainId?: number) => SupportedChains.some((chain) => chain.id === chainId);
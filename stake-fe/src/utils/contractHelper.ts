@@ -13,11 +13,13 @@ export const getContract = <TAbi extends Abi | readonly unknown[], TWalletClient
   chainId?: number
   signer?: TWalletClient
 }) => {
+  const publicClient = viemClients(chainId)
+  if (!publicClient) throw new Error(`Unsupported chain ${chainId}`)
   const c = viemGetContract({
     abi,
     address,
     client: {
-      public: viemClients(chainId),
+      public: publicClient,
       wallet: signer,
     },
   }) as unknown as GetContractReturnType<TAbi, PublicClient, Address>
@@ -1,4 +1,38 @@
-import { Address, zeroAddress } from "viem";
+import { Address } from "viem";
 
+// next.config.js 按网络汇总的 RPC、合约地址和部署区块，第一个是默认网络
+export type ChainDeployment = {
+  network: string
+  chainId: number
+  rpcUrl: string
+  // 订阅新区块和事件的 WebSocket RPC，没有配置或连接失败时按 PollingInterval 轮询
+  wsRpcUrl?: string
+  contracts: {
+    stake?: Address
+    // MetaNodeStakeLens：unstakeRequests
+    lens?: Address
+    // 没有 timelock 治理时为空
+    timelock?: Address
+  }
+  deployBlock: number
+}
 
-export const StakeContractAddress = process.env.NEXT_PUBLIC_STAKE_ADDRESS as Address || zeroAddress 
\ No newline at end of file
+export const Deployments: ChainDeployment[] = JSON.parse(process.env.NEXT_PUBLIC_CHAIN_CONFIG || '[]')
+
+export const deploymentOf = (chainId?: number) => Deployments.find((deployment) => deployment.chainId === chainId)
+
+// 按链 ID 索引的合约地址，useContract 根据当前网络取对应的地址
+const addressesOf = (name: keyof ChainDeployment['contracts']) =>
+  Object.fromEntries(
+    Deployments.filter((deployment) => deployment.contracts[name]).map((deployment) => [deployment.chainId, deployment.contracts[name]!])
+  ) as { [chainId: number]: Address }
+
+export const StakeContractAddresses = addressesOf('stake')
+
+export const LensAddresses = addressesOf('lens')
+
+export const TimelockAddresses = addressesOf('timelock')
+
+export const IndexerUrl = process.env.NEXT_PUBLIC_INDEXER_URL || 'http://localhost:8787'
+
+export const PollingInterval = Number(process.env.NEXT_PUBLIC_POLLING_INTERVAL || 4000)
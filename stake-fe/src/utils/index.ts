@@ -1,2 +1 @@
-
-export const Pid = 0
\ No newline at end of file
+export const ETH_PID = 0
\ No newline at end of file
@@ -0,0 +1,20 @@
+// 单次 getLogs 查询的区块范围，避免超出 RPC 的限制
+const LogRange = BigInt(50000);
+
+/**
+ * 把 [fromBlock, toBlock] 分段查询日志后合并，按区块和日志下标排序
+ */
+export async function scanLogs<T extends { blockNumber: bigint; logIndex: number }>(
+  fromBlock: bigint,
+  toBlock: bigint,
+  fetchRange: (from: bigint, to: bigint) => Promise<T[]>
+) {
+  const logs: T[] = [];
+  for (let from = fromBlock; from <= toBlock; from += LogRange) {
+    const to = from + LogRange - BigInt(1) < toBlock ? from + LogRange - BigInt(1) : toBlock;
+    logs.push(...(await fetchRange(from, to)));
+  }
+  return logs.sort((a, b) =>
+    a.blockNumber === b.blockNumber ? a.logIndex - b.logIndex : Number(a.blockNumber - b.blockNumber)
+  );
+}
@@ -0,0 +1,52 @@
+import { Address, WalletClient, parseAbi, parseSignature } from 'viem';
+import { readContract } from 'viem/actions';
+
+const permitAbi = parseAbi([
+  'function nonces(address owner) view returns (uint256)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+]);
+
+// 签名有效期
+const PermitTTL = BigInt(20 * 60);
+
+/**
+ * 对质押合约签名 EIP-2612 permit，用于 depositWithPermit。
+ * 代币不支持 permit（没有 nonces / eip712Domain）时返回 undefined，调用方改用 approve
+ */
+export async function signPermit(
+  client: WalletClient,
+  { token, owner, spender, value }: { token: Address; owner: Address; spender: Address; value: bigint }
+) {
+  let nonce: bigint;
+  let domain: { name: string; version: string; chainId: bigint; verifyingContract: Address };
+  try {
+    const [, name, version, chainId, verifyingContract] = await readContract(client, {
+      address: token,
+      abi: permitAbi,
+      functionName: 'eip712Domain'
+    });
+    nonce = await readContract(client, { address: token, abi: permitAbi, functionName: 'nonces', args: [owner] });
+    domain = { name, version, chainId, verifyingContract };
+  } catch {
+    return undefined;
+  }
+
+  const deadline = BigInt(Math.floor(Date.now() / 1000)) + PermitTTL;
+  const signature = await client.signTypedData({
+    account: owner,
+    domain,
+    types: {
+      Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+      ]
+    },
+    primaryType: 'Permit',
+    message: { owner, spender, value, nonce, deadline }
+  });
+  const { v, r, s } = parseSignature(signature);
+  return { deadline, v: Number(v ?? BigInt(27)), r, s };
+}
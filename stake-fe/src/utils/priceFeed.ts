@@ -0,0 +1,23 @@
+import { Address } from 'viem';
+
+export type PriceToken = {
+  symbol: string;
+  address?: Address;
+};
+
+// 价格来源，可以替换为链上预言机或行情接口
+export type PriceFeed = {
+  getPrice: (token: PriceToken) => Promise<number | undefined>;
+};
+
+// 本地价格桩（USD），ETH 和 MetaNode 的价格可以通过环境变量覆盖
+export const LocalPrices: Record<string, number> = {
+  ETH: Number(process.env.NEXT_PUBLIC_PRICE_ETH || 3000),
+  METANODE: Number(process.env.NEXT_PUBLIC_PRICE_METANODE || 1),
+};
+
+export const createStaticPriceFeed = (prices: Record<string, number>): PriceFeed => ({
+  getPrice: async ({ symbol }) => prices[symbol.toUpperCase()]
+});
+
+export const defaultPriceFeed = createStaticPriceFeed(LocalPrices);
@@ -0,0 +1,17 @@
+import { Address } from 'viem';
+
+/**
+ * 质押数据的 TanStack Query 缓存键，按 链 -> 用户 -> 数据 分层，方便按前缀失效：
+ *   用户相关的事件到达时失效 user(...)，每个新区块失效 perBlock(...)
+ */
+export const stakeKeys = {
+  all: (chainId: number) => ['stake', chainId] as const,
+  pool: (chainId: number, pid: number) => ['stake', chainId, 'pool', pid] as const,
+  user: (chainId: number, address?: Address) => ['stake', chainId, 'user', address] as const,
+  // 随区块变化的数据：待领取奖励、到期可提现的数量
+  perBlock: (chainId: number, address?: Address) => [...stakeKeys.user(chainId, address), 'block'] as const,
+  pending: (chainId: number, address: Address | undefined, pid: number) =>
+    [...stakeKeys.perBlock(chainId, address), 'pending', pid] as const,
+  positions: (chainId: number, address?: Address) =>
+    [...stakeKeys.perBlock(chainId, address), 'positions'] as const
+};
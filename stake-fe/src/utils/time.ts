@@ -0,0 +1,27 @@
+// 把秒数格式化为 1d 02:03:04 / 02:03:04 的形式
+export function formatDuration(seconds: number) {
+  const total = Math.max(0, Math.floor(seconds));
+  const days = Math.floor(total / 86400);
+  const pad = (n: number) => n.toString().padStart(2, '0');
+  const hms = `${pad(Math.floor((total % 86400) / 3600))}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+  return days > 0 ? `${days}d ${hms}` : hms;
+}
+
+// 把日期格式化为本地时间，精确到分钟
+export function formatDate(date?: Date) {
+  if (!date) return '--';
+  return date.toLocaleString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+// 锁仓期等较长的时长：整天显示为天数，否则同 formatDuration
+export function formatPeriod(seconds: number) {
+  const days = seconds / 86400;
+  if (days >= 1 && Number.isInteger(days)) return `${days} day${days > 1 ? 's' : ''}`;
+  return formatDuration(seconds);
+}
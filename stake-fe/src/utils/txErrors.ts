@@ -0,0 +1,61 @@
+import {
+  BaseError,
+  ContractFunctionRevertedError,
+  InsufficientFundsError,
+  UserRejectedRequestError
+} from 'viem';
+
+export const DefaultTxError = 'Transaction failed. Please try again.';
+
+// 合约 require 字符串和自定义错误名对应的提示
+const RevertMessages: Record<string, string> = {
+  'deposit amount is too small': 'Amount is below the minimum deposit of this pool',
+  'withdraw is paused': 'Withdrawals are paused right now',
+  'claim is paused': 'Claiming rewards is paused right now',
+  'Not enough staking token balance': 'Amount exceeds your staked balance',
+  'nothing to withdraw': 'No unstake requests are ready to withdraw yet',
+  'invalid unstake request': 'This unstake request no longer exists',
+  'stake is locked': 'Locked stake cannot be moved before the lock expires',
+  'lock not expired': 'Locked stake cannot be moved before the lock expires',
+  'lock tier lower than current lock': 'Choose a lock period at least as long as your current lock',
+  'invalid lock tier': 'This lock period is not available',
+  'invalid pid': 'This pool does not exist',
+  'invalid recipient': 'Invalid recipient address',
+  'not claim operator': 'This wallet is not allowed to claim for that account',
+  'no MetaNode pool': 'Compounding is not available without a MetaNode pool',
+  'deposit not support ETH staking': 'Use the ETH deposit for the ETH pool',
+  'WETH not set': 'WETH deposits are not enabled',
+  'ETH transfer call failed': 'Sending ETH to your wallet failed',
+  EnforcedPause: 'The stake contract is paused',
+  AccessControlUnauthorizedAccount: 'Your wallet does not have permission for this action',
+  SafeERC20FailedOperation: 'Token transfer failed, check your balance and allowance'
+};
+
+// 交易已上链但执行失败（receipt.status 为 reverted）
+export class TxRevertedError extends Error {
+  constructor(label: string) {
+    super(`${label} reverted on-chain`);
+    this.name = 'TxRevertedError';
+  }
+}
+
+/**
+ * 把模拟、签名或上链阶段的错误转换成给用户看的提示，未知的 revert 原样显示
+ */
+export const decodeTxError = (error: unknown): string => {
+  if (error instanceof TxRevertedError) return error.message;
+  if (!(error instanceof BaseError)) return DefaultTxError;
+
+  if (error.walk((e) => e instanceof UserRejectedRequestError)) {
+    return 'Transaction was rejected in your wallet';
+  }
+  const revert = error.walk((e) => e instanceof ContractFunctionRevertedError);
+  if (revert instanceof ContractFunctionRevertedError) {
+    const reason = revert.reason ?? revert.data?.errorName;
+    if (reason) return RevertMessages[reason] ?? reason;
+  }
+  if (error.walk((e) => e instanceof InsufficientFundsError)) {
+    return 'Not enough ETH to pay for gas';
+  }
+  return error.shortMessage || DefaultTxError;
+};
@@ -1,19 +1,38 @@
-import { sepolia } from "viem/chains";
-import { PublicClient, createPublicClient, http } from 'viem'
-import { mainnet } from 'viem/chains'
-
+import { PublicClient, createPublicClient, http, webSocket } from 'viem'
+import { deploymentOf } from './env'
+import { SupportedChains } from './chains'
 
+// 客户端按链缓存，没有配置的链返回 undefined
+const clientCache: { [key: number]: PublicClient } = {}
 
+export const viemClients = (chainId: number): PublicClient | undefined => {
+  const deployment = deploymentOf(chainId)
+  const chain = SupportedChains.find((item) => item.id === chainId)
+  if (!deployment || !chain) return undefined
+  if (!clientCache[chainId]) {
+    clientCache[chainId] = createPublicClient({
+      chain,
+      transport: http(deployment.rpcUrl)
+    })
+  }
+  return clientCache[chainId]
+}
 
+// 订阅用的 WebSocket 客户端按链缓存，同一条链只保持一个连接
+const wsClientCache: { [key: number]: PublicClient } = {}
 
-export const viemClients = (chaiId: number): PublicClient => {
-  const clients: {
-    [key: number]: PublicClient
-  } = {
-    [sepolia.id]: createPublicClient({
-      chain: sepolia,
-      transport: http('https://sepolia.infura.io/v3/d8ed0bd1de8242d998a1405b6932ab33')
+/**
+ * 订阅新区块和合约事件的 WebSocket 客户端，该网络没有配置 WebSocket RPC 时返回 undefined，由调用方改为轮询
+ */
+export const wsClients = (chainId: number): PublicClient | undefined => {
+  const wsRpcUrl = deploymentOf(chainId)?.wsRpcUrl
+  const chain = SupportedChains.find((item) => item.id === chainId)
+  if (!wsRpcUrl || !chain || typeof WebSocket === 'undefined') return undefined
+  if (!wsClientCache[chainId]) {
+    wsClientCache[chainId] = createPublicClient({
+      chain,
+      transport: webSocket(wsRpcUrl, { reconnect: { attempts: 3 } })
     })
   }
-  return clients[chaiId]
-}
\ No newline at end of file
+  return wsClientCache[chainId]
+}
@@ -1,22 +1,19 @@
 import { getDefaultConfig } from '@rainbow-me/rainbowkit';
-import { http } from 'viem';
-import {
-  sepolia,
-} from 'wagmi/chains';
+import { Transport, http } from 'viem';
+import { Deployments } from './env';
+import { SupportedChains } from './chains';
 // from https://cloud.walletconnect.com/
 const ProjectId = 'e3242412afd6123ce1dda1de23a8c016'
 
 export const config = getDefaultConfig({
   appName: 'Meta Node Stake',
   projectId: ProjectId,
-  chains: [
-    sepolia
-  ],
-  transports: {
-    // 替换之前 不可用的 https://rpc.sepolia.org/
-    [sepolia.id]: http('https://sepolia.infura.io/v3/d8ed0bd1de8242d998a1405b6932ab33')
-  },
+  chains: SupportedChains,
+  // RPC 来自 next.config.js 的网络配置
+  transports: Object.fromEntries(
+    Deployments.map((deployment) => [deployment.chainId, http(deployment.rpcUrl)])
+  ) as Record<number, Transport>,
   ssr: true,
 });
 
-export const defaultChainId: number = sepolia.id
\ No newline at end of file
+export const defaultChainId: number = SupportedChains[0].id